@@ -1,5 +1,8 @@
 import { DataManager } from './service/data-manager.js';
 import { HistoryManager } from './service/history-manager.js';
+import { RuleEngine } from './service/rule-engine.js';
+import { HistoryStore } from './service/history-store.js';
+import { WorkspaceManager } from './service/workspace-manager.js';
 import { LlmConfigManager } from './service/llm-config-manager.js';
 import { LlmIntegrationManager } from './service/llm-integration-manager.js';
 
@@ -10,26 +13,47 @@ import { ExportImage } from './ui/components/export.js';
 import { EditSystemComponent } from './ui/components/edit-system.js';
 import { DeleteSystemComponent } from './ui/components/delete-system.js';
 import { DeleteDependencyComponent } from './ui/components/delete-dependency.js';
+import { EditDependencyComponent } from './ui/components/edit-dependency.js';
 import { ConnectionModeComponent } from './ui/components/connection-mode.js';
 import { Toolbar } from './ui/components/toolbar.js';
 import { HistoryHelper } from './ui/components/history.js';
+import { HistoryTimelineOverlay } from './ui/components/history-timeline.js';
 import { SearchOverlay } from './ui/components/search.js';
 import { FilterOverlay } from './ui/components/filter.js';
 import { LegendOverlay } from './ui/components/legend.js';
 import { DownloadHelper } from './ui/components/download.js';
 import { UploadHelper } from './ui/components/upload.js';
+import { CsvImportComponent } from './ui/components/csv-import.js';
 import { ResetData } from './ui/components/reset.js';
 import { ResetZoomHelper } from './ui/components/reset-zoom.js';
 import { DetailsOverlay } from './ui/components/details-overlay.js';
+import { ImpactAnalysisOverlay } from './ui/components/impact-analysis.js';
+import { CycleReportOverlay } from './ui/components/cycle-report.js';
+import { PathFinderOverlay } from './ui/components/path-finder.js';
+import { GraphMetricsOverlay } from './ui/components/graph-metrics.js';
+import { ProblemsOverlay } from './ui/components/problems.js';
+import { DependencyMatrixView } from './ui/components/dependency-matrix.js';
+import { LayoutToggle } from './ui/components/layout-toggle.js';
+import { GroupCollapseHelper } from './ui/components/group-collapse.js';
+import { Minimap } from './ui/components/minimap.js';
 import { MultiSelectComponent } from './ui/components/multi-select.js';
+import { ValidationReportComponent } from './ui/components/validation-report.js';
+import { WorkspaceOverlay } from './ui/components/workspaces.js';
 
 document.addEventListener('DOMContentLoaded', async () => {
+    // Workspaces: each one has its own data, node positions, viewport and history
+    const workspaceManager = new WorkspaceManager();
+
     // Systemdaten laden und DataManager initialisieren
-    const dataManager = new DataManager();
+    const dataManager = new DataManager(workspaceManager.getStorageKey('systems_yaml'));
+    workspaceManager.initialize(dataManager);
     console.log('Systemdaten geladen:', dataManager.data);
 
-    // Create HistoryManager for undo/redo functionality
-    const historyManager = new HistoryManager(dataManager);
+    // Create HistoryManager for undo/redo functionality, persisted in IndexedDB
+    const historyManager = new HistoryManager(dataManager, { workspaceManager, store: new HistoryStore() });
+
+    // Evaluate the architecture rules of the data after every change
+    const ruleEngine = new RuleEngine(dataManager);
 
     // LLM-Integration initialisieren (NEU)
     const llmConfig = new LlmConfigManager();
@@ -41,10 +65,10 @@ document.addEventListener('DOMContentLoaded', async () => {
         llmPromptPrefix: llmConfig.llmPromptPrefix || "", // Modell je nach LLM-Typ, e.g. claude-3-7-sonnet-20250219
         llmUrl: llmConfig.llmUrl || "", // Nur für custom-Typ
     });
-    llmManager.initialize(dataManager);
+    llmManager.initialize(dataManager, ruleEngine);
 
     // UI Components
-    const visualizer = new SystemVisualizer('#visualization-container', {dataManager});
+    const visualizer = new SystemVisualizer('#visualization-container', {dataManager, workspaceManager});
     const toolbar = new Toolbar('.controls-overlay', {});
     const editSystemComponent = new EditSystemComponent('body', { dataManager, toolbar });
     const connectionMode = new ConnectionModeComponent('body', {
@@ -56,6 +80,11 @@ document.addEventListener('DOMContentLoaded', async () => {
     const chatInterface = new ChatInterface('.main-container', { llmManager, chatConfig, toolbar });
     const deleteSystemComponent = new DeleteSystemComponent('body', { dataManager, visualizer });
 
+    const impactAnalysis = new ImpactAnalysisOverlay('.main-container', { toolbar, visualizer, dataManager });
+    const pathFinder = new PathFinderOverlay('.main-container', { toolbar, visualizer, dataManager });
+    const graphMetrics = new GraphMetricsOverlay('.main-container', { toolbar, visualizer, dataManager });
+    const editDependency = new EditDependencyComponent('body', { dataManager, connectionMode });
+
     const multiSelect = new MultiSelectComponent('body', {
         dataManager,
         visualizer,
@@ -70,17 +99,31 @@ document.addEventListener('DOMContentLoaded', async () => {
         chatInterface, 
         deleteSystemComponent, 
         multiSelect,
+        impactAnalysis,
+        pathFinder,
+        graphMetrics,
         new DeleteDependencyComponent('body', { dataManager, connectionMode }),
+        editDependency,
+        new DependencyMatrixView('.main-container', { toolbar, visualizer, dataManager, editDependency }),
+        new CycleReportOverlay('.main-container', { toolbar, visualizer, dataManager }),
+        new ProblemsOverlay('.main-container', { toolbar, visualizer, dataManager, ruleEngine }),
+        new WorkspaceOverlay('.main-container', { toolbar, workspaceManager }),
         new HistoryHelper('body', { historyManager, toolbar }),
-        new SearchOverlay('.main-container', { toolbar, visualizer, dataManager }),
+        new HistoryTimelineOverlay('.main-container', { historyManager, toolbar }),
+        new SearchOverlay('.main-container', { toolbar, visualizer, dataManager, pathFinder }),
         new FilterOverlay('.main-container', { toolbar, visualizer, dataManager }),
         new LegendOverlay('.main-container', { toolbar, visualizer, dataManager }),
         new ResetZoomHelper('.main-container', { toolbar, visualizer }),
-        new ExportImage('body', { toolbar }), 
-        new UploadHelper('.main-container', { toolbar, dataManager }),
+        new LayoutToggle('body', { toolbar, visualizer }),
+        new GroupCollapseHelper('body', { toolbar, visualizer, dataManager }),
+        new Minimap('.main-container', { toolbar, visualizer }),
+        new ExportImage('body', { toolbar, dataManager }), 
+        new UploadHelper('body', { toolbar, dataManager }),
+        new CsvImportComponent('body', { toolbar, dataManager }),
         new DownloadHelper('.main-container', { toolbar, dataManager }),
         new ResetData('body', { toolbar, dataManager, llmConfig, llmManager, chatInterface, visualizer }),
-        new DetailsOverlay('.main-container', { dataManager, visualizer, editSystemComponent, deleteSystemComponent }),
+        new DetailsOverlay('.main-container', { dataManager, visualizer, editSystemComponent, deleteSystemComponent, impactAnalysis, graphMetrics }),
+        new ValidationReportComponent('body', { dataManager }),
     ].forEach(component => {
         component.initialize();
     });
@@ -1,14 +1,20 @@
 import { EventEmitter  } from "../utils/event-emitter.js";
 import { showNotification } from '../utils/utilities.js';
+import { getCategoryDefinitions, getDependencyTypeDefinitions } from '../utils/taxonomy.js';
+import { validateSystemDocument, extractValidSubset } from '../utils/validation.js';
+import { DOCUMENT_SECTIONS, describeDifferences, findMatchingDependency } from '../utils/differences.js';
+import { applyOperations, cloneValue, diffDocuments } from '../utils/patch.js';
+import { normalizeGroupPath, expandGroupPaths } from '../utils/groups.js';
 
 /**
  * Loads the system data from the YAML file
+ * @param {string} storageKey - The local storage key of the workspace
  * @returns {Promise<Object>} The parsed data object
  */
-function loadSystemData() {
+function loadSystemData(storageKey) {
     try {
         // Load YAML file
-        const yamlText = localStorage.getItem('systems_yaml');
+        const yamlText = localStorage.getItem(storageKey);
         if (!yamlText) {
             throw new Error('Could not load system data from local storage');
         }
@@ -29,11 +35,12 @@ function loadSystemData() {
 /**
  * Saves the system data as YAML in local storage
  * @param {Object} data - The system data to save
+ * @param {string} storageKey - The local storage key of the workspace
  */
-function saveSystemData(data) {
+function saveSystemData(data, storageKey) {
     try {
         const yamlText = jsyaml.dump(data);
-        localStorage.setItem('systems_yaml', yamlText);
+        localStorage.setItem(storageKey, yamlText);
         console.log('Data saved successfully');
     } catch (error) {
         console.error('Error saving data:', error);
@@ -47,19 +54,47 @@ function saveSystemData(data) {
  * Serves as the single source of truth for all other components
  */
 export class DataManager extends EventEmitter {
-    constructor() {
+    /**
+     * @param {string} [storageKey='systems_yaml'] - The local storage key of the active workspace
+     */
+    constructor(storageKey = 'systems_yaml') {
         super();
-        this.data = loadSystemData();
-        let saveTimeout = null;
+        this.storageKey = storageKey;
+        this.data = loadSystemData(storageKey);
+        this.saveTimeout = null;
+        this.ensureStoredDependencyIds();
+        // Operations since the last 'dataChanged' (see utils/patch.js), passed on to the history
+        this.pendingOperations = { forward: [], inverse: [] };
         this.on('dataChanged', () => {
-            if (saveTimeout) clearTimeout(saveTimeout);
-            saveTimeout = setTimeout(() => {
-                saveSystemData(this.data);
-                saveTimeout = null;
-            }, 500);
+            if (this.saveTimeout) clearTimeout(this.saveTimeout);
+            this.saveTimeout = setTimeout(() => this.save(), 500);
         });
     }
 
+    /**
+     * Writes pending changes to local storage immediately
+     */
+    save() {
+        if (!this.saveTimeout) return;
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = null;
+        saveSystemData(this.data, this.storageKey);
+    }
+
+    /**
+     * Loads the data stored under another key (e.g. of another workspace)
+     * Pending changes are saved under the previous key first.
+     * @param {string} storageKey - The local storage key to switch to
+     */
+    switchStorage(storageKey) {
+        this.save();
+        this.storageKey = storageKey;
+        this.data = loadSystemData(storageKey);
+        this.ensureStoredDependencyIds();
+        this.takeOperations();
+        this.emit('dataChanged', this.data);
+    }
+
     /**
      * Initializes the DataManager with data
      * @param {Object} data - The initial system data
@@ -81,13 +116,40 @@ export class DataManager extends EventEmitter {
 
     /**
      * Completely updates the system data
+     * If the new data contains errors, it is not applied and a 'validationFailed' event
+     * with the validation report is emitted instead.
      * @param {Object} newData - The new system data
+     * @param {boolean} notify - Whether to emit 'dataChanged'
+     * @param {Object} [options] - Additional options
+     * @param {boolean} [options.validate=true] - Whether to validate the data before applying it
+     * @param {string} [options.source='data'] - Origin of the data, passed on in 'validationFailed'
+     * @param {string} [options.label='Replaced data'] - Description of the change for the history
+     * @returns {boolean} True if the data was applied
      */
-    setData(newData, notify = true) {
+    setData(newData, notify = true, { validate = true, source = 'data', label = 'Replaced data' } = {}) {
+        if (validate) {
+            const report = validateSystemDocument(newData);
+            if (!report.valid) {
+                this.emit('validationFailed', {
+                    report,
+                    source,
+                    onImportSubset: report.canExtractSubset ?
+                        () => this.setData(extractValidSubset(newData, report), notify, { validate: false, source, label }) :
+                        null
+                });
+                return false;
+            }
+        }
+
         if (newData && newData.systems && newData.dependencies) {
+            this.ensureDependencyIds(newData);
+            // Only the differences are recorded, not two copies of the whole document
+            diffDocuments(this.data, newData).forEach(({ forward, inverse }) => this.recordOperation(forward, inverse));
             this.data = newData;
-            notify && this.emit('dataChanged', this.data);
+            notify && this.notifyChange(label);
+            return true;
         }
+        return false;
     }
 
     /**
@@ -95,11 +157,161 @@ export class DataManager extends EventEmitter {
      * @param {Object} newData - The new system data
      */
     clearData(notify = true) {
-        this.setData({ systems: [], dependencies: [] }, notify);
+        this.setData({ systems: [], dependencies: [] }, notify, { validate: false, label: 'Cleared data' });
+    }
+
+    /**
+     * Emits 'dataChanged' with a description of the change
+     * The description is shown in the history timeline.
+     * @param {string} label - Description of the change, e.g. "Added system Billing"
+     */
+    notifyChange(label) {
+        this.emit('dataChanged', this.data, { label, operations: this.takeOperations() });
+    }
+
+    /**
+     * Records an operation together with the operation reverting it
+     * @param {Object} forward - The operation that was applied
+     * @param {Object} inverse - The operation that reverts it
+     */
+    recordOperation(forward, inverse) {
+        this.pendingOperations.forward.push(forward);
+        this.pendingOperations.inverse.unshift(inverse);
+    }
+
+    /**
+     * Returns and resets the operations recorded since the last change notification
+     * @returns {Object} { forward, inverse }, both in the order they have to be applied
+     */
+    takeOperations() {
+        const operations = this.pendingOperations;
+        this.pendingOperations = { forward: [], inverse: [] };
+        return operations;
+    }
+
+    /**
+     * Applies operations, e.g. recorded ones when undoing or redoing a change
+     * The operations are not recorded again.
+     * @param {Array<Object>} operations - The operations (see utils/patch.js)
+     * @param {string} [label='Changed data'] - Description of the change
+     */
+    applyOperations(operations, label = 'Changed data') {
+        this.data = applyOperations(this.data, operations);
+        this.emit('dataChanged', this.data, { label, operations: null });
+    }
+
+    /**
+     * Inserts an entry into the systems or dependencies and records the operation
+     * @param {string} list - 'systems' or 'dependencies'
+     * @param {number} index - Position of the new entry
+     * @param {Object} entry - The entry
+     */
+    insertEntry(list, index, entry) {
+        this.data[list].splice(index, 0, entry);
+        this.recordOperation(
+            { op: 'add', path: `/${list}/${index}`, value: cloneValue(entry) },
+            { op: 'remove', path: `/${list}/${index}` }
+        );
+    }
+
+    /**
+     * Replaces an entry of the systems or dependencies and records the operation
+     * @param {string} list - 'systems' or 'dependencies'
+     * @param {number} index - Position of the entry
+     * @param {Object} entry - The new entry
+     */
+    replaceEntry(list, index, entry) {
+        const previous = this.data[list][index];
+        this.data[list][index] = entry;
+        this.recordOperation(
+            { op: 'replace', path: `/${list}/${index}`, value: cloneValue(entry) },
+            { op: 'replace', path: `/${list}/${index}`, value: previous }
+        );
+    }
+
+    /**
+     * Removes an entry of the systems or dependencies and records the operation
+     * @param {string} list - 'systems' or 'dependencies'
+     * @param {number} index - Position of the entry
+     */
+    removeEntry(list, index) {
+        const [previous] = this.data[list].splice(index, 1);
+        this.recordOperation(
+            { op: 'remove', path: `/${list}/${index}` },
+            { op: 'add', path: `/${list}/${index}`, value: previous }
+        );
+    }
+
+    /**
+     * Sets or removes a top-level field (e.g. a taxonomy section) and records the operation
+     * @param {string} field - The field
+     * @param {*} value - The new value, undefined removes the field
+     */
+    setField(field, value) {
+        const path = `/${field}`;
+        const inverse = field in this.data
+            ? { op: 'replace', path, value: this.data[field] }
+            : { op: 'remove', path };
+
+        if (value === undefined) {
+            if (!(field in this.data)) return;
+            delete this.data[field];
+            this.recordOperation({ op: 'remove', path }, inverse);
+        } else {
+            this.data[field] = value;
+            this.recordOperation({ op: 'add', path, value: cloneValue(value) }, inverse);
+        }
+    }
+
+    /**
+     * Returns the name of a system for change descriptions
+     * @param {string} systemId - The ID of the system
+     * @returns {string} The name, or the ID if the system does not exist
+     */
+    getSystemLabel(systemId) {
+        const system = this.data.systems.find(sys => sys.id === systemId);
+        return system && system.name ? system.name : systemId;
+    }
+
+    /**
+     * Returns the system categories defined in the data document
+     * Falls back to the default categories if none are defined
+     * @returns {Array<Object>} Category definitions ({ id, label, color })
+     */
+    getCategories() {
+        return getCategoryDefinitions(this.data);
+    }
+
+    /**
+     * Returns the definition of a single category
+     * @param {string} categoryId - The ID of the category
+     * @returns {Object|null} The category definition or null if the category is not defined
+     */
+    getCategory(categoryId) {
+        return this.getCategories().find(category => category.id === categoryId) || null;
+    }
+
+    /**
+     * Returns the dependency types defined in the data document
+     * Falls back to the default dependency types if none are defined
+     * @returns {Array<Object>} Dependency type definitions ({ id, label, color, dash, arrow })
+     */
+    getDependencyTypes() {
+        return getDependencyTypeDefinitions(this.data);
+    }
+
+    /**
+     * Returns the definition of a single dependency type
+     * @param {string} typeId - The ID of the dependency type
+     * @returns {Object|null} The type definition or null if the type is not defined
+     */
+    getDependencyType(typeId) {
+        return this.getDependencyTypes().find(type => type.id === typeId) || null;
     }
 
     /**
      * Returns all unique groups present in the system data
+     * Parent groups of nested group paths are included, even if no system is assigned to them directly.
      * @returns {Array} Array of unique group names
      */
     getAllGroups() {
@@ -117,7 +329,7 @@ export class DataManager extends EventEmitter {
             }
         });
 
-        return Array.from(groups).sort();
+        return expandGroupPaths(Array.from(groups)).sort();
     }
 
     /**
@@ -128,9 +340,10 @@ export class DataManager extends EventEmitter {
     ensureGroupsArray(system) {
         // Case 1: system already has a groups array -> do nothing
         if (Array.isArray(system.groups)) {
-            // Remove empty values and duplicates
+            // Normalize group paths, remove empty values and duplicates
             system.groups = system.groups
-                .filter(group => group && group.trim() !== '')
+                .map(normalizeGroupPath)
+                .filter(group => group !== '')
                 .filter((group, index, self) => self.indexOf(group) === index);
 
             // Remove legacy group field if present
@@ -143,10 +356,10 @@ export class DataManager extends EventEmitter {
             // If group is a comma-separated string, split
             if (system.group.includes(',')) {
                 system.groups = system.group.split(',')
-                    .map(g => g.trim())
+                    .map(normalizeGroupPath)
                     .filter(g => g !== '');
             } else {
-                system.groups = [system.group];
+                system.groups = [normalizeGroupPath(system.group)].filter(g => g !== '');
             }
             delete system.group;
             return;
@@ -172,8 +385,8 @@ export class DataManager extends EventEmitter {
         // Compatibility handling for converting 'group' to 'groups'
         this.ensureGroupsArray(system);
 
-        this.data.systems.push(system);
-        notify && this.emit('dataChanged', this.data);
+        this.insertEntry('systems', this.data.systems.length, system);
+        notify && this.notifyChange(`Added system ${system.name || system.id}`);
         return system.id;
     }
 
@@ -188,8 +401,8 @@ export class DataManager extends EventEmitter {
             // Compatibility handling for converting 'group' to 'groups'
             this.ensureGroupsArray(updatedSystem);
 
-            this.data.systems[index] = updatedSystem;
-            notify && this.emit('dataChanged', this.data);
+            this.replaceEntry('systems', index, updatedSystem);
+            notify && this.notifyChange(`Edited system ${updatedSystem.name || updatedSystem.id}`);
             return true;
         }
         return false;
@@ -203,22 +416,85 @@ export class DataManager extends EventEmitter {
     deleteSystem(systemId, notify = true) {
         const systemIndex = this.data.systems.findIndex(sys => sys.id === systemId);
         if (systemIndex === -1) return false;
+        const label = `Deleted system ${this.getSystemLabel(systemId)}`;
 
-        // Delete system
-        this.data.systems.splice(systemIndex, 1);
+        // Delete associated dependencies (from the back, so the recorded positions stay valid)
+        for (let i = this.data.dependencies.length - 1; i >= 0; i--) {
+            const dep = this.data.dependencies[i];
+            if (dep.source === systemId || dep.target === systemId) {
+                this.removeEntry('dependencies', i);
+            }
+        }
 
-        // Delete associated dependencies
-        this.data.dependencies = this.data.dependencies.filter(
-            dep => dep.source !== systemId && dep.target !== systemId
-        );
+        // Delete system
+        this.removeEntry('systems', systemIndex);
 
-        notify && this.emit('dataChanged', this.data);
+        notify && this.notifyChange(label);
         return true;
     }
 
+    /**
+     * Gives the dependencies of freshly loaded data IDs and stores them right away,
+     * so they stay the same across reloads
+     */
+    ensureStoredDependencyIds() {
+        if (this.ensureDependencyIds(this.data)) {
+            saveSystemData(this.data, this.storageKey);
+        }
+    }
+
+    /**
+     * Gives every dependency of a document a unique ID
+     * Dependencies without an ID (e.g. from older data) or with a duplicate ID get a new one.
+     * @param {Object} data - The data document, modified in place
+     * @returns {boolean} True if an ID was assigned
+     */
+    ensureDependencyIds(data) {
+        if (!data || !Array.isArray(data.dependencies)) return false;
+        let changed = false;
+
+        const usedIds = new Set(data.dependencies.map(dep => dep && dep.id).filter(Boolean));
+        const seenIds = new Set();
+        data.dependencies.forEach(dep => {
+            if (!dep || typeof dep !== 'object') return;
+            if (!dep.id || seenIds.has(dep.id)) {
+                dep.id = this.generateUniqueId('dep', usedIds);
+                usedIds.add(dep.id);
+                changed = true;
+            }
+            seenIds.add(dep.id);
+        });
+        return changed;
+    }
+
+    /**
+     * Returns the position of a dependency
+     * @param {Object} dependency - The dependency, identified by its ID or (without ID) by source, target and type
+     * @returns {number} The index or -1 if the dependency does not exist
+     */
+    findDependencyIndex(dependency) {
+        const match = findMatchingDependency(this.data.dependencies, dependency);
+        return match ? this.data.dependencies.indexOf(match) : -1;
+    }
+
+    /**
+     * Checks if another dependency has the same source, target and type
+     * Several dependencies between the same systems are possible as long as their types differ.
+     * @param {Object} dependency - The dependency to check
+     * @param {number} [index=-1] - Position of the dependency itself, which is skipped
+     * @returns {boolean} True if the dependency would be a duplicate
+     */
+    hasParallelDependency(dependency, index = -1) {
+        return this.data.dependencies.some((dep, i) => i !== index &&
+            dep.source === dependency.source && dep.target === dependency.target &&
+            dep.type === dependency.type);
+    }
+
     /**
      * Adds a new dependency
-     * @param {Object} dependency - The new dependency
+     * Several dependencies between the same systems are possible as long as their types differ
+     * (see hasParallelDependency).
+     * @param {Object} dependency - The new dependency, gets an ID if it has none
      * @returns {boolean} True on success
      */
     addDependency(dependency, notify = true) {
@@ -226,26 +502,56 @@ export class DataManager extends EventEmitter {
         const sourceExists = this.data.systems.some(sys => sys.id === dependency.source);
         const targetExists = this.data.systems.some(sys => sys.id === dependency.target);
 
-        if (!sourceExists || !targetExists) return false;
+        if (!sourceExists || !targetExists || this.hasParallelDependency(dependency)) return false;
+
+        const usedIds = new Set(this.data.dependencies.map(dep => dep.id));
+        if (!dependency.id || usedIds.has(dependency.id)) {
+            dependency.id = this.generateUniqueId('dep', usedIds);
+        }
+
+        this.insertEntry('dependencies', this.data.dependencies.length, dependency);
+        notify && this.notifyChange(`Added connection ${this.getSystemLabel(dependency.source)} → ${this.getSystemLabel(dependency.target)}`);
+        return true;
+    }
 
-        this.data.dependencies.push(dependency);
-        notify && this.emit('dataChanged', this.data);
+    /**
+     * Updates an existing dependency in place
+     * The dependency is identified by `previous` (see findDependencyIndex), which defaults to
+     * the updated dependency itself, and keeps its ID.
+     * @param {Object} updatedDependency - The updated dependency, may change source and target
+     * @param {boolean} [notify=true] - Whether to emit 'dataChanged'
+     * @param {Object} [previous] - The dependency to update
+     * @returns {boolean} True if the dependency was found and updated
+     */
+    updateDependency(updatedDependency, notify = true, previous = updatedDependency) {
+        const index = this.findDependencyIndex(previous);
+        if (index === -1) return false;
+
+        // The endpoints must exist and must not collide with another dependency of the same type
+        const endpointsExist = [updatedDependency.source, updatedDependency.target]
+            .every(id => this.data.systems.some(sys => sys.id === id));
+        if (!endpointsExist || this.hasParallelDependency(updatedDependency, index)) return false;
+
+        if (!updatedDependency.id) {
+            updatedDependency.id = this.data.dependencies[index].id;
+        }
+        this.replaceEntry('dependencies', index, updatedDependency);
+        notify && this.notifyChange(`Edited connection ${this.getSystemLabel(updatedDependency.source)} → ${this.getSystemLabel(updatedDependency.target)}`);
         return true;
     }
 
     /**
      * Deletes a dependency
-     * @param {Object} dependency - The dependency to delete (must contain source and target)
+     * @param {Object} dependency - The dependency to delete, identified by its ID or (without ID) by source, target and type
      * @returns {boolean} True if the dependency was found and deleted
      */
     deleteDependency(dependency, notify = true) {
-        const index = this.data.dependencies.findIndex(
-            dep => dep.source === dependency.source && dep.target === dependency.target
-        );
+        const index = this.findDependencyIndex(dependency);
 
         if (index !== -1) {
-            this.data.dependencies.splice(index, 1);
-            notify && this.emit('dataChanged', this.data);
+            const { source, target } = this.data.dependencies[index];
+            this.removeEntry('dependencies', index);
+            notify && this.notifyChange(`Deleted connection ${this.getSystemLabel(source)} → ${this.getSystemLabel(target)}`);
             return true;
         }
         return false;
@@ -253,74 +559,125 @@ export class DataManager extends EventEmitter {
 
     /**
      * Applies a batch of changes at once and triggers only a single update event
-     * @param {Object} differences - Object with added, modified and removed arrays for systems and dependencies
-     * @returns {boolean} True on success
+     * Changes that cannot be applied (e.g. a connection to a missing system or a second connection
+     * of the same type, see hasParallelDependency) are skipped and returned as rejected.
+     * @param {Object} differences - Object with added, modified and removed arrays for systems and dependencies,
+     *                               optionally `categories`, `dependencyTypes` and `rules` replacing these sections (null removes them)
+     * @param {string} [label] - Description of the change for the history, derived from the differences if omitted
+     * @returns {Object} { success, rejected }: `success` is false if the batch failed as a whole,
+     *   `rejected` lists the skipped changes (see runBatch)
      */
-    applyBatch(differences) {
-        if (!differences) return false;
+    applyBatch(differences, label = null) {
+        if (!differences) return { success: false, rejected: [] };
+        const changeLabel = label || describeDifferences(differences);
 
         try {
-            // Remove systems
-            if (differences.removed && differences.removed.systems) {
-                differences.removed.systems.forEach(system => {
-                    this.deleteSystem(system.id, false);
-                });
-            }
+            const rejected = this.runBatch(differences);
 
-            // Update systems
-            if (differences.modified && differences.modified.systems) {
-                differences.modified.systems.forEach(modifiedSystem => {
-                    this.updateSystem(modifiedSystem, false);
-                });
-            }
+            // Notify all listeners only once
+            this.notifyChange(changeLabel);
 
-            // Add new systems
-            if (differences.added && differences.added.systems) {
-                differences.added.systems.forEach(newSystem => {
-                    this.addSystem(newSystem, false);
-                });
-            }
+            return { success: true, rejected };
+        } catch (error) {
+            console.error("Error applying batch changes:", error);
+            return { success: false, rejected: [] };
+        }
+    }
 
-            // Remove dependencies
-            if (differences.removed && differences.removed.dependencies) {
-                differences.removed.dependencies.forEach(dependency => {
-                    this.deleteDependency(dependency, false);
-                });
-            }
+    /**
+     * Determines the changes of a batch that would be rejected, without changing the data
+     * @param {Object} differences - The batch (see applyBatch)
+     * @returns {Array<Object>} The rejected changes (see runBatch)
+     */
+    checkBatch(differences) {
+        // The batch runs on a copy sharing the methods, but neither the data nor the recorded operations
+        const scratch = Object.create(this);
+        scratch.data = cloneValue(this.data);
+        scratch.pendingOperations = { forward: [], inverse: [] };
+        return scratch.runBatch(cloneValue(differences));
+    }
 
-            // Update dependencies
-            if (differences.modified && differences.modified.dependencies) {
-                differences.modified.dependencies.forEach(modifiedDep => {
-                    // Delete and re-add, since updateDependency does not exist
-                    this.deleteDependency(modifiedDep, false);
-                    this.addDependency(modifiedDep, false);
-                });
+    /**
+     * Applies the changes of a batch without notifying the listeners
+     * @param {Object} differences - The batch (see applyBatch)
+     * @returns {Array<Object>} The rejected changes as { change, section, index, entry, reason } with
+     *   `change` 'added', 'modified' or 'removed', `section` 'systems' or 'dependencies', the position
+     *   of the entry in its list of the batch and the reason as text
+     */
+    runBatch(differences) {
+        const rejected = [];
+        const apply = (change, section, applyEntry) => {
+            const entries = (differences[change] && differences[change][section]) || [];
+            entries.forEach((entry, index) => {
+                const reason = applyEntry(entry);
+                if (reason) rejected.push({ change, section, index, entry, reason });
+            });
+        };
+
+        // Replace taxonomy and rule sections
+        DOCUMENT_SECTIONS.forEach(section => {
+            if (differences[section] === null) {
+                this.setField(section, undefined);
+            } else if (differences[section] !== undefined) {
+                this.setField(section, differences[section]);
             }
+        });
 
-            // Add new dependencies
-            if (differences.added && differences.added.dependencies) {
-                differences.added.dependencies.forEach(newDep => {
-                    this.addDependency(newDep, false);
-                });
+        apply('removed', 'systems', system =>
+            this.deleteSystem(system.id, false) ? null : 'The system does not exist');
+        apply('modified', 'systems', system =>
+            this.updateSystem(system, false) ? null : 'The system does not exist');
+        apply('added', 'systems', system => {
+            if (system.id && this.data.systems.some(sys => sys.id === system.id)) {
+                return 'A system with this ID already exists';
             }
+            this.addSystem(system, false);
+            return null;
+        });
 
-            // Notify all listeners only once
-            this.emit('dataChanged', this.data);
+        // Connections of removed systems are already gone with them
+        const removedSystemIds = new Set(((differences.removed && differences.removed.systems) || []).map(system => system.id));
+        apply('removed', 'dependencies', dependency => {
+            if (this.deleteDependency(dependency, false)) return null;
+            return removedSystemIds.has(dependency.source) || removedSystemIds.has(dependency.target) ?
+                null : 'The connection does not exist';
+        });
+        apply('modified', 'dependencies', dependency => this.updateDependency(dependency, false) ?
+            null : this.getDependencyRejection(dependency, this.findDependencyIndex(dependency)));
+        apply('added', 'dependencies', dependency => this.addDependency(dependency, false) ?
+            null : this.getDependencyRejection(dependency));
 
-            return true;
-        } catch (error) {
-            console.error("Error applying batch changes:", error);
-            return false;
-        }
+        return rejected;
+    }
+
+    /**
+     * Explains why a dependency could not be added or updated
+     * @param {Object} dependency - The dependency
+     * @param {number} [index] - Position of the updated dependency (-1 if it does not exist), omitted when adding
+     * @returns {string} The reason
+     */
+    getDependencyRejection(dependency, index) {
+        if (index === -1) return 'The connection does not exist';
+        const missing = [dependency.source, dependency.target]
+            .filter(id => !this.data.systems.some(sys => sys.id === id));
+        if (missing.length > 0) return `Unknown system ${missing.join(', ')}`;
+        return `A "${dependency.type}" connection from ${this.getSystemLabel(dependency.source)} to ` +
+            `${this.getSystemLabel(dependency.target)} already exists`;
     }
 
     /**
      * Generates a unique ID
+     * @param {string} [prefix='sys'] - Prefix of the ID, e.g. 'dep' for dependencies
+     * @param {Set<string>} [usedIds] - IDs that must not be returned
      * @returns {string} A unique ID
      */
-    generateUniqueId() {
-        const timestamp = new Date().getTime();
-        const randomPart = Math.floor(Math.random() * 10000);
-        return `sys_${timestamp}_${randomPart}`;
+    generateUniqueId(prefix = 'sys', usedIds = null) {
+        let id;
+        do {
+            const timestamp = new Date().getTime();
+            const randomPart = Math.floor(Math.random() * 10000);
+            id = `${prefix}_${timestamp}_${randomPart}`;
+        } while (usedIds && usedIds.has(id));
+        return id;
     }
 }
\ No newline at end of file
@@ -1,61 +1,259 @@
 import { EventEmitter  } from "../utils/event-emitter.js";
 import { showNotification } from '../utils/utilities.js';
+import { applyOperations, hashState } from '../utils/patch.js';
+
+// Version des gespeicherten Formats, ältere Histories werden verworfen
+const HISTORY_FORMAT_VERSION = 2;
 
 /**
  * HistoryManager 
+ * Die Stacks enthalten keine Kopien der Daten, sondern die Operationen, die der DataManager
+ * bei jeder Änderung aufzeichnet (siehe utils/patch.js): `forward` wiederholt eine Änderung,
+ * `inverse` nimmt sie zurück. Ein Eintrag wandert beim Undo/Redo unverändert zwischen den Stacks.
+ * Mit einem HistoryStore überlebt die History einen Reload.
  */
 export class HistoryManager extends EventEmitter{
     constructor(dataManager, options = {}) {
         super();
         this.dataManager = dataManager;
+        this.workspaceManager = options.workspaceManager || null;
+        this.store = options.store || null;
         this.options = {
             maxHistorySize: options.maxHistorySize || 50,
             debounceTime: options.debounceTime || 500,
+            persistDebounceTime: options.persistDebounceTime || 3000, // Speichern berechnet den Hash der ganzen Daten
+            storageBudget: options.storageBudget || 2 * 1024 * 1024, // Zeichen je Workspace
             ...options
         };
 
         // History stacks
-        this.undoStack = [];  // Enthält VERGANGENE Zustände
-        this.redoStack = [];  // Enthält ZUKÜNFTIGE Zustände
+        this.undoStack = [];  // Änderungen bis zum aktuellen Zustand
+        this.redoStack = [];  // Zurückgenommene Änderungen
         
         // State tracking
         this.debounceTimer = null;
         this.isPerformingHistoryOperation = false;
-        this.lastSavedState = null; // Für Vergleich
+        this.pendingLabels = []; // Beschreibungen der noch nicht verarbeiteten Änderungen
+        this.pendingOperations = { forward: [], inverse: [] }; // Operationen der noch nicht verarbeiteten Änderungen
+        this.persistTimer = null;
+        this.lastPersistDuration = null; // Dauer des letzten Speicherns in ms
+
+        // Undo/Redo-Stacks der inaktiven Workspaces
+        this.workspaceHistories = new Map();
 
         this.initialize();
     }
 
     initialize() {
-        // Initialen Zustand speichern
-        this.saveInitialState();
+        this.emit('historyUpdated');
 
-        // WICHTIG: Wir speichern VOR Änderungen, nicht nach!
-        this.dataManager.on('dataChanged', () => {
+        this.dataManager.on('dataChanged', (data, change) => {
             if (this.isPerformingHistoryOperation) return;
             
-            // Wenn das Event gefeuert wird, sind die Daten bereits geändert
-            // Aber wir haben noch den alten Zustand in lastSavedState
-            // Der gehört jetzt in den undoStack!
-            this.handleDataChanged();
+            // Wenn das Event gefeuert wird, sind die Daten bereits geändert,
+            // die Operationen zum Zurücknehmen liefert der DataManager mit
+            this.handleDataChanged(change);
         });
 
+        if (this.workspaceManager) {
+            this.setupWorkspaceHandling();
+        }
+
         this.setupKeyboardShortcuts();
+        this.setupPersistOnLeave();
+
+        // Gespeicherte History des aktiven Workspaces laden
+        this.restoreHistory(this.getWorkspaceId());
+    }
+
+    /**
+     * Liefert die ID des aktiven Workspaces
+     */
+    getWorkspaceId() {
+        return this.workspaceManager ? this.workspaceManager.getActiveWorkspace().id : 'default';
+    }
+
+    /**
+     * Jeder Workspace hat eine eigene History: beim Wechsel werden die Stacks
+     * des alten Workspaces geparkt und die des neuen wiederhergestellt
+     */
+    setupWorkspaceHandling() {
+        this.workspaceManager.on('workspaceChanging', ({ previousId }) => {
+            // Ausstehende Änderung noch dem alten Workspace zuordnen
+            this.flushPendingChange();
+
+            this.workspaceHistories.set(previousId, {
+                undoStack: this.undoStack,
+                redoStack: this.redoStack
+            });
+            this.persistHistory(previousId);
+
+            // Das Laden der neuen Daten ist keine Änderung
+            this.isPerformingHistoryOperation = true;
+        });
+
+        this.workspaceManager.on('workspaceChanged', (workspace) => {
+            const history = this.workspaceHistories.get(workspace.id);
+            this.workspaceHistories.delete(workspace.id);
+
+            this.undoStack = history ? history.undoStack : [];
+            this.redoStack = history ? history.redoStack : [];
+            this.isPerformingHistoryOperation = false;
+
+            this.emit('historyUpdated');
+
+            // Noch nicht geladene History aus dem Speicher holen
+            if (!history) {
+                this.restoreHistory(workspace.id);
+            }
+        });
+
+        this.workspaceManager.on('workspaceDeleted', (workspaceId) => {
+            this.workspaceHistories.delete(workspaceId);
+            if (this.store) {
+                this.store.remove(workspaceId);
+            }
+        });
     }
 
     /**
-     * Speichert den initialen Zustand
+     * Speichert eine verzögerte History sofort, wenn die Seite verlassen oder verdeckt wird
      */
-    saveInitialState() {
-        this.lastSavedState = this.deepClone(this.dataManager.getData());
+    setupPersistOnLeave() {
+        const persistNow = () => {
+            if (!this.persistTimer && !this.debounceTimer) return;
+            this.flushPendingChange();
+            this.persistHistory(this.getWorkspaceId());
+        };
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') persistNow();
+        });
+        window.addEventListener('pagehide', persistNow);
+    }
+
+    /**
+     * Lädt die gespeicherte History eines Workspaces
+     * Sie wird nur übernommen, wenn sie zu den aktuellen Daten passt und seitdem
+     * keine neue History entstanden ist.
+     */
+    async restoreHistory(workspaceId) {
+        if (!this.store) return;
+
+        const stored = await this.store.load(workspaceId);
+        if (!stored || workspaceId !== this.getWorkspaceId()) return;
+        if (stored.version !== HISTORY_FORMAT_VERSION) return;
+        if (this.undoStack.length > 0 || this.redoStack.length > 0 || this.debounceTimer) return;
+
+        if (stored.stateHash !== hashState(this.dataManager.getData())) {
+            console.log('Stored history does not match the current data and is discarded');
+            return;
+        }
+
+        this.undoStack = stored.undoStack || [];
+        this.redoStack = stored.redoStack || [];
         this.emit('historyUpdated');
+        console.log(`History restored (${this.undoStack.length} undo states)`);
+    }
+
+    /**
+     * Speichert die History verzögert
+     */
+    schedulePersist() {
+        if (!this.store) return;
+
+        if (this.persistTimer) {
+            clearTimeout(this.persistTimer);
+        }
+        const workspaceId = this.getWorkspaceId();
+        this.persistTimer = setTimeout(() => {
+            this.persistTimer = null;
+            this.persistHistory(workspaceId);
+        }, this.options.persistDebounceTime);
+    }
+
+    /**
+     * Speichert die History des aktiven Workspaces unter der angegebenen ID
+     */
+    persistHistory(workspaceId) {
+        if (!this.store) return;
+
+        if (this.persistTimer) {
+            clearTimeout(this.persistTimer);
+            this.persistTimer = null;
+        }
+
+        // Die Daten enthalten noch eine Änderung, die nicht in den Stacks ist;
+        // nach ihrer Verarbeitung wird erneut gespeichert
+        if (this.debounceTimer) return;
+
+        const start = performance.now();
+        this.trimToBudget();
+        this.store.save(workspaceId, {
+            version: HISTORY_FORMAT_VERSION,
+            undoStack: this.undoStack,
+            redoStack: this.redoStack,
+            stateHash: hashState(this.dataManager.getData()),
+            timestamp: Date.now()
+        });
+        this.lastPersistDuration = performance.now() - start;
+        console.debug(`History persisted in ${this.lastPersistDuration.toFixed(1)} ms`);
+    }
+
+    /**
+     * Größe eines Eintrags im Speicher (in Zeichen)
+     * Sie wird nur einmal berechnet und mit dem Eintrag gespeichert.
+     */
+    getEntrySize(entry) {
+        if (entry.size === undefined) {
+            entry.size = JSON.stringify(entry).length;
+        }
+        return entry.size;
+    }
+
+    /**
+     * Verwirft die ältesten Einträge, bis die History in das Speicherbudget passt
+     * Zuerst werden die ältesten Undo-Schritte entfernt, danach die entferntesten Redo-Schritte.
+     */
+    trimToBudget() {
+        const size = (entry) => this.getEntrySize(entry);
+        let total = [...this.undoStack, ...this.redoStack].reduce((sum, entry) => sum + size(entry), 0);
+        let trimmed = 0;
+
+        while (total > this.options.storageBudget && (this.undoStack.length > 0 || this.redoStack.length > 0)) {
+            const entry = this.undoStack.length > 0 ? this.undoStack.shift() : this.redoStack.shift();
+            total -= size(entry);
+            trimmed++;
+        }
+
+        if (trimmed > 0) {
+            console.log(`History trimmed by ${trimmed} entries to fit the storage budget`);
+            this.emit('historyUpdated');
+        }
     }
 
     /**
      * Wird aufgerufen wenn sich Daten geändert haben
-     * Zu diesem Zeitpunkt sind die Daten bereits NEU, aber lastSavedState ist ALT
+     * Die Operationen kurz aufeinander folgender Änderungen werden zu einem Eintrag gesammelt.
+     * @param {Object} [change] - Beschreibung der Änderung ({ label, operations }) vom DataManager
      */
-    handleDataChanged() {
+    handleDataChanged(change) {
+        // Ohne Operationen lässt sich die Änderung nicht zurücknehmen,
+        // ältere Einträge würden nicht mehr zu den Daten passen
+        if (!change || !change.operations) {
+            this.discardPendingChange();
+            this.clearHistory();
+            return;
+        }
+
+        if (change.label) {
+            this.pendingLabels.push(change.label);
+        }
+        // Neue Operationen werden nach, ihre Umkehrungen vor den bisherigen ausgeführt
+        this.pendingOperations = {
+            forward: this.pendingOperations.forward.concat(change.operations.forward),
+            inverse: change.operations.inverse.concat(this.pendingOperations.inverse)
+        };
+
         // Clear debounce timer falls vorhanden
         if (this.debounceTimer) {
             clearTimeout(this.debounceTimer);
@@ -63,6 +261,7 @@ export class HistoryManager extends EventEmitter{
 
         // Debounced handling
         this.debounceTimer = setTimeout(() => {
+            this.debounceTimer = null;
             this.processPendingChange();
         }, this.options.debounceTime);
     }
@@ -71,107 +270,185 @@ export class HistoryManager extends EventEmitter{
      * Verarbeitet eine ausstehende Änderung
      */
     processPendingChange() {
-        const currentData = this.dataManager.getData();
+        const labels = this.pendingLabels;
+        const { forward, inverse } = this.pendingOperations;
+        this.pendingLabels = [];
+        this.pendingOperations = { forward: [], inverse: [] };
         
         // Nichts zu tun wenn keine Änderung
-        if (this.lastSavedState && this.areStatesEqual(this.lastSavedState, currentData)) {
+        if (forward.length === 0) {
             return;
         }
 
-        // Den ALTEN Zustand (vor der Änderung) in den undoStack
-        if (this.lastSavedState) {
-            const undoSnapshot = {
-                data: this.deepClone(this.lastSavedState),
-                timestamp: Date.now()
-            };
-
-            this.undoStack.push(undoSnapshot);
+        const entry = {
+            forward,
+            inverse,
+            label: this.combineLabels(labels),
+            timestamp: Date.now()
+        };
+        this.getEntrySize(entry);
+        this.undoStack.push(entry);
 
-            // Redo-Stack leeren
-            this.redoStack = [];
+        // Redo-Stack leeren
+        this.redoStack = [];
 
-            // Stack-Größe begrenzen
-            if (this.undoStack.length > this.options.maxHistorySize) {
-                this.undoStack.shift();
-            }
+        // Stack-Größe begrenzen
+        if (this.undoStack.length > this.options.maxHistorySize) {
+            this.undoStack.shift();
         }
-
-        // Neuen aktuellen Zustand für nächstes Mal merken
-        this.lastSavedState = this.deepClone(currentData);
         
         this.emit('historyUpdated');
+        this.schedulePersist();
         console.log(`State change processed (${this.undoStack.length} undo states)`);
     }
 
     /**
-     * Undo - Zum vorherigen Zustand zurückkehren
+     * Fasst die Beschreibungen mehrerer kurz aufeinander folgender Änderungen zusammen
      */
-    undo() {
-        if (!this.canUndo()) {
-            console.warn('Cannot undo: no previous states');
-            return false;
-        }
+    combineLabels(labels) {
+        if (labels.length === 0) return 'Changed data';
+        if (labels.length === 1) return labels[0];
+        return `${labels[labels.length - 1]} (+${labels.length - 1} more)`;
+    }
 
-        // Pending operations canceln
+    /**
+     * Verarbeitet eine noch ausstehende Änderung sofort, damit sie Teil der History ist
+     */
+    flushPendingChange() {
         if (this.debounceTimer) {
             clearTimeout(this.debounceTimer);
             this.debounceTimer = null;
+            this.processPendingChange();
         }
+    }
 
-        // Aktuellen Zustand zu Redo-Stack hinzufügen
-        const currentData = this.dataManager.getData();
-        const redoSnapshot = {
-            data: this.deepClone(currentData),
-            timestamp: Date.now()
-        };
-        this.redoStack.push(redoSnapshot);
-
-        // Vorherigen Zustand vom undoStack holen
-        const previousSnapshot = this.undoStack.pop();
-
-        // Zustand anwenden
-        this.isPerformingHistoryOperation = true;
-        this.dataManager.setData(previousSnapshot.data, true);
-        this.lastSavedState = this.deepClone(previousSnapshot.data); // Wichtig: auch lastSavedState updaten
-        this.isPerformingHistoryOperation = false;
+    /**
+     * Verwirft eine noch ausstehende Änderung, ohne sie in die History aufzunehmen
+     */
+    discardPendingChange() {
+        if (this.debounceTimer) {
+            clearTimeout(this.debounceTimer);
+            this.debounceTimer = null;
+        }
+        this.pendingLabels = [];
+        this.pendingOperations = { forward: [], inverse: [] };
+    }
 
-        this.emit('historyUpdated');
-        return true;
+    /**
+     * Undo - Zum vorherigen Zustand zurückkehren
+     */
+    undo() {
+        this.flushPendingChange();
+        if (!this.canUndo()) {
+            console.warn('Cannot undo: no previous states');
+            return false;
+        }
+        return this.goTo(this.undoStack.length - 1);
     }
 
     /**
      * Redo - Zum nächsten Zustand vorwärts gehen
      */
     redo() {
+        this.flushPendingChange();
         if (!this.canRedo()) {
             console.warn('Cannot redo: no future states');
             return false;
         }
+        return this.goTo(this.undoStack.length + 1);
+    }
 
-        // Pending operations canceln
-        if (this.debounceTimer) {
-            clearTimeout(this.debounceTimer);
-            this.debounceTimer = null;
+    /**
+     * Liefert die Timeline aller Zustände
+     * Index 0 ist der älteste gespeicherte Zustand, jeder weitere Index der Zustand nach einer Änderung.
+     * @returns {Array<Object>} Einträge mit index, label, timestamp und current
+     */
+    getTimeline() {
+        const position = this.undoStack.length;
+        const changes = [...this.undoStack, ...[...this.redoStack].reverse()];
+        return [
+            { index: 0, label: 'Start', timestamp: null, current: position === 0 },
+            ...changes.map((entry, i) => ({
+                index: i + 1,
+                label: entry.label || 'Changed data',
+                timestamp: entry.timestamp,
+                current: position === i + 1
+            }))
+        ];
+    }
+
+    /**
+     * Index des aktuellen Zustands in der Timeline
+     */
+    getCurrentIndex() {
+        return this.undoStack.length;
+    }
+
+    /**
+     * Berechnet den Zustand an einer Stelle der Timeline, ohne ihn anzuwenden
+     * @param {number} index - Index in der Timeline (siehe getTimeline)
+     * @returns {Object} Die Daten an dieser Stelle
+     */
+    getStateAt(index) {
+        return applyOperations(this.deepClone(this.dataManager.getData()), this.getOperationsTo(index));
+    }
+
+    /**
+     * Sammelt die Operationen, die vom aktuellen Zustand zu einer Stelle der Timeline führen
+     * @param {number} index - Index in der Timeline (siehe getTimeline)
+     * @returns {Array<Object>} Die Operationen in der Reihenfolge ihrer Ausführung
+     */
+    getOperationsTo(index) {
+        let operations = [];
+        for (let i = this.undoStack.length - 1; i >= index; i--) {
+            operations = operations.concat(this.undoStack[i].inverse);
+        }
+        for (let i = this.redoStack.length - 1, position = this.undoStack.length; position < index && i >= 0; i--, position++) {
+            operations = operations.concat(this.redoStack[i].forward);
         }
+        return operations;
+    }
 
-        // Aktuellen Zustand zu Undo-Stack hinzufügen
-        const currentData = this.dataManager.getData();
-        const undoSnapshot = {
-            data: this.deepClone(currentData),
-            timestamp: Date.now()
-        };
-        this.undoStack.push(undoSnapshot);
+    /**
+     * Springt zu einer beliebigen Stelle der Timeline
+     * Alle Zwischenschritte werden zu einer Liste von Operationen zusammengefasst und
+     * gemeinsam angewendet, die Daten ändern sich also nur einmal.
+     * @param {number} index - Index in der Timeline (siehe getTimeline)
+     * @returns {boolean} True wenn sich der Zustand geändert hat
+     */
+    goTo(index) {
+        this.flushPendingChange();
+        const target = Math.max(0, Math.min(index, this.undoStack.length + this.redoStack.length));
+        if (target === this.undoStack.length) return false;
+
+        const operations = this.getOperationsTo(target);
 
-        // Nächsten Zustand vom redoStack holen
-        const nextSnapshot = this.redoStack.pop();
+        // Rückwärts: Undo-Einträge werden zu Redo-Einträgen
+        while (this.undoStack.length > target) {
+            this.redoStack.push(this.undoStack.pop());
+        }
+
+        // Vorwärts: Redo-Einträge werden zu Undo-Einträgen
+        while (this.undoStack.length < target) {
+            this.undoStack.push(this.redoStack.pop());
+        }
 
         // Zustand anwenden
         this.isPerformingHistoryOperation = true;
-        this.dataManager.setData(nextSnapshot.data, true);
-        this.lastSavedState = this.deepClone(nextSnapshot.data); // Wichtig: auch lastSavedState updaten
+        try {
+            this.dataManager.applyOperations(operations);
+        } catch (error) {
+            // Passt die History nicht zu den Daten, ist sie nicht mehr zu gebrauchen
+            console.error('Error applying history operations:', error);
+            showNotification('The history could not be applied and was cleared', 'danger');
+            this.isPerformingHistoryOperation = false;
+            this.clearHistory();
+            return false;
+        }
         this.isPerformingHistoryOperation = false;
 
         this.emit('historyUpdated');
+        this.schedulePersist();
         return true;
     }
 
@@ -182,6 +459,20 @@ export class HistoryManager extends EventEmitter{
         return this.undoStack.length > 0;
     }
 
+    /**
+     * Beschreibung der Änderung, die ein Undo zurücknehmen würde
+     */
+    getUndoLabel() {
+        return this.canUndo() ? this.undoStack[this.undoStack.length - 1].label || null : null;
+    }
+
+    /**
+     * Beschreibung der Änderung, die ein Redo wiederherstellen würde
+     */
+    getRedoLabel() {
+        return this.canRedo() ? this.redoStack[this.redoStack.length - 1].label || null : null;
+    }
+
     /**
      * Prüft ob Redo möglich ist
      */
@@ -195,8 +486,8 @@ export class HistoryManager extends EventEmitter{
     clearHistory() {
         this.undoStack = [];
         this.redoStack = [];
-        this.lastSavedState = this.deepClone(this.dataManager.getData());
         this.emit('historyUpdated');
+        this.schedulePersist();
         console.log('History cleared');
     }
 
@@ -217,13 +508,6 @@ export class HistoryManager extends EventEmitter{
         return cloned;
     }
 
-    /**
-     * Vergleicht zwei Zustände auf Gleichheit
-     */
-    areStatesEqual(state1, state2) {
-        return JSON.stringify(state1) === JSON.stringify(state2);
-    }
-
     /**
      * Keyboard Shortcuts einrichten
      */
@@ -253,8 +537,10 @@ export class HistoryManager extends EventEmitter{
             redoStackSize: this.redoStack.length,
             canUndo: this.canUndo(),
             canRedo: this.canRedo(),
-            currentDataHash: JSON.stringify(this.dataManager.getData()).substring(0, 50) + '...',
-            lastSavedStateHash: this.lastSavedState ? JSON.stringify(this.lastSavedState).substring(0, 50) + '...' : 'null'
+            pendingOperations: this.pendingOperations.forward.length,
+            historySize: [...this.undoStack, ...this.redoStack].reduce((sum, entry) => sum + this.getEntrySize(entry), 0),
+            lastPersistDuration: this.lastPersistDuration,
+            currentDataHash: hashState(this.dataManager.getData())
         };
     }
 }
\ No newline at end of file
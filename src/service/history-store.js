@@ -0,0 +1,94 @@
+const DB_NAME = 'system_visualizer_history';
+const DB_VERSION = 1;
+const STORE_NAME = 'histories';
+
+/**
+ * HistoryStore - Persists the undo/redo history of each workspace in IndexedDB
+ * All methods resolve even if IndexedDB is unavailable, the history then simply
+ * does not survive a reload.
+ */
+export class HistoryStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    /**
+     * Opens the database (once)
+     * @returns {Promise<IDBDatabase|null>} The database or null if IndexedDB is unavailable
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve) => {
+                if (typeof indexedDB === 'undefined') {
+                    resolve(null);
+                    return;
+                }
+
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(STORE_NAME);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('Could not open history database:', request.error);
+                    resolve(null);
+                };
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Runs a single request against the object store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} createRequest - Receives the object store and returns the request
+     * @returns {Promise<*>} The result of the request, null on failure
+     */
+    async run(mode, createRequest) {
+        const db = await this.open();
+        if (!db) return null;
+
+        return new Promise((resolve) => {
+            try {
+                const transaction = db.transaction(STORE_NAME, mode);
+                const request = createRequest(transaction.objectStore(STORE_NAME));
+                transaction.oncomplete = () => resolve(request.result === undefined ? null : request.result);
+                transaction.onerror = () => {
+                    console.warn('History database error:', transaction.error);
+                    resolve(null);
+                };
+            } catch (error) {
+                console.warn('History database error:', error);
+                resolve(null);
+            }
+        });
+    }
+
+    /**
+     * Loads the stored history of a workspace
+     * @param {string} workspaceId - The workspace
+     * @returns {Promise<Object|null>} The stored history ({ undoStack, redoStack, stateHash }) or null
+     */
+    load(workspaceId) {
+        return this.run('readonly', store => store.get(workspaceId));
+    }
+
+    /**
+     * Stores the history of a workspace
+     * @param {string} workspaceId - The workspace
+     * @param {Object} history - The history ({ undoStack, redoStack, stateHash })
+     * @returns {Promise<void>}
+     */
+    async save(workspaceId, history) {
+        await this.run('readwrite', store => store.put(history, workspaceId));
+    }
+
+    /**
+     * Removes the stored history of a workspace
+     * @param {string} workspaceId - The workspace
+     * @returns {Promise<void>}
+     */
+    async remove(workspaceId) {
+        await this.run('readwrite', store => store.delete(workspaceId));
+    }
+}
@@ -1,5 +1,7 @@
 import {createGenerator, handleSse} from '../utils/completion.js'
 import { showNotification } from '../utils/utilities.js';
+import { validateSystemDocument, extractValidSubset } from '../utils/validation.js';
+import { calculateDifferences } from '../utils/differences.js';
 
 /**
  * LlmIntegrationManager - Manages the integration of an LLM into the system visualization.
@@ -8,6 +10,7 @@ import { showNotification } from '../utils/utilities.js';
 export class LlmIntegrationManager {
     constructor(options = {}) {
         this.dataManager = null;
+        this.ruleEngine = null;
         this.initialized = false;
         this.isProcessing = false;
 
@@ -59,8 +62,9 @@ export class LlmIntegrationManager {
     /**
      * Initializes the LlmIntegrationManager
      * @param {DataManager} dataManager - The DataManager for data management
+     * @param {RuleEngine} [ruleEngine] - Checks proposed changes against the architecture rules
      */
-    initialize(dataManager) {
+    initialize(dataManager, ruleEngine = null) {
         if (this.initialized) return;
 
         if (!dataManager) {
@@ -69,6 +73,7 @@ export class LlmIntegrationManager {
         }
 
         this.dataManager = dataManager;
+        this.ruleEngine = ruleEngine;
 
         this.initialized = true;
     }
@@ -177,14 +182,18 @@ export class LlmIntegrationManager {
                     const parsedData = jsyaml.load(yamlContent);
 
                     // Daten validieren
-                    if (this.validateSystemData(parsedData)) {
+                    const report = this.validateSystemData(parsedData);
+                    if (report.valid) {
                         result.yamlData = parsedData;
 
                         // Unterschiede berechnen
                         result.differences = this.calculateDifferences(currentData, parsedData);
+                        result.ruleViolations = this.ruleEngine ? this.ruleEngine.checkChange(result.differences) : [];
                         result.success = true;
                     } else {
                         result.message = "The YAML structure is invalid";
+                        result.validationReport = report;
+                        this.reportValidationErrors(parsedData, report);
                     }
                 } catch (error) {
                     console.error("Error parsing the YAML response:", error);
@@ -219,6 +228,14 @@ export class LlmIntegrationManager {
     getCurrentDataAsPromptBlock(currentData) {
         return `
 \`\`\`yaml
+categories:
+${this.dataManager.getCategories().map(category => `  - id: ${category.id}
+    label: ${category.label}`).join('\n')}
+
+dependencyTypes:
+${this.dataManager.getDependencyTypes().map(type => `  - id: ${type.id}
+    label: ${type.label}`).join('\n')}
+
 systems:
 ${currentData.systems.map(sys => `  - id: ${sys.id}
     name: ${sys.name}
@@ -229,12 +246,13 @@ ${currentData.systems.map(sys => `  - id: ${sys.id}
 `).join('\n')}
 
 dependencies:
-${currentData.dependencies.map(dep => `  - source: ${dep.source}
+${currentData.dependencies.map(dep => `  - id: ${dep.id}
+    source: ${dep.source}
     target: ${dep.target}
     type: ${dep.type}
     description: ${dep.description || 'No Description'}
     protocol: ${dep.protocol || 'API'}
-`).join('\n')}
+`).join('\n')}${this.formatRules()}
 \`\`\`
 `;
     }
@@ -244,13 +262,20 @@ ${currentData.dependencies.map(dep => `  - source: ${dep.source}
      * @returns {string} - Die formatierte Nachricht mit Kontext
      */
     getDataStructureAsPromptBlock() {
+        const categories = this.dataManager ?
+            this.dataManager.getCategories().map(category => category.id).join('/') :
+            'core/legacy/data/service/external';
+        const dependencyTypes = this.dataManager ?
+            this.dataManager.getDependencyTypes().map(type => type.id).join('/') :
+            'data/integration/authentication/monitoring';
+
         return `
 \`\`\`yaml
 systems:
   - id: systemId
     name: System Name
     description: Description for the system
-    category: core/legacy/data/service/external
+    category: ${categories}
     groups:
       - gruppe1
       - gruppe2
@@ -262,9 +287,10 @@ systems:
       - tag2
 
 dependencies:
-  - source: sourceSystemId
+  - id: dependencyId (keep for existing dependencies, omit for new ones)
+    source: sourceSystemId
     target: targetSystemId
-    type: data/integration/authentication/monitoring
+    type: ${dependencyTypes}
     description: Description for the dependency
     delete: true/false
     protocol: Name of Protocol
@@ -277,13 +303,16 @@ dependencies:
      * @returns {string} - The formatted message with context
      */
     getExampleDataAsPromptBlock() {
+        const category = this.dataManager ? this.dataManager.getCategories()[0].id : 'core';
+        const dependencyType = this.dataManager ? this.dataManager.getDependencyTypes()[0].id : 'data';
+
         return `
 \`\`\`yaml
 systems:
   - id: system1
     name: System Name
     description: Some description for the system
-    category: core
+    category: ${category}
     groups:
       - group1
       - group2
@@ -294,13 +323,23 @@ systems:
 dependencies:
   - source: system1
     target: system2
-    type: data
+    type: ${dependencyType}
     description: Some description for the dependency
     delete: false
     protocol: Protocol
 \`\`\`
 `;
     }
+    /**
+     * Formats the architecture rules for the YAML representation, so proposed changes respect them
+     * @returns {string} - The rules section, empty if no rules are defined
+     */
+    formatRules() {
+        const rules = this.ruleEngine ? this.ruleEngine.getRules() : [];
+        if (rules.length === 0) return '';
+        return `\nrules:\n${jsyaml.dump(rules).trimEnd().split('\n').map(line => `  ${line}`).join('\n')}`;
+    }
+
     /**
      * Helper function to format the groups information for the YAML representation
      * @param {Object} system - The system object
@@ -323,19 +362,10 @@ dependencies:
     /**
      * Applies data changes to the data model
      * @param {Object} differences - The changed data
-     * @returns {boolean} - True on success
+     * @returns {Object} - The result of DataManager.applyBatch ({ success, rejected }), to be reported by the caller
      */
     applyChanges(differences) {
-        try {
-            // Update data in the DataManager
-            this.dataManager.applyBatch(differences);
-            showNotification("Changes have been successfully applied", "success");
-            return true;
-        } catch (error) {
-            console.error("Error applying changes:", error);
-            showNotification("Error applying changes", "danger");
-            return false;
-        }
+        return this.dataManager.applyBatch(differences, 'Applied LLM changes');
     }
 
     /**
@@ -345,178 +375,45 @@ dependencies:
      * @returns {Object} Differences (added, modified, removed)
      */
     calculateDifferences(currentData, newData) {
-        const differences = {
-            added: {
-                systems: [],
-                dependencies: []
-            },
-            modified: {
-                systems: [],
-                dependencies: []
-            },
-            removed: {
-                systems: [],
-                dependencies: []
-            }
-        };
-
-        // Compare systems
-        const currentSystemIds = new Set(currentData.systems.map(s => s.id));
-
-        // Added and removed systems
-        newData.systems.forEach(newSystem => {
-            // Removed systems
-            if (newSystem.delete) {
-                differences.removed.systems.push(newSystem);
-                return;
-            }
-            if (!currentSystemIds.has(newSystem.id)) {
-                differences.added.systems.push(newSystem);
-            } else {
-                // Modified systems
-                const currentSystem = currentData.systems.find(s => s.id === newSystem.id);
-                if (!this.areSystemsEqual(currentSystem, newSystem)) {
-                    differences.modified.systems.push(newSystem);
-                }
-            }
-        });
-
-        // Compare dependencies
-        const currentDepKeys = new Set(currentData.dependencies.map(d => `${d.source}-${d.target}`));
-
-        // Added and removed dependencies
-        newData.dependencies.forEach(newDep => {
-            if (newDep.delete) {
-                differences.removed.dependencies.push(newDep);
-                return;
-            }
-            const key = `${newDep.source}-${newDep.target}`;
-            if (!currentDepKeys.has(key)) {
-                differences.added.dependencies.push(newDep);
-            } else {
-                // Modified dependencies
-                const currentDep = currentData.dependencies.find(d =>
-                    d.source === newDep.source && d.target === newDep.target);
-                if (!this.areDependenciesEqual(currentDep, newDep)) {
-                    differences.modified.dependencies.push(newDep);
-                }
-            }
-        });
-
-        return differences;
-    }
-
-    /**
-     * Compares two systems for equality, adapted for multi-group support
-     * @param {Object} system1 - First system
-     * @param {Object} system2 - Second system
-     * @returns {boolean} True if the systems are equal
-     */
-    areSystemsEqual(system1, system2) {
-        if (!system1 || !system2) return false;
-
-        // Compare main properties
-        if (system1.name !== system2.name ||
-            system1.description !== system2.description ||
-            system1.category !== system2.category ||
-            system1.status !== system2.status ||
-            system1.knownUsage !== system2.knownUsage) {
-            return false;
-        }
-
-        // Compare groups
-        const groups1 = this.getSystemGroups(system1);
-        const groups2 = this.getSystemGroups(system2);
-
-        if (groups1.length !== groups2.length) {
-            return false;
-        }
-
-        // Check if all groups match (order does not matter)
-        for (const group of groups1) {
-            if (!groups2.includes(group)) {
-                return false;
-            }
-        }
-
-        // Compare tags (if present)
-        if (Array.isArray(system1.tags) && Array.isArray(system2.tags)) {
-            if (system1.tags.length !== system2.tags.length) {
-                return false;
-            }
-
-            for (let i = 0; i < system1.tags.length; i++) {
-                if (!system2.tags.includes(system1.tags[i])) {
-                    return false;
-                }
-            }
-        } else if ((system1.tags && !system2.tags) || (!system1.tags && system2.tags)) {
-            return false;
-        }
-
-        return true;
+        return calculateDifferences(currentData, newData);
     }
 
     /**
-     * Helper function to extract all groups of a system
-     * @param {Object} system - The system object
-     * @returns {Array} Array with all group names
-     */
-    getSystemGroups(system) {
-        let groups = [];
-
-        if (Array.isArray(system.groups) && system.groups.length > 0) {
-            groups = [...system.groups];
-        } else if (system.group && typeof system.group === 'string') {
-            groups = [system.group];
-        }
-
-        return groups;
-    }
-
-    /**
-     * Compares two dependencies for equality
-     * @param {Object} dep1 - First dependency
-     * @param {Object} dep2 - Second dependency
-     * @returns {boolean} True if the dependencies are equal
-     */
-    areDependenciesEqual(dep1, dep2) {
-        if (!dep1 || !dep2) return false;
-
-        return dep1.type === dep2.type &&
-            dep1.description === dep2.description &&
-            dep1.protocol === dep2.protocol;
-    }
-
-    /**
-     * Validates the data structure
+     * Validates the (partial) data structure returned by the LLM
+     * Dependencies may reference systems of the current data.
      * @param {Object} data - The data structure to validate
-     * @returns {boolean} True if the data is valid
+     * @returns {Object} The validation report (see validateSystemDocument)
      */
     validateSystemData(data) {
-        // Check if the basic structure exists
-        if (!data || (!Array.isArray(data.systems) && !Array.isArray(data.dependencies))) {
-            return false;
+        if (data && typeof data === 'object') {
+            data.systems = data.systems || [];
+            data.dependencies = data.dependencies || [];
         }
 
-        data.systems = data.systems || [];
-        data.dependencies = data.dependencies || [];
-
-        // Check if all systems have an ID
-        const allSystemsHaveId = data.systems.every(system => !!system.id);
-        if (!allSystemsHaveId) {
-            return false;
-        }
-
-        // Check if all dependencies have valid source and target
         const currentData = this.dataManager.getData();
-        const allDependenciesValid = data.dependencies.every(dep =>
-            !!dep.source && !!dep.target &&
-            (data.systems.some(sys => sys.id === dep.source) || currentData.systems.some(sys => sys.id === dep.source)) &&
-            (data.systems.some(sys => sys.id === dep.target) || currentData.systems.some(sys => sys.id === dep.target))
-        );
+        return validateSystemDocument(data, {
+            partial: true,
+            existingSystemIds: currentData.systems.map(system => system.id),
+            taxonomy: currentData
+        });
+    }
 
-        return allDependenciesValid;
+    /**
+     * Reports validation errors of LLM changes via the DataManager,
+     * offering to apply the valid part of the changes
+     * @param {Object} data - The invalid data structure
+     * @param {Object} report - The validation report
+     */
+    reportValidationErrors(data, report) {
+        const existingSystemIds = this.dataManager.getData().systems.map(system => system.id);
+        this.dataManager.emit('validationFailed', {
+            report,
+            source: 'llm',
+            onImportSubset: report.canExtractSubset ? () => {
+                const subset = extractValidSubset(data, report, existingSystemIds);
+                return this.applyChanges(this.calculateDifferences(this.dataManager.getData(), subset));
+            } : null
+        });
     }
 
     /**
@@ -0,0 +1,59 @@
+import { EventEmitter } from '../utils/event-emitter.js';
+import { evaluateRules, getViolationKey } from '../utils/rules.js';
+import { previewDifferences } from '../utils/differences.js';
+
+/**
+ * RuleEngine - Evaluates the architecture rules of the data document (see utils/rules.js)
+ * after every change and keeps the current violations.
+ *
+ * Emits 'violationsChanged' (violations) after each evaluation.
+ */
+export class RuleEngine extends EventEmitter {
+    constructor(dataManager) {
+        super();
+        this.dataManager = dataManager;
+        this.violations = [];
+
+        this.dataManager.on('dataChanged', () => this.evaluate());
+        this.evaluate();
+    }
+
+    /**
+     * Evaluates the rules against the current data
+     * @returns {Array<Object>} The violations
+     */
+    evaluate() {
+        this.violations = evaluateRules(this.dataManager.getData());
+        this.emit('violationsChanged', this.violations);
+        return this.violations;
+    }
+
+    /**
+     * Returns the violations of the last evaluation
+     * @returns {Array<Object>} The violations
+     */
+    getViolations() {
+        return this.violations;
+    }
+
+    /**
+     * Returns the rules defined in the data, including invalid ones
+     * @returns {Array<Object>} The rules
+     */
+    getRules() {
+        const rules = this.dataManager.getData().rules;
+        return Array.isArray(rules) ? rules : [];
+    }
+
+    /**
+     * Determines the violations a change would introduce, without applying it
+     * Violations that already exist are not reported.
+     * @param {Object} differences - The proposed changes (see utils/differences.js)
+     * @returns {Array<Object>} The new violations
+     */
+    checkChange(differences) {
+        const existing = new Set(this.violations.map(getViolationKey));
+        const data = previewDifferences(this.dataManager.getData(), differences);
+        return evaluateRules(data).filter(violation => !existing.has(getViolationKey(violation)));
+    }
+}
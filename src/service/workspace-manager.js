@@ -0,0 +1,227 @@
+import { EventEmitter } from "../utils/event-emitter.js";
+
+const REGISTRY_KEY = 'workspaces';
+const DEFAULT_WORKSPACE = { id: 'default', name: 'Default' };
+
+/**
+ * Local storage keys that hold per-workspace state
+ * Keys of the default workspace are used as they are, so existing data stays available.
+ */
+export const WORKSPACE_STORAGE_KEYS = [
+    'systems_yaml',
+    'system_visualizer_node_positions',
+    'system_visualizer_transform',
+    'system_visualizer_layout',
+    'system_visualizer_collapsed_groups'
+];
+
+/**
+ * WorkspaceManager - Manages named workspaces, each with its own data, node positions,
+ * viewport and undo history
+ *
+ * Switching emits the following events in order:
+ * - 'workspacePersist': components write pending per-workspace state to storage
+ * - 'workspaceChanging' ({ previousId, workspaceId }): components switch their storage keys
+ * - 'dataChanged' on the DataManager with the data of the new workspace
+ * - 'workspaceChanged' (workspace): the new workspace is active
+ */
+export class WorkspaceManager extends EventEmitter {
+    constructor() {
+        super();
+        this.dataManager = null;
+        this.registry = this.loadRegistry();
+    }
+
+    /**
+     * Connects the WorkspaceManager with the DataManager holding the active workspace's data
+     * @param {DataManager} dataManager - The DataManager
+     */
+    initialize(dataManager) {
+        this.dataManager = dataManager;
+    }
+
+    /**
+     * Loads the list of workspaces from local storage
+     * @returns {Object} Registry with the active workspace ID and all workspaces
+     */
+    loadRegistry() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(REGISTRY_KEY));
+            if (stored && Array.isArray(stored.workspaces) && stored.workspaces.length > 0) {
+                if (!stored.workspaces.some(ws => ws.id === stored.active)) {
+                    stored.active = stored.workspaces[0].id;
+                }
+                return stored;
+            }
+        } catch (error) {
+            console.warn('Could not load workspaces:', error);
+        }
+        return { active: DEFAULT_WORKSPACE.id, workspaces: [{ ...DEFAULT_WORKSPACE }] };
+    }
+
+    /**
+     * Saves the list of workspaces to local storage
+     */
+    saveRegistry() {
+        localStorage.setItem(REGISTRY_KEY, JSON.stringify(this.registry));
+    }
+
+    /**
+     * Returns all workspaces
+     * @returns {Array<Object>} Workspaces ({ id, name })
+     */
+    getWorkspaces() {
+        return this.registry.workspaces;
+    }
+
+    /**
+     * Returns the active workspace
+     * @returns {Object} The active workspace ({ id, name })
+     */
+    getActiveWorkspace() {
+        return this.registry.workspaces.find(ws => ws.id === this.registry.active);
+    }
+
+    /**
+     * Returns the local storage key of a per-workspace value
+     * @param {string} baseKey - One of WORKSPACE_STORAGE_KEYS
+     * @param {string} [workspaceId] - The workspace, defaults to the active one
+     * @returns {string} The storage key
+     */
+    getStorageKey(baseKey, workspaceId = this.registry.active) {
+        return workspaceId === DEFAULT_WORKSPACE.id ? baseKey : `${baseKey}@${workspaceId}`;
+    }
+
+    /**
+     * Creates a unique workspace ID from a name
+     * @param {string} name - The workspace name
+     * @returns {string} The ID
+     */
+    generateId(name) {
+        const base = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'workspace';
+        let id = base;
+        let counter = 2;
+        while (this.registry.workspaces.some(ws => ws.id === id)) {
+            id = `${base}-${counter++}`;
+        }
+        return id;
+    }
+
+    /**
+     * Creates an empty workspace and switches to it
+     * @param {string} name - Name of the new workspace
+     * @returns {Object} The new workspace
+     */
+    createWorkspace(name) {
+        const workspace = { id: this.generateId(name), name };
+        this.registry.workspaces.push(workspace);
+        this.saveRegistry();
+        this.switchWorkspace(workspace.id);
+        return workspace;
+    }
+
+    /**
+     * Copies a workspace including node positions and viewport and switches to the copy
+     * @param {string} workspaceId - The workspace to copy
+     * @param {string} name - Name of the copy
+     * @returns {Object|null} The new workspace or null if the source does not exist
+     */
+    duplicateWorkspace(workspaceId, name) {
+        if (!this.registry.workspaces.some(ws => ws.id === workspaceId)) return null;
+
+        // Make sure the copy contains pending changes of the active workspace
+        if (workspaceId === this.registry.active) {
+            this.persist();
+        }
+
+        const workspace = { id: this.generateId(name), name };
+        WORKSPACE_STORAGE_KEYS.forEach(baseKey => {
+            const value = localStorage.getItem(this.getStorageKey(baseKey, workspaceId));
+            if (value !== null) {
+                localStorage.setItem(this.getStorageKey(baseKey, workspace.id), value);
+            }
+        });
+
+        this.registry.workspaces.push(workspace);
+        this.saveRegistry();
+        this.switchWorkspace(workspace.id);
+        return workspace;
+    }
+
+    /**
+     * Renames a workspace
+     * @param {string} workspaceId - The workspace to rename
+     * @param {string} name - The new name
+     * @returns {boolean} True if the workspace exists
+     */
+    renameWorkspace(workspaceId, name) {
+        const workspace = this.registry.workspaces.find(ws => ws.id === workspaceId);
+        if (!workspace || !name) return false;
+
+        workspace.name = name;
+        this.saveRegistry();
+        this.emit('workspacesUpdated', this.registry.workspaces);
+        return true;
+    }
+
+    /**
+     * Deletes a workspace and its stored state
+     * The last remaining workspace cannot be deleted. If the active workspace is deleted,
+     * the first remaining one becomes active.
+     * @param {string} workspaceId - The workspace to delete
+     * @returns {boolean} True if the workspace was deleted
+     */
+    deleteWorkspace(workspaceId) {
+        if (this.registry.workspaces.length <= 1) return false;
+        if (!this.registry.workspaces.some(ws => ws.id === workspaceId)) return false;
+
+        if (workspaceId === this.registry.active) {
+            const next = this.registry.workspaces.find(ws => ws.id !== workspaceId);
+            this.switchWorkspace(next.id);
+        }
+
+        this.registry.workspaces = this.registry.workspaces.filter(ws => ws.id !== workspaceId);
+        this.saveRegistry();
+        WORKSPACE_STORAGE_KEYS.forEach(baseKey => {
+            localStorage.removeItem(this.getStorageKey(baseKey, workspaceId));
+        });
+
+        this.emit('workspaceDeleted', workspaceId);
+        this.emit('workspacesUpdated', this.registry.workspaces);
+        return true;
+    }
+
+    /**
+     * Switches to another workspace
+     * @param {string} workspaceId - The workspace to activate
+     * @returns {boolean} True if the workspace was switched
+     */
+    switchWorkspace(workspaceId) {
+        const previousId = this.registry.active;
+        if (workspaceId === previousId) return false;
+        if (!this.registry.workspaces.some(ws => ws.id === workspaceId)) return false;
+
+        this.persist();
+
+        this.registry.active = workspaceId;
+        this.saveRegistry();
+
+        this.emit('workspaceChanging', { previousId, workspaceId });
+        if (this.dataManager) {
+            this.dataManager.switchStorage(this.getStorageKey('systems_yaml'));
+        }
+        this.emit('workspaceChanged', this.getActiveWorkspace());
+        this.emit('workspacesUpdated', this.registry.workspaces);
+        return true;
+    }
+
+    /**
+     * Writes all pending state of the active workspace to storage
+     */
+    persist() {
+        if (this.dataManager) {
+            this.dataManager.save();
+        }
+        this.emit('workspacePersist', this.registry.active);
+    }
+}
@@ -4,36 +4,79 @@ export class OverlayComponent extends UIComponent {
     constructor(selector, dependencies = {}, options = {}) {
         super(selector, dependencies, options);
     }
-    
+
+    initialize() {
+        super.initialize();
+
+        // Overlays close each other by removing the class (see closeOtherOverlays), so closing is
+        // observed on the element instead of relying on hide()
+        if (this.overlayElement) {
+            let open = this.isOpen();
+            new MutationObserver(() => {
+                const wasOpen = open;
+                open = this.isOpen();
+                if (wasOpen && !open) this.onOverlayClosed();
+            }).observe(this.overlayElement, { attributes: true, attributeFilter: ['class'] });
+        }
+    }
+
     show() {
         this.element.classList.add('active');
         this.onShow();
         this.emit('shown');
     }
-    
+
     hide() {
         this.element.classList.remove('active');
         this.onHide();
         this.emit('hidden');
     }
-    
+
+    /**
+     * Opens or closes the overlay, opening closes all other overlays
+     */
     toggle() {
-        if (this.isActive()) {
+        if (this.overlayElement) this.closeOtherOverlays();
+        if (this.isOpen()) {
             this.hide();
         } else {
             this.show();
         }
     }
 
+    /**
+     * Closes all overlays except this one, so only one is open at a time
+     */
+    closeOtherOverlays() {
+        document.querySelectorAll('.overlay').forEach(overlay => {
+            if (overlay !== this.overlayElement) overlay.classList.remove('active');
+        });
+    }
+
     isActive() {
         return this.element.classList.contains('active');
     }
-    
+
+    /**
+     * Checks if the overlay is shown
+     * @returns {boolean} True if the overlay element is active, without one if the component is
+     */
+    isOpen() {
+        return this.overlayElement ? this.overlayElement.classList.contains('active') : this.isActive();
+    }
+
     onShow() {
         // Override in subclasses
     }
-    
+
     onHide() {
         // Override in subclasses
     }
-}
\ No newline at end of file
+
+    /**
+     * Called after the overlay element was closed, by hide() or by another overlay
+     */
+    onOverlayClosed() {
+        // Override in subclasses
+    }
+}
@@ -1,5 +1,7 @@
 import { UIComponent } from '../base/ui-component.js';
-import { showNotification } from '../../utils/utilities.js';
+import { showNotification, notifyBatchResult } from '../../utils/utilities.js';
+import { describeViolationSubject } from '../../utils/rules.js';
+import { describeRejectedChanges } from '../../utils/differences.js';
 
 const chatUiTemplate = () => `
     <div id="llm-chat-container" class="llm-chat-container active" style="display: flex;">
@@ -145,11 +147,11 @@ export class ChatInterface extends UIComponent {
 
         // If YAML response with changes
         if (result.success && result.yamlData) {
-            this.showUpdateConfirmation(result.yamlData, result.differences);
+            this.showUpdateConfirmation(result.yamlData, result.differences, result.ruleViolations);
         }
     }
 
-    showUpdateConfirmation(newData, differences) {
+    showUpdateConfirmation(newData, differences, ruleViolations = []) {
         // Only show confirmation if there are changes
         if (
             differences.added.systems.length === 0 &&
@@ -187,6 +189,24 @@ export class ChatInterface extends UIComponent {
             summaryText += `❌ ${differences.removed.dependencies.length} removed connections\n`;
         }
 
+        // Architecture rules the changes would violate
+        if (ruleViolations.length > 0) {
+            const dataManager = this.dependencies.llmManager.dataManager;
+            summaryText += `\n⚠️ The changes would violate ${ruleViolations.length} architecture ${ruleViolations.length === 1 ? 'rule' : 'rules'}:\n`;
+            ruleViolations.forEach(violation => {
+                summaryText += `• ${violation.message}: ${describeViolationSubject(violation, id => dataManager.getSystemLabel(id))}\n`;
+            });
+        }
+
+        // Changes the data would not accept, e.g. a second connection of the same type
+        const rejected = this.dependencies.llmManager.dataManager.checkBatch(differences);
+        if (rejected.length > 0) {
+            summaryText += `\n⛔ ${rejected.length} ${rejected.length === 1 ? 'change' : 'changes'} would be rejected:\n`;
+            describeRejectedChanges(rejected).forEach(line => {
+                summaryText += `• ${line}\n`;
+            });
+        }
+
         // Create message
         const messageElement = document.createElement('div');
         messageElement.className = 'llm-chat-message llm-system-message';
@@ -197,14 +217,21 @@ export class ChatInterface extends UIComponent {
         actionsDiv.className = 'llm-update-actions';
 
         const applyButton = document.createElement('button');
-        applyButton.className = 'btn btn-primary';
-        applyButton.textContent = 'Apply changes';
+        applyButton.className = ruleViolations.length > 0 ? 'btn btn-warning' : 'btn btn-primary';
+        applyButton.textContent = ruleViolations.length > 0 ? 'Apply anyway' : 'Apply changes';
         applyButton.addEventListener('click', () => {
             // Update data in DataManager
-            this.dependencies.llmManager.applyChanges(differences);
+            const result = this.dependencies.llmManager.applyChanges(differences);
+            notifyBatchResult(result, "Changes have been successfully applied");
 
             // Show feedback
-            this.addSystemMessage("The changes have been applied successfully.");
+            if (!result.success) {
+                this.addSystemMessage("The changes could not be applied.");
+            } else if (result.rejected.length > 0) {
+                this.addSystemMessage(`The changes have been applied, except for ${result.rejected.length} rejected ${result.rejected.length === 1 ? 'change' : 'changes'}.`);
+            } else {
+                this.addSystemMessage("The changes have been applied successfully.");
+            }
 
             // Remove button container
             messageElement.removeChild(actionsDiv);
@@ -1,6 +1,15 @@
 import { UIComponent } from '../base/ui-component.js';
 import { showNotification } from '../../utils/utilities.js';
 
+const connectionTypePickerTemplate = () => `
+    <div class="connection-type-picker">
+        <label class="form-label small mb-0 me-2" for="connection-type-select">Connection type</label>
+        <select class="form-select form-select-sm" id="connection-type-select">
+            <!-- Filled dynamically from the dependency type definitions -->
+        </select>
+    </div>
+`;
+
 export class ConnectionModeComponent extends UIComponent {
     constructor(selector, dependencies = {}, options = {}) {
         super(selector, dependencies, options);
@@ -16,20 +25,51 @@ export class ConnectionModeComponent extends UIComponent {
         this.defaultConnectionProtocol = "API";
     }
 
+    setupDOM() {
+        this.typePicker = this.render(connectionTypePickerTemplate());
+        this.element.appendChild(this.typePicker);
+        this.typeSelect = this.typePicker.querySelector('#connection-type-select');
+        this.renderTypeOptions();
+    }
+
+    /**
+     * Fills the connection type picker from the dependency type definitions
+     * Falls back to the first defined type if the current default no longer exists
+     */
+    renderTypeOptions() {
+        const types = this.dependencies.dataManager.getDependencyTypes();
+        if (types.length > 0 && !types.some(type => type.id === this.defaultConnectionType)) {
+            this.defaultConnectionType = types[0].id;
+        }
+
+        this.typeSelect.innerHTML = '';
+        types.forEach(type => {
+            const option = document.createElement('option');
+            option.value = type.id;
+            option.textContent = type.label;
+            option.selected = type.id === this.defaultConnectionType;
+            this.typeSelect.appendChild(option);
+        });
+    }
+
     bindEvents() {
+        this.typeSelect.addEventListener('change', () => {
+            this.defaultConnectionType = this.typeSelect.value;
+        });
+
         // Event listener for connection mode toggle
         // document.getElementById('toggle-connection-mode')
         this.toggleConnectionModeButton = this.dependencies.toolbar.button('bi-link', 'Connection mode', () => {
             this.toggleConnectionMode();
         }, 'create', ['toggle-connection-mode']);
 
-        // Event listener for data changes to keep connection mode active
-        this.dependencies.dataManager.on('dataChanged', () => {
-            if (this.isConnectionModeActive) {
-                // Short delay to wait for UI update
-                setTimeout(() => {
-                    this.setupConnectionDrag();
-                }, 100);
+        // The visualizer keeps the connection drag on updated and added nodes,
+        // the link controls stay open as long as their connection exists
+        this.dependencies.dataManager.on('dataChanged', (data) => {
+            this.renderTypeOptions();
+            const controls = document.querySelector('.link-controls');
+            if (controls && !data.dependencies.some(dep => dep.id === controls.getAttribute('data-dependency-id'))) {
+                this.hideLinkControls();
             }
         });
 
@@ -79,36 +119,32 @@ export class ConnectionModeComponent extends UIComponent {
      * Sets up the drag mechanism for connections
      */
     setupConnectionDrag() {
-        if (!this.dependencies.visualizer.nodeElements) return;
-
         // Remove connection drag if present
         this.removeConnectionDrag();
 
-        // Define drag function for connections
+        // Define drag function for connections (the dragged node is the event subject)
         const connectionDrag = d3.drag()
-            .on("start", (event, d) => this.handleDragStart(event, d))
-            .on("drag", (event, d) => this.handleDragMove(event, d))
-            .on("end", (event, d) => this.handleDragEnd(event, d));
+            .on("start", (event) => this.handleDragStart(event, event.subject))
+            .on("drag", (event) => this.handleDragMove(event, event.subject))
+            .on("end", (event) => this.handleDragEnd(event, event.subject));
 
         // Apply to nodes
-        this.dependencies.visualizer.nodeElements.call(connectionDrag);
+        this.dependencies.visualizer.attachNodeDrag(connectionDrag);
     }
 
     /**
      * Removes the connection drag mechanism
      */
     removeConnectionDrag() {
-        if (!this.dependencies.visualizer.nodeElements) return;
-
-        // Remove connection drag
-        this.dependencies.visualizer.nodeElements.on('.drag', null);
+        this.dependencies.visualizer.detachNodeDrag();
     }
 
     /**
      * Handles the start of a connection drag
      */
     handleDragStart(event, d) {
-        if (!this.isConnectionModeActive) return;
+        // Collapsed groups cannot be connected
+        if (!this.isConnectionModeActive || d.isGroupNode) return;
 
         // Set source system
         this.sourceSystem = d;
@@ -146,11 +182,10 @@ export class ConnectionModeComponent extends UIComponent {
             : event.sourceEvent.clientY;
 
         // Check if released over another node
-        const targetElement = document.elementFromPoint(clientX, clientY);
-        const targetNode = targetElement ? targetElement.closest('.node') : null;
+        const targetNode = this.dependencies.visualizer.findNodeAtPoint(clientX, clientY);
 
         if (targetNode) {
-            const targetSystemId = targetNode.getAttribute('data-system-id');
+            const targetSystemId = targetNode.id;
             const targetSystem = this.dependencies.dataManager.getData().systems.find(sys => sys.id === targetSystemId);
 
             if (targetSystem && targetSystem.id !== this.sourceSystem.id) {
@@ -189,6 +224,15 @@ export class ConnectionModeComponent extends UIComponent {
             protocol: this.defaultConnectionProtocol
         };
 
+        // Only one connection per type between the same systems
+        if (this.dependencies.dataManager.hasParallelDependency(newDependency)) {
+            showNotification(
+                `A "${newDependency.type}" connection from "${sourceSystem.name}" to "${targetSystem.name}" already exists`,
+                'warning'
+            );
+            return;
+        }
+
         // Add dependency via DataManager
         const success = this.dependencies.dataManager.addDependency(newDependency);
 
@@ -221,7 +265,7 @@ export class ConnectionModeComponent extends UIComponent {
     }
 
     /**
-     * Shows the delete control for a connection
+     * Shows the edit and delete controls for a connection
      */
     showLinkControls(event, linkData) {
         // Do not show controls in connection mode
@@ -234,6 +278,9 @@ export class ConnectionModeComponent extends UIComponent {
         const controls = document.createElement('div');
         controls.className = 'link-controls';
         controls.innerHTML = `
+                <button class="link-edit-btn" title="Edit connection">
+                    <i class="bi bi-pencil"></i>
+                </button>
                 <button class="link-delete-btn" title="Delete connection">
                     <i class="bi bi-trash"></i>
                 </button>
@@ -247,16 +294,22 @@ export class ConnectionModeComponent extends UIComponent {
         document.body.appendChild(controls);
 
         // Store link data in attribute
-        controls.setAttribute('data-source', linkData.source.id || linkData.source);
-        controls.setAttribute('data-target', linkData.target.id || linkData.target);
+        const link = {
+            id: linkData.id,
+            source: linkData.source.id || linkData.source,
+            target: linkData.target.id || linkData.target
+        };
+        controls.setAttribute('data-dependency-id', link.id);
+
+        // Event listener for edit button
+        controls.querySelector('.link-edit-btn').addEventListener('click', () => {
+            this.emit('linkEdited', link);
+            this.hideLinkControls();
+        });
 
         // Event listener for delete button
         controls.querySelector('.link-delete-btn').addEventListener('click', () => {
-            //this.showDeleteDependencyConfirmation(linkData);
-            this.emit('linkDeleted', {
-                source: linkData.source.id || linkData.source,
-                target: linkData.target.id || linkData.target
-            });
+            this.emit('linkDeleted', link);
             this.hideLinkControls();
         });
 
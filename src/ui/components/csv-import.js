@@ -0,0 +1,302 @@
+import { OverlayComponent } from '../base/overlay-component.js';
+import { showNotification, notifyBatchResult } from '../../utils/utilities.js';
+import { parseCsv } from '../../utils/csv.js';
+import {
+    CSV_SYSTEM_FIELDS,
+    CSV_DEPENDENCY_FIELDS,
+    suggestCsvMapping,
+    createCsvImportBatch,
+    applyCsvImportBatch
+} from '../../utils/data-loader.js';
+
+const csvImportModalTemplate = () => `
+    <div class="modal fade" tabindex="-1" aria-hidden="true">
+        <div class="modal-dialog modal-lg modal-dialog-scrollable">
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h5 class="modal-title">Import CSV</h5>
+                    <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+                </div>
+                <div class="modal-body">
+                    <div class="mb-3">
+                        <div class="form-check form-check-inline">
+                            <input class="form-check-input" type="radio" name="csv-import-mode" id="csv-mode-separate" value="separate" checked>
+                            <label class="form-check-label" for="csv-mode-separate">Separate files for systems and dependencies</label>
+                        </div>
+                        <div class="form-check form-check-inline">
+                            <input class="form-check-input" type="radio" name="csv-import-mode" id="csv-mode-sheet" value="sheet">
+                            <label class="form-check-label" for="csv-mode-sheet">Single sheet</label>
+                        </div>
+                    </div>
+                    <div class="csv-files-separate row mb-3">
+                        <div class="col-md-6">
+                            <label for="csv-systems-file" class="form-label">Systems CSV</label>
+                            <input class="form-control form-control-sm" type="file" id="csv-systems-file" accept=".csv,.tsv,.txt">
+                        </div>
+                        <div class="col-md-6">
+                            <label for="csv-dependencies-file" class="form-label">Dependencies CSV</label>
+                            <input class="form-control form-control-sm" type="file" id="csv-dependencies-file" accept=".csv,.tsv,.txt">
+                        </div>
+                    </div>
+                    <div class="csv-files-sheet mb-3 d-none">
+                        <label for="csv-sheet-file" class="form-label">CSV file</label>
+                        <input class="form-control form-control-sm" type="file" id="csv-sheet-file" accept=".csv,.tsv,.txt">
+                        <div class="form-text">A row type column decides whether a row describes a system or a dependency (e.g. "system" or "dependency").</div>
+                    </div>
+                    <div class="csv-mapping"></div>
+                    <div class="form-text">
+                        Existing systems (same ID) and dependencies (same source, target and type) are updated, all other rows are added.
+                        New systems without category or status get the first defined category and "active".
+                    </div>
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
+                    <button type="button" class="btn btn-primary" id="csv-import-confirm" disabled>Import</button>
+                </div>
+            </div>
+        </div>
+    </div>
+`;
+
+// Values of the row type column that mark a row as dependency in single sheet mode
+const DEPENDENCY_ROW_TYPES = ['dependency', 'dependencies', 'connection', 'link', 'edge', 'relation'];
+
+// Column names that are suggested as row type column in single sheet mode, in order of preference
+// ("type" is left to the dependency type, see suggestRowTypeColumn)
+const ROW_TYPE_COLUMNS = ['kind', 'row type', 'row_type', 'record', 'entity'];
+
+// Values of the row type column that mark a row as system in single sheet mode
+const SYSTEM_ROW_TYPES = ['system', 'systems', 'node', 'service', 'application'];
+
+export class CsvImportComponent extends OverlayComponent {
+    constructor(selector, dependencies = {}, options = {}) {
+        super(selector, dependencies, options);
+        this.modalElement = null;
+        this.modal = null;
+        this.mode = 'separate';
+        this.files = { systems: null, dependencies: null, sheet: null };
+    }
+
+    setupDOM() {
+        this.modalElement = this.render(csvImportModalTemplate());
+        this.element.appendChild(this.modalElement);
+        this.modal = new bootstrap.Modal(this.modalElement);
+
+        this.mappingContainer = this.modalElement.querySelector('.csv-mapping');
+        this.confirmButton = this.modalElement.querySelector('#csv-import-confirm');
+    }
+
+    bindEvents() {
+        this.dependencies.toolbar.button('bi-filetype-csv', 'Import CSV', () => {
+            this.show();
+        }, 'import-export');
+
+        this.modalElement.querySelectorAll('input[name="csv-import-mode"]').forEach(radio => {
+            radio.addEventListener('change', () => {
+                this.mode = radio.value;
+                this.modalElement.querySelector('.csv-files-separate').classList.toggle('d-none', this.mode !== 'separate');
+                this.modalElement.querySelector('.csv-files-sheet').classList.toggle('d-none', this.mode !== 'sheet');
+                this.renderMapping();
+            });
+        });
+
+        [
+            ['#csv-systems-file', 'systems'],
+            ['#csv-dependencies-file', 'dependencies'],
+            ['#csv-sheet-file', 'sheet']
+        ].forEach(([selector, key]) => {
+            this.modalElement.querySelector(selector).addEventListener('change', async (event) => {
+                const file = event.target.files[0];
+                this.files[key] = file ? parseCsv(await file.text()) : null;
+                if (this.files[key] && this.files[key].headers.length === 0) {
+                    showNotification(`The file "${file.name}" is empty`, 'warning');
+                    this.files[key] = null;
+                }
+                this.renderMapping();
+            });
+        });
+
+        // Changing the row type column changes which columns are available for the fields
+        this.mappingContainer.addEventListener('change', (event) => {
+            if (event.target.id === 'csv-row-type-column') {
+                this.renderMapping(event.target.value);
+            }
+        });
+
+        this.confirmButton.addEventListener('click', () => {
+            this.importRows();
+        });
+    }
+
+    /**
+     * Renders one column select per target field for the loaded files
+     * @param {string} [rowTypeColumn] - Column used as row type in single sheet mode
+     */
+    renderMapping(rowTypeColumn = null) {
+        this.mappingContainer.innerHTML = '';
+
+        if (this.mode === 'sheet') {
+            const sheet = this.files.sheet;
+            if (sheet) {
+                const typeColumn = rowTypeColumn || this.suggestRowTypeColumn(sheet);
+                this.mappingContainer.appendChild(this.createSelect('csv-row-type-column', 'Row type column', sheet.headers, typeColumn, false));
+                this.renderFieldMapping('Systems', 'system', CSV_SYSTEM_FIELDS, sheet.headers, [typeColumn]);
+                this.renderFieldMapping('Dependencies', 'dependency', CSV_DEPENDENCY_FIELDS, sheet.headers, [typeColumn]);
+            }
+        } else {
+            if (this.files.systems) {
+                this.renderFieldMapping('Systems', 'system', CSV_SYSTEM_FIELDS, this.files.systems.headers);
+            }
+            if (this.files.dependencies) {
+                this.renderFieldMapping('Dependencies', 'dependency', CSV_DEPENDENCY_FIELDS, this.files.dependencies.headers);
+            }
+        }
+
+        this.confirmButton.disabled = this.mode === 'sheet'
+            ? !this.files.sheet
+            : !this.files.systems && !this.files.dependencies;
+    }
+
+    /**
+     * Suggests the row type column of a single sheet
+     * A column named like a row type is preferred, a "type" column only qualifies if it holds row
+     * types instead of dependency types.
+     * @param {Object} sheet - The parsed sheet ({ headers, rows })
+     * @returns {string} The column name
+     */
+    suggestRowTypeColumn(sheet) {
+        const byName = ROW_TYPE_COLUMNS
+            .map(name => sheet.headers.find(header => header.trim().toLowerCase() === name))
+            .find(Boolean);
+        if (byName) return byName;
+
+        const rowTypes = [...DEPENDENCY_ROW_TYPES, ...SYSTEM_ROW_TYPES];
+        const byValues = sheet.headers.find(header => header.trim().toLowerCase() === 'type' &&
+            sheet.rows.some(row => rowTypes.includes((row[header] || '').trim().toLowerCase())));
+        return byValues || sheet.headers[0];
+    }
+
+    /**
+     * Renders the column selects for one record kind
+     * @param {string} title - Heading of the section
+     * @param {string} prefix - Prefix of the select IDs
+     * @param {Object} fields - Target fields with their column aliases
+     * @param {Array<string>} headers - Available columns
+     * @param {Array<string>} [excludedColumns=[]] - Columns that are not suggested
+     */
+    renderFieldMapping(title, prefix, fields, headers, excludedColumns = []) {
+        const suggestion = suggestCsvMapping(headers, fields, excludedColumns);
+
+        const heading = document.createElement('h6');
+        heading.className = 'mt-3';
+        heading.textContent = `${title} columns`;
+        this.mappingContainer.appendChild(heading);
+
+        const row = document.createElement('div');
+        row.className = 'row g-2';
+        Object.keys(fields).forEach(field => {
+            const col = document.createElement('div');
+            col.className = 'col-md-4';
+            col.appendChild(this.createSelect(`csv-${prefix}-${field}`, field, headers, suggestion[field]));
+            row.appendChild(col);
+        });
+        this.mappingContainer.appendChild(row);
+    }
+
+    /**
+     * Creates a labelled select listing the columns of a file
+     * @param {string} id - ID of the select
+     * @param {string} label - Label text
+     * @param {Array<string>} headers - Available columns
+     * @param {string|null} selected - Preselected column
+     * @param {boolean} [allowEmpty=true] - Adds a "not mapped" option
+     * @returns {HTMLElement} The wrapper element
+     */
+    createSelect(id, label, headers, selected, allowEmpty = true) {
+        const wrapper = document.createElement('div');
+        const labelElement = document.createElement('label');
+        labelElement.className = 'form-label small mb-0';
+        labelElement.htmlFor = id;
+        labelElement.textContent = label;
+
+        const select = document.createElement('select');
+        select.className = 'form-select form-select-sm';
+        select.id = id;
+        if (allowEmpty) {
+            select.appendChild(new Option('(not mapped)', ''));
+        }
+        headers.forEach(header => {
+            select.appendChild(new Option(header, header, false, header === selected));
+        });
+        if (!selected && allowEmpty) select.value = '';
+
+        wrapper.appendChild(labelElement);
+        wrapper.appendChild(select);
+        return wrapper;
+    }
+
+    /**
+     * Reads the selected columns for all fields of one record kind
+     * @param {string} prefix - Prefix of the select IDs
+     * @param {Object} fields - Target fields
+     * @returns {Object} Mapping of field name to column name (or null)
+     */
+    getMapping(prefix, fields) {
+        const mapping = {};
+        Object.keys(fields).forEach(field => {
+            const select = this.mappingContainer.querySelector(`#csv-${prefix}-${field}`);
+            mapping[field] = select && select.value ? select.value : null;
+        });
+        return mapping;
+    }
+
+    /**
+     * Converts the loaded rows and applies them as a single change
+     */
+    importRows() {
+        const systemMapping = this.getMapping('system', CSV_SYSTEM_FIELDS);
+        const dependencyMapping = this.getMapping('dependency', CSV_DEPENDENCY_FIELDS);
+
+        let systemRows = [];
+        let dependencyRows = [];
+        if (this.mode === 'sheet') {
+            const typeColumn = this.mappingContainer.querySelector('#csv-row-type-column').value;
+            this.files.sheet.rows.forEach(row => {
+                const kind = (row[typeColumn] || '').trim().toLowerCase();
+                if (DEPENDENCY_ROW_TYPES.includes(kind)) {
+                    dependencyRows.push(row);
+                } else {
+                    systemRows.push(row);
+                }
+            });
+        } else {
+            systemRows = this.files.systems ? this.files.systems.rows : [];
+            dependencyRows = this.files.dependencies ? this.files.dependencies.rows : [];
+        }
+
+        const dataManager = this.dependencies.dataManager;
+        const differences = createCsvImportBatch(dataManager, systemRows, systemMapping, dependencyRows, dependencyMapping);
+        const count = differences.added.systems.length + differences.modified.systems.length +
+            differences.added.dependencies.length + differences.modified.dependencies.length;
+
+        if (count === 0) {
+            showNotification('No importable rows found. Please check the column mapping.', 'warning');
+            return;
+        }
+
+        this.hide();
+        const result = applyCsvImportBatch(dataManager, differences);
+        if (result) {
+            notifyBatchResult(result, `Imported ${differences.added.systems.length} new and ${differences.modified.systems.length} updated systems, ` +
+                `${differences.added.dependencies.length} new and ${differences.modified.dependencies.length} updated dependencies`);
+        }
+    }
+
+    onShow() {
+        this.modal.show();
+    }
+
+    onHide() {
+        this.modal.hide();
+    }
+}
@@ -0,0 +1,135 @@
+import { OverlayComponent } from '../base/overlay-component.js';
+import { findCycles } from '../../utils/graph.js';
+
+const createCycleReportOverlay = () => `
+    <div class="cycle-report-overlay overlay">
+        <div class="overlay-header">
+            <h5>Dependency cycles</h5>
+            <button class="btn-close close-overlay" data-close-target="cycle-panel"></button>
+        </div>
+        <div class="overlay-body">
+            <!-- Found cycles will be inserted here -->
+        </div>
+    </div>
+`;
+
+export class CycleReportOverlay extends OverlayComponent {
+    constructor(selector, dependencies = {}, options = {}) {
+        super(selector, dependencies, options);
+        this.cycles = [];
+        this.activeIndex = null;
+    }
+
+    setupDOM() {
+        this.overlayElement = this.render(createCycleReportOverlay());
+        this.element.appendChild(this.overlayElement);
+        this.body = this.overlayElement.querySelector('.overlay-body');
+    }
+
+    bindEvents() {
+        this.dependencies.toolbar.button('bi-arrow-repeat', 'Dependency cycles', () => {
+            this.toggle();
+        }, 'view');
+
+        // Close button
+        this.overlayElement.querySelector('.close-overlay').addEventListener('click', () => {
+            this.hide();
+        });
+
+        this.dependencies.dataManager.on('dataChanged', () => {
+            if (this.isOpen()) this.analyze();
+        });
+
+        // Clicking a cycle highlights it, clicking it again ends the highlighting
+        this.body.addEventListener('click', (event) => {
+            const item = event.target.closest('[data-cycle-index]');
+            if (!item) return;
+            const index = parseInt(item.dataset.cycleIndex, 10);
+            this.highlightCycle(index === this.activeIndex ? null : index);
+        });
+    }
+
+    /**
+     * Searches the cycles of the current data and renders them
+     * A highlighted cycle stays highlighted if it still exists with the same members.
+     */
+    analyze() {
+        const previous = this.activeIndex !== null ? this.cycles[this.activeIndex] : null;
+        this.cycles = findCycles(this.dependencies.dataManager.getData());
+
+        const previousKey = previous ? [...previous.systems].sort().join('\n') : null;
+        const index = this.cycles.findIndex(cycle => [...cycle.systems].sort().join('\n') === previousKey);
+
+        this.renderCycles();
+        this.highlightCycle(index >= 0 ? index : null);
+    }
+
+    /**
+     * Highlights a cycle in the visualization
+     * @param {number|null} index - Index of the cycle, null ends the highlighting
+     */
+    highlightCycle(index) {
+        this.activeIndex = index;
+        this.dependencies.visualizer.setHighlight('cycle', index !== null ? this.cycles[index] : null);
+        this.body.querySelectorAll('[data-cycle-index]').forEach(item => {
+            item.classList.toggle('active', parseInt(item.dataset.cycleIndex, 10) === index);
+        });
+    }
+
+    /**
+     * Renders the list of cycles with their member systems
+     */
+    renderCycles() {
+        this.body.innerHTML = '';
+
+        if (this.cycles.length === 0) {
+            this.body.innerHTML = '<div class="alert alert-success">No dependency cycles found.</div>';
+            return;
+        }
+
+        const summary = document.createElement('p');
+        summary.textContent = `${this.cycles.length} ${this.cycles.length === 1 ? 'cycle' : 'cycles'} found. Select a cycle to highlight it.`;
+        this.body.appendChild(summary);
+
+        const systems = new Map(this.dependencies.dataManager.getData().systems.map(system => [system.id, system]));
+        const nameOf = (id) => systems.get(id).name || id;
+
+        const list = document.createElement('div');
+        list.className = 'list-group';
+        this.cycles.forEach((cycle, index) => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'list-group-item list-group-item-action';
+            item.dataset.cycleIndex = index;
+
+            const header = document.createElement('div');
+            header.className = 'd-flex justify-content-between align-items-center';
+            header.innerHTML = '<strong></strong><span class="badge bg-danger"></span>';
+            header.firstChild.textContent = `Cycle ${index + 1}`;
+            header.lastChild.textContent = `${cycle.systems.length} ${cycle.systems.length === 1 ? 'system' : 'systems'}, ` +
+                `${cycle.dependencies.length} ${cycle.dependencies.length === 1 ? 'connection' : 'connections'}`;
+
+            const members = document.createElement('div');
+            members.className = 'small';
+            members.textContent = cycle.systems.map(nameOf).join(', ');
+
+            item.append(header, members);
+            list.appendChild(item);
+        });
+        this.body.appendChild(list);
+    }
+
+    onShow() {
+        this.overlayElement.classList.add('active');
+        this.analyze();
+    }
+
+    onHide() {
+        this.overlayElement.classList.remove('active');
+    }
+
+    onOverlayClosed() {
+        this.activeIndex = null;
+        this.dependencies.visualizer.setHighlight('cycle', null);
+    }
+}
@@ -39,35 +39,48 @@ export class DeleteDependencyComponent extends OverlayComponent {
 
     bindEvents() {
         this.confirm.addEventListener('click', () => {
-            const sourceId = this.confirm.getAttribute('data-source');
-            const targetId = this.confirm.getAttribute('data-target');
-            if (sourceId && targetId) {
-                this.deleteDependency(sourceId, targetId);
+            const dependencyId = this.confirm.getAttribute('data-dependency-id');
+            if (dependencyId) {
+                this.deleteDependency(dependencyId);
                 this.hide();
             }
         });
 
         this.dependencies.connectionMode.on('linkDeleted', (data) => {
-            this.showDeleteDependencyConfirmation(data.source, data.target);
+            this.showDeleteDependencyConfirmation(data.id);
         });
     }
 
+    /**
+     * Finds a dependency and its source and target systems
+     * @param {string} dependencyId - The ID of the dependency
+     * @returns {Object|null} { dependency, sourceSystem, targetSystem } or null if one of them does not exist
+     */
+    findDependency(dependencyId) {
+        const data = this.dependencies.dataManager.getData();
+        const dependency = data.dependencies.find(dep => dep.id === dependencyId);
+        if (!dependency) return null;
+
+        const sourceSystem = data.systems.find(sys => sys.id === dependency.source);
+        const targetSystem = data.systems.find(sys => sys.id === dependency.target);
+        return sourceSystem && targetSystem ? { dependency, sourceSystem, targetSystem } : null;
+    }
+
     /**
      * Shows a confirmation prompt to delete a dependency
      */
-    showDeleteDependencyConfirmation(sourceId, targetId) {
-        const sourceSystem = this.dependencies.dataManager.getData().systems.find(sys => sys.id === sourceId);
-        const targetSystem = this.dependencies.dataManager.getData().systems.find(sys => sys.id === targetId);
-        
-        if (!sourceSystem || !targetSystem) return;
+    showDeleteDependencyConfirmation(dependencyId) {
+        const found = this.findDependency(dependencyId);
+        if (!found) return;
+        const { dependency, sourceSystem, targetSystem } = found;
         
         // Confirmation message
-        const message = `Do you really want to delete the connection from "${sourceSystem.name}" to "${targetSystem.name}"?`;
+        const type = this.dependencies.dataManager.getDependencyType(dependency.type);
+        const message = `Do you really want to delete the ${type ? type.label : dependency.type} connection from "${sourceSystem.name}" to "${targetSystem.name}"?`;
         
-        this.message.innerHTML = message;
+        this.message.textContent = message;
         this.confirm.setAttribute('data-action', 'delete-dependency');
-        this.confirm.setAttribute('data-source', sourceId);
-        this.confirm.setAttribute('data-target', targetId);
+        this.confirm.setAttribute('data-dependency-id', dependencyId);
         
         // Show modal
         this.show();
@@ -76,18 +89,14 @@ export class DeleteDependencyComponent extends OverlayComponent {
     /**
      * Deletes a dependency
      */
-    deleteDependency(sourceId, targetId) {
+    deleteDependency(dependencyId) {
         // Find systems for notification
-        const sourceSystem = this.dependencies.dataManager.getData().systems.find(sys => sys.id === sourceId);
-        const targetSystem = this.dependencies.dataManager.getData().systems.find(sys => sys.id === targetId);
-        
-        if (!sourceSystem || !targetSystem) return;
+        const found = this.findDependency(dependencyId);
+        if (!found) return;
+        const { sourceSystem, targetSystem } = found;
         
         // Delete dependency via DataManager
-        const success = this.dependencies.dataManager.deleteDependency({
-            source: sourceId,
-            target: targetId
-        });
+        const success = this.dependencies.dataManager.deleteDependency({ id: dependencyId });
         
         if (success) {
             showNotification(
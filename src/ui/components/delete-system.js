@@ -269,7 +269,7 @@ export class DeleteSystemComponent extends OverlayComponent {
         });
 
         // Emit single data change event at the end
-        this.dependencies.dataManager.emit('dataChanged', this.dependencies.dataManager.getData());
+        this.dependencies.dataManager.notifyChange(`Deleted ${systems.length} systems`);
 
         // Clear selection since systems are deleted
         this.dependencies.visualizer.clearSelection();
@@ -0,0 +1,410 @@
+import { UIComponent } from '../base/ui-component.js';
+import { getSystemGroups } from '../../utils/differences.js';
+import { partitionLayers } from '../../utils/graph.js';
+
+// Size of a matrix cell and the space for the row and column labels in pixels
+const CELL_SIZE = 16;
+const LABEL_SIZE = 180;
+
+const ORDERS = [
+    { id: 'name', label: 'Name' },
+    { id: 'group', label: 'Group' },
+    { id: 'category', label: 'Category' },
+    { id: 'layers', label: 'Layers (partitioned)' }
+];
+
+const createDependencyMatrixView = () => `
+    <div class="dependency-matrix-view">
+        <div class="dsm-header d-flex align-items-center flex-wrap gap-3">
+            <h5 class="mb-0">Dependency matrix</h5>
+            <div class="d-flex align-items-center gap-2">
+                <label for="dsm-order" class="form-label small mb-0">Order by</label>
+                <select class="form-select form-select-sm w-auto" id="dsm-order">
+                    ${ORDERS.map(order => `<option value="${order.id}">${order.label}</option>`).join('')}
+                </select>
+            </div>
+            <span class="text-muted small">Rows depend on columns</span>
+            <div class="dsm-legend d-flex flex-wrap gap-2 small">
+                <!-- Dependency types will be inserted here -->
+            </div>
+        </div>
+        <div class="dsm-content">
+            <div class="dsm-scroll">
+                <!-- Matrix will be inserted here -->
+            </div>
+            <div class="dsm-details card d-none">
+                <div class="card-header d-flex justify-content-between align-items-center">
+                    <strong class="dsm-details-title"></strong>
+                    <button type="button" class="btn-close dsm-details-close"></button>
+                </div>
+                <div class="card-body dsm-details-body">
+                    <!-- Dependencies of the selected cell will be inserted here -->
+                </div>
+            </div>
+        </div>
+    </div>
+`;
+
+export class DependencyMatrixView extends UIComponent {
+    constructor(selector, dependencies = {}, options = {}) {
+        super(selector, dependencies, options);
+        this.order = 'name';
+        this.selectedCell = null;
+    }
+
+    setupDOM() {
+        this.viewElement = this.render(createDependencyMatrixView());
+        this.element.appendChild(this.viewElement);
+
+        this.scrollContainer = this.viewElement.querySelector('.dsm-scroll');
+        this.detailsElement = this.viewElement.querySelector('.dsm-details');
+    }
+
+    bindEvents() {
+        this.toolbarButton = this.dependencies.toolbar.button('bi-grid-3x3', 'Matrix view', () => {
+            this.toggle();
+        }, 'view', ['toggle-matrix-view']);
+
+        this.viewElement.querySelector('#dsm-order').addEventListener('change', (event) => {
+            this.order = event.target.value;
+            this.renderMatrix();
+        });
+
+        this.viewElement.querySelector('.dsm-details-close').addEventListener('click', () => {
+            this.selectCell(null);
+        });
+
+        // Editing a dependency of the selected cell (delegated, since the details are re-rendered)
+        this.detailsElement.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-edit-dependency]');
+            if (button) {
+                this.dependencies.editDependency.showDependencyModal(button.dataset.editDependency);
+            }
+        });
+
+        this.dependencies.dataManager.on('dataChanged', () => {
+            if (this.isOpen()) this.renderMatrix();
+        });
+    }
+
+    isOpen() {
+        return this.viewElement.classList.contains('active');
+    }
+
+    toggle() {
+        const open = !this.isOpen();
+        this.viewElement.classList.toggle('active', open);
+        this.toolbarButton.classList.toggle('active', open);
+        if (open) this.renderMatrix();
+    }
+
+    /**
+     * Returns the systems shown in the matrix (respecting the visualizer's filters) in the chosen order
+     * @returns {Object} { systems, blocks, cycles }: `blocks` are the groups, categories or layers
+     *   ({ label, start, size }) and `cycles` the index ranges ({ start, size }) of cycles in layer order
+     */
+    getOrderedSystems() {
+        const visualizer = this.dependencies.visualizer;
+        const dataManager = this.dependencies.dataManager;
+        const visible = visualizer.getFilteredNodes();
+        const visibleIds = new Set(visible.map(system => system.id));
+        const byName = (a, b) => (a.name || a.id).localeCompare(b.name || b.id);
+
+        let systems = [...visible].sort(byName);
+        let blockOf = null;
+        let cycles = [];
+
+        if (this.order === 'group') {
+            const groupOf = system => [...getSystemGroups(system)].sort()[0] || null;
+            systems.sort((a, b) => {
+                const groupA = groupOf(a);
+                const groupB = groupOf(b);
+                if (groupA === groupB) return byName(a, b);
+                if (groupA === null || groupB === null) return groupA === null ? 1 : -1;
+                return groupA.localeCompare(groupB);
+            });
+            blockOf = system => groupOf(system) || 'No group';
+        } else if (this.order === 'category') {
+            const categoryIds = dataManager.getCategories().map(category => category.id);
+            const rank = system => {
+                const index = categoryIds.indexOf(visualizer.resolveCategoryId(system.category));
+                return index === -1 ? categoryIds.length : index;
+            };
+            systems.sort((a, b) => rank(a) - rank(b) || byName(a, b));
+            blockOf = system => visualizer.getCategoryLabel(system.category);
+        } else if (this.order === 'layers') {
+            // Partitioned on the visible part of the graph
+            const data = dataManager.getData();
+            const partition = partitionLayers({
+                systems: visible,
+                dependencies: data.dependencies.filter(dep => visibleIds.has(dep.source) && visibleIds.has(dep.target))
+            });
+            const systemsById = new Map(visible.map(system => [system.id, system]));
+            systems = partition.order.map(id => systemsById.get(id));
+            blockOf = system => `Layer ${partition.layers.get(system.id)}`;
+            const position = new Map(partition.order.map((id, index) => [id, index]));
+            cycles = partition.components.map(members => ({ start: position.get(members[0]), size: members.length }));
+        }
+
+        const blocks = [];
+        if (blockOf) {
+            systems.forEach((system, index) => {
+                const label = blockOf(system);
+                const last = blocks[blocks.length - 1];
+                if (last && last.label === label) {
+                    last.size++;
+                } else {
+                    blocks.push({ label, start: index, size: 1 });
+                }
+            });
+        }
+
+        return { systems, blocks, cycles };
+    }
+
+    /**
+     * Renders the matrix and the legend of the dependency types
+     */
+    renderMatrix() {
+        const visualizer = this.dependencies.visualizer;
+        const data = this.dependencies.dataManager.getData();
+        const { systems, blocks, cycles } = this.getOrderedSystems();
+        const index = new Map(systems.map((system, i) => [system.id, i]));
+        const size = systems.length * CELL_SIZE;
+
+        // Dependencies per cell (source row, target column)
+        const cells = new Map();
+        data.dependencies.forEach(dep => {
+            if (!index.has(dep.source) || !index.has(dep.target)) return;
+            const key = `${dep.source}\n${dep.target}`;
+            if (!cells.has(key)) {
+                cells.set(key, { source: dep.source, target: dep.target, row: index.get(dep.source), column: index.get(dep.target), dependencies: [] });
+            }
+            cells.get(key).dependencies.push(dep);
+        });
+        if (this.selectedCell && !cells.has(`${this.selectedCell.source}\n${this.selectedCell.target}`)) {
+            this.selectedCell = null;
+        }
+
+        this.renderLegend(data);
+        this.scrollContainer.innerHTML = '';
+        if (systems.length === 0) {
+            this.scrollContainer.innerHTML = '<div class="alert alert-info m-3">No systems to show.</div>';
+            this.renderDetails();
+            return;
+        }
+
+        const svg = d3.select(this.scrollContainer).append('svg')
+            .attr('class', 'dsm-matrix')
+            .attr('width', LABEL_SIZE + size + 1)
+            .attr('height', LABEL_SIZE + size + 1);
+        const nameOf = system => system.name || system.id;
+
+        // Row labels on the left, column labels rotated on top
+        svg.append('g')
+            .attr('transform', `translate(${LABEL_SIZE - 4},${LABEL_SIZE})`)
+            .selectAll('text')
+            .data(systems)
+            .enter().append('text')
+            .attr('class', 'dsm-label')
+            .attr('y', (d, i) => i * CELL_SIZE + CELL_SIZE / 2)
+            .attr('dy', '0.35em')
+            .attr('text-anchor', 'end')
+            .text(d => this.truncate(nameOf(d)))
+            .append('title').text(nameOf);
+        svg.append('g')
+            .attr('transform', `translate(${LABEL_SIZE},${LABEL_SIZE - 4})`)
+            .selectAll('text')
+            .data(systems)
+            .enter().append('text')
+            .attr('class', 'dsm-label')
+            .attr('transform', (d, i) => `translate(${i * CELL_SIZE + CELL_SIZE / 2},0) rotate(-90)`)
+            .attr('dy', '0.35em')
+            .text(d => this.truncate(nameOf(d)))
+            .append('title').text(nameOf);
+
+        const matrix = svg.append('g').attr('transform', `translate(${LABEL_SIZE},${LABEL_SIZE})`);
+        matrix.append('rect')
+            .attr('class', 'dsm-background')
+            .attr('width', size)
+            .attr('height', size);
+
+        // Grid lines
+        const lines = d3.range(systems.length + 1).map(i => i * CELL_SIZE);
+        matrix.append('g').attr('class', 'dsm-grid')
+            .selectAll('path')
+            .data(lines)
+            .enter().append('path')
+            .attr('d', d => `M0,${d}H${size}M${d},0V${size}`);
+
+        // Diagonal
+        matrix.append('g')
+            .selectAll('rect')
+            .data(systems)
+            .enter().append('rect')
+            .attr('class', 'dsm-diagonal')
+            .attr('x', (d, i) => i * CELL_SIZE)
+            .attr('y', (d, i) => i * CELL_SIZE)
+            .attr('width', CELL_SIZE)
+            .attr('height', CELL_SIZE);
+
+        // Blocks of groups, categories or layers, separated by lines and labelled in their tooltip
+        matrix.append('g').attr('class', 'dsm-blocks')
+            .selectAll('rect')
+            .data(blocks)
+            .enter().append('rect')
+            .attr('x', d => d.start * CELL_SIZE)
+            .attr('y', d => d.start * CELL_SIZE)
+            .attr('width', d => d.size * CELL_SIZE)
+            .attr('height', d => d.size * CELL_SIZE)
+            .append('title').text(d => `${d.label} (${d.size})`);
+        matrix.append('g').attr('class', 'dsm-separators')
+            .selectAll('path')
+            .data(blocks.slice(1))
+            .enter().append('path')
+            .attr('d', d => `M0,${d.start * CELL_SIZE}H${size}M${d.start * CELL_SIZE},0V${size}`);
+
+        // Crosshair following the pointer
+        const rowHighlight = matrix.append('rect').attr('class', 'dsm-crosshair').attr('width', size).attr('height', CELL_SIZE);
+        const columnHighlight = matrix.append('rect').attr('class', 'dsm-crosshair').attr('width', CELL_SIZE).attr('height', size);
+        matrix.on('mousemove', (event) => {
+            const [x, y] = d3.pointer(event, matrix.node());
+            rowHighlight.attr('y', Math.floor(y / CELL_SIZE) * CELL_SIZE).style('display', 'inline');
+            columnHighlight.attr('x', Math.floor(x / CELL_SIZE) * CELL_SIZE).style('display', 'inline');
+        }).on('mouseleave', () => {
+            rowHighlight.style('display', 'none');
+            columnHighlight.style('display', 'none');
+        });
+
+        // Cells, split into stripes if several dependency types connect the two systems
+        const cellElements = matrix.append('g')
+            .selectAll('g')
+            .data(Array.from(cells.values()))
+            .enter().append('g')
+            .attr('class', 'dsm-cell')
+            .attr('transform', d => `translate(${d.column * CELL_SIZE},${d.row * CELL_SIZE})`)
+            .on('click', (event, d) => this.selectCell(d));
+        cellElements.append('title')
+            .text(d => `${nameOf(systems[d.row])} → ${nameOf(systems[d.column])}: ` +
+                d.dependencies.map(dep => visualizer.getDependencyTypeStyle(dep.type).label).join(', '));
+        cellElements.selectAll('rect')
+            .data(d => d.dependencies)
+            .enter().append('rect')
+            .attr('x', (dep, i, nodes) => 1 + i * (CELL_SIZE - 2) / nodes.length)
+            .attr('y', 1)
+            .attr('width', (dep, i, nodes) => (CELL_SIZE - 2) / nodes.length)
+            .attr('height', CELL_SIZE - 2)
+            .attr('fill', dep => visualizer.getDependencyTypeStyle(dep.type).color);
+
+        // Cycles on the diagonal in layer order
+        matrix.append('g').attr('class', 'dsm-cycles')
+            .selectAll('rect')
+            .data(cycles)
+            .enter().append('rect')
+            .attr('x', d => d.start * CELL_SIZE)
+            .attr('y', d => d.start * CELL_SIZE)
+            .attr('width', d => d.size * CELL_SIZE)
+            .attr('height', d => d.size * CELL_SIZE)
+            .append('title').text(d => `Cycle of ${d.size} systems`);
+
+        this.selectionOutline = matrix.append('rect')
+            .attr('class', 'dsm-selection')
+            .attr('width', CELL_SIZE)
+            .attr('height', CELL_SIZE);
+
+        this.cells = cells;
+        this.cellIndex = index;
+        this.selectCell(this.selectedCell ? cells.get(`${this.selectedCell.source}\n${this.selectedCell.target}`) : null, false);
+    }
+
+    /**
+     * Shortens long system names for the axis labels
+     * @param {string} text - The name
+     * @returns {string} The name, cut off with an ellipsis if necessary
+     */
+    truncate(text) {
+        return text.length > 24 ? `${text.slice(0, 23)}…` : text;
+    }
+
+    /**
+     * Renders the legend of the dependency types used in the data
+     * @param {Object} data - The data document
+     */
+    renderLegend(data) {
+        const legend = this.viewElement.querySelector('.dsm-legend');
+        const visualizer = this.dependencies.visualizer;
+        legend.innerHTML = '';
+        [...new Set(data.dependencies.map(dep => dep.type))].forEach(type => {
+            const style = visualizer.getDependencyTypeStyle(type);
+            const entry = document.createElement('span');
+            entry.innerHTML = '<span class="dsm-legend-swatch"></span> <span></span>';
+            entry.firstChild.style.backgroundColor = style.color;
+            entry.lastChild.textContent = style.label;
+            legend.appendChild(entry);
+        });
+    }
+
+    /**
+     * Selects a cell: the two systems are selected in the visualizer and the dependencies shown
+     * @param {Object|null} cell - The cell, null clears the selection
+     * @param {boolean} [selectSystems=true] - Whether to select the systems in the visualizer
+     */
+    selectCell(cell, selectSystems = true) {
+        this.selectedCell = cell;
+
+        if (this.selectionOutline) {
+            this.selectionOutline
+                .style('display', cell ? 'inline' : 'none')
+                .attr('x', cell ? cell.column * CELL_SIZE : 0)
+                .attr('y', cell ? cell.row * CELL_SIZE : 0);
+        }
+
+        if (cell && selectSystems) {
+            const visualizer = this.dependencies.visualizer;
+            visualizer.clearSelection(false);
+            visualizer.addToSelection(cell.source, false);
+            visualizer.addToSelection(cell.target);
+        }
+
+        this.renderDetails();
+    }
+
+    /**
+     * Renders the dependencies of the selected cell
+     */
+    renderDetails() {
+        const cell = this.selectedCell;
+        this.detailsElement.classList.toggle('d-none', !cell);
+        if (!cell) return;
+
+        const dataManager = this.dependencies.dataManager;
+        const visualizer = this.dependencies.visualizer;
+        this.detailsElement.querySelector('.dsm-details-title').textContent =
+            `${dataManager.getSystemLabel(cell.source)} → ${dataManager.getSystemLabel(cell.target)}`;
+
+        const body = this.detailsElement.querySelector('.dsm-details-body');
+        body.innerHTML = '';
+        cell.dependencies.forEach(dep => {
+            const style = visualizer.getDependencyTypeStyle(dep.type);
+            const entry = document.createElement('div');
+            entry.className = 'mb-3';
+            entry.innerHTML = `
+                <div class="d-flex justify-content-between align-items-center">
+                    <span class="badge"></span>
+                    <button type="button" class="btn btn-sm btn-outline-secondary" title="Edit connection">
+                        <i class="bi bi-pencil"></i>
+                    </button>
+                </div>
+                <div class="small mt-1"><strong>Protocol:</strong> <span class="dsm-protocol"></span></div>
+                <div class="small text-muted dsm-description"></div>
+            `;
+            const badge = entry.querySelector('.badge');
+            badge.style.backgroundColor = style.color;
+            badge.textContent = style.label;
+            entry.querySelector('button').dataset.editDependency = dep.id;
+            entry.querySelector('.dsm-protocol').textContent = dep.protocol || 'Not specified';
+            entry.querySelector('.dsm-description').textContent = dep.description || 'No description';
+            body.appendChild(entry);
+        });
+    }
+}
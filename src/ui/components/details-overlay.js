@@ -1,5 +1,12 @@
 import { OverlayComponent } from '../base/overlay-component.js';
 import { showNotification } from '../../utils/utilities.js';
+import { GRAPH_METRICS, formatMetricValue } from '../../utils/graph-metrics.js';
+import { NEIGHBORHOOD_DIRECTIONS } from '../../utils/graph.js';
+
+// Largest number of hops selectable for the focus
+const MAX_FOCUS_HOPS = 5;
+
+const FOCUS_DIRECTION_LABELS = { upstream: 'Upstream', downstream: 'Downstream', both: 'Both' };
 
 const createDetailsOverlay = () => `
     <div class="details-overlay overlay">
@@ -9,6 +16,12 @@ const createDetailsOverlay = () => `
                 <button class="btn btn-sm btn-outline-secondary edit-system-btn" title="Edit system">
                     <i class="bi bi-pencil"></i>
                 </button>
+                <button class="btn btn-sm btn-outline-secondary impact-analysis-btn" title="Impact analysis">
+                    <i class="bi bi-broadcast"></i>
+                </button>
+                <button class="btn btn-sm btn-outline-secondary focus-btn" title="Focus on neighborhood">
+                    <i class="bi bi-bullseye"></i>
+                </button>
                 <button class="btn btn-sm btn-outline-secondary toggle-fix-btn" title="Lock system">
                     <i class="bi bi-lock"></i>
                 </button>
@@ -18,6 +31,26 @@ const createDetailsOverlay = () => `
             </div>
             <button class="btn-close close-overlay" data-close-target="details-panel"></button>
         </div>
+        <div class="focus-controls d-none">
+            <div class="d-flex justify-content-between align-items-center mb-2">
+                <small><strong>Focus:</strong> <span class="focus-system-name"></span></small>
+                <button class="btn btn-sm btn-outline-secondary end-focus-btn" title="End focus (Esc)">
+                    <i class="bi bi-x-lg"></i>
+                </button>
+            </div>
+            <div class="btn-group btn-group-sm w-100 mb-2" role="group" aria-label="Direction">
+                ${NEIGHBORHOOD_DIRECTIONS.map(direction => `
+                <button type="button" class="btn btn-outline-secondary focus-direction-btn" data-direction="${direction}">
+                    ${FOCUS_DIRECTION_LABELS[direction]}
+                </button>`).join('')}
+            </div>
+            <label class="form-label small mb-0" for="focus-hops">Hops: <span class="focus-hops-value">1</span></label>
+            <input type="range" class="form-range focus-hops" id="focus-hops" min="1" max="${MAX_FOCUS_HOPS}" step="1" value="1">
+            <div class="form-check form-switch small">
+                <input class="form-check-input focus-fade" type="checkbox" id="focus-fade">
+                <label class="form-check-label" for="focus-fade">Fade other systems instead of hiding them</label>
+            </div>
+        </div>
         <div class="overlay-body" data-overscroll-behavior="contain" data-bs-smooth-scroll="true">
             <!-- System details will be inserted here -->
         </div>
@@ -27,6 +60,9 @@ const createDetailsOverlay = () => `
 export class DetailsOverlay extends OverlayComponent {
     constructor(selector, dependencies = {}, options = {}) {
         super(selector, dependencies, options);
+
+        // Hops, direction and mode of the last focus, used for the next one
+        this.focusSettings = { hops: 1, direction: 'both', mode: 'hide' };
     }
 
     setupDOM() {
@@ -110,6 +146,42 @@ export class DetailsOverlay extends OverlayComponent {
             }
         });
 
+        this.overlayElement.querySelector('.impact-analysis-btn').addEventListener('click', () => {
+            const systemId = detailTitle.getAttribute('data-system-id');
+            if (systemId) {
+                this.dependencies.impactAnalysis.showForSystem(systemId);
+            }
+        });
+
+        // Focus on the neighborhood of the shown system, clicking again ends the focus
+        this.overlayElement.querySelector('.focus-btn').addEventListener('click', () => {
+            const systemId = detailTitle.getAttribute('data-system-id');
+            if (!systemId) return;
+            const focus = this.dependencies.visualizer.getFocus();
+            this.dependencies.visualizer.setFocus(focus && focus.systemId === systemId ?
+                null : { systemId, ...this.focusSettings });
+        });
+
+        this.overlayElement.querySelector('.end-focus-btn').addEventListener('click', () => {
+            this.dependencies.visualizer.setFocus(null);
+        });
+
+        this.overlayElement.querySelectorAll('.focus-direction-btn').forEach(button => {
+            button.addEventListener('click', () => this.changeFocus({ direction: button.dataset.direction }));
+        });
+
+        this.overlayElement.querySelector('.focus-hops').addEventListener('input', (event) => {
+            this.changeFocus({ hops: parseInt(event.target.value, 10) });
+        });
+
+        this.overlayElement.querySelector('.focus-fade').addEventListener('change', (event) => {
+            this.changeFocus({ mode: event.target.checked ? 'fade' : 'hide' });
+        });
+
+        this.dependencies.visualizer.on('focusChanged', (focus) => {
+            this.updateFocusControls(focus);
+        });
+
         this.overlayElement.querySelector('.delete-system-btn').addEventListener('click', () => {
             const systemId = detailTitle.getAttribute('data-system-id');
             if (systemId) {
@@ -136,6 +208,42 @@ export class DetailsOverlay extends OverlayComponent {
         });
     }
 
+    /**
+     * Changes hops, direction or mode of the current focus
+     * @param {Object} changes - The changed settings (see SystemVisualizer.setFocus)
+     */
+    changeFocus(changes) {
+        const focus = this.dependencies.visualizer.getFocus();
+        if (!focus) return;
+        this.dependencies.visualizer.setFocus({ ...focus, ...changes });
+    }
+
+    /**
+     * Shows the controls of the focus and marks the focus button of the focused system
+     * @param {Object|null} focus - The current focus (see SystemVisualizer.setFocus)
+     */
+    updateFocusControls(focus) {
+        const controls = this.overlayElement.querySelector('.focus-controls');
+        const focusButton = this.overlayElement.querySelector('.focus-btn');
+        const systemId = this.overlayElement.querySelector('.detail-title').getAttribute('data-system-id');
+
+        controls.classList.toggle('d-none', !focus);
+        focusButton.classList.toggle('active', !!focus && focus.systemId === systemId);
+        if (!focus) return;
+
+        const { hops, direction, mode } = focus;
+        this.focusSettings = { hops, direction, mode };
+
+        const system = this.dependencies.dataManager.getData().systems.find(sys => sys.id === focus.systemId);
+        controls.querySelector('.focus-system-name').textContent = system ? system.name : focus.systemId;
+        controls.querySelectorAll('.focus-direction-btn').forEach(button => {
+            button.classList.toggle('active', button.dataset.direction === direction);
+        });
+        controls.querySelector('.focus-hops').value = hops;
+        controls.querySelector('.focus-hops-value').textContent = hops;
+        controls.querySelector('.focus-fade').checked = mode === 'fade';
+    }
+
     /**
      * Displays details for multiple selected systems
      */
@@ -209,7 +317,7 @@ export class DetailsOverlay extends OverlayComponent {
                 const percentage = Math.round((count / systems.length) * 100);
                 html += `
                 <div class="d-flex justify-content-between align-items-center mb-1">
-                    <span class="badge bg-${this.dependencies.visualizer.getCategoryClass(category)}">${category}</span>
+                    <span class="badge" style="${this.dependencies.visualizer.getCategoryBadgeStyle(category)}">${this.dependencies.visualizer.getCategoryLabel(category)}</span>
                     <span class="text-muted">${count} (${percentage}%)</span>
                 </div>
             `;
@@ -298,7 +406,7 @@ export class DetailsOverlay extends OverlayComponent {
                                 <h6 class="card-title mb-1">${system.name}</h6>
                                 <p class="card-text small text-muted mb-1">${system.description}</p>
                                 <div>
-                                    <span class="badge bg-${this.dependencies.visualizer.getCategoryClass(system.category)} me-1">${system.category}</span>
+                                    <span class="badge me-1" style="${this.dependencies.visualizer.getCategoryBadgeStyle(system.category)}">${this.dependencies.visualizer.getCategoryLabel(system.category)}</span>
                                     <span class="badge bg-secondary">${system.status}</span>
                                 </div>
                             </div>
@@ -345,6 +453,8 @@ export class DetailsOverlay extends OverlayComponent {
      */
     resetButtonsToSingleMode() {
         const editButton = this.overlayElement.querySelector('.edit-system-btn');
+        const impactButton = this.overlayElement.querySelector('.impact-analysis-btn');
+        const focusButton = this.overlayElement.querySelector('.focus-btn');
         const deleteButton = this.overlayElement.querySelector('.delete-system-btn');
         const toggleButton = this.overlayElement.querySelector('.toggle-fix-btn');
 
@@ -354,6 +464,14 @@ export class DetailsOverlay extends OverlayComponent {
             editButton.classList.remove('d-none'); // Hide for multi-selection
         }
 
+        // Impact analysis and focus are only available for a single system
+        if (impactButton) {
+            impactButton.classList.remove('d-none');
+        }
+        if (focusButton) {
+            focusButton.classList.remove('d-none');
+        }
+
         // Reset delete button
         if (deleteButton) {
             deleteButton.disabled = false;
@@ -375,6 +493,8 @@ export class DetailsOverlay extends OverlayComponent {
      */
     updateMultiSelectButtons(systems) {
         const editButton = this.overlayElement.querySelector('.edit-system-btn');
+        const impactButton = this.overlayElement.querySelector('.impact-analysis-btn');
+        const focusButton = this.overlayElement.querySelector('.focus-btn');
         const deleteButton = this.overlayElement.querySelector('.delete-system-btn');
         const toggleButton = this.overlayElement.querySelector('.toggle-fix-btn');
 
@@ -384,6 +504,13 @@ export class DetailsOverlay extends OverlayComponent {
             editButton.classList.add('d-none'); // Hide for multi-selection
         }
 
+        if (impactButton) {
+            impactButton.classList.add('d-none');
+        }
+        if (focusButton) {
+            focusButton.classList.add('d-none');
+        }
+
         // Update delete button for multi-selection
         if (deleteButton) {
             deleteButton.disabled = false;
@@ -429,7 +556,7 @@ export class DetailsOverlay extends OverlayComponent {
         let html = `
         <div class="system-detail-card">
             <p class="mb-1">${system.description}</p>
-            <div class="badge bg-${this.dependencies.visualizer.getCategoryClass(system.category)} mb-2">${system.category}</div>
+            <div class="badge mb-2" style="${this.dependencies.visualizer.getCategoryBadgeStyle(system.category)}">${this.dependencies.visualizer.getCategoryLabel(system.category)}</div>
             <p><strong>Status:</strong> ${system.status}</p>
             <p><strong>Known Usage:</strong> ${system.knownUsage ? 'Yes' : 'No'}</p>
         `;
@@ -452,6 +579,21 @@ export class DetailsOverlay extends OverlayComponent {
                 `<span class="badge bg-secondary">${tag}</span>`).join(' ')}</p>`;
         }
 
+        // Graph metrics of the system
+        const metrics = this.dependencies.graphMetrics ?
+            this.dependencies.graphMetrics.getMetrics().systems.get(system.id) : null;
+        if (metrics) {
+            html += `<h6 class="mt-3">Metrics</h6><table class="table table-sm small mb-0"><tbody>`;
+            GRAPH_METRICS.forEach(metric => {
+                html += `
+                <tr title="${metric.description}">
+                    <td>${metric.label}</td>
+                    <td class="text-end ${metric.id === 'articulationPoint' && metrics.articulationPoint ? 'text-danger fw-bold' : ''}">${formatMetricValue(metrics, metric.id)}</td>
+                </tr>`;
+            });
+            html += `</tbody></table>`;
+        }
+
         if (incomingDeps.length > 0) {
             html += `<h6 class="mt-3">Incoming Connections</h6><ul class="list-group">`;
             incomingDeps.forEach(dep => {
@@ -496,6 +638,7 @@ export class DetailsOverlay extends OverlayComponent {
         detailsPanel.classList.add('active');
 
         this.resetButtonsToSingleMode();
+        this.updateFocusControls(this.dependencies.visualizer.getFocus());
 
         // Adjust button state
         const toggleFixButton = document.querySelector('.toggle-fix-btn');
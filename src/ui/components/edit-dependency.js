@@ -0,0 +1,300 @@
+import { OverlayComponent } from '../base/overlay-component.js';
+import { showNotification } from '../../utils/utilities.js';
+
+// Fields edited with their own inputs, all others are shown as custom attributes
+const STANDARD_FIELDS = ['id', 'source', 'target', 'type', 'protocol', 'description'];
+
+// Drawing hints older versions stored in the data, dropped when saving
+const OBSOLETE_FIELDS = ['linkIndex', 'totalLinks'];
+
+const editDependencyModalTemplate = () => `
+    <div class="modal fade" id="dependency-modal" tabindex="-1" aria-labelledby="dependency-modal-label" aria-hidden="true">
+        <div class="modal-dialog">
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h5 class="modal-title" id="dependency-modal-label">Edit connection</h5>
+                    <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+                </div>
+                <div class="modal-body">
+                    <form id="dependency-form">
+                        <div class="mb-3 d-flex align-items-center">
+                            <span class="dependency-endpoints flex-grow-1 fw-bold"></span>
+                            <button type="button" class="btn btn-sm btn-outline-secondary" id="reverse-dependency-btn" title="Reverse direction">
+                                <i class="bi bi-arrow-left-right"></i> Reverse
+                            </button>
+                        </div>
+                        <div class="mb-3">
+                            <label for="dependency-type" class="form-label">Type*</label>
+                            <select class="form-select" id="dependency-type" required>
+                                <!-- Filled dynamically from the dependency type definitions -->
+                            </select>
+                        </div>
+                        <div class="mb-3">
+                            <label for="dependency-protocol" class="form-label">Protocol</label>
+                            <input type="text" class="form-control" id="dependency-protocol" list="protocol-list">
+                            <datalist id="protocol-list">
+                                <!-- Filled dynamically -->
+                            </datalist>
+                        </div>
+                        <div class="mb-3">
+                            <label for="dependency-description" class="form-label">Description</label>
+                            <textarea class="form-control" id="dependency-description" rows="3"></textarea>
+                        </div>
+                        <div class="mb-1 d-flex align-items-center">
+                            <label class="form-label flex-grow-1 mb-0">Custom attributes</label>
+                            <button type="button" class="btn btn-sm btn-outline-secondary" id="add-dependency-attribute-btn" title="Add attribute">
+                                <i class="bi bi-plus"></i>
+                            </button>
+                        </div>
+                        <div id="dependency-attributes">
+                            <!-- Attribute rows will be inserted here -->
+                        </div>
+                    </form>
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
+                    <button type="button" class="btn btn-primary" id="save-dependency">Save</button>
+                </div>
+            </div>
+        </div>
+    </div>
+`;
+
+const attributeRowTemplate = () => `
+    <div class="input-group input-group-sm mb-2 dependency-attribute">
+        <input type="text" class="form-control attribute-key" placeholder="Name">
+        <input type="text" class="form-control attribute-value" placeholder="Value">
+        <button type="button" class="btn btn-outline-danger remove-attribute-btn" title="Remove attribute">
+            <i class="bi bi-x"></i>
+        </button>
+    </div>
+`;
+
+/**
+ * Converts an attribute value for the text input
+ * Strings are shown as they are, other values (numbers, booleans, lists) as JSON.
+ * @param {*} value - The attribute value
+ * @returns {string} The text
+ */
+function formatAttributeValue(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Converts the text of an attribute input back into a value
+ * Only used for attributes that were no strings before (or are new), strings stay strings.
+ * @param {string} text - The text
+ * @returns {*} Numbers, booleans, null, lists and objects if the text is valid JSON for them, the text otherwise
+ */
+function parseAttributeValue(text) {
+    if (/^(true|false|null|-?\d+(\.\d+)?|\[.*\]|\{.*\})$/s.test(text.trim())) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            // Not valid JSON, keep the text
+        }
+    }
+    return text;
+}
+
+export class EditDependencyComponent extends OverlayComponent {
+    constructor(selector, dependencies = {}, options = {}) {
+        super(selector, dependencies, options);
+        this.modalElement = null;
+        this.modal = null;
+        this.currentDependency = null;
+        this.reversed = false;
+    }
+
+    setupDOM() {
+        this.modalElement = this.render(editDependencyModalTemplate());
+        this.element.appendChild(this.modalElement);
+        this.modal = new bootstrap.Modal(this.modalElement);
+
+        this.attributesContainer = this.modalElement.querySelector('#dependency-attributes');
+    }
+
+    bindEvents() {
+        this.modalElement.querySelector('#reverse-dependency-btn').addEventListener('click', () => {
+            this.reversed = !this.reversed;
+            this.updateEndpoints();
+        });
+
+        this.modalElement.querySelector('#add-dependency-attribute-btn').addEventListener('click', () => {
+            this.addAttributeRow('', '');
+        });
+
+        this.attributesContainer.addEventListener('click', (event) => {
+            const removeButton = event.target.closest('.remove-attribute-btn');
+            if (removeButton) {
+                removeButton.closest('.dependency-attribute').remove();
+            }
+        });
+
+        this.modalElement.querySelector('#save-dependency').addEventListener('click', () => this.saveDependency());
+
+        this.dependencies.connectionMode.on('linkEdited', (data) => {
+            this.showDependencyModal(data.id);
+        });
+    }
+
+    /**
+     * Shows the modal for editing a dependency
+     * @param {string} dependencyId - The ID of the dependency
+     */
+    showDependencyModal(dependencyId) {
+        const data = this.dependencies.dataManager.getData();
+        const dependency = data.dependencies.find(dep => dep.id === dependencyId);
+        if (!dependency) return;
+
+        this.currentDependency = dependency;
+        this.reversed = false;
+        this.modalElement.querySelector('#dependency-form').reset();
+        this.updateEndpoints();
+
+        this.fillTypeOptions(dependency.type);
+        this.modalElement.querySelector('#dependency-type').value = dependency.type;
+        this.modalElement.querySelector('#dependency-protocol').value = dependency.protocol || '';
+        this.modalElement.querySelector('#dependency-description').value = dependency.description || '';
+
+        // Protocols used so far as suggestions
+        const protocolList = this.modalElement.querySelector('#protocol-list');
+        protocolList.innerHTML = '';
+        [...new Set(data.dependencies.map(dep => dep.protocol).filter(Boolean))].sort().forEach(protocol => {
+            const option = document.createElement('option');
+            option.value = protocol;
+            protocolList.appendChild(option);
+        });
+
+        this.attributesContainer.innerHTML = '';
+        Object.entries(dependency)
+            .filter(([key]) => !STANDARD_FIELDS.includes(key) && !OBSOLETE_FIELDS.includes(key))
+            .forEach(([key, value]) => this.addAttributeRow(key, formatAttributeValue(value), true));
+
+        this.show();
+    }
+
+    /**
+     * Shows source and target in the current direction
+     */
+    updateEndpoints() {
+        const dataManager = this.dependencies.dataManager;
+        const { source, target } = this.getEndpoints();
+        this.modalElement.querySelector('.dependency-endpoints').textContent =
+            `${dataManager.getSystemLabel(source)} → ${dataManager.getSystemLabel(target)}`;
+    }
+
+    /**
+     * Returns source and target taking a reversed direction into account
+     * @returns {Object} { source, target }
+     */
+    getEndpoints() {
+        const { source, target } = this.currentDependency;
+        return this.reversed ? { source: target, target: source } : { source, target };
+    }
+
+    /**
+     * Fills the type select with the defined dependency types
+     * @param {string} currentType - Type of the edited dependency, added as option if not defined
+     */
+    fillTypeOptions(currentType = null) {
+        const select = this.modalElement.querySelector('#dependency-type');
+        const types = this.dependencies.dataManager.getDependencyTypes();
+
+        select.innerHTML = '';
+        types.forEach(type => {
+            const option = document.createElement('option');
+            option.value = type.id;
+            option.textContent = type.label;
+            select.appendChild(option);
+        });
+
+        if (currentType && !types.some(type => type.id === currentType)) {
+            const option = document.createElement('option');
+            option.value = currentType;
+            option.textContent = `${currentType} (undefined)`;
+            select.appendChild(option);
+        }
+    }
+
+    /**
+     * Adds a row for a custom attribute
+     * @param {string} key - Name of the attribute
+     * @param {string} value - Value as text
+     * @param {boolean} [existing=false] - Whether the attribute exists on the dependency, its value keeps its type
+     */
+    addAttributeRow(key, value, existing = false) {
+        const row = this.render(attributeRowTemplate());
+        if (existing) row.dataset.originalKey = key;
+        row.querySelector('.attribute-key').value = key;
+        row.querySelector('.attribute-value').value = value;
+        this.attributesContainer.appendChild(row);
+    }
+
+    onShow() {
+        this.modal.show();
+    }
+
+    onHide() {
+        this.modal.hide();
+    }
+
+    /**
+     * Saves the edited dependency as a single change
+     */
+    saveDependency() {
+        if (!this.currentDependency) return;
+
+        const type = this.modalElement.querySelector('#dependency-type').value;
+        if (!type) {
+            showNotification('Please select a connection type', 'warning');
+            return;
+        }
+
+        const updatedDependency = {
+            id: this.currentDependency.id,
+            ...this.getEndpoints(),
+            type
+        };
+        const protocol = this.modalElement.querySelector('#dependency-protocol').value.trim();
+        if (protocol) {
+            updatedDependency.protocol = protocol;
+        }
+        const description = this.modalElement.querySelector('#dependency-description').value.trim();
+        if (description) {
+            updatedDependency.description = description;
+        }
+
+        // Custom attributes, rows without a name are ignored
+        for (const row of this.attributesContainer.querySelectorAll('.dependency-attribute')) {
+            const key = row.querySelector('.attribute-key').value.trim();
+            if (!key) continue;
+            if (STANDARD_FIELDS.includes(key) || key in updatedDependency) {
+                showNotification(`The attribute "${key}" is used twice or reserved`, 'warning');
+                return;
+            }
+            // Strings stay strings, e.g. a port "8080" does not become a number
+            const text = row.querySelector('.attribute-value').value;
+            const original = row.dataset.originalKey !== undefined ? this.currentDependency[row.dataset.originalKey] : undefined;
+            updatedDependency[key] = typeof original === 'string' ? text : parseAttributeValue(text);
+        }
+
+        const dataManager = this.dependencies.dataManager;
+        if (dataManager.hasParallelDependency(updatedDependency, dataManager.findDependencyIndex(this.currentDependency))) {
+            const { source, target } = updatedDependency;
+            showNotification(`A "${type}" connection from ${dataManager.getSystemLabel(source)} to ` +
+                `${dataManager.getSystemLabel(target)} already exists`, 'warning');
+            return;
+        }
+
+        const success = dataManager.updateDependency(updatedDependency, true, this.currentDependency);
+        if (!success) {
+            showNotification('Error updating connection', 'danger');
+            return;
+        }
+
+        showNotification('Connection has been updated', 'success');
+        this.currentDependency = null;
+        this.hide();
+    }
+}
@@ -1,5 +1,6 @@
 import { OverlayComponent } from '../base/overlay-component.js';
 import { showNotification } from '../../utils/utilities.js';
+import { expandGroupPaths, normalizeGroupPath } from '../../utils/groups.js';
 
 const editSystemModalTemplate = () => `
     <div class="modal fade" id="system-modal" tabindex="-1" aria-labelledby="system-modal-label" aria-hidden="true">
@@ -23,11 +24,7 @@ const editSystemModalTemplate = () => `
                         <div class="mb-3">
                             <label for="system-category" class="form-label">Category*</label>
                             <select class="form-select" id="system-category" required>
-                                <option value="core">Core</option>
-                                <option value="legacy">Legacy</option>
-                                <option value="data">Data</option>
-                                <option value="service">Service</option>
-                                <option value="external">External</option>
+                                <!-- Filled dynamically from the category definitions -->
                             </select>
                         </div>
                         <div class="mb-3">
@@ -39,7 +36,7 @@ const editSystemModalTemplate = () => `
                                     <i class="bi bi-plus"></i>
                                 </button>
                             </div>
-                            <div class="form-text">Separate multiple groups with commas or add individually</div>
+                            <div class="form-text">Separate multiple groups with commas or add individually. Nest groups with slashes, e.g. payments/billing</div>
 
                             <div id="system-groups-container" class="mt-2 d-flex flex-wrap gap-2">
                                 <!-- Selected groups will be shown as badges here -->
@@ -162,6 +159,11 @@ export class EditSystemComponent extends OverlayComponent {
             groupsValueField.value = '';
         }
 
+        // Fill category options (keeps undefined categories of the edited system selectable)
+        const editedSystem = systemId ?
+            this.dependencies.dataManager.getData().systems.find(sys => sys.id === systemId) : null;
+        this.fillCategoryOptions(editedSystem ? editedSystem.category : null);
+
         // If systemId exists, fill form data with system data
         if (systemId) {
             const system = this.dependencies.dataManager.getData().systems.find(sys => sys.id === systemId);
@@ -224,6 +226,30 @@ export class EditSystemComponent extends OverlayComponent {
         this.show();
     }
 
+    /**
+     * Fills the category select with the defined categories
+     * @param {string} currentCategory - Category of the edited system, added as option if not defined
+     */
+    fillCategoryOptions(currentCategory = null) {
+        const select = this.modalElement.querySelector('#system-category');
+        const categories = this.dependencies.dataManager.getCategories();
+
+        select.innerHTML = '';
+        categories.forEach(category => {
+            const option = document.createElement('option');
+            option.value = category.id;
+            option.textContent = category.label;
+            select.appendChild(option);
+        });
+
+        if (currentCategory && !categories.some(category => category.id === currentCategory)) {
+            const option = document.createElement('option');
+            option.value = currentCategory;
+            option.textContent = `${currentCategory} (undefined)`;
+            select.appendChild(option);
+        }
+    }
+
     onShow() {
         this.modal.show();
     }
@@ -313,10 +339,11 @@ export class EditSystemComponent extends OverlayComponent {
 
     /**
      * Adds a group as a badge to the container
-     * @param {string} groupName - Name of the group
+     * @param {string} groupName - Name or path of the group (e.g. "payments/billing")
      */
     addGroupBadge(groupName) {
-        if (!groupName || groupName.trim() === '') return;
+        groupName = normalizeGroupPath(groupName);
+        if (groupName === '') return;
 
         const container = this.modalElement.querySelector('#system-groups-container');
         const hiddenField = this.modalElement.querySelector('#system-groups-value');
@@ -380,6 +407,6 @@ export class EditSystemComponent extends OverlayComponent {
             }
         });
 
-        return Array.from(groups).sort();
+        return expandGroupPaths(Array.from(groups)).sort();
     }
 }
\ No newline at end of file
@@ -55,16 +55,16 @@ export class ExportImage extends UIComponent {
         this.dropupVisible = true;
 
         // Event listeners for menu items
-        document.getElementById('download-svg').addEventListener('click', function (e) {
+        document.getElementById('download-svg').addEventListener('click', (e) => {
             e.preventDefault();
             downloadVisualizationAsSVG();
             document.body.removeChild(this.dropupMenu);
             this.dropupVisible = false;
         });
 
-        document.getElementById('download-png').addEventListener('click', function (e) {
+        document.getElementById('download-png').addEventListener('click', (e) => {
             e.preventDefault();
-            downloadVisualizationAsPNG();
+            downloadVisualizationAsPNG(this.dependencies.dataManager);
             document.body.removeChild(this.dropupMenu);
             this.dropupVisible = false;
         });
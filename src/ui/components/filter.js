@@ -1,4 +1,25 @@
 import { OverlayComponent } from '../base/overlay-component.js';
+import { UNCATEGORIZED } from '../../utils/taxonomy.js';
+import { buildGroupTree, isGroupWithin, UNGROUPED_FILTER_ID } from '../../utils/groups.js';
+
+const createCategoryFilter = (category, checked) => `
+    <div class="form-check">
+        <input class="form-check-input category-filter" type="checkbox" id="filter-category-${category.id}"
+            value="${category.id}" ${checked ? 'checked' : ''}>
+        <label class="form-check-label" for="filter-category-${category.id}">
+            <span class="legend-color d-inline-block align-middle me-1" style="background-color: ${category.color}; width: 12px; height: 12px;"></span>
+            ${category.label}
+        </label>
+    </div>
+`;
+
+const createGroupFilter = (id, label, depth, checked) => `
+    <div class="form-check" style="margin-left: ${depth * 1.25}rem">
+        <input class="form-check-input group-filter" type="checkbox" id="filter-group-${encodeURIComponent(id)}"
+            value="${id}" ${checked ? 'checked' : ''}>
+        <label class="form-check-label" for="filter-group-${encodeURIComponent(id)}">${label}</label>
+    </div>
+`;
 
 const createFilterOverlay = () => `
     <div class="filter-overlay overlay">
@@ -8,32 +29,13 @@ const createFilterOverlay = () => `
         </div>
         <div class="overlay-body">
             <h6>System categories</h6>
-            <div class="mb-3">
-                <div class="form-check">
-                    <input class="form-check-input category-filter" type="checkbox" id="filter-core" value="core"
-                        checked>
-                    <label class="form-check-label" for="filter-core">Core</label>
-                </div>
-                <div class="form-check">
-                    <input class="form-check-input category-filter" type="checkbox" id="filter-legacy"
-                        value="legacy" checked>
-                    <label class="form-check-label" for="filter-legacy">Legacy</label>
-                </div>
-                <div class="form-check">
-                    <input class="form-check-input category-filter" type="checkbox" id="filter-data" value="data"
-                        checked>
-                    <label class="form-check-label" for="filter-data">Data</label>
-                </div>
-                <div class="form-check">
-                    <input class="form-check-input category-filter" type="checkbox" id="filter-service"
-                        value="service" checked>
-                    <label class="form-check-label" for="filter-service">Service</label>
-                </div>
-                <div class="form-check">
-                    <input class="form-check-input category-filter" type="checkbox" id="filter-external"
-                        value="external" checked>
-                    <label class="form-check-label" for="filter-external">External</label>
-                </div>
+            <div class="mb-3 category-filters">
+                <!-- Filled dynamically from the category definitions -->
+            </div>
+
+            <h6>Groups</h6>
+            <div class="mb-3 group-filters">
+                <!-- Filled dynamically from the group hierarchy -->
             </div>
 
             <h6>System status</h6>
@@ -63,6 +65,37 @@ export class FilterOverlay extends OverlayComponent {
     setupDOM() {
         this.overlayElement = this.render(createFilterOverlay());
         this.element.appendChild(this.overlayElement);
+        this.renderCategoryFilters();
+        this.renderGroupFilters();
+    }
+
+    /**
+     * Renders one checkbox per defined category plus one for undefined categories
+     */
+    renderCategoryFilters() {
+        const container = this.overlayElement.querySelector('.category-filters');
+        const activeCategories = this.dependencies.visualizer.activeFilters.categories;
+        const categories = [...this.dependencies.dataManager.getCategories(), UNCATEGORIZED];
+
+        container.innerHTML = categories
+            .map(category => createCategoryFilter(category, activeCategories.includes(category.id)))
+            .join('');
+    }
+
+    /**
+     * Renders the group hierarchy as indented checkboxes plus one for systems without group
+     */
+    renderGroupFilters() {
+        const container = this.overlayElement.querySelector('.group-filters');
+        const activeGroups = this.dependencies.visualizer.activeFilters.groups;
+
+        const renderTree = (nodes, depth) => nodes.map(node =>
+            createGroupFilter(node.path, node.label, depth, activeGroups.includes(node.path)) +
+            renderTree(node.children, depth + 1)
+        ).join('');
+
+        container.innerHTML = renderTree(buildGroupTree(this.dependencies.dataManager.getAllGroups()), 0) +
+            createGroupFilter(UNGROUPED_FILTER_ID, '<em>Ungrouped</em>', 0, activeGroups.includes(UNGROUPED_FILTER_ID));
     }
 
     bindEvents() {
@@ -76,17 +109,35 @@ export class FilterOverlay extends OverlayComponent {
             this.hide();
         });
 
-        // Filter for system categories
-        const categoryFilters = this.overlayElement.querySelectorAll('.category-filter');
-        if (categoryFilters.length > 0) {
-            categoryFilters.forEach(filter => {
-                filter.addEventListener('change', () => {
-                    const checkedCategories = Array.from(document.querySelectorAll('.category-filter:checked'))
-                        .map(checkbox => checkbox.value);
-                    this.dependencies.visualizer.activeFilters.categories = checkedCategories;
+        // Filter for system categories (delegated, since the checkboxes are re-rendered)
+        this.overlayElement.querySelector('.category-filters').addEventListener('change', (event) => {
+            if (!event.target.classList.contains('category-filter')) return;
+            const checkedCategories = Array.from(this.overlayElement.querySelectorAll('.category-filter:checked'))
+                .map(checkbox => checkbox.value);
+            this.dependencies.visualizer.activeFilters.categories = checkedCategories;
+        });
+
+        // Filter for groups: (un)checking a group also (un)checks its subgroups
+        this.overlayElement.querySelector('.group-filters').addEventListener('change', (event) => {
+            if (!event.target.classList.contains('group-filter')) return;
+            const group = event.target.value;
+            if (group !== UNGROUPED_FILTER_ID) {
+                this.overlayElement.querySelectorAll('.group-filter').forEach(checkbox => {
+                    if (checkbox.value !== UNGROUPED_FILTER_ID && isGroupWithin(checkbox.value, group)) {
+                        checkbox.checked = event.target.checked;
+                    }
                 });
-            });
-        }
+            }
+            const checkedGroups = Array.from(this.overlayElement.querySelectorAll('.group-filter:checked'))
+                .map(checkbox => checkbox.value);
+            this.dependencies.visualizer.activeFilters.groups = checkedGroups;
+        });
+
+        // Category definitions and groups are part of the data document
+        this.dependencies.dataManager.on('dataChanged', () => {
+            this.renderCategoryFilters();
+            this.renderGroupFilters();
+        });
 
         // Filter for system status
         const statusFilters = this.overlayElement.querySelectorAll('.status-filter');
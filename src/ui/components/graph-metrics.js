@@ -0,0 +1,212 @@
+import { OverlayComponent } from '../base/overlay-component.js';
+import { GRAPH_METRICS, computeGraphMetrics, getMetricValue, formatMetricValue } from '../../utils/graph-metrics.js';
+
+const createGraphMetricsOverlay = () => `
+    <div class="graph-metrics-overlay overlay">
+        <div class="overlay-header">
+            <h5>Graph metrics</h5>
+            <button class="btn-close close-overlay" data-close-target="metrics-panel"></button>
+        </div>
+        <div class="overlay-body">
+            <div class="d-flex align-items-center gap-2 mb-3">
+                <label for="node-metric" class="form-label small mb-0 text-nowrap">Show on nodes</label>
+                <select class="form-select form-select-sm" id="node-metric">
+                    <option value="">None</option>
+                    ${GRAPH_METRICS.map(metric => `<option value="${metric.id}">${metric.label}</option>`).join('')}
+                </select>
+                <select class="form-select form-select-sm w-auto" id="node-metric-mode">
+                    <option value="size">as size</option>
+                    <option value="color">as color</option>
+                </select>
+            </div>
+            <div class="graph-metrics-results">
+                <!-- Metrics table and bridges will be inserted here -->
+            </div>
+        </div>
+    </div>
+`;
+
+export class GraphMetricsOverlay extends OverlayComponent {
+    constructor(selector, dependencies = {}, options = {}) {
+        super(selector, dependencies, options);
+        // Calculated on demand and dropped when the data changes
+        this.metrics = null;
+        this.sortColumn = 'betweenness';
+        this.sortAscending = false;
+    }
+
+    setupDOM() {
+        this.overlayElement = this.render(createGraphMetricsOverlay());
+        this.element.appendChild(this.overlayElement);
+
+        this.metricSelect = this.overlayElement.querySelector('#node-metric');
+        this.modeSelect = this.overlayElement.querySelector('#node-metric-mode');
+        this.resultsContainer = this.overlayElement.querySelector('.graph-metrics-results');
+    }
+
+    bindEvents() {
+        const visualizer = this.dependencies.visualizer;
+
+        this.dependencies.toolbar.button('bi-bar-chart-line', 'Graph metrics', () => {
+            this.toggle();
+        }, 'view');
+
+        // Close button
+        this.overlayElement.querySelector('.close-overlay').addEventListener('click', () => {
+            this.hide();
+        });
+
+        this.metricSelect.addEventListener('change', () => this.updateNodeMetric());
+        this.modeSelect.addEventListener('change', () => this.updateNodeMetric());
+
+        this.dependencies.dataManager.on('dataChanged', () => {
+            this.metrics = null;
+            if (this.metricSelect.value) this.updateNodeMetric();
+            if (this.isOpen()) this.renderMetrics();
+        });
+
+        // Sorting by a column, clicking the sorted column again reverses the order
+        this.resultsContainer.addEventListener('click', (event) => {
+            const header = event.target.closest('[data-sort-column]');
+            if (header) {
+                const column = header.dataset.sortColumn;
+                this.sortAscending = column === this.sortColumn ? !this.sortAscending : column === 'name';
+                this.sortColumn = column;
+                this.renderMetrics();
+                return;
+            }
+
+            const row = event.target.closest('[data-system-id]');
+            if (row) {
+                visualizer.clearSelection(false);
+                visualizer.addToSelection(row.dataset.systemId);
+            }
+        });
+    }
+
+    isOpen() {
+        return this.overlayElement.classList.contains('active');
+    }
+
+    /**
+     * Returns the metrics of the current data, calculated once per data state
+     * @returns {Object} Result of computeGraphMetrics
+     */
+    getMetrics() {
+        if (!this.metrics) {
+            this.metrics = computeGraphMetrics(this.dependencies.dataManager.getData());
+        }
+        return this.metrics;
+    }
+
+    /**
+     * Maps the chosen metric onto the nodes of the visualization
+     */
+    updateNodeMetric() {
+        const metricId = this.metricSelect.value;
+        if (!metricId) {
+            this.dependencies.visualizer.setNodeMetric(null);
+            return;
+        }
+
+        const values = new Map();
+        this.getMetrics().systems.forEach((metrics, id) => values.set(id, getMetricValue(metrics, metricId)));
+        this.dependencies.visualizer.setNodeMetric({
+            label: GRAPH_METRICS.find(metric => metric.id === metricId).label,
+            values,
+            mode: this.modeSelect.value
+        });
+    }
+
+    /**
+     * Renders the sortable metrics table and the list of bridges
+     */
+    renderMetrics() {
+        const metrics = this.getMetrics();
+        const systems = this.dependencies.dataManager.getData().systems;
+        const nameOf = new Map(systems.map(system => [system.id, system.name || system.id]));
+
+        const direction = this.sortAscending ? 1 : -1;
+        const rows = systems.map(system => ({ id: system.id, name: nameOf.get(system.id), metrics: metrics.systems.get(system.id) }))
+            .sort((a, b) => {
+                const order = this.sortColumn === 'name' ?
+                    a.name.localeCompare(b.name) :
+                    getMetricValue(a.metrics, this.sortColumn) - getMetricValue(b.metrics, this.sortColumn);
+                return order * direction || a.name.localeCompare(b.name);
+            });
+
+        const sortIcon = (column) => column !== this.sortColumn ? '' :
+            `<i class="bi ${this.sortAscending ? 'bi-caret-up-fill' : 'bi-caret-down-fill'}"></i>`;
+
+        this.resultsContainer.innerHTML = `
+            <p class="small mb-2">
+                ${metrics.articulationPoints.length} ${metrics.articulationPoints.length === 1 ? 'single point' : 'single points'} of failure,
+                ${metrics.bridges.length} ${metrics.bridges.length === 1 ? 'bridge' : 'bridges'}
+            </p>
+            <div class="table-responsive graph-metrics-table">
+                <table class="table table-sm table-hover small mb-3">
+                    <thead class="table-light">
+                        <tr>
+                            <th data-sort-column="name">System ${sortIcon('name')}</th>
+                            ${GRAPH_METRICS.map(metric => `
+                                <th data-sort-column="${metric.id}" class="text-end" title="${metric.description}">${metric.label} ${sortIcon(metric.id)}</th>
+                            `).join('')}
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+            </div>
+        `;
+
+        const body = this.resultsContainer.querySelector('tbody');
+        rows.forEach(row => {
+            const tr = document.createElement('tr');
+            tr.dataset.systemId = row.id;
+            tr.classList.toggle('table-danger', row.metrics.articulationPoint);
+            const nameCell = document.createElement('td');
+            nameCell.textContent = row.name;
+            tr.appendChild(nameCell);
+            GRAPH_METRICS.forEach(metric => {
+                const cell = document.createElement('td');
+                cell.className = 'text-end';
+                cell.textContent = formatMetricValue(row.metrics, metric.id);
+                tr.appendChild(cell);
+            });
+            body.appendChild(tr);
+        });
+
+        if (metrics.bridges.length > 0) {
+            this.resultsContainer.insertAdjacentHTML('beforeend',
+                '<h6>Bridges</h6><p class="text-muted small">Connections whose removal splits the landscape</p>');
+            const list = document.createElement('ul');
+            list.className = 'list-group list-group-flush small';
+            metrics.bridges.forEach(bridge => {
+                const item = document.createElement('li');
+                item.className = 'list-group-item py-1';
+                item.textContent = bridge.systems.map(id => nameOf.get(id)).join(' ↔ ');
+                list.appendChild(item);
+            });
+            this.resultsContainer.appendChild(list);
+        }
+    }
+
+    toggle() {
+        document.querySelectorAll('.overlay').forEach(overlay => {
+            if (overlay !== this.overlayElement) overlay.classList.remove('active');
+        });
+        if (this.isOpen()) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    onShow() {
+        this.overlayElement.classList.add('active');
+        this.renderMetrics();
+    }
+
+    onHide() {
+        this.overlayElement.classList.remove('active');
+    }
+}
@@ -0,0 +1,43 @@
+import { UIComponent } from '../base/ui-component.js';
+
+export class GroupCollapseHelper extends UIComponent {
+    constructor(selector, dependencies = {}, options = {}) {
+        super(selector, dependencies, options);
+    }
+
+    bindEvents() {
+        const { visualizer, dataManager } = this.dependencies;
+
+        // Collapses all groups, or expands them again if any group is collapsed
+        this.button = this.dependencies.toolbar.button('bi-arrows-collapse', 'Collapse all groups', () => {
+            visualizer.setCollapsedGroups(this.hasCollapsedGroups() ? [] : this.getGroups());
+        }, 'view');
+
+        visualizer.on('collapsedGroupsChanged', () => this.update());
+        dataManager.on('dataChanged', () => this.update());
+        this.update();
+    }
+
+    /**
+     * Returns all groups of the current data, including the parents of nested groups
+     * @returns {Array<string>} The group paths
+     */
+    getGroups() {
+        return this.dependencies.dataManager.getAllGroups();
+    }
+
+    /**
+     * Checks if a group of the current data is collapsed
+     * @returns {boolean} True if at least one group is collapsed
+     */
+    hasCollapsedGroups() {
+        const groups = new Set(this.getGroups());
+        return this.dependencies.visualizer.getCollapsedGroups().some(group => groups.has(group));
+    }
+
+    update() {
+        const collapsed = this.hasCollapsedGroups();
+        this.button.title = collapsed ? 'Expand all groups' : 'Collapse all groups';
+        this.button.innerHTML = `<i class="bi ${collapsed ? 'bi-arrows-expand' : 'bi-arrows-collapse'}"></i>`;
+    }
+}
@@ -0,0 +1,155 @@
+import { OverlayComponent } from '../base/overlay-component.js';
+import { IMPORT_MODES, calculateImportDifferences, countDifferences } from '../../utils/differences.js';
+import { createDifferencesList } from '../utils/diff-preview.js';
+
+const createHistoryTimelineOverlay = () => `
+    <div class="history-timeline-overlay overlay">
+        <div class="overlay-header">
+            <h5>History</h5>
+            <button class="btn-close close-overlay" data-close-target="history-panel"></button>
+        </div>
+        <div class="overlay-body">
+            <div class="list-group mb-3 history-entries">
+                <!-- Timeline entries will be inserted here -->
+            </div>
+
+            <h6>Compare</h6>
+            <div class="row g-2 mb-2">
+                <div class="col-6">
+                    <label class="form-label small mb-0" for="history-compare-from">From</label>
+                    <select class="form-select form-select-sm" id="history-compare-from"></select>
+                </div>
+                <div class="col-6">
+                    <label class="form-label small mb-0" for="history-compare-to">To</label>
+                    <select class="form-select form-select-sm" id="history-compare-to"></select>
+                </div>
+            </div>
+            <div class="history-diff"></div>
+        </div>
+    </div>
+`;
+
+export class HistoryTimelineOverlay extends OverlayComponent {
+    constructor(selector, dependencies = {}, options = {}) {
+        super(selector, dependencies, options);
+    }
+
+    setupDOM() {
+        this.overlayElement = this.render(createHistoryTimelineOverlay());
+        this.element.appendChild(this.overlayElement);
+
+        this.entryList = this.overlayElement.querySelector('.history-entries');
+        this.compareFrom = this.overlayElement.querySelector('#history-compare-from');
+        this.compareTo = this.overlayElement.querySelector('#history-compare-to');
+        this.diffContainer = this.overlayElement.querySelector('.history-diff');
+    }
+
+    bindEvents() {
+        const historyManager = this.dependencies.historyManager;
+
+        this.dependencies.toolbar.button('bi-clock-history', 'History timeline', () => {
+            this.toggle();
+        }, 'history');
+
+        // Close button
+        this.overlayElement.querySelector('.close-overlay').addEventListener('click', () => {
+            this.hide();
+        });
+
+        // Jump to an entry (delegated, since the list is re-rendered)
+        this.entryList.addEventListener('click', (event) => {
+            const item = event.target.closest('.history-entry');
+            if (item) {
+                historyManager.goTo(parseInt(item.dataset.index, 10));
+            }
+        });
+
+        this.compareFrom.addEventListener('change', () => this.renderDiff());
+        this.compareTo.addEventListener('change', () => this.renderDiff());
+
+        historyManager.on('historyUpdated', () => {
+            if (this.overlayElement.classList.contains('active')) {
+                this.renderTimeline();
+            }
+        });
+    }
+
+    /**
+     * Renders the timeline (newest entry first) and resets the comparison to the last change
+     */
+    renderTimeline() {
+        const timeline = this.dependencies.historyManager.getTimeline();
+        const currentIndex = this.dependencies.historyManager.getCurrentIndex();
+
+        this.entryList.innerHTML = '';
+        [...timeline].reverse().forEach(entry => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'list-group-item list-group-item-action history-entry d-flex justify-content-between align-items-center';
+            item.dataset.index = entry.index;
+            if (entry.current) item.classList.add('active');
+            // Undone changes can be restored by jumping forward
+            if (entry.index > currentIndex) item.classList.add('text-muted', 'history-entry-undone');
+
+            const label = document.createElement('span');
+            label.className = 'text-truncate';
+            label.textContent = entry.label;
+            const time = document.createElement('small');
+            time.className = 'ms-2 text-nowrap';
+            time.textContent = entry.timestamp ? new Date(entry.timestamp).toLocaleTimeString() : '';
+
+            item.appendChild(label);
+            item.appendChild(time);
+            this.entryList.appendChild(item);
+        });
+
+        // Compare selects list the same entries
+        [this.compareFrom, this.compareTo].forEach(select => {
+            select.innerHTML = '';
+            timeline.forEach(entry => {
+                select.appendChild(new Option(`${entry.index}: ${entry.label}`, entry.index));
+            });
+        });
+        this.compareFrom.value = Math.max(0, currentIndex - 1);
+        this.compareTo.value = currentIndex;
+
+        this.renderDiff();
+    }
+
+    /**
+     * Renders the differences between the two selected entries
+     */
+    renderDiff() {
+        const historyManager = this.dependencies.historyManager;
+        const fromData = historyManager.getStateAt(parseInt(this.compareFrom.value, 10));
+        const toData = historyManager.getStateAt(parseInt(this.compareTo.value, 10));
+        const differences = calculateImportDifferences(fromData, toData, IMPORT_MODES.REPLACE);
+
+        this.diffContainer.innerHTML = '';
+        if (countDifferences(differences) === 0) {
+            this.diffContainer.innerHTML = '<p class="text-muted small">No differences.</p>';
+            return;
+        }
+        this.diffContainer.appendChild(createDifferencesList(differences, fromData));
+    }
+
+    toggle() {
+        document.querySelectorAll('.overlay').forEach(overlay => {
+            if (overlay !== this.overlayElement) overlay.classList.remove('active');
+        });
+        if (this.overlayElement.classList.contains('active')) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    onShow() {
+        this.overlayElement.classList.add('active');
+        this.renderTimeline();
+    }
+
+    onHide() {
+        this.overlayElement.classList.remove('active');
+    }
+}
@@ -26,12 +26,18 @@ export class HistoryHelper extends UIComponent {
     updateUI() {
         if (this.undoBtn) {
             this.undoBtn.disabled = !this.dependencies.historyManager.canUndo();
-            this.undoBtn.title = this.dependencies.historyManager.canUndo() ? 'Undo (Ctrl+Z)' : 'Nothing to undo';
+            const undoLabel = this.dependencies.historyManager.getUndoLabel();
+            this.undoBtn.title = this.dependencies.historyManager.canUndo()
+                ? `Undo${undoLabel ? `: ${undoLabel}` : ''} (Ctrl+Z)`
+                : 'Nothing to undo';
         }
 
         if (this.redoBtn) {
             this.redoBtn.disabled = !this.dependencies.historyManager.canRedo();
-            this.redoBtn.title = this.dependencies.historyManager.canRedo() ? 'Redo (Ctrl+Shift+Z)' : 'Nothing to redo';
+            const redoLabel = this.dependencies.historyManager.getRedoLabel();
+            this.redoBtn.title = this.dependencies.historyManager.canRedo()
+                ? `Redo${redoLabel ? `: ${redoLabel}` : ''} (Ctrl+Shift+Z)`
+                : 'Nothing to redo';
         }
     }
 }
\ No newline at end of file
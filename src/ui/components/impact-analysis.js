@@ -0,0 +1,173 @@
+import { OverlayComponent } from '../base/overlay-component.js';
+import { analyzeImpact } from '../../utils/graph.js';
+
+const createImpactAnalysisOverlay = () => `
+    <div class="impact-analysis-overlay overlay">
+        <div class="overlay-header">
+            <h5>Impact analysis</h5>
+            <button class="btn-close close-overlay" data-close-target="impact-panel"></button>
+        </div>
+        <div class="overlay-body">
+            <!-- Impact of the selected system will be inserted here -->
+        </div>
+    </div>
+`;
+
+export class ImpactAnalysisOverlay extends OverlayComponent {
+    constructor(selector, dependencies = {}, options = {}) {
+        super(selector, dependencies, options);
+        this.systemId = null;
+    }
+
+    setupDOM() {
+        this.overlayElement = this.render(createImpactAnalysisOverlay());
+        this.element.appendChild(this.overlayElement);
+        this.body = this.overlayElement.querySelector('.overlay-body');
+    }
+
+    bindEvents() {
+        const visualizer = this.dependencies.visualizer;
+
+        this.dependencies.toolbar.button('bi-broadcast', 'Impact analysis', () => {
+            this.toggle();
+        }, 'view');
+
+        // Close button
+        this.overlayElement.querySelector('.close-overlay').addEventListener('click', () => {
+            this.hide();
+        });
+
+        // Follow the selection while the analysis is shown
+        visualizer.on('selectionChanged', (data) => {
+            if (!this.isOpen()) return;
+            this.analyze(data.selected.length === 1 ? data.selected[0] : null);
+        });
+
+        this.dependencies.dataManager.on('dataChanged', () => {
+            if (this.isOpen()) this.analyze(this.systemId);
+        });
+
+        // Selecting an affected system continues the analysis from there (delegated, since the body is re-rendered)
+        this.body.addEventListener('click', (event) => {
+            const item = event.target.closest('[data-system-id]');
+            if (!item) return;
+            visualizer.clearSelection(false);
+            visualizer.addToSelection(item.dataset.systemId);
+        });
+    }
+
+    /**
+     * Shows the impact analysis of a system
+     * @param {string} systemId - The ID of the system
+     */
+    showForSystem(systemId) {
+        this.closeOtherOverlays();
+        this.systemId = systemId;
+        this.show();
+    }
+
+    /**
+     * Runs the analysis for a system and highlights the result
+     * @param {string|null} systemId - The ID of the system, null shows a hint instead
+     */
+    analyze(systemId) {
+        const data = this.dependencies.dataManager.getData();
+        const impact = systemId ? analyzeImpact(data, systemId) : null;
+        this.systemId = impact ? systemId : null;
+        this.dependencies.visualizer.setImpactAnalysis(impact);
+        this.renderImpact(impact);
+    }
+
+    /**
+     * Renders the affected systems per depth and the affected groups
+     * @param {Object|null} impact - Result of analyzeImpact
+     */
+    renderImpact(impact) {
+        const visualizer = this.dependencies.visualizer;
+        this.body.innerHTML = '';
+
+        if (!impact) {
+            this.body.innerHTML = '<p class="text-muted small">Select a system to see which systems depend on it directly or transitively.</p>';
+            return;
+        }
+
+        const systems = new Map(this.dependencies.dataManager.getData().systems.map(system => [system.id, system]));
+        const nameOf = (id) => systems.get(id).name || id;
+
+        const summary = document.createElement('p');
+        const title = document.createElement('strong');
+        title.textContent = nameOf(impact.systemId);
+        summary.append('An outage of ', title, ` affects ${impact.depths.size} ${impact.depths.size === 1 ? 'system' : 'systems'}.`);
+        this.body.appendChild(summary);
+
+        if (impact.depths.size === 0) {
+            this.body.insertAdjacentHTML('beforeend', '<div class="alert alert-success">No other system depends on this system.</div>');
+            return;
+        }
+
+        this.body.insertAdjacentHTML('beforeend', '<h6>By depth</h6>');
+        impact.levels.forEach((ids, index) => {
+            const depth = index + 1;
+            const details = document.createElement('details');
+            details.className = 'impact-level mb-2';
+            details.open = depth === 1;
+
+            const summaryLine = document.createElement('summary');
+            summaryLine.className = 'd-flex align-items-center';
+            summaryLine.innerHTML = `
+                <span class="impact-depth-swatch me-2" style="border-color: ${visualizer.getImpactDepthColor(depth)}"></span>
+                <span class="flex-grow-1">${depth === 1 ? 'Depth 1 (direct)' : `Depth ${depth}`}</span>
+                <span class="badge bg-secondary">${ids.length}</span>
+            `;
+            details.appendChild(summaryLine);
+
+            const list = document.createElement('div');
+            list.className = 'list-group list-group-flush mt-1';
+            ids.map(id => systems.get(id))
+                .sort((a, b) => (a.name || a.id).localeCompare(b.name || b.id))
+                .forEach(system => {
+                    const item = document.createElement('button');
+                    item.type = 'button';
+                    item.className = 'list-group-item list-group-item-action py-1 small';
+                    item.dataset.systemId = system.id;
+                    item.title = 'Analyze the impact of this system';
+                    item.textContent = system.name || system.id;
+                    list.appendChild(item);
+                });
+            details.appendChild(list);
+            this.body.appendChild(details);
+        });
+
+        if (impact.groups.length > 0) {
+            this.body.insertAdjacentHTML('beforeend', '<h6 class="mt-3">Affected groups</h6>');
+            impact.groups.forEach(({ group, count }) => {
+                const row = document.createElement('div');
+                row.className = 'd-flex justify-content-between align-items-center mb-1';
+                row.innerHTML = '<span class="badge bg-info"></span><span class="text-muted"></span>';
+                row.firstChild.textContent = group;
+                row.lastChild.textContent = count;
+                this.body.appendChild(row);
+            });
+        }
+    }
+
+    onShow() {
+        this.overlayElement.classList.add('active');
+
+        // Without an explicit system, analyze the selected one
+        const selected = this.dependencies.visualizer.getSelectedSystems();
+        if (!this.systemId && selected.length === 1) {
+            this.systemId = selected[0].id;
+        }
+        this.analyze(this.systemId);
+    }
+
+    onHide() {
+        this.overlayElement.classList.remove('active');
+    }
+
+    onOverlayClosed() {
+        this.systemId = null;
+        this.dependencies.visualizer.setImpactAnalysis(null);
+    }
+}
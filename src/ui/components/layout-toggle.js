@@ -0,0 +1,52 @@
+import { UIComponent } from '../base/ui-component.js';
+
+const DIRECTIONS = {
+    TB: { icon: 'bi-arrow-down', title: 'Layered layout: top to bottom (switch to left to right)', next: 'LR' },
+    LR: { icon: 'bi-arrow-right', title: 'Layered layout: left to right (switch to top to bottom)', next: 'TB' }
+};
+
+export class LayoutToggle extends UIComponent {
+    constructor(selector, dependencies = {}, options = {}) {
+        super(selector, dependencies, options);
+    }
+
+    bindEvents() {
+        const visualizer = this.dependencies.visualizer;
+
+        this.layoutButton = this.dependencies.toolbar.button('bi-diagram-3', 'Layered layout', () => {
+            const layout = visualizer.getLayout();
+            visualizer.setLayout({ mode: layout.mode === 'layered' ? 'force' : 'layered' });
+        }, 'view', ['toggle-layered-layout']);
+
+        // Only shown while the layered layout is active
+        this.directionButton = this.dependencies.toolbar.button(DIRECTIONS.TB.icon, DIRECTIONS.TB.title, () => {
+            visualizer.setLayout({ direction: DIRECTIONS[visualizer.getLayout().direction].next });
+        }, 'view');
+
+        // Only shown while the force layout is active
+        this.settleButton = this.dependencies.toolbar.button('bi-lightning-charge', 'Settle layout without animation', () => {
+            visualizer.setLayout({ settle: !visualizer.getLayout().settle });
+        }, 'view', ['toggle-settle-layout']);
+
+        visualizer.on('layoutChanged', (layout) => this.update(layout));
+        this.update(visualizer.getLayout());
+    }
+
+    /**
+     * Shows the active layout on the toolbar buttons
+     * @param {Object} layout - { mode, direction, settle }
+     */
+    update(layout) {
+        const layered = layout.mode === 'layered';
+        const direction = DIRECTIONS[layout.direction];
+
+        this.layoutButton.classList.toggle('active', layered);
+        this.layoutButton.title = layered ? 'Force layout' : 'Layered layout';
+        this.directionButton.classList.toggle('d-none', !layered);
+        this.directionButton.title = direction.title;
+        this.directionButton.innerHTML = `<i class="bi ${direction.icon}"></i>`;
+        this.settleButton.classList.toggle('d-none', layered);
+        this.settleButton.classList.toggle('active', !!layout.settle);
+        this.settleButton.title = layout.settle ? 'Animate layout' : 'Settle layout without animation';
+    }
+}
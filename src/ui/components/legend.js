@@ -1,4 +1,22 @@
 import { OverlayComponent } from '../base/overlay-component.js';
+import { UNCATEGORIZED, UNKNOWN_DEPENDENCY_TYPE } from '../../utils/taxonomy.js';
+
+const createCategoryLegendItem = (category) => `
+    <div class="legend-item">
+        <div class="legend-color" style="background-color: ${category.color};"></div>
+        <div>${category.label}</div>
+    </div>
+`;
+
+const createDependencyTypeLegendItem = (type) => `
+    <div class="legend-item">
+        <svg width="20" height="10" style="margin-right: 1rem;">
+            <line x1="0" y1="5" x2="20" y2="5" stroke="${type.color}" stroke-width="3"
+                ${type.dash ? `stroke-dasharray="${type.dash}"` : ''}></line>
+        </svg>
+        <div>${type.label}</div>
+    </div>
+`;
 
 const createLegendOverlay = () => `
     <div class="legend-overlay overlay">
@@ -8,25 +26,8 @@ const createLegendOverlay = () => `
         </div>
         <div class="overlay-body">
             <h6>System categories</h6>
-            <div class="legend-item">
-                <div class="legend-color" style="background-color: #0d6efd;"></div>
-                <div>Core system</div>
-            </div>
-            <div class="legend-item">
-                <div class="legend-color" style="background-color: #6c757d;"></div>
-                <div>Legacy system</div>
-            </div>
-            <div class="legend-item">
-                <div class="legend-color" style="background-color: #198754;"></div>
-                <div>Data system</div>
-            </div>
-            <div class="legend-item">
-                <div class="legend-color" style="background-color: #ffc107;"></div>
-                <div>Service system</div>
-            </div>
-            <div class="legend-item">
-                <div class="legend-color" style="background-color: #dc3545;"></div>
-                <div>External system</div>
+            <div class="legend-categories">
+                <!-- Filled dynamically from the category definitions -->
             </div>
 
             <h6 class="mt-3">System status</h6>
@@ -40,21 +41,8 @@ const createLegendOverlay = () => `
             </div>
 
             <h6 class="mt-3">Connection types</h6>
-            <div class="legend-item">
-                <div style="width: 20px; height: 3px; background-color: #0d6efd;margin-right: 1rem;"></div>
-                <div>Data exchange</div>
-            </div>
-            <div class="legend-item">
-                <div style="width: 20px; height: 3px; background-color: #198754;margin-right: 1rem;"></div>
-                <div>Integration</div>
-            </div>
-            <div class="legend-item">
-                <div style="width: 20px; height: 3px; background-color: #dc3545;margin-right: 1rem;"></div>
-                <div>Authentication</div>
-            </div>
-            <div class="legend-item">
-                <div style="width: 20px; height: 3px; background-color: #6c757d;margin-right: 1rem;"></div>
-                <div>Monitoring</div>
+            <div class="legend-dependency-types">
+                <!-- Filled dynamically from the dependency type definitions -->
             </div>
         </div>
     </div>
@@ -68,6 +56,44 @@ export class LegendOverlay extends OverlayComponent {
     setupDOM() {
         this.overlayElement = this.render(createLegendOverlay());
         this.element.appendChild(this.overlayElement);
+        this.renderCategories();
+        this.renderDependencyTypes();
+    }
+
+    /**
+     * Renders the category legend from the current category definitions
+     */
+    renderCategories() {
+        const container = this.overlayElement.querySelector('.legend-categories');
+        const categories = this.dependencies.dataManager.getCategories();
+
+        // Only list the bucket for undefined categories if it is actually in use
+        const categoryIds = new Set(categories.map(category => category.id));
+        const hasUncategorized = this.dependencies.dataManager.getData().systems
+            .some(system => !categoryIds.has(system.category));
+        if (hasUncategorized) {
+            categories.push(UNCATEGORIZED);
+        }
+
+        container.innerHTML = categories.map(createCategoryLegendItem).join('');
+    }
+
+    /**
+     * Renders the connection type legend from the current dependency type definitions
+     */
+    renderDependencyTypes() {
+        const container = this.overlayElement.querySelector('.legend-dependency-types');
+        const types = this.dependencies.dataManager.getDependencyTypes();
+
+        // Only list the fallback for undefined types if it is actually in use
+        const typeIds = new Set(types.map(type => type.id));
+        const hasUnknownTypes = this.dependencies.dataManager.getData().dependencies
+            .some(dependency => !typeIds.has(dependency.type));
+        if (hasUnknownTypes) {
+            types.push(UNKNOWN_DEPENDENCY_TYPE);
+        }
+
+        container.innerHTML = types.map(createDependencyTypeLegendItem).join('');
     }
 
     bindEvents() {
@@ -80,6 +106,12 @@ export class LegendOverlay extends OverlayComponent {
         this.overlayElement.querySelector('.close-overlay').addEventListener('click', () => {
             this.hide();
         });
+
+        // Category and dependency type definitions are part of the data document
+        this.dependencies.dataManager.on('dataChanged', () => {
+            this.renderCategories();
+            this.renderDependencyTypes();
+        });
     }
 
     toggle() {
@@ -0,0 +1,231 @@
+import { UIComponent } from '../base/ui-component.js';
+
+// Size of the minimap in CSS pixels
+const MINIMAP_WIDTH = 220;
+const MINIMAP_HEIGHT = 150;
+
+// Space around the graph within the minimap, in minimap pixels
+const MINIMAP_PADDING = 8;
+
+const createMinimap = () => `
+    <div class="minimap" title="Click or drag to move the view">
+        <canvas class="minimap-canvas"></canvas>
+    </div>
+`;
+
+/**
+ * Minimap - Shows the whole graph in miniature with the visible part of it as a rectangle
+ *
+ * Clicking moves the view to the clicked point, dragging moves it along. The visibility is stored
+ * in the localStorage.
+ */
+export class Minimap extends UIComponent {
+    constructor(selector, dependencies = {}, options = {}) {
+        super(selector, dependencies, options);
+        this.storageKey = 'minimap_visible';
+
+        // Mapping from graph to minimap coordinates ({ scale, offsetX, offsetY }), kept while dragging
+        this.mapping = null;
+        this.dragging = false;
+        this.frame = null;
+    }
+
+    setupDOM() {
+        this.viewElement = this.render(createMinimap());
+        this.element.appendChild(this.viewElement);
+
+        const ratio = window.devicePixelRatio || 1;
+        this.canvas = this.viewElement.querySelector('.minimap-canvas');
+        this.canvas.width = Math.round(MINIMAP_WIDTH * ratio);
+        this.canvas.height = Math.round(MINIMAP_HEIGHT * ratio);
+        this.canvas.style.width = `${MINIMAP_WIDTH}px`;
+        this.canvas.style.height = `${MINIMAP_HEIGHT}px`;
+        this.context = this.canvas.getContext('2d');
+        this.context.scale(ratio, ratio);
+    }
+
+    bindEvents() {
+        const visualizer = this.dependencies.visualizer;
+
+        this.toolbarButton = this.dependencies.toolbar.button('bi-map', 'Minimap', () => {
+            this.setVisible(!this.isVisible());
+        }, 'view', ['toggle-minimap']);
+
+        visualizer.on('positionsChanged', () => this.requestDraw());
+        visualizer.on('viewportChanged', () => this.requestDraw());
+
+        // Pressing outside the viewport rectangle centers the view there, dragging moves the view along
+        d3.select(this.canvas).call(d3.drag()
+            .container(function () { return this; })
+            .on('start', (event) => {
+                // Nothing was drawn yet, the mapping is computed with the first drawing
+                if (!this.mapping) this.draw();
+                if (!this.mapping) return;
+
+                this.dragging = true;
+                const [x, y] = this.toGraph(event.x, event.y);
+                const viewport = this.getViewportBounds();
+                const inside = x >= viewport.x0 && x <= viewport.x1 && y >= viewport.y0 && y <= viewport.y1;
+                this.dragOffset = inside ?
+                    [x - (viewport.x0 + viewport.x1) / 2, y - (viewport.y0 + viewport.y1) / 2] : [0, 0];
+                this.moveView(x, y);
+            })
+            .on('drag', (event) => {
+                if (!this.dragging) return;
+                const [x, y] = this.toGraph(event.x, event.y);
+                this.moveView(x, y);
+            })
+            .on('end', () => {
+                this.dragging = false;
+                this.requestDraw();
+            }));
+
+        this.setVisible(localStorage.getItem(this.storageKey) !== 'false');
+    }
+
+    isVisible() {
+        return this.viewElement.classList.contains('active');
+    }
+
+    /**
+     * Shows or hides the minimap
+     * @param {boolean} visible - Whether the minimap is shown
+     */
+    setVisible(visible) {
+        this.viewElement.classList.toggle('active', visible);
+        this.toolbarButton.classList.toggle('active', visible);
+        localStorage.setItem(this.storageKey, String(visible));
+        if (visible) this.requestDraw();
+    }
+
+    /**
+     * Centers the view on a point, shifted by where the viewport rectangle was grabbed
+     * @param {number} x - X in graph coordinates
+     * @param {number} y - Y in graph coordinates
+     */
+    moveView(x, y) {
+        this.dependencies.visualizer.panTo(x - this.dragOffset[0], y - this.dragOffset[1]);
+    }
+
+    /**
+     * Returns the visible part of the graph
+     * @returns {Object} { x0, y0, x1, y1 } in graph coordinates
+     */
+    getViewportBounds() {
+        const visualizer = this.dependencies.visualizer;
+        const transform = visualizer.getViewportTransform();
+        const [x0, y0] = transform.invert([0, 0]);
+        const [x1, y1] = transform.invert([visualizer.width, visualizer.height]);
+        return { x0, y0, x1, y1 };
+    }
+
+    /**
+     * Fits the graph, its group hulls and the viewport into the minimap
+     * @param {Array<Object>} nodes - The simulation nodes
+     * @param {Map<string, Object>} hulls - The group hulls (see SystemVisualizer.computeGroupHulls)
+     * @returns {Object} { scale, offsetX, offsetY }, so that minimap = graph * scale + offset
+     */
+    computeMapping(nodes, hulls) {
+        const visualizer = this.dependencies.visualizer;
+        let { x0, y0, x1, y1 } = this.getViewportBounds();
+        const include = (x, y, radius) => {
+            x0 = Math.min(x0, x - radius);
+            y0 = Math.min(y0, y - radius);
+            x1 = Math.max(x1, x + radius);
+            y1 = Math.max(y1, y + radius);
+        };
+        nodes.forEach(node => include(node.x, node.y, visualizer.getNodeRadius(node)));
+        hulls.forEach(hull => include(hull.centroid[0], hull.centroid[1], hull.radius));
+
+        const scale = Math.min(
+            (MINIMAP_WIDTH - 2 * MINIMAP_PADDING) / (x1 - x0),
+            (MINIMAP_HEIGHT - 2 * MINIMAP_PADDING) / (y1 - y0)
+        );
+        return {
+            scale,
+            offsetX: (MINIMAP_WIDTH - (x1 - x0) * scale) / 2 - x0 * scale,
+            offsetY: (MINIMAP_HEIGHT - (y1 - y0) * scale) / 2 - y0 * scale
+        };
+    }
+
+    /**
+     * Converts a minimap position into graph coordinates
+     * @param {number} x - X in minimap pixels
+     * @param {number} y - Y in minimap pixels
+     * @returns {Array<number>} [x, y] in graph coordinates
+     */
+    toGraph(x, y) {
+        const { scale, offsetX, offsetY } = this.mapping;
+        return [(x - offsetX) / scale, (y - offsetY) / scale];
+    }
+
+    /**
+     * Draws the minimap with the next animation frame, several requests within a frame are drawn once
+     */
+    requestDraw() {
+        if (this.frame !== null || !this.isVisible()) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.draw();
+        });
+    }
+
+    draw() {
+        const visualizer = this.dependencies.visualizer;
+        if (!visualizer.simulationManager) return;
+        const context = this.context;
+        const nodes = visualizer.simulationManager.getNodes();
+        const links = visualizer.simulationManager.getLinks();
+        const hulls = visualizer.computeGroupHulls(visualizer.getGroupEntries());
+
+        // The mapping stays fixed while dragging, otherwise the graph would move under the pointer
+        if (!this.dragging || !this.mapping) {
+            this.mapping = this.computeMapping(nodes, hulls);
+        }
+        const { scale, offsetX, offsetY } = this.mapping;
+
+        context.clearRect(0, 0, MINIMAP_WIDTH, MINIMAP_HEIGHT);
+        context.save();
+        context.translate(offsetX, offsetY);
+        context.scale(scale, scale);
+
+        // Group hulls
+        hulls.forEach((hull, name) => {
+            context.beginPath();
+            context.arc(hull.centroid[0], hull.centroid[1], hull.radius, 0, 2 * Math.PI);
+            context.globalAlpha = 0.25;
+            context.fillStyle = visualizer.groupColorScale(name);
+            context.fill();
+        });
+        context.globalAlpha = 1;
+
+        // Links, only once their endpoints are resolved to nodes
+        context.beginPath();
+        links.forEach(link => {
+            if (typeof link.source !== 'object' || typeof link.target !== 'object') return;
+            context.moveTo(link.source.x, link.source.y);
+            context.lineTo(link.target.x, link.target.y);
+        });
+        context.strokeStyle = '#adb5bd';
+        context.lineWidth = 1 / scale;
+        context.stroke();
+
+        // Nodes, at least 1.5 pixels wide
+        nodes.forEach(node => {
+            context.beginPath();
+            context.arc(node.x, node.y, Math.max(visualizer.getNodeRadius(node), 1.5 / scale), 0, 2 * Math.PI);
+            context.fillStyle = visualizer.getNodeFill(node);
+            context.fill();
+        });
+
+        // Viewport rectangle
+        const viewport = this.getViewportBounds();
+        context.fillStyle = 'rgba(13, 110, 253, 0.08)';
+        context.fillRect(viewport.x0, viewport.y0, viewport.x1 - viewport.x0, viewport.y1 - viewport.y0);
+        context.strokeStyle = '#0d6efd';
+        context.lineWidth = 1.5 / scale;
+        context.strokeRect(viewport.x0, viewport.y0, viewport.x1 - viewport.x0, viewport.y1 - viewport.y0);
+
+        context.restore();
+    }
+}
@@ -169,6 +169,11 @@ export class MultiSelectComponent extends UIComponent {
                 target.tagName === 'path') {
                 return false;
             }
+
+            // Nodes drawn on the canvas have no elements of their own
+            if (this.dependencies.visualizer.findNodeAtPoint(sourceEvent.clientX, sourceEvent.clientY)) {
+                return false;
+            }
         }
 
         return true;
@@ -317,7 +322,8 @@ export class MultiSelectComponent extends UIComponent {
             nodes.forEach(node => {
                 if (node.x >= minX && node.x <= maxX && 
                     node.y >= minY && node.y <= maxY) {
-                    nodesInRect.push(node.id);
+                    // Collapsed groups select their members
+                    nodesInRect.push(...this.dependencies.visualizer.getNodeSystemIds(node));
                 }
             });
         }
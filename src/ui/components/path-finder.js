@@ -0,0 +1,309 @@
+import { OverlayComponent } from '../base/overlay-component.js';
+import { findPaths } from '../../utils/graph.js';
+
+// Upper bound for the listed paths, dense graphs have far too many to be useful
+const MAX_PATHS = 200;
+
+const createPathFinderOverlay = () => `
+    <div class="path-finder-overlay overlay">
+        <div class="overlay-header">
+            <h5>Find path</h5>
+            <button class="btn-close close-overlay" data-close-target="path-panel"></button>
+        </div>
+        <div class="overlay-body">
+            <p class="text-muted small">Select two systems in the graph, use the search or pick them here.</p>
+            <div class="mb-2">
+                <label for="path-source" class="form-label small mb-1">From</label>
+                <select class="form-select form-select-sm" id="path-source"></select>
+            </div>
+            <div class="mb-2">
+                <div class="d-flex align-items-end">
+                    <label for="path-target" class="form-label small mb-1 flex-grow-1">To</label>
+                    <button type="button" class="btn btn-sm btn-link p-0 mb-1 swap-path-endpoints" title="Swap direction">
+                        <i class="bi bi-arrow-down-up"></i>
+                    </button>
+                </div>
+                <select class="form-select form-select-sm" id="path-target"></select>
+            </div>
+            <div class="mb-2">
+                <label for="path-max-length" class="form-label small mb-1">Maximum length (connections)</label>
+                <input type="number" class="form-control form-control-sm" id="path-max-length" min="1" max="12" value="6">
+            </div>
+            <details class="mb-3">
+                <summary class="small">Connection types</summary>
+                <div class="path-types mt-1">
+                    <!-- Filled dynamically from the dependency types -->
+                </div>
+            </details>
+            <div class="path-results">
+                <!-- Found paths will be inserted here -->
+            </div>
+        </div>
+    </div>
+`;
+
+export class PathFinderOverlay extends OverlayComponent {
+    constructor(selector, dependencies = {}, options = {}) {
+        super(selector, dependencies, options);
+        this.result = null;
+        this.activeIndex = null;
+        // Unchecked dependency types, kept while the type list is rebuilt
+        this.excludedTypes = new Set();
+    }
+
+    setupDOM() {
+        this.overlayElement = this.render(createPathFinderOverlay());
+        this.element.appendChild(this.overlayElement);
+
+        this.sourceSelect = this.overlayElement.querySelector('#path-source');
+        this.targetSelect = this.overlayElement.querySelector('#path-target');
+        this.maxLengthInput = this.overlayElement.querySelector('#path-max-length');
+        this.typesContainer = this.overlayElement.querySelector('.path-types');
+        this.resultsContainer = this.overlayElement.querySelector('.path-results');
+    }
+
+    bindEvents() {
+        const visualizer = this.dependencies.visualizer;
+
+        this.dependencies.toolbar.button('bi-signpost-split', 'Find path', () => {
+            this.toggle();
+        }, 'view');
+
+        // Close button
+        this.overlayElement.querySelector('.close-overlay').addEventListener('click', () => {
+            this.hide();
+        });
+
+        this.sourceSelect.addEventListener('change', () => this.search());
+        this.targetSelect.addEventListener('change', () => this.search());
+        this.maxLengthInput.addEventListener('change', () => this.search());
+
+        this.overlayElement.querySelector('.swap-path-endpoints').addEventListener('click', () => {
+            [this.sourceSelect.value, this.targetSelect.value] = [this.targetSelect.value, this.sourceSelect.value];
+            this.search();
+        });
+
+        this.typesContainer.addEventListener('change', (event) => {
+            const type = event.target.dataset.type;
+            if (event.target.checked) {
+                this.excludedTypes.delete(type);
+            } else {
+                this.excludedTypes.add(type);
+            }
+            this.search();
+        });
+
+        // Two selected systems are taken as start and end, in the order they were selected
+        visualizer.on('selectionChanged', (data) => {
+            if (this.isOpen() && data.selected.length === 2) {
+                this.setEndpoints(data.selected[0], data.selected[1]);
+            }
+        });
+
+        this.dependencies.dataManager.on('dataChanged', () => {
+            if (!this.isOpen()) return;
+            this.fillOptions();
+            this.search();
+        });
+
+        // Clicking a path highlights only this path, clicking it again highlights all paths
+        this.resultsContainer.addEventListener('click', (event) => {
+            const item = event.target.closest('[data-path-index]');
+            if (!item) return;
+            const index = parseInt(item.dataset.pathIndex, 10);
+            this.highlightPath(index === this.activeIndex ? null : index);
+        });
+    }
+
+    /**
+     * Opens the path finder with a system as start or end
+     * @param {string} role - 'source' or 'target'
+     * @param {string} systemId - The ID of the system
+     */
+    setEndpoint(role, systemId) {
+        if (!this.isOpen()) this.toggle();
+        (role === 'source' ? this.sourceSelect : this.targetSelect).value = systemId;
+        this.search();
+    }
+
+    /**
+     * Sets start and end system and searches the paths
+     * @param {string} sourceId - The ID of the start system
+     * @param {string} targetId - The ID of the end system
+     */
+    setEndpoints(sourceId, targetId) {
+        this.sourceSelect.value = sourceId;
+        this.targetSelect.value = targetId;
+        this.search();
+    }
+
+    /**
+     * Fills the system selects and the type checkboxes from the current data
+     */
+    fillOptions() {
+        const dataManager = this.dependencies.dataManager;
+        const data = dataManager.getData();
+        const systems = [...data.systems].sort((a, b) => (a.name || a.id).localeCompare(b.name || b.id));
+
+        [this.sourceSelect, this.targetSelect].forEach(select => {
+            const value = select.value;
+            select.innerHTML = '<option value="">Select system...</option>';
+            systems.forEach(system => {
+                const option = document.createElement('option');
+                option.value = system.id;
+                option.textContent = system.name || system.id;
+                select.appendChild(option);
+            });
+            select.value = systems.some(system => system.id === value) ? value : '';
+        });
+
+        // Defined types and types only used in the data
+        const types = dataManager.getDependencyTypes().map(type => ({ id: type.id, label: type.label }));
+        new Set(data.dependencies.map(dep => dep.type)).forEach(type => {
+            if (type && !types.some(defined => defined.id === type)) types.push({ id: type, label: type });
+        });
+
+        this.typesContainer.innerHTML = '';
+        types.forEach(type => {
+            const check = document.createElement('div');
+            check.className = 'form-check';
+            check.innerHTML = `
+                <input class="form-check-input" type="checkbox" id="path-type-${this.typesContainer.children.length}">
+                <label class="form-check-label small" for="path-type-${this.typesContainer.children.length}"></label>
+            `;
+            const input = check.querySelector('input');
+            input.dataset.type = type.id;
+            input.checked = !this.excludedTypes.has(type.id);
+            check.querySelector('label').textContent = type.label;
+            this.typesContainer.appendChild(check);
+        });
+    }
+
+    /**
+     * Searches the paths between the selected systems and shows them
+     */
+    search() {
+        const sourceId = this.sourceSelect.value;
+        const targetId = this.targetSelect.value;
+
+        if (!sourceId || !targetId || sourceId === targetId) {
+            this.result = null;
+            this.renderResults();
+            this.highlightPath(null);
+            return;
+        }
+
+        const allowedTypes = Array.from(this.typesContainer.querySelectorAll('input'))
+            .filter(input => input.checked)
+            .map(input => input.dataset.type);
+        const maxLength = Math.max(1, parseInt(this.maxLengthInput.value, 10) || 1);
+
+        this.result = findPaths(this.dependencies.dataManager.getData(), sourceId, targetId, {
+            maxLength,
+            types: this.excludedTypes.size > 0 ? allowedTypes : null,
+            maxPaths: MAX_PATHS
+        });
+        this.renderResults();
+        this.highlightPath(null);
+    }
+
+    /**
+     * Highlights a path in the visualization
+     * @param {number|null} index - Index of the listed path, null highlights all listed paths
+     */
+    highlightPath(index) {
+        this.activeIndex = index;
+        this.resultsContainer.querySelectorAll('[data-path-index]').forEach(item => {
+            item.classList.toggle('active', parseInt(item.dataset.pathIndex, 10) === index);
+        });
+
+        const result = this.result;
+        if (!result || !result.shortest) {
+            this.dependencies.visualizer.setHighlight('path', null);
+            return;
+        }
+
+        const paths = index !== null ? [result.paths[index]] :
+            result.paths.length > 0 ? result.paths : [result.shortest];
+        this.dependencies.visualizer.setHighlight('path', {
+            systems: [...new Set(paths.flatMap(path => path.systems))],
+            dependencies: [...new Set(paths.flatMap(path => path.dependencies))],
+            endpoints: [this.sourceSelect.value, this.targetSelect.value]
+        });
+    }
+
+    /**
+     * Renders the shortest path and the list of paths
+     */
+    renderResults() {
+        const result = this.result;
+        this.resultsContainer.innerHTML = '';
+        if (!result) return;
+
+        if (!result.shortest) {
+            this.resultsContainer.innerHTML = '<div class="alert alert-info">There is no path between these systems.</div>';
+            return;
+        }
+
+        const systems = new Map(this.dependencies.dataManager.getData().systems.map(system => [system.id, system]));
+        const describe = (path) => path.systems.map(id => systems.get(id).name || id).join(' → ');
+        const hops = (path) => path.systems.length - 1;
+
+        const shortest = document.createElement('p');
+        shortest.className = 'small';
+        shortest.innerHTML = '<strong>Shortest path:</strong> <span></span>';
+        shortest.lastChild.textContent = `${describe(result.shortest)} (${hops(result.shortest)})`;
+        this.resultsContainer.appendChild(shortest);
+
+        if (result.paths.length === 0) {
+            this.resultsContainer.insertAdjacentHTML('beforeend',
+                '<div class="alert alert-warning">No path within the maximum length, only the shortest path is highlighted.</div>');
+            return;
+        }
+
+        const summary = document.createElement('h6');
+        summary.textContent = `${result.paths.length}${result.truncated ? '+' : ''} ${result.paths.length === 1 ? 'path' : 'paths'}`;
+        this.resultsContainer.appendChild(summary);
+
+        const list = document.createElement('div');
+        list.className = 'list-group';
+        result.paths.forEach((path, index) => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'list-group-item list-group-item-action py-1 small d-flex justify-content-between align-items-center';
+            item.dataset.pathIndex = index;
+            item.innerHTML = '<span></span><span class="badge bg-secondary ms-2"></span>';
+            item.firstChild.textContent = describe(path);
+            item.lastChild.textContent = hops(path);
+            list.appendChild(item);
+        });
+        this.resultsContainer.appendChild(list);
+
+        if (result.truncated) {
+            this.resultsContainer.insertAdjacentHTML('beforeend',
+                `<p class="text-muted small mt-2">Only the ${MAX_PATHS} shortest paths are listed, reduce the maximum length to narrow the search.</p>`);
+        }
+    }
+
+    onShow() {
+        this.overlayElement.classList.add('active');
+        this.fillOptions();
+
+        // Without chosen systems, start with the two selected ones
+        const selected = this.dependencies.visualizer.getSelectedSystems();
+        if (selected.length === 2 && !this.sourceSelect.value && !this.targetSelect.value) {
+            this.setEndpoints(selected[0].id, selected[1].id);
+        } else {
+            this.search();
+        }
+    }
+
+    onHide() {
+        this.overlayElement.classList.remove('active');
+    }
+
+    onOverlayClosed() {
+        this.activeIndex = null;
+        this.dependencies.visualizer.setHighlight('path', null);
+    }
+}
@@ -0,0 +1,173 @@
+import { OverlayComponent } from '../base/overlay-component.js';
+import { validateRule, describeViolationSubject } from '../../utils/rules.js';
+
+const createProblemsOverlay = () => `
+    <div class="problems-overlay overlay">
+        <div class="overlay-header">
+            <h5>Problems</h5>
+            <button class="btn-close close-overlay" data-close-target="problems-panel"></button>
+        </div>
+        <div class="overlay-body">
+            <!-- Rule violations will be inserted here -->
+        </div>
+    </div>
+`;
+
+const noRulesTemplate = () => `
+    <p class="text-muted small">No architecture rules are defined. Add a <code>rules</code> section to the data, for example:</p>
+    <pre class="small bg-light p-2 rounded">rules:
+  - id: no-external-to-legacy
+    description: External systems must not depend on legacy systems
+    severity: error
+    dependencies:
+      source: { category: external }
+      target: { category: legacy }
+    forbidden: true
+  - id: system-needs-group
+    description: Every system needs at least one group
+    systems: {}
+    require:
+      groups: { min: 1 }</pre>
+`;
+
+export class ProblemsOverlay extends OverlayComponent {
+    constructor(selector, dependencies = {}, options = {}) {
+        super(selector, dependencies, options);
+    }
+
+    setupDOM() {
+        this.overlayElement = this.render(createProblemsOverlay());
+        this.element.appendChild(this.overlayElement);
+        this.body = this.overlayElement.querySelector('.overlay-body');
+    }
+
+    bindEvents() {
+        const { ruleEngine, visualizer } = this.dependencies;
+
+        this.toolbarButton = this.dependencies.toolbar.button('bi-exclamation-octagon', 'Problems', () => {
+            this.toggle();
+        }, 'view');
+        this.countBadge = document.createElement('span');
+        this.countBadge.className = 'badge rounded-pill problems-count d-none';
+        this.toolbarButton.appendChild(this.countBadge);
+
+        // Close button
+        this.overlayElement.querySelector('.close-overlay').addEventListener('click', () => {
+            this.hide();
+        });
+
+        ruleEngine.on('violationsChanged', (violations) => this.update(violations));
+        this.update(ruleEngine.getViolations());
+
+        // Selecting the offending system, or both systems of an offending connection
+        this.body.addEventListener('click', (event) => {
+            const item = event.target.closest('[data-system-ids]');
+            if (!item) return;
+            visualizer.clearSelection(false);
+            JSON.parse(item.dataset.systemIds).forEach(id => visualizer.addToSelection(id));
+        });
+    }
+
+    isOpen() {
+        return this.overlayElement.classList.contains('active');
+    }
+
+    /**
+     * Shows the violations in the visualizer, the toolbar badge and the open panel
+     * @param {Array<Object>} violations - The current violations
+     */
+    update(violations) {
+        this.dependencies.visualizer.setRuleViolations(violations);
+
+        const errors = violations.filter(violation => violation.severity === 'error').length;
+        this.countBadge.textContent = violations.length;
+        this.countBadge.classList.toggle('d-none', violations.length === 0);
+        this.countBadge.classList.toggle('bg-danger', errors > 0);
+        this.countBadge.classList.toggle('bg-warning', errors === 0);
+
+        if (this.isOpen()) this.renderProblems();
+    }
+
+    /**
+     * Renders the violations grouped by rule, and rules that are ignored because they are invalid
+     */
+    renderProblems() {
+        const { ruleEngine, dataManager } = this.dependencies;
+        const rules = ruleEngine.getRules();
+        const violations = ruleEngine.getViolations();
+        this.body.innerHTML = '';
+
+        if (rules.length === 0) {
+            this.body.innerHTML = noRulesTemplate();
+            return;
+        }
+
+        rules.forEach((rule, index) => {
+            const problems = validateRule(rule);
+            if (problems.length === 0) return;
+            const alert = document.createElement('div');
+            alert.className = 'alert alert-warning small py-2';
+            alert.textContent = `Rule ${rule && rule.id ? `"${rule.id}"` : index + 1} is ignored: ${problems.join(', ')}`;
+            this.body.appendChild(alert);
+        });
+
+        if (violations.length === 0) {
+            this.body.insertAdjacentHTML('beforeend', '<div class="alert alert-success">All architecture rules are met.</div>');
+            return;
+        }
+
+        const getSystemLabel = id => dataManager.getSystemLabel(id);
+        const byRule = new Map();
+        violations.forEach(violation => {
+            if (!byRule.has(violation.ruleId)) byRule.set(violation.ruleId, []);
+            byRule.get(violation.ruleId).push(violation);
+        });
+
+        byRule.forEach(ruleViolations => {
+            const { message, severity } = ruleViolations[0];
+            const details = document.createElement('details');
+            details.className = 'mb-2';
+            details.open = true;
+
+            const summary = document.createElement('summary');
+            summary.innerHTML = `<span class="badge ${severity === 'error' ? 'bg-danger' : 'bg-warning text-dark'} me-1"></span><span></span>`;
+            summary.firstChild.textContent = `${ruleViolations.length}`;
+            summary.lastChild.textContent = message;
+            details.appendChild(summary);
+
+            const list = document.createElement('div');
+            list.className = 'list-group list-group-flush mt-1';
+            ruleViolations.forEach(violation => {
+                const item = document.createElement('button');
+                item.type = 'button';
+                item.className = 'list-group-item list-group-item-action py-1 small';
+                item.dataset.systemIds = JSON.stringify(violation.dependency ?
+                    [violation.dependency.source, violation.dependency.target] : [violation.systemId]);
+                item.textContent = describeViolationSubject(violation, getSystemLabel);
+                list.appendChild(item);
+            });
+            details.appendChild(list);
+            this.body.appendChild(details);
+        });
+    }
+
+    toggle() {
+        document.querySelectorAll('.overlay').forEach(overlay => {
+            if (overlay !== this.overlayElement) overlay.classList.remove('active');
+        });
+        if (this.isOpen()) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    onShow() {
+        this.overlayElement.classList.add('active');
+        this.renderProblems();
+    }
+
+    onHide() {
+        this.overlayElement.classList.remove('active');
+    }
+}
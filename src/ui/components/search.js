@@ -99,10 +99,15 @@ export class SearchOverlay extends OverlayComponent {
                     <button class="list-group-item list-group-item-action" data-system-id="${system.id}">
                         <div class="d-flex w-100 justify-content-between">
                             <h6 class="mb-1">${system.name}</h6>
-                            <span class="badge bg-${this.dependencies.visualizer.getCategoryClass(system.category)}">${system.category}</span>
+                            <span class="badge" style="${this.dependencies.visualizer.getCategoryBadgeStyle(system.category)}">${this.dependencies.visualizer.getCategoryLabel(system.category)}</span>
                         </div>
                         <small>${system.description}</small>
                         ${system.group ? `<br><small><span class="badge bg-info">Group: ${system.group}</span></small>` : ''}
+                        ${this.dependencies.pathFinder ? `
+                        <div class="mt-1">
+                            <span class="badge text-bg-light border path-endpoint-btn" data-path-role="source" title="Find paths starting at this system"><i class="bi bi-signpost-split"></i> Path from</span>
+                            <span class="badge text-bg-light border path-endpoint-btn" data-path-role="target" title="Find paths ending at this system"><i class="bi bi-signpost-split"></i> Path to</span>
+                        </div>` : ''}
                     </button>
                 `;
             });
@@ -112,8 +117,16 @@ export class SearchOverlay extends OverlayComponent {
             // Event listeners for clicks on search results
             const resultItems = resultsContainer.querySelectorAll('.list-group-item');
             resultItems.forEach(item => {
-                item.addEventListener('click', () => {
+                item.addEventListener('click', (event) => {
                     const systemId = item.getAttribute('data-system-id');
+
+                    // Start or end of the path finder
+                    const pathButton = event.target.closest('.path-endpoint-btn');
+                    if (pathButton) {
+                        this.dependencies.pathFinder.setEndpoint(pathButton.dataset.pathRole, systemId);
+                        return;
+                    }
+
                     const system = this.dependencies.dataManager.getData().systems.find(s => s.id === systemId);
 
                     if (system) {
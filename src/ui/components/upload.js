@@ -1,14 +1,172 @@
-import { UIComponent } from '../base/ui-component.js';
+import { OverlayComponent } from '../base/overlay-component.js';
 import { uploadSystemData } from '../../utils/data-loader.js';
+import { notifyBatchResult } from '../../utils/utilities.js';
+import { validateSystemDocument, extractValidSubset } from '../../utils/validation.js';
+import { IMPORT_MODES, calculateImportDifferences, countDifferences } from '../../utils/differences.js';
+import { createDifferencesList } from '../utils/diff-preview.js';
 
-export class UploadHelper extends UIComponent {
+const importModalTemplate = () => `
+    <div class="modal fade" tabindex="-1" aria-hidden="true">
+        <div class="modal-dialog modal-lg modal-dialog-scrollable">
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h5 class="modal-title">Import <span class="import-file-name"></span></h5>
+                    <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+                </div>
+                <div class="modal-body">
+                    <div class="mb-3">
+                        <div class="form-check">
+                            <input class="form-check-input" type="radio" name="import-mode" id="import-mode-replace" value="${IMPORT_MODES.REPLACE}">
+                            <label class="form-check-label" for="import-mode-replace">Replace – the file replaces all current data</label>
+                        </div>
+                        <div class="form-check">
+                            <input class="form-check-input" type="radio" name="import-mode" id="import-mode-merge-incoming" value="${IMPORT_MODES.MERGE_INCOMING}" checked>
+                            <label class="form-check-label" for="import-mode-merge-incoming">Merge (incoming wins) – entries of the file overwrite existing ones</label>
+                        </div>
+                        <div class="form-check">
+                            <input class="form-check-input" type="radio" name="import-mode" id="import-mode-merge-existing" value="${IMPORT_MODES.MERGE_EXISTING}">
+                            <label class="form-check-label" for="import-mode-merge-existing">Merge (keep existing) – only new entries are added</label>
+                        </div>
+                    </div>
+                    <h6>Preview</h6>
+                    <div class="import-preview"></div>
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
+                    <button type="button" class="btn btn-primary" id="import-apply">Apply</button>
+                </div>
+            </div>
+        </div>
+    </div>
+`;
+
+const IMPORT_MODE_LABELS = {
+    [IMPORT_MODES.REPLACE]: 'replace',
+    [IMPORT_MODES.MERGE_INCOMING]: 'merge, incoming wins',
+    [IMPORT_MODES.MERGE_EXISTING]: 'merge, keep existing'
+};
+
+export class UploadHelper extends OverlayComponent {
     constructor(selector, dependencies = {}, options = {}) {
         super(selector, dependencies, options);
+        this.modalElement = null;
+        this.modal = null;
+        this.incomingData = null;
+        this.differences = null;
+    }
+
+    setupDOM() {
+        this.modalElement = this.render(importModalTemplate());
+        this.element.appendChild(this.modalElement);
+        this.modal = new bootstrap.Modal(this.modalElement);
+
+        this.fileName = this.modalElement.querySelector('.import-file-name');
+        this.preview = this.modalElement.querySelector('.import-preview');
+        this.applyButton = this.modalElement.querySelector('#import-apply');
     }
 
     bindEvents() {
         this.dependencies.toolbar.button('bi-upload', 'Upload data', () => {
-            uploadSystemData(this.dependencies.dataManager);
+            uploadSystemData(this.dependencies.dataManager, (data, fileName) => {
+                this.showImport(data, fileName);
+            });
         }, 'import-export');
+
+        this.modalElement.querySelectorAll('input[name="import-mode"]').forEach(radio => {
+            radio.addEventListener('change', () => this.updatePreview());
+        });
+
+        this.applyButton.addEventListener('click', () => {
+            this.hide();
+            this.applyImport();
+        });
+    }
+
+    /**
+     * Returns the selected import mode
+     * @returns {string} One of IMPORT_MODES
+     */
+    getMode() {
+        return this.modalElement.querySelector('input[name="import-mode"]:checked').value;
+    }
+
+    /**
+     * Opens the import dialog for an uploaded document
+     * @param {Object} data - The parsed YAML document
+     * @param {string} fileName - Name of the uploaded file
+     */
+    showImport(data, fileName) {
+        // Documents without system and dependency lists cannot be compared at all
+        const report = validateSystemDocument(data, { partial: true });
+        if (!report.canExtractSubset) {
+            this.dependencies.dataManager.emit('validationFailed', { report, source: 'upload', onImportSubset: null });
+            return;
+        }
+
+        this.incomingData = data;
+        this.fileName.textContent = fileName || '';
+        this.updatePreview();
+        this.show();
+    }
+
+    /**
+     * Recalculates the differences for the selected mode and renders the preview
+     */
+    updatePreview() {
+        const currentData = this.dependencies.dataManager.getData();
+        this.differences = calculateImportDifferences(currentData, this.incomingData, this.getMode());
+        this.preview.innerHTML = '';
+
+        if (countDifferences(this.differences) === 0) {
+            this.preview.innerHTML = '<p class="text-muted">No changes – the file does not contain anything new.</p>';
+            this.applyButton.disabled = true;
+            return;
+        }
+        this.applyButton.disabled = false;
+
+        const rejected = this.dependencies.dataManager.checkBatch(this.differences);
+        this.preview.appendChild(createDifferencesList(this.differences, currentData, rejected));
+    }
+
+    /**
+     * Validates the uploaded document for the selected mode and applies the differences as a single change
+     */
+    applyImport() {
+        const dataManager = this.dependencies.dataManager;
+        const mode = this.getMode();
+        const currentData = dataManager.getData();
+        const label = `Imported ${this.fileName.textContent || 'file'} (${IMPORT_MODE_LABELS[mode]})`;
+
+        // When merging, the document may reference systems and taxonomy of the current data
+        const merging = mode !== IMPORT_MODES.REPLACE;
+        const existingSystemIds = merging ? currentData.systems.map(system => system.id) : [];
+        const taxonomy = merging ? {
+            categories: this.differences.categories || currentData.categories,
+            dependencyTypes: this.differences.dependencyTypes || currentData.dependencyTypes
+        } : this.incomingData;
+        const report = validateSystemDocument(this.incomingData, { partial: merging, existingSystemIds, taxonomy });
+
+        if (!report.valid) {
+            const incomingData = this.incomingData;
+            dataManager.emit('validationFailed', {
+                report,
+                source: 'upload',
+                onImportSubset: report.canExtractSubset ? () => {
+                    const subset = extractValidSubset(incomingData, report, existingSystemIds);
+                    return dataManager.applyBatch(calculateImportDifferences(dataManager.getData(), subset, mode), label);
+                } : null
+            });
+            return;
+        }
+
+        notifyBatchResult(dataManager.applyBatch(this.differences, label), 'Data imported successfully');
+    }
+
+    onShow() {
+        this.modal.show();
+    }
+
+    onHide() {
+        this.modal.hide();
     }
-}
\ No newline at end of file
+}
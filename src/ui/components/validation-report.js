@@ -0,0 +1,121 @@
+import { OverlayComponent } from '../base/overlay-component.js';
+import { showNotification, notifyBatchResult } from '../../utils/utilities.js';
+
+const validationReportModalTemplate = () => `
+    <div class="modal fade" tabindex="-1" aria-hidden="true">
+        <div class="modal-dialog modal-lg modal-dialog-scrollable">
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h5 class="modal-title">Validation report</h5>
+                    <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+                </div>
+                <div class="modal-body">
+                    <p class="validation-summary"></p>
+                    <ul class="list-group validation-issues">
+                        <!-- Issues will be inserted here -->
+                    </ul>
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
+                    <button type="button" class="btn btn-warning" id="import-valid-subset">Import valid entries</button>
+                </div>
+            </div>
+        </div>
+    </div>
+`;
+
+const SOURCE_LABELS = {
+    upload: 'The uploaded file',
+    csv: 'The CSV import',
+    llm: 'The changes proposed by the assistant',
+    data: 'The data'
+};
+
+export class ValidationReportComponent extends OverlayComponent {
+    constructor(selector, dependencies = {}, options = {}) {
+        super(selector, dependencies, options);
+        this.modalElement = null;
+        this.modal = null;
+        this.onImportSubset = null;
+    }
+
+    setupDOM() {
+        this.modalElement = this.render(validationReportModalTemplate());
+        this.element.appendChild(this.modalElement);
+        this.modal = new bootstrap.Modal(this.modalElement);
+
+        this.summary = this.modalElement.querySelector('.validation-summary');
+        this.issueList = this.modalElement.querySelector('.validation-issues');
+        this.importButton = this.modalElement.querySelector('#import-valid-subset');
+    }
+
+    bindEvents() {
+        this.dependencies.dataManager.on('validationFailed', (event) => {
+            this.showReport(event.report, event.source, event.onImportSubset);
+        });
+
+        this.importButton.addEventListener('click', () => {
+            if (this.onImportSubset) {
+                // Batches report their rejected changes (see DataManager.applyBatch)
+                const result = this.onImportSubset();
+                if (result && typeof result === 'object') {
+                    notifyBatchResult(result, 'Valid entries have been imported');
+                } else if (result !== false) {
+                    showNotification('Valid entries have been imported', 'success');
+                }
+            }
+            this.hide();
+        });
+    }
+
+    /**
+     * Shows the issues of a validation report
+     * @param {Object} report - The report returned by validateSystemDocument
+     * @param {string} source - Origin of the validated data (upload, llm, data)
+     * @param {Function|null} onImportSubset - Callback importing the valid subset, null if not possible
+     */
+    showReport(report, source = 'data', onImportSubset = null) {
+        this.onImportSubset = onImportSubset;
+
+        const origin = SOURCE_LABELS[source] || SOURCE_LABELS.data;
+        this.summary.textContent = `${origin} contains ${report.errors.length} error${report.errors.length !== 1 ? 's' : ''}` +
+            (report.warnings.length > 0 ? ` and ${report.warnings.length} warning${report.warnings.length !== 1 ? 's' : ''}` : '') +
+            '. Entries with errors were not imported.';
+
+        // Errors first, then warnings
+        this.issueList.innerHTML = '';
+        [...report.errors, ...report.warnings].forEach(issue => {
+            const item = document.createElement('li');
+            item.className = 'list-group-item d-flex justify-content-between align-items-start';
+
+            const content = document.createElement('div');
+            const path = document.createElement('code');
+            path.textContent = issue.path || '(document)';
+            const message = document.createElement('div');
+            message.className = 'small';
+            message.textContent = issue.message;
+            content.appendChild(path);
+            content.appendChild(message);
+
+            const badge = document.createElement('span');
+            badge.className = `badge ${issue.severity === 'error' ? 'bg-danger' : 'bg-warning text-dark'}`;
+            badge.textContent = issue.severity;
+
+            item.appendChild(content);
+            item.appendChild(badge);
+            this.issueList.appendChild(item);
+        });
+
+        this.importButton.classList.toggle('d-none', !onImportSubset);
+
+        this.show();
+    }
+
+    onShow() {
+        this.modal.show();
+    }
+
+    onHide() {
+        this.modal.hide();
+    }
+}
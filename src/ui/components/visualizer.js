@@ -1,6 +1,17 @@
 import { UIComponent } from '../base/ui-component.js';
 import { SimulationManager } from '../utils/simulation.js';
 import { NodeCache } from '../utils/node-cache.js';
+import { LAYOUT_DIRECTIONS } from '../utils/layered-layout.js';
+import { CanvasRenderer, ARROW_PATHS } from '../utils/canvas-renderer.js';
+import { expandGroupPaths, getGroupDepth, getGroupLabel, getParentGroup, UNGROUPED_FILTER_ID } from '../../utils/groups.js';
+import { UNCATEGORIZED, UNKNOWN_DEPENDENCY_TYPE, getContrastColor, toDomId } from '../../utils/taxonomy.js';
+import { findNeighborhood } from '../../utils/graph.js';
+
+// Prefix of the node IDs of collapsed groups, which cannot clash with system IDs
+const GROUP_NODE_PREFIX = '@group:';
+
+// Above this number of nodes the graph is drawn on a canvas instead of SVG elements
+const CANVAS_NODE_THRESHOLD = 300;
 
 /**
  * SystemVisualizer - Visualizes IT systems and their dependencies as an interactive graph
@@ -23,21 +34,38 @@ export class SystemVisualizer extends UIComponent {
 
         // UI states
         this.searchResults = [];
+        this.categoryIds = [...this.dataManager.getCategories().map(category => category.id), UNCATEGORIZED.id];
+        this.groupIds = [...this.dataManager.getAllGroups(), UNGROUPED_FILTER_ID];
         this.activeFilters = {
-            categories: ["core", "legacy", "data", "service", "external"],
+            categories: [...this.categoryIds],
+            groups: [...this.groupIds],
             knownUsage: ["known", "unknown"]
         };
 
         // Color scales
-        this.colorScale = d3.scaleOrdinal()
-            .domain(["core", "legacy", "data", "service", "external"])
-            .range(["#0d6efd", "#6c757d", "#198754", "#ffc107", "#dc3545"]);
+        this.colorScale = null;
+        this.updateCategoryScale();
         this.groupColorScale = d3.scaleOrdinal(d3.schemeCategory10);
 
+        // Node positions and viewport are stored per workspace
+        this.workspaceManager = this.dependencies.workspaceManager || null;
+        const storageKey = (baseKey) => this.workspaceManager ? this.workspaceManager.getStorageKey(baseKey) : baseKey;
+        this.transformStorageKey = storageKey('system_visualizer_transform');
+        this.layoutStorageKey = storageKey('system_visualizer_layout');
+
+        // Force or layered layout (see setLayout)
+        this.layout = this.loadLayout();
+        // Set while switching workspaces, the next data is redrawn from scratch
+        this.workspaceSwitched = false;
+
+        // Groups drawn as a single node (see setCollapsedGroups)
+        this.collapsedGroupsStorageKey = storageKey('system_visualizer_collapsed_groups');
+        this.collapsedGroups = this.loadCollapsedGroups();
+
         // Create node cache
         this.nodeCache = new NodeCache({
             useLocalStorage: true,
-            localStorageKey: 'system_visualizer_node_positions',
+            localStorageKey: storageKey('system_visualizer_node_positions'),
             debounceTime: 250
         });
 
@@ -50,10 +78,36 @@ export class SystemVisualizer extends UIComponent {
         this.groupHulls = null;
         this.groupLabels = null;
 
+        // Drag behavior of the nodes (see attachNodeDrag)
+        this.nodeDrag = null;
+
+        // Groups of the last render (see getGroupEntries)
+        this.groupEntries = [];
+
+        // Draws the graph instead of the SVG elements for large landscapes (see createVisualization)
+        this.canvasRenderer = null;
+        this.canvasThreshold = this.options.canvasThreshold ?? CANVAS_NODE_THRESHOLD;
+
         // Multi-Selection state
         this.selectedNodes = new Set(); // IDs der ausgewählten Knoten
         this.isMultiSelectActive = false; // Ob Multi-Select Modus aktiv ist
         this.lastSelectedNode = null; // Für Shift-Selection ranges
+
+        // Highlighted impact analysis (see utils/graph.js analyzeImpact), kept across re-renders
+        this.impactAnalysis = null;
+
+        // Highlighted parts of the graph (see setHighlight), kept across re-renders
+        this.highlights = { cycle: null, path: null, focus: null };
+
+        // Neighborhood of a system the graph is narrowed to (see setFocus)
+        this.focus = null;
+
+        // Metric mapped onto the node size or color (see setNodeMetric)
+        this.nodeMetric = null;
+        this.nodeMetricRange = null;
+
+        // Architecture rule violations by system and dependency ID (see setRuleViolations)
+        this.ruleViolations = { systems: new Map(), dependencies: new Map() };
     }
 
     /**
@@ -112,6 +166,12 @@ export class SystemVisualizer extends UIComponent {
             const invalidSelectedNodes = Array.from(this.selectedNodes)
                 .filter(nodeId => !currentSystemIds.has(nodeId));
 
+            // The focus ends with its system
+            if (this.focus && !currentSystemIds.has(this.focus.systemId)) {
+                this.focus = null;
+                this.emit('focusChanged', null);
+            }
+
             // Remove invalid selections
             if (invalidSelectedNodes.length > 0) {
                 invalidSelectedNodes.forEach(nodeId => {
@@ -125,16 +185,44 @@ export class SystemVisualizer extends UIComponent {
                 });
             }
 
-            // Recreate visualization
-            const container = this.element;
-            if (container) {
-                container.innerHTML = '';
-                this.createVisualization();
-                this.setupZoom();
-                this.setupKeyboardShortcuts();
+            // Categories and groups may have changed with the new data
+            this.syncCategoryFilters();
+            this.syncGroupFilters();
+            this.updateCategoryScale();
+
+            // The data of another workspace comes with its own layout and viewport and is drawn from
+            // scratch, otherwise only the changed parts of the graph are updated
+            if (this.workspaceSwitched) {
+                this.workspaceSwitched = false;
+                this.redraw();
+            } else {
+                this.updateVisualization();
             }
         });
 
+        // Switch node positions and viewport along with the workspace, before its data is loaded
+        if (this.workspaceManager) {
+            this.workspaceManager.on('workspacePersist', () => {
+                this.nodeCache.flush();
+                this.saveViewportState();
+            });
+            this.workspaceManager.on('workspaceChanging', ({ workspaceId }) => {
+                this.nodeCache.switchStorageKey(this.workspaceManager.getStorageKey('system_visualizer_node_positions', workspaceId));
+                this.transformStorageKey = this.workspaceManager.getStorageKey('system_visualizer_transform', workspaceId);
+                this.layoutStorageKey = this.workspaceManager.getStorageKey('system_visualizer_layout', workspaceId);
+                this.layout = this.loadLayout();
+                this.emit('layoutChanged', this.getLayout());
+                this.collapsedGroupsStorageKey = this.workspaceManager.getStorageKey('system_visualizer_collapsed_groups', workspaceId);
+                this.collapsedGroups = this.loadCollapsedGroups();
+                this.emit('collapsedGroupsChanged', this.getCollapsedGroups());
+                if (this.focus) {
+                    this.focus = null;
+                    this.emit('focusChanged', null);
+                }
+                this.workspaceSwitched = true;
+            });
+        }
+
         // Event listener for window resize
         window.addEventListener('resize', this.handleResize.bind(this));
 
@@ -167,19 +255,14 @@ export class SystemVisualizer extends UIComponent {
 
         // Create tooltip
         // Find or create tooltip element (as D3 selection)
-        let tooltip = d3.select("body").select(".tooltip");
-        if (tooltip.empty()) {
-            tooltip = d3.select("body").append("div")
+        this.tooltip = d3.select("body").select(".tooltip");
+        if (this.tooltip.empty()) {
+            this.tooltip = d3.select("body").append("div")
                 .attr("class", "tooltip")
                 .style("opacity", 0);
         }
 
-        // Prepare and filter graph data
-        const nodes = this.getFilteredNodes();
-        const links = this.getFilteredLinks(nodes);
-
-        // Identify groupings
-        const groups = this.identifyGroups(nodes);
+        const graph = this.prepareGraph();
 
         // Create SimulationManager
         this.simulationManager = new SimulationManager({
@@ -190,109 +273,279 @@ export class SystemVisualizer extends UIComponent {
             chargeStrength: -300,
             collisionRadius: 60,
             groupForceStrength: 0.5,
+            layout: this.layout.mode,
+            layoutDirection: this.layout.direction,
+            useWorker: this.options.simulationWorker ?? true,
+            settle: this.layout.settle,
             onTick: () => this.onSimulationTick(),
             onToggleFixed: (id, state) => {
                 this.emit('toggleFixed', { id, state });
             },
         });
 
-        // Arrowheads for the links
-        g.append("defs").selectAll("marker")
-            .data(["data", "integration", "authentication", "monitoring"])
-            .enter().append("marker")
-            .attr("id", d => `arrowhead-${d}`)
-            .attr("viewBox", "0 -5 10 10")
-            .attr("refX", 8)  // No offset - arrowhead starts at end of path
-            .attr("refY", 0)  // No offset
-            .attr("markerWidth", 6)
-            .attr("markerHeight", 6)
-            .attr("orient", "auto")
-            .append("path")
-            .attr("d", "M0,-5L10,0L0,5")
-            .attr("fill", d => {
-                switch (d) {
-                    case "data": return "#0d6efd";
-                    case "integration": return "#198754";
-                    case "authentication": return "#dc3545";
-                    case "monitoring": return "#6c757d";
-                    default: return "#999";
-                }
-            });
+        this.nodeElements = null;
+        this.linkElements = null;
+        this.groupHulls = null;
+        this.groupLabels = null;
+
+        // Large landscapes are drawn on a canvas below the SVG, which then only handles zoom and input
+        const useCanvas = graph.nodes.length > this.canvasThreshold;
+        container.classList.toggle('canvas-rendering', useCanvas);
+        if (useCanvas) {
+            this.canvasRenderer = new CanvasRenderer(this, container);
+            this.canvasRenderer.bindEvents(this.svg);
+        } else {
+            // Layers in drawing order, filled by renderGraph
+            g.append("defs");
+            g.append("g").attr("class", "groups");
+            g.append("g").attr("class", "links");
+            g.append("g").attr("class", "nodes");
+            g.append("g").attr("class", "group-labels");
+        }
+
+        this.renderGraph(graph);
+
+        // The connection mode replaces the node drag (see disableDrag), it is kept when redrawing
+        const drag = this.dragDisabled ? this.nodeDrag : this.simulationManager.createDragBehavior();
+        if (drag) {
+            this.attachNodeDrag(drag);
+        }
+
+        // Handle clicks on empty space to clear selection (the canvas renderer hit-tests clicks itself)
+        this.svg.on('click', (event) => {
+            if (this.canvasRenderer) return;
+            // Only clear if clicked on SVG background, not on nodes/links
+            if (event.target === event.currentTarget ||
+                event.target.tagName === 'svg') {
+                this.clearSelection();
+            }
+        });
+
+        // Start simulation
+        this.simulationManager.initialize(graph.nodes, graph.links, graph.groups);
+    }
+
+    /**
+     * Updates the graph after the data, the filters or the collapsed groups changed
+     *
+     * Unlike redraw, the SVG, the zoom and the simulation are kept: nodes, links and groups are
+     * joined by their ID, so only added or removed ones get new elements, and nodes that are
+     * already simulated keep their position. The simulation is only reheated gently if nodes or
+     * links were added or removed or nodes changed their groups.
+     */
+    updateVisualization() {
+        if (!this.svg || !this.simulationManager || !this.simulationManager.simulation) return;
+
+        const graph = this.prepareGraph();
+
+        // Crossing the canvas threshold switches the renderer
+        if ((graph.nodes.length > this.canvasThreshold) !== !!this.canvasRenderer) {
+            this.redraw();
+            return;
+        }
+
+        const previousNodes = new Map(this.simulationManager.getNodes().map(node => [node.id, node]));
+        const previousLinkIds = new Set(this.simulationManager.getLinks().map(link => link.id));
+
+        let changed = graph.nodes.length !== previousNodes.size || graph.links.length !== previousLinkIds.size ||
+            graph.links.some(link => !previousLinkIds.has(link.id));
+        graph.nodes.forEach(node => {
+            const previous = previousNodes.get(node.id);
+            if (!previous) {
+                changed = true;
+                return;
+            }
+            if (!this.arraysHaveSameElements(this.getNodeGroups(node), this.getNodeGroups(previous))) {
+                changed = true;
+            }
+
+            // Nodes that are already simulated keep their position and motion, temporary fixes
+            // (see SimulationManager.applyNodePositionsFromCache) end with the replaced node
+            node.x = previous.x;
+            node.y = previous.y;
+            node.vx = previous.vx;
+            node.vy = previous.vy;
+            node.isFixed = previous.isFixed;
+            node.fx = previous.isFixed ? previous.fx : null;
+            node.fy = previous.isFixed ? previous.fy : null;
+        });
+
+        this.simulationManager.update(graph.nodes, graph.links, graph.groups, changed ? 0.1 : 0);
+        this.renderGraph(graph);
+        if (this.nodeDrag) {
+            this.attachNodeDrag(this.nodeDrag);
+        }
+
+        // Places new elements even if the simulation is not reheated
+        this.onSimulationTick();
+    }
+
+    /**
+     * Prepares and filters the graph data
+     * Members of collapsed groups are replaced by their group node.
+     * @returns {Object} { nodes, links, groups, groupEntries } with the groups of identifyGroups and
+     *   their entries ([name, group]) to draw, parent groups before their subgroups
+     */
+    prepareGraph() {
+        // In 'fade' mode the focus is a highlighting, updated with the data
+        const neighborhood = this.focus && this.focus.mode === 'fade' ? this.getFocusNeighborhood() : null;
+        this.highlights.focus = neighborhood ? {
+            systems: Array.from(neighborhood.distances.keys()),
+            dependencies: neighborhood.dependencies,
+            endpoints: [neighborhood.systemId]
+        } : null;
+
+        const systems = this.getFilteredNodes();
+        const { nodes, memberOf } = this.collapseGroupNodes(systems);
+        const links = this.getFilteredLinks(systems, memberOf);
+
+        const groups = this.identifyGroups(nodes);
+        const groupEntries = Object.entries(groups)
+            .filter(([name]) => name !== "ungrouped") // filter out "undefined" group
+            .sort((a, b) => getGroupDepth(a[0]) - getGroupDepth(b[0]));
+
+        return { nodes, links, groups, groupEntries };
+    }
+
+    /**
+     * Draws the graph data with the active renderer
+     * The SVG elements are joined by ID: existing elements are updated, new ones created and
+     * missing ones removed. Their positions are set on the next simulation tick.
+     * @param {Object} graph - The graph data (see prepareGraph)
+     */
+    renderGraph({ nodes, links, groupEntries }) {
+        this.groupEntries = groupEntries;
+        if (this.canvasRenderer) {
+            this.canvasRenderer.setData(nodes, links, groupEntries);
+            return;
+        }
+
+        const g = this.svg.select("g");
+        const defs = g.select("defs");
+
+        // Arrowheads for the links, one per dependency type
+        const dependencyTypes = [...this.dataManager.getDependencyTypes(), UNKNOWN_DEPENDENCY_TYPE]
+            .filter(type => type.arrow !== 'none');
+        defs.selectAll("marker")
+            .data(dependencyTypes, d => d.id)
+            .join(enter => enter.append("marker")
+                .attr("id", d => `arrowhead-${toDomId(d.id)}`)
+                .attr("viewBox", "0 -5 10 10")
+                .attr("refX", 8)  // No offset - arrowhead starts at end of path
+                .attr("refY", 0)  // No offset
+                .attr("markerWidth", 6)
+                .attr("markerHeight", 6)
+                .attr("orient", "auto")
+                .call(marker => marker.append("path")))
+            .select("path")
+            .attr("d", d => ARROW_PATHS[d.arrow].d)
+            .attr("fill", d => ARROW_PATHS[d.arrow].filled ? d.color : "none")
+            .attr("stroke", d => ARROW_PATHS[d.arrow].filled ? null : d.color)
+            .attr("stroke-width", d => ARROW_PATHS[d.arrow].filled ? null : 1.5);
+
+        // Stroke gradients for nodes in several groups
+        defs.selectAll("linearGradient")
+            .data(nodes.filter(d => this.getNodeGroups(d).length > 1), d => d.id)
+            .join(enter => enter.append("linearGradient")
+                .attr("id", d => "multigroup-gradient-" + d.id)
+                .attr("x1", "0%")
+                .attr("y1", "0%")
+                .attr("x2", "100%")
+                .attr("y2", "100%"))
+            .selectAll("stop")
+            .data(d => this.getNodeGroups(d))
+            .join("stop")
+            .attr("offset", (group, i, stops) => (i / (stops.length - 1) * 100) + "%")
+            .attr("stop-color", group => this.groupColorScale(group));
 
         // Draw group hulls (before nodes and links)
-        this.groupHulls = g.append("g")
-            .attr("class", "groups")
+        this.groupHulls = g.select(".groups")
             .selectAll(".group-hull")
-            .data(Object.entries(groups).filter(([name]) => name !== "ungrouped")) // filter out "undefined" group
-            .enter().append("path")
-            .attr("class", "group-hull")
-            .attr("data-group", d => d[0])
-            .style("fill", d => this.groupColorScale(d[0]))
-            .style("stroke", d => d3.rgb(this.groupColorScale(d[0])).darker())
-            .style("stroke-width", 1.5)
-            .style("fill-opacity", 0.2)
-            .style("stroke-opacity", 0.4);
+            .data(groupEntries, d => d[0])
+            .join(enter => enter.append("path")
+                .attr("class", "group-hull")
+                .attr("data-group", d => d[0])
+                .style("fill", d => this.groupColorScale(d[0]))
+                .style("stroke", d => d3.rgb(this.groupColorScale(d[0])).darker())
+                .style("stroke-width", 1.5)
+                .style("fill-opacity", 0.2)
+                .style("stroke-opacity", 0.4));
 
         // Draw links
-        const that = this;
-        this.linkElements = g.append("g")
-            .attr("class", "links")
+        this.linkElements = g.select(".links")
             .selectAll("path")
-            .data(links)
-            .enter().append("path")
-            .attr("class", "link")
-            .attr("marker-end", d => `url(#arrowhead-${d.type})`)
+            .data(links, d => d.id)
+            .join(enter => enter.append("path")
+                .on("mouseover", (event, d) => {
+                    if (this.dragDisabled) return;
+                    this.showTooltip(event, this.getLinkTooltip(d));
+                })
+                .on("mouseout", () => this.hideTooltip())
+                .on("click", (event, data) => {
+                    // Aggregated connections of collapsed groups cannot be edited as a whole
+                    if (!data.isAggregate) {
+                        this.emit('dependencyClick', { event, data });
+                    }
+                    event.stopPropagation();
+                }))
+            .attr("class", d => d.isAggregate ? "link aggregate-link" : "link")
+            .attr("marker-end", d => this.getDependencyMarker(d.type))
             .attr("data-type", d => d.type)
+            .attr("data-dependency-id", d => d.id)
+            .style("stroke", d => this.getDependencyTypeStyle(d.type).color)
+            .style("stroke-dasharray", d => this.getDependencyTypeStyle(d.type).dash)
+            .style("stroke-width", d => d.isAggregate ? `${Math.min(1 + d.dependencyIds.length * 0.5, 6)}px` : null)
             .attr("data-link-index", d => d.linkIndex)
-            .attr("data-total-links", d => d.totalLinks)
-            .on("mouseover", function (event, d) {
-                if (that.dragDisabled) return;
-                tooltip.transition()
-                    .duration(200)
-                    .style("opacity", .9);
-
-                const sourceSystem = nodes.find(n => n.id === d.source.id || n.id === d.source);
-                const targetSystem = nodes.find(n => n.id === d.target.id || n.id === d.target);
-
-                tooltip.html(`
-                    <strong>${sourceSystem ? sourceSystem.name : 'Unknown'} → ${targetSystem ? targetSystem.name : 'Unknown'}</strong><br>
-                    ${d.description || 'No description'}<br>
-                    <em>Protocol: ${d.protocol || 'Not specified'}</em>
-                `);
-
-                // Position tooltip centered below the mouse pointer
-                const tooltipNode = tooltip.node();
-                // Temporarily make visible to measure width
-                tooltip.style("opacity", 0).style("display", "block");
-                const tooltipWidth = tooltipNode.offsetWidth;
-                tooltip.style("display", null); // reset
-
-                tooltip
-                    .style("left", (event.pageX - tooltipWidth / 2) + "px")
-                    .style("top", (event.pageY + 16) + "px")
-                    .transition()
-                    .duration(200)
-                    .style("opacity", .9);
+            .attr("data-total-links", d => d.totalLinks);
+
+        // Create nodes: circle, label and the member count of collapsed groups
+        this.nodeElements = g.select(".nodes")
+            .selectAll(".node")
+            .data(nodes, d => d.id)
+            .join(enter => {
+                const node = enter.append("g")
+                    .on("dblclick", (event, d) => {
+                        if (!d.isGroupNode) return;
+                        event.stopPropagation();
+                        this.expandGroup(d.name);
+                    });
+
+                // Circles for the systems
+                node.append("circle")
+                    .on("mouseover", (event, d) => {
+                        if (this.dragDisabled) return;
+                        // 8px below the circle
+                        this.showTooltip(event, this.getNodeTooltip(d), this.getNodeRadius(d) + 8);
+                    })
+                    .on("mouseout", () => this.hideTooltip())
+                    .on("click", (event, d) => {
+                        if (d.isGroupNode) {
+                            event.stopPropagation();
+                            this.selectGroupMembers(d);
+                            return;
+                        }
+                        // Neue Multi-Select Logik
+                        this.handleNodeClick(event, d);
+                    });
+
+                // Text labels
+                node.append("text")
+                    .attr("text-anchor", "middle")
+                    .attr("fill", "#333")
+                    .style("user-select", "none")
+                    .style("pointer-events", "none");
+
+                node.filter(d => d.isGroupNode)
+                    .append("text")
+                    .attr("class", "group-node-count")
+                    .attr("text-anchor", "middle")
+                    .attr("dy", "0.35em");
+
+                return node;
             })
-            .on("mouseout", function () {
-                tooltip.transition()
-                    .duration(500)
-                    .style("opacity", 0);
-            })
-            .on("click", (event, data) => {
-                this.emit('dependencyClick', { event, data });
-                event.stopPropagation();
-            });
-
-        // Create nodes
-        const nodeGroup = g.append("g")
-            .attr("class", "nodes");
-
-        this.nodeElements = nodeGroup.selectAll(".node")
-            .data(nodes)
-            .enter().append("g")
             .attr("class", d => {
                 const classes = ["node"];
+                if (d.isGroupNode) classes.push("group-node");
                 if (!d.knownUsage) classes.push("unknown-usage");
 
                 // Add selection class if node is selected
@@ -309,16 +562,14 @@ export class SystemVisualizer extends UIComponent {
             .attr("data-system-id", d => d.id)
             .attr("data-groups", d => this.getNodeGroups(d).join(","));
 
-        if (!this.dragDisabled) {
-            this.nodeElements.call(this.simulationManager.createDragBehavior())
-        }
-
-        // Circles for the systems
-        const radius = 30;
-        this.nodeElements.append("circle")
-            .attr("r", radius)
-            .attr("fill", d => this.colorScale(d.category))
+        // Selecting the children passes the new data on to them
+        this.nodeElements.select("circle:not(.impact-ring)")
+            .attr("r", d => this.getNodeRadius(d))
+            // Inline radius, so collapsed groups keep their size on hover
+            .style("r", d => d.isGroupNode ? `${this.getNodeRadius(d)}px` : null)
+            .attr("fill", d => this.getNodeFill(d))
             .attr("stroke", d => {
+                if (d.isGroupNode) return d3.rgb(this.groupColorScale(d.name)).darker();
                 const nodeGroups = this.getNodeGroups(d);
                 if (nodeGroups.length > 0) {
                     // For multiple groups, create a multi-color stroke (could be dashed)
@@ -329,235 +580,482 @@ export class SystemVisualizer extends UIComponent {
                 return "#fff"; // Default without group
             })
             .attr("stroke-width", d => this.getNodeGroups(d).length > 0 ? 3 : 2)
-            .attr("stroke-dasharray", d => this.getNodeGroups(d).length > 1 ? "5,3" : null)
-            .on("mouseover", function (event, d) {
-                if (that.dragDisabled) return;
-                tooltip.transition()
-                    .duration(200)
-                    .style("opacity", .9);
-                tooltip.html(`
-                    <strong>${d.name}</strong><br>
-                    ${d.description}<br>
-                    ${d.group ? '<span class="badge bg-info">Group: ' + d.group + '</span>' : ''}
-                `);
-
-                // Temporarily make visible to measure width and height
-                tooltip.style("opacity", 0).style("display", "block");
-                const tooltipNode = tooltip.node();
-                const tooltipWidth = tooltipNode.offsetWidth;
-                tooltip.style("display", null); // reset
-
-                // Determine height of the circle (SVG circle has r=30)
-                const circleRadius = radius;
-                // Optionally: If the circle radius is dynamic, you could get it like this:
-                // const circleRadius = d3.select(this).attr("r");
-
-                tooltip
-                    .style("left", (event.pageX - tooltipWidth / 2) + "px")
-                    .style("top", (event.pageY + Number(circleRadius) + 8) + "px") // 8px below the circle
-                    .transition()
-                    .duration(200)
-                    .style("opacity", .9);
-            })
-            .on("mouseout", function () {
-                tooltip.transition()
-                    .duration(500)
-                    .style("opacity", 0);
-            })
-            .on("click", (event, d) => {
-                // Neue Multi-Select Logik
-                this.handleNodeClick(event, d);
-            });
-
-        // Text labels
-        this.nodeElements.append("text")
-            .attr("dy", -40)
-            .attr("text-anchor", "middle")
-            .text(d => d.name)
-            .attr("fill", "#333")
-            .style("user-select", "none")
-            .style("pointer-events", "none");
+            .attr("stroke-dasharray", d => this.getNodeGroups(d).length > 1 ? "5,3" : null);
+        this.nodeElements.select("text")
+            .attr("dy", d => -(this.getNodeRadius(d) + 10))
+            .text(d => d.name);
+        this.nodeElements.select(".group-node-count")
+            .text(d => d.members.length);
 
         // Add group labels
-        this.groupLabels = g.append("g")
-            .attr("class", "group-labels")
+        this.groupLabels = g.select(".group-labels")
             .selectAll(".group-label")
-            .data(Object.entries(groups).filter(([name]) => name !== "ungrouped"))
-            .enter().append("text")
-            .attr("class", "group-label")
-            .attr("text-anchor", "middle")
-            .style("font-size", "16px")
-            .style("font-weight", "bold")
-            .style("fill", d => d3.rgb(this.groupColorScale(d[0])).darker(2))
-            .style("user-select", "none")
-            .style("pointer-events", "none")
-            .text(d => {
-                // Display for merged groups
-                if (d[1].allGroups && d[1].allGroups.length > 1) {
-                    return `${d[0]} (+${d[1].allGroups.length - 1})`;
-                }
-                return d[0];
-            });
+            .data(groupEntries, d => d[0])
+            .join(enter => enter.append("text")
+                .attr("class", "group-label")
+                .attr("text-anchor", "middle")
+                .style("font-size", "16px")
+                .style("font-weight", "bold")
+                .style("fill", d => d3.rgb(this.groupColorScale(d[0])).darker(2))
+                .style("user-select", "none")
+                .on("dblclick", (event, d) => {
+                    event.stopPropagation();
+                    this.collapseGroup(d[0]);
+                }))
+            .text(d => this.getGroupLabelText(d));
         this.groupLabels.append("title") // Tooltip for details
             .text(d => {
                 if (d[1].allGroups && d[1].allGroups.length > 1) {
-                    return `Merged groups:\n${d[1].allGroups.join('\n')}`;
+                    return `Merged groups:\n${d[1].allGroups.join('\n')}\n\nDouble-click to collapse`;
                 }
-                return d[0];
+                return `${d[0]}\n\nDouble-click to collapse`;
             });
 
-        const defs = g.select("defs");
-        nodes.forEach(d => {
-            const nodeGroups = this.getNodeGroups(d);
-            if (nodeGroups.length > 1) {
-                const gradient = defs.append("linearGradient")
-                    .attr("id", "multigroup-gradient-" + d.id)
-                    .attr("x1", "0%")
-                    .attr("y1", "0%")
-                    .attr("x2", "100%")
-                    .attr("y2", "100%");
-
-                // Add color stops for each group
-                nodeGroups.forEach((group, i) => {
-                    gradient.append("stop")
-                        .attr("offset", (i / (nodeGroups.length - 1) * 100) + "%")
-                        .attr("stop-color", this.groupColorScale(group));
-                });
-            }
-        });
+        this.updateImpactHighlight();
+        this.updateHighlights();
+        this.updateNodeMetric();
+        this.updateRuleViolations();
+    }
 
-        // Start simulation
-        this.simulationManager.initialize(nodes, links, groups);
+    /**
+     * Shows the tooltip centered below the mouse pointer
+     * @param {Event} event - The mouse event
+     * @param {string} html - The tooltip content
+     * @param {number} [offset=16] - Distance between the pointer and the tooltip
+     */
+    showTooltip(event, html, offset = 16) {
+        const tooltip = this.tooltip;
+        tooltip.html(html);
+
+        // Temporarily make visible to measure width
+        tooltip.interrupt().style("opacity", 0).style("display", "block");
+        const tooltipWidth = tooltip.node().offsetWidth;
+        tooltip.style("display", null); // reset
+
+        tooltip
+            .style("left", (event.pageX - tooltipWidth / 2) + "px")
+            .style("top", (event.pageY + offset) + "px")
+            .transition()
+            .duration(200)
+            .style("opacity", .9);
+    }
+
+    /**
+     * Fades out the tooltip
+     */
+    hideTooltip() {
+        this.tooltip.transition()
+            .duration(500)
+            .style("opacity", 0);
+    }
+
+    /**
+     * Returns the tooltip content of a node
+     * @param {Object} d - The node data
+     * @returns {string} HTML
+     */
+    getNodeTooltip(d) {
+        if (d.isGroupNode) {
+            return `
+                <strong>${d.name}</strong><br>
+                ${d.members.length} ${d.members.length === 1 ? 'system' : 'systems'}<br>
+                <em>Double-click to expand</em>
+            `;
+        }
+        return `
+            <strong>${d.name}</strong><br>
+            ${d.description}<br>
+            ${d.group ? '<span class="badge bg-info">Group: ' + d.group + '</span>' : ''}
+            ${this.getRuleViolationTooltip(this.ruleViolations.systems.get(d.id))}
+        `;
+    }
+
+    /**
+     * Returns the tooltip content of a link
+     * @param {Object} d - The link data with resolved source and target nodes
+     * @returns {string} HTML
+     */
+    getLinkTooltip(d) {
+        const name = end => end && typeof end === 'object' ? end.name : 'Unknown';
+        if (d.isAggregate) {
+            const count = d.dependencyIds.length;
+            return `
+                <strong>${name(d.source)} → ${name(d.target)}</strong><br>
+                ${count} ${this.getDependencyTypeStyle(d.type).label} ${count === 1 ? 'connection' : 'connections'}
+            `;
+        }
+        return `
+            <strong>${name(d.source)} → ${name(d.target)}</strong><br>
+            ${d.description || 'No description'}<br>
+            <em>Protocol: ${d.protocol || 'Not specified'}</em>
+            ${this.getRuleViolationTooltip(this.ruleViolations.dependencies.get(d.id))}
+        `;
     }
 
     /**
     * Returns filtered links based on the filtered nodes
+    * Dependencies of members of collapsed groups are routed to the group node (see aggregateGroupLinks).
+    * @param {Array<Object>} nodes - The filtered systems
+    * @param {Map<string, string>} [memberOf] - Group node IDs by member system ID
     */
-    getFilteredLinks(nodes) {
+    getFilteredLinks(nodes, memberOf = new Map()) {
         const nodeIds = nodes.map(node => node.id);
 
         // Initialize link counters
         const linkCounts = {};
 
         // First filter the links
-        const filteredLinks = this.data.dependencies.filter(dep => {
+        let filteredLinks = this.data.dependencies.filter(dep => {
             return nodeIds.includes(dep.source) && nodeIds.includes(dep.target);
         });
+        if (memberOf.size > 0) {
+            filteredLinks = this.aggregateGroupLinks(filteredLinks, memberOf);
+        }
 
-        // Count and index links
+        // Count links per direction
         filteredLinks.forEach(dep => {
             const key = `${dep.source}-${dep.target}`;
-            const reverseKey = `${dep.target}-${dep.source}`;
+            linkCounts[key] = (linkCounts[key] || 0) + 1;
+        });
+
+        // Return copies with index and total number of the parallel links in this direction,
+        // so parallel connections (e.g. "data" and "auth") are drawn as separate arcs
+        const linkIndices = {};
+        return filteredLinks.map(dep => {
+            const key = `${dep.source}-${dep.target}`;
+            linkIndices[key] = (linkIndices[key] || 0) + 1;
+            return {
+                ...dep,
+                linkIndex: linkIndices[key] - 1, // 0-based index
+                totalLinks: linkCounts[key]
+            };
+        });
+    }
 
-            // Initialize counter for this direction
-            if (!linkCounts[key]) {
-                linkCounts[key] = 0;
+    /**
+     * Routes dependencies of collapsed group members to the group node
+     * Rerouted dependencies are aggregated into one link per direction and type, which lists the
+     * IDs of the aggregated dependencies in `dependencyIds`. Dependencies within a group are dropped.
+     * @param {Array<Object>} dependencies - The filtered dependencies
+     * @param {Map<string, string>} memberOf - Group node IDs by member system ID
+     * @returns {Array<Object>} Unchanged dependencies and aggregated links
+     */
+    aggregateGroupLinks(dependencies, memberOf) {
+        const aggregates = new Map();
+        const links = [];
+
+        dependencies.forEach(dep => {
+            const source = memberOf.get(dep.source) || dep.source;
+            const target = memberOf.get(dep.target) || dep.target;
+            if (source === dep.source && target === dep.target) {
+                links.push(dep);
+                return;
             }
+            if (source === target) return;
 
-            // Increment counter and assign to link
-            linkCounts[key]++;
-            dep.linkIndex = linkCounts[key] - 1; // 0-based index
+            const key = `${source}\n${target}\n${dep.type}`;
+            if (!aggregates.has(key)) {
+                const link = { id: `${source}->${target}:${dep.type}`, source, target, type: dep.type, isAggregate: true, dependencyIds: [] };
+                aggregates.set(key, link);
+                links.push(link);
+            }
+            aggregates.get(key).dependencyIds.push(dep.id);
+        });
+
+        return links;
+    }
 
-            // Store total number of links in this direction
-            dep.totalLinks = filteredLinks.filter(d =>
-                (d.source === dep.source && d.target === dep.target)
-            ).length;
+    /**
+     * Replaces the members of collapsed groups by one node per group
+     * A system in several collapsed groups joins the first of them. New group nodes start at the
+     * center of their members' last positions.
+     * @param {Array<Object>} systems - The filtered systems
+     * @returns {Object} { nodes, memberOf }: the nodes to draw and the group node IDs by member system ID
+     */
+    collapseGroupNodes(systems) {
+        const memberOf = new Map();
+        if (this.collapsedGroups.size === 0) return { nodes: systems, memberOf };
+
+        const groupNodes = new Map();
+        const nodes = [];
+        systems.forEach(system => {
+            // The outermost collapsed group wins, so collapsing a parent group also hides its subgroups
+            const group = expandGroupPaths(this.getNodeGroups(system)).find(name => this.collapsedGroups.has(name));
+            if (group === undefined) {
+                nodes.push(system);
+                return;
+            }
+
+            const id = GROUP_NODE_PREFIX + group;
+            if (!groupNodes.has(id)) {
+                // A collapsed subgroup stays within the hull of its parent group
+                const parent = getParentGroup(group);
+                const node = { id, name: group, groups: parent === null ? [] : [parent], isGroupNode: true, knownUsage: true, members: [] };
+                groupNodes.set(id, node);
+                nodes.push(node);
+            }
+            groupNodes.get(id).members.push(system.id);
+            memberOf.set(system.id, id);
         });
 
-        // Return links with additional information
-        return filteredLinks.map(dep => ({
-            source: dep.source,
-            target: dep.target,
-            linkIndex: dep.linkIndex,
-            totalLinks: dep.totalLinks,
-            ...dep
-        }));
+        groupNodes.forEach(node => {
+            if (this.nodeCache.has(node.id)) return;
+            const positions = node.members.map(id => this.nodeCache.get(id)).filter(position => position);
+            if (positions.length > 0) {
+                node.x = d3.mean(positions, position => position.x);
+                node.y = d3.mean(positions, position => position.y);
+            }
+        });
+
+        return { nodes, memberOf };
+    }
+
+    /**
+     * Returns the IDs of the systems a node stands for
+     * @param {Object} node - The node data
+     * @returns {Array<string>} The members of a collapsed group, otherwise the system itself
+     */
+    getNodeSystemIds(node) {
+        return node.isGroupNode ? node.members : [node.id];
+    }
+
+    /**
+     * Returns the IDs of the dependencies a link stands for
+     * @param {Object} link - The link data
+     * @returns {Array<string>} The aggregated dependencies, otherwise the dependency itself
+     */
+    getLinkDependencyIds(link) {
+        return link.isAggregate ? link.dependencyIds : [link.id];
+    }
+
+    /**
+     * Returns the collapsed groups
+     * @returns {Array<string>} The group names
+     */
+    getCollapsedGroups() {
+        return Array.from(this.collapsedGroups);
+    }
+
+    /**
+     * Sets the collapsed groups and updates the graph
+     * The collapsed groups are stored per workspace.
+     * @param {Array<string>} groups - The group names
+     */
+    setCollapsedGroups(groups) {
+        this.collapsedGroups = new Set(groups);
+        localStorage.setItem(this.collapsedGroupsStorageKey, JSON.stringify(this.getCollapsedGroups()));
+        this.emit('collapsedGroupsChanged', this.getCollapsedGroups());
+        this.updateVisualization();
+    }
+
+    /**
+     * Draws a group as a single node
+     * @param {string} group - The group name
+     */
+    collapseGroup(group) {
+        this.setCollapsedGroups([...this.collapsedGroups, group]);
+    }
+
+    /**
+     * Draws the members of a collapsed group again
+     * @param {string} group - The group name
+     */
+    expandGroup(group) {
+        this.setCollapsedGroups(this.getCollapsedGroups().filter(name => name !== group));
+    }
+
+    /**
+     * Loads the collapsed groups of the active workspace
+     * @returns {Set<string>} The group names
+     */
+    loadCollapsedGroups() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.collapsedGroupsStorageKey));
+            return new Set(Array.isArray(stored) ? stored : []);
+        } catch (e) {
+            console.warn('Error loading collapsed groups:', e);
+            return new Set();
+        }
+    }
+
+    /**
+     * Selects the members of a collapsed group
+     * @param {Object} node - The group node
+     */
+    selectGroupMembers(node) {
+        this.clearSelection(false);
+        node.members.forEach(id => this.addToSelection(id, false));
+        this.emit('selectionChanged', {
+            selected: Array.from(this.selectedNodes),
+            added: [...node.members],
+            removed: []
+        });
     }
 
     /**
      * Called on every simulation tick
      */
     onSimulationTick() {
+        this.emit('positionsChanged');
+
+        if (this.canvasRenderer) {
+            this.canvasRenderer.requestDraw(true);
+            return;
+        }
+
         if (!this.linkElements || !this.nodeElements || !this.groupHulls || !this.groupLabels) {
             return;
         }
 
         // Update links
-        this.linkElements.attr("d", this.linkArc);
+        this.linkElements.attr("d", d => this.linkArc(d));
 
         // Update nodes
         this.nodeElements.attr("transform", d => `translate(${d.x},${d.y})`);
 
-        // Update group hulls
+        // Update group hulls and their labels
+        const hulls = this.computeGroupHulls(this.groupHulls.data());
         this.groupHulls.attr("d", d => {
-            const groupName = d[0];
-            const simulation = this.simulationManager.simulation;
-
-            // Find all nodes that belong to this group
-            // IMPORTANT DIFFERENCE: Now we check if a node belongs to ANY of the original groups
-            const groupNodes = simulation.nodes().filter(n => {
-                const nodeGroups = this.getNodeGroups(n);
-
-                // Check if the node belongs to any of the original groups
-                // that were mapped to this representative group
-                if (d[1].allGroups) {
-                    // For a merged group, check if the node belongs to any of the original groups
-                    return nodeGroups.some(ng => d[1].allGroups.includes(ng));
-                } else {
-                    // For a single group, check normally
-                    return nodeGroups.includes(groupName);
-                }
-            });
+            const hull = hulls.get(d[0]);
+            return hull ? this.createHullPath(hull.centroid, hull.radius, 24) : ""; // No hull if no nodes
+        });
+        this.groupLabels.attr("transform", d => {
+            const hull = hulls.get(d[0]);
+            return hull ? `translate(${this.getGroupLabelPosition(hull)})` : "translate(0,0)";
+        });
 
-            // If no nodes or only one node, draw a small circle around it
-            if (groupNodes.length === 0) {
-                return ""; // No hull if no nodes
-            }
+        this.updateAllNodeVisualSelections();
+    }
 
-            if (groupNodes.length === 1) {
-                // For only one node: draw a circle around it
-                const node = groupNodes[0];
-                return `M${node.x + 60},${node.y} 
-                    A60,60 0 1,1 ${node.x - 60},${node.y} 
-                    A60,60 0 1,1 ${node.x + 60},${node.y}`;
-            }
+    /**
+     * Returns the active layout
+     * @returns {Object} { mode: 'force'|'layered', direction: 'TB'|'LR', settle: boolean }
+     */
+    getLayout() {
+        return { ...this.layout };
+    }
 
-            // Calculate centroid of the group
-            const points = groupNodes.map(n => [n.x, n.y]);
-            const centroid = this.getCentroid(points);
+    /**
+     * Switches between the force and the layered layout and redraws the graph
+     * The layout is stored per workspace. Switching to the layered layout resets the zoom,
+     * since the layout is centered in the viewport. With `settle`, the force layout is computed
+     * at once instead of being animated (see SimulationManager.settle).
+     * @param {Object} layout - { mode, direction, settle }, missing fields keep their current value
+     */
+    setLayout(layout) {
+        const previous = this.layout;
+        this.layout = { ...this.layout, ...layout };
+        if (!LAYOUT_DIRECTIONS.includes(this.layout.direction)) {
+            this.layout.direction = LAYOUT_DIRECTIONS[0];
+        }
+        localStorage.setItem(this.layoutStorageKey, JSON.stringify(this.layout));
+        this.emit('layoutChanged', this.getLayout());
 
-            // Calculate radius (with extra padding)
-            const maxDist = Math.max(40, this.getMaxDistanceFromCentroid(points, centroid) + 40);
+        this.redraw();
+        const layoutChanged = previous.mode !== this.layout.mode || previous.direction !== this.layout.direction;
+        if (this.svg && this.layout.mode === 'layered' && layoutChanged) {
+            this.resetZoom();
+        }
+    }
 
-            // Draw a circular hull around the group
-            return this.createHullPath(centroid, maxDist, 24);
-        });
+    /**
+     * Loads the layout of the active workspace
+     * @returns {Object} The stored layout or the force layout
+     */
+    loadLayout() {
+        const layout = { mode: 'force', direction: LAYOUT_DIRECTIONS[0], settle: false };
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.layoutStorageKey));
+            if (stored && stored.mode === 'layered') layout.mode = 'layered';
+            if (stored && LAYOUT_DIRECTIONS.includes(stored.direction)) layout.direction = stored.direction;
+            if (stored && stored.settle === true) layout.settle = true;
+        } catch (e) {
+            console.warn('Error loading layout:', e);
+        }
+        return layout;
+    }
 
-        // Update group labels
-        this.groupLabels.attr("transform", d => {
-            const groupName = d[0];
-            const simulation = this.simulationManager.simulation;
+    /**
+     * Redraws the graph from scratch, e.g. after the layout changed (see updateVisualization for data changes)
+     */
+    redraw() {
+        if (!this.svg) return;
+        this.simulationManager.destroy();
+        this.destroyCanvasRenderer();
+        this.svg.remove();
+        this.createVisualization();
+        this.setupZoom();
+    }
 
-            // Use the same filter logic as for the hulls
-            const groupNodes = simulation.nodes().filter(n => {
-                const nodeGroups = this.getNodeGroups(n);
+    /**
+     * Redraws the canvas if the graph is drawn on a canvas
+     * @returns {boolean} True if the canvas renderer is active, the SVG elements need no update then
+     */
+    requestCanvasDraw() {
+        if (!this.canvasRenderer) return false;
+        this.canvasRenderer.requestDraw();
+        return true;
+    }
 
-                if (d[1].allGroups) {
-                    return nodeGroups.some(ng => d[1].allGroups.includes(ng));
-                } else {
-                    return nodeGroups.includes(groupName);
-                }
-            });
+    /**
+     * Removes the canvas of the canvas renderer, if active
+     */
+    destroyCanvasRenderer() {
+        if (!this.canvasRenderer) return;
+        this.canvasRenderer.destroy();
+        this.canvasRenderer = null;
+    }
+
+    /**
+     * Finds the node at a screen position, for both the SVG and the canvas renderer
+     * @param {number} clientX - X in client coordinates
+     * @param {number} clientY - Y in client coordinates
+     * @returns {Object|null} The node data
+     */
+    findNodeAtPoint(clientX, clientY) {
+        if (!this.svg) return null;
 
-            if (groupNodes.length === 0) return "translate(0,0)";
+        if (this.canvasRenderer) {
+            const rect = this.svg.node().getBoundingClientRect();
+            const [x, y] = d3.zoomTransform(this.svg.node()).invert([clientX - rect.left, clientY - rect.top]);
+            return this.canvasRenderer.findNodeAt(x, y);
+        }
 
-            const points = groupNodes.map(n => [n.x, n.y]);
-            const centroid = this.getCentroid(points);
+        const element = document.elementFromPoint(clientX, clientY);
+        const nodeElement = element ? element.closest('.node') : null;
+        return nodeElement ? d3.select(nodeElement).datum() : null;
+    }
 
-            return `translate(${centroid[0]},${centroid[1] - 60})`;
-        });
+    /**
+     * Returns the drawn groups
+     * @returns {Array<Array>} Entries of identifyGroups ([name, group]), parent groups first
+     */
+    getGroupEntries() {
+        return this.groupEntries || [];
+    }
 
-        this.updateAllNodeVisualSelections();
+    /**
+     * Returns the zoom transform of the viewport
+     * @returns {Object} The d3 zoom transform, the identity before the SVG exists
+     */
+    getViewportTransform() {
+        return this.svg ? d3.zoomTransform(this.svg.node()) : d3.zoomIdentity;
+    }
+
+    /**
+     * Moves the viewport so a point of the graph is in its center, keeping the zoom level
+     * @param {number} x - X in graph coordinates
+     * @param {number} y - Y in graph coordinates
+     * @param {number} [duration=0] - Duration of the transition in milliseconds, 0 moves at once
+     */
+    panTo(x, y, duration = 0) {
+        if (!this.svg || !this.zoom) return;
+        this.svg.interrupt();
+        if (duration > 0) {
+            this.svg.transition().duration(duration).call(this.zoom.translateTo, x, y);
+        } else {
+            this.svg.call(this.zoom.translateTo, x, y);
+        }
     }
 
     resetZoom() {
@@ -575,8 +1073,15 @@ export class SystemVisualizer extends UIComponent {
             .scaleExtent([0.1, 4])
             .on("zoom", (event) => {
                 this.svg.select("g").attr("transform", event.transform);
+                this.requestCanvasDraw();
+                this.emit('viewportChanged', event.transform);
             });
 
+        // On the canvas, pressing on a node drags it instead of panning
+        if (this.canvasRenderer) {
+            this.zoom.filter(event => this.canvasRenderer.allowsZoom(event));
+        }
+
         this.svg.call(this.zoom);
 
         // Save viewport state after zoom or pan
@@ -589,11 +1094,24 @@ export class SystemVisualizer extends UIComponent {
     }
 
     /**
-     * Optimized linkArc function with adjusted distribution for even number of links
+     * Returns the SVG path of a link
+     * @param {Object} d - The link data with resolved source and target nodes
+     * @returns {string} A quadratic Bézier curve (see getLinkArc)
      */
     linkArc(d) {
-        // Node radius
-        const nodeRadius = 32;
+        const arc = this.getLinkArc(d);
+        return `M${arc.startX},${arc.startY}Q${arc.ctrlX},${arc.ctrlY} ${arc.endX},${arc.endY}`;
+    }
+
+    /**
+     * Optimized link arc calculation with adjusted distribution for even number of links
+     * @param {Object} d - The link data with resolved source and target nodes
+     * @returns {Object} Start, control and end point of the curve ({ startX, startY, ctrlX, ctrlY, endX, endY })
+     */
+    getLinkArc(d) {
+        // Node radii plus the stroke
+        const sourceRadius = this.getNodeRadius(d.source) + 2;
+        const targetRadius = this.getNodeRadius(d.target) + 2;
 
         // Extract source and target coordinates
         const sourceX = d.source.x;
@@ -632,13 +1150,13 @@ export class SystemVisualizer extends UIComponent {
 
         // Start point on the source node
         const startAngle = baseAngle + angleOffset;
-        const startX = sourceX + Math.cos(startAngle) * nodeRadius;
-        const startY = sourceY + Math.sin(startAngle) * nodeRadius;
+        const startX = sourceX + Math.cos(startAngle) * sourceRadius;
+        const startY = sourceY + Math.sin(startAngle) * sourceRadius;
 
         // End point on the target node with mirrored angle offset
         const endAngle = baseAngle + Math.PI - angleOffset;
-        const endX = targetX + Math.cos(endAngle) * nodeRadius;
-        const endY = targetY + Math.sin(endAngle) * nodeRadius;
+        const endX = targetX + Math.cos(endAngle) * targetRadius;
+        const endY = targetY + Math.sin(endAngle) * targetRadius;
 
         // Minimal angle offset for curvature (even for single links)
         // Single links get a slight curve instead of a straight line
@@ -671,12 +1189,91 @@ export class SystemVisualizer extends UIComponent {
         const ctrlY = midY + perpY * ctrlFactor;
 
         // Quadratic Bézier curve
-        return `M${startX},${startY}Q${ctrlX},${ctrlY} ${endX},${endY}`;
+        return { startX, startY, ctrlX, ctrlY, endX, endY };
+    }
+
+    /**
+     * Calculates the circular hulls of the groups for the current node positions
+     * Groups are processed from the innermost to the outermost, so parent groups can enclose
+     * the hulls of their subgroups.
+     * @param {Array<Array>} groups - Entries of identifyGroups ([name, group])
+     * @returns {Map<string, Object>} { centroid, radius, hasSubgroups } by group name, groups without nodes are missing
+     */
+    computeGroupHulls(groups) {
+        const nodes = this.simulationManager.simulation.nodes();
+        const memberships = nodes.map(node => expandGroupPaths(this.getNodeGroups(node)));
+        const subgroupHulls = new Map();
+        const hulls = new Map();
+
+        [...groups].sort((a, b) => getGroupDepth(b[0]) - getGroupDepth(a[0])).forEach(([name, group]) => {
+            // A merged group contains the nodes of any of its original groups
+            const names = group.allGroups || [name];
+            const groupNodes = nodes.filter((node, index) => memberships[index].some(g => names.includes(g)));
+            if (groupNodes.length === 0) return;
+
+            let centroid;
+            let radius;
+            if (groupNodes.length === 1) {
+                // For only one node: draw a circle around it
+                centroid = [groupNodes[0].x, groupNodes[0].y];
+                radius = 60;
+            } else {
+                // Centroid of the group with a radius including some padding
+                const points = groupNodes.map(n => [n.x, n.y]);
+                centroid = this.getCentroid(points);
+                radius = Math.max(40, this.getMaxDistanceFromCentroid(points, centroid) + 40);
+            }
+
+            // Enclose the hulls of the subgroups
+            const subgroups = subgroupHulls.get(name) || [];
+            subgroups.forEach(hull => {
+                const distance = Math.hypot(hull.centroid[0] - centroid[0], hull.centroid[1] - centroid[1]);
+                radius = Math.max(radius, distance + hull.radius + 15);
+            });
+
+            const hull = { centroid, radius, hasSubgroups: subgroups.length > 0 };
+            hulls.set(name, hull);
+
+            const parent = this.groupParents[name];
+            if (parent) {
+                if (!subgroupHulls.has(parent)) subgroupHulls.set(parent, []);
+                subgroupHulls.get(parent).push(hull);
+            }
+        });
+
+        return hulls;
+    }
+
+    /**
+     * Returns the label text of a group
+     * Nested groups show only their last path segment, the full path is in the tooltip.
+     * @param {Array} entry - Entry of identifyGroups ([name, group])
+     * @returns {string} The label, with the number of further merged groups
+     */
+    getGroupLabelText([name, group]) {
+        // Display for merged groups
+        if (group.allGroups && group.allGroups.length > 1) {
+            return `${getGroupLabel(name)} (+${group.allGroups.length - 1})`;
+        }
+        return getGroupLabel(name);
+    }
+
+    /**
+     * Returns the position of a group label
+     * Labels of groups with subgroups go to the top of the hull, so they do not cover the subgroup labels.
+     * @param {Object} hull - Hull of computeGroupHulls
+     * @returns {Array<number>} [x, y]
+     */
+    getGroupLabelPosition(hull) {
+        const offset = hull.hasSubgroups ? hull.radius - 20 : 60;
+        return [hull.centroid[0], hull.centroid[1] - offset];
     }
 
     /**
      * Identifies all groups and prepares them for d3.js
      * Optimized to merge groups with identical nodes
+     * Nodes of nested groups also belong to the parent groups, whose initial positions
+     * enclose the positions of their subgroups.
      */
     identifyGroups(nodes) {
         // Step 1: Create initial grouping
@@ -685,7 +1282,7 @@ export class SystemVisualizer extends UIComponent {
 
         // Data structure: group -> associated nodes
         nodes.forEach(node => {
-            const nodeGroups = this.getNodeGroups(node);
+            const nodeGroups = expandGroupPaths(this.getNodeGroups(node));
 
             if (nodeGroups.length > 0) {
                 nodeGroups.forEach(groupName => {
@@ -721,7 +1318,8 @@ export class SystemVisualizer extends UIComponent {
             if (groupName === UNGROUPED_GROUP_NAME) return;
 
             // Create a unique signature based on node IDs
-            const signature = Array.from(groupData.nodeIds).sort().join(',');
+            // Groups of different depth are never merged, so a parent with a single subgroup keeps its own hull
+            const signature = Array.from(groupData.nodeIds).sort().join(',') + '|' + getGroupDepth(groupName);
 
             if (!groupSignatures[signature]) {
                 groupSignatures[signature] = [];
@@ -765,16 +1363,38 @@ export class SystemVisualizer extends UIComponent {
             }
         });
 
-        // Step 4: Calculate initial positions
-        Object.entries(finalGroupMap).forEach(([groupName, group], index) => {
-            // Distribute positions evenly around the center
-            const angle = (index / Object.keys(finalGroupMap).length) * 2 * Math.PI;
-            const radius = Math.min(this.width, this.height) * 0.4;
+        // Step 4: Find the parent of each group (the representative of the nearest existing parent group)
+        this.groupParents = {};
+        const childGroups = {};
+        const topLevelGroups = [];
+        Object.keys(finalGroupMap).forEach(groupName => {
+            let parent = groupName === UNGROUPED_GROUP_NAME ? null : getParentGroup(groupName);
+            while (parent !== null && !this.groupMap[parent]) {
+                parent = getParentGroup(parent);
+            }
 
-            group.x = this.width / 2 + radius * Math.cos(angle);
-            group.y = this.height / 2 + radius * Math.sin(angle);
+            if (parent === null) {
+                topLevelGroups.push(groupName);
+            } else {
+                this.groupParents[groupName] = this.groupMap[parent];
+                (childGroups[this.groupMap[parent]] = childGroups[this.groupMap[parent]] || []).push(groupName);
+            }
         });
 
+        // Step 5: Calculate initial positions
+        // Distribute top-level groups evenly around the center and subgroups around their parent
+        const placeGroups = (groupNames, center, radius) => {
+            groupNames.forEach((groupName, index) => {
+                const angle = (index / groupNames.length) * 2 * Math.PI;
+                const group = finalGroupMap[groupName];
+
+                group.x = center.x + radius * Math.cos(angle);
+                group.y = center.y + radius * Math.sin(angle);
+                placeGroups(childGroups[groupName] || [], group, radius * 0.4);
+            });
+        };
+        placeGroups(topLevelGroups, { x: this.width / 2, y: this.height / 2 }, Math.min(this.width, this.height) * 0.4);
+
         return finalGroupMap;
     }
 
@@ -875,17 +1495,101 @@ export class SystemVisualizer extends UIComponent {
     }
 
     /**
-     * Helper function to determine the Bootstrap color for categories
+     * Rebuilds the category color scale from the current category definitions
      */
-    getCategoryClass(category) {
-        switch (category) {
-            case 'core': return 'primary';
-            case 'legacy': return 'secondary';
-            case 'data': return 'success';
-            case 'service': return 'warning';
-            case 'external': return 'danger';
-            default: return 'info';
-        }
+    updateCategoryScale() {
+        const categories = this.dataManager.getCategories();
+        this.colorScale = d3.scaleOrdinal()
+            .domain(categories.map(category => category.id))
+            .range(categories.map(category => category.color))
+            .unknown(UNCATEGORIZED.color);
+    }
+
+    /**
+     * Enables filters for categories that were added to the taxonomy since the last update
+     * and drops filters for categories that no longer exist
+     */
+    syncCategoryFilters() {
+        const currentIds = [...this.dataManager.getCategories().map(category => category.id), UNCATEGORIZED.id];
+        const addedIds = currentIds.filter(id => !this.categoryIds.includes(id));
+
+        this.activeFilters.categories = [
+            ...this.activeFilters.categories.filter(id => currentIds.includes(id)),
+            ...addedIds
+        ];
+        this.categoryIds = currentIds;
+    }
+
+    /**
+     * Enables filters for groups that were added since the last update
+     * and drops filters for groups that no longer exist
+     */
+    syncGroupFilters() {
+        const currentIds = [...this.dataManager.getAllGroups(), UNGROUPED_FILTER_ID];
+        const addedIds = currentIds.filter(id => !this.groupIds.includes(id));
+
+        this.activeFilters.groups = [
+            ...this.activeFilters.groups.filter(id => currentIds.includes(id)),
+            ...addedIds
+        ];
+        this.groupIds = currentIds;
+    }
+
+    /**
+     * Maps a system category onto a defined category ID
+     * @param {string} category - The category of a system
+     * @returns {string} The category ID or the ID of the uncategorized bucket
+     */
+    resolveCategoryId(category) {
+        return this.dataManager.getCategory(category) ? category : UNCATEGORIZED.id;
+    }
+
+    /**
+     * Returns the color of a category
+     * @param {string} category - The category of a system
+     * @returns {string} The color as hex string
+     */
+    getCategoryColor(category) {
+        return this.colorScale(category);
+    }
+
+    /**
+     * Returns the display label of a category
+     * @param {string} category - The category of a system
+     * @returns {string} The label or the raw category if it is not defined
+     */
+    getCategoryLabel(category) {
+        const definition = this.dataManager.getCategory(category);
+        return definition ? definition.label : (category || UNCATEGORIZED.label);
+    }
+
+    /**
+     * Returns inline styles for a category badge
+     * @param {string} category - The category of a system
+     * @returns {string} CSS declarations for background and text color
+     */
+    getCategoryBadgeStyle(category) {
+        const color = this.getCategoryColor(category);
+        return `background-color: ${color}; color: ${getContrastColor(color)};`;
+    }
+
+    /**
+     * Returns the style definition of a dependency type
+     * @param {string} type - The type of a dependency
+     * @returns {Object} The type definition or the fallback for undefined types
+     */
+    getDependencyTypeStyle(type) {
+        return this.dataManager.getDependencyType(type) || UNKNOWN_DEPENDENCY_TYPE;
+    }
+
+    /**
+     * Returns the marker reference for the arrowhead of a dependency type
+     * @param {string} type - The type of a dependency
+     * @returns {string|null} The marker URL or null if the type has no arrowhead
+     */
+    getDependencyMarker(type) {
+        const style = this.getDependencyTypeStyle(type);
+        return style.arrow === 'none' ? null : `url(#arrowhead-${toDomId(style.id)})`;
     }
 
     /**
@@ -907,6 +1611,12 @@ export class SystemVisualizer extends UIComponent {
             if (this.simulationManager) {
                 this.simulationManager.updateSize(this.width, this.height);
             }
+
+            if (this.canvasRenderer) {
+                this.canvasRenderer.resize(this.width, this.height);
+            }
+
+            this.emit('viewportChanged', this.getViewportTransform());
         }
     }
 
@@ -933,15 +1643,12 @@ export class SystemVisualizer extends UIComponent {
             });
         }
 
-        if (this.svg) {
-            this.svg.remove();
-            this.createVisualization();
-            this.setupZoom();
-        }
+        this.updateVisualization();
     }
 
     /**
      * Sets up keyboard shortcuts for multi-selection
+     * The listener is registered on the document, so this is only called once.
      */
     setupKeyboardShortcuts() {
         document.addEventListener('keydown', (event) => {
@@ -958,6 +1665,9 @@ export class SystemVisualizer extends UIComponent {
                     if (this.getSelectionCount() > 0) {
                         event.preventDefault();
                         this.clearSelection();
+                    } else if (this.focus) {
+                        event.preventDefault();
+                        this.setFocus(null);
                     }
                     break;
 
@@ -970,26 +1680,30 @@ export class SystemVisualizer extends UIComponent {
                     break;
             }
         });
-
-        // Handle clicks on empty space to clear selection
-        if (this.svg) {
-            this.svg.on('click', (event) => {
-                // Only clear if clicked on SVG background, not on nodes/links
-                if (event.target === event.currentTarget ||
-                    event.target.tagName === 'svg') {
-                    this.clearSelection();
-                }
-            });
-        }
     }
 
     /**
      * Returns filtered nodes
+     * In 'hide' mode the focus (see setFocus) filters out all systems outside its neighborhood.
      */
     getFilteredNodes() {
+        const neighborhood = this.focus && this.focus.mode === 'hide' ? this.getFocusNeighborhood() : null;
+
         return this.data.systems.filter(system => {
-            // Category filter
-            if (!this.activeFilters.categories.includes(system.category)) {
+            // Focus filter
+            if (neighborhood && !neighborhood.distances.has(system.id)) {
+                return false;
+            }
+
+            // Category filter (undefined categories are filtered as one bucket)
+            if (!this.activeFilters.categories.includes(this.resolveCategoryId(system.category))) {
+                return false;
+            }
+
+            // Group filter (a system passes if any of its own groups is enabled)
+            const systemGroups = this.getNodeGroups(system);
+            const groupIds = systemGroups.length > 0 ? systemGroups : [UNGROUPED_FILTER_ID];
+            if (!groupIds.some(id => this.activeFilters.groups.includes(id))) {
                 return false;
             }
 
@@ -1006,13 +1720,13 @@ export class SystemVisualizer extends UIComponent {
     /**
      * Saves the current viewport's zoom and pan state to localStorage.
      * The state includes the x and y translation, as well as the zoom scale (k),
-     * and is stored under the key 'system_visualizer_transform'.
+     * and is stored under the key 'system_visualizer_transform' of the active workspace.
      * Requires the presence of an SVG element and d3.zoomTransform.
      */
     saveViewportState() {
         if (this.svg) {
             const currentTransform = d3.zoomTransform(this.svg.node());
-            localStorage.setItem('system_visualizer_transform', JSON.stringify({
+            localStorage.setItem(this.transformStorageKey, JSON.stringify({
                 x: currentTransform.x,
                 y: currentTransform.y,
                 k: currentTransform.k
@@ -1030,7 +1744,7 @@ export class SystemVisualizer extends UIComponent {
      */
     restoreViewportState() {
         try {
-            const storedTransform = localStorage.getItem('system_visualizer_transform');
+            const storedTransform = localStorage.getItem(this.transformStorageKey);
             if (storedTransform && this.svg && this.zoom) {
                 const t = JSON.parse(storedTransform);
                 const transform = d3.zoomIdentity.translate(t.x, t.y).scale(t.k);
@@ -1041,13 +1755,43 @@ export class SystemVisualizer extends UIComponent {
         }
     }
 
+    /**
+     * Attaches a drag behavior to the nodes
+     * The canvas has no node elements, so the drag is attached to the SVG and starts only
+     * when a node is under the pointer. Handlers get the node as `event.subject`.
+     * The behavior is also attached to nodes added later (see updateVisualization).
+     * @param {Object} drag - The d3 drag behavior
+     */
+    attachNodeDrag(drag) {
+        this.nodeDrag = drag;
+        if (this.canvasRenderer) {
+            this.svg.call(drag
+                .container(() => this.svg.select("g").node())
+                .subject(event => this.canvasRenderer.findNodeAt(event.x, event.y)));
+        } else if (this.nodeElements) {
+            // Resets container and subject, in case the behavior was attached to the canvas before
+            this.nodeElements.call(drag
+                .container(function () { return this.parentNode; })
+                .subject((event, d) => d));
+        }
+    }
+
+    /**
+     * Removes the drag behavior from the nodes
+     */
+    detachNodeDrag() {
+        this.nodeDrag = null;
+        const target = this.canvasRenderer ? this.svg : this.nodeElements;
+        if (target) {
+            target.on('.drag', null);
+        }
+    }
+
     /**
      * Disables the drag functionality for nodes
      */
     disableDrag() {
-        if (this.nodeElements) {
-            this.nodeElements.on('.drag', null);
-        }
+        this.detachNodeDrag();
         this.dragDisabled = true;
     }
 
@@ -1055,8 +1799,8 @@ export class SystemVisualizer extends UIComponent {
      * Enables the drag functionality for nodes again
      */
     enableDrag() {
-        if (this.nodeElements && this.simulationManager) {
-            this.nodeElements.call(this.simulationManager.createDragBehavior());
+        if (this.simulationManager) {
+            this.attachNodeDrag(this.simulationManager.createDragBehavior());
         }
         this.dragDisabled = false;
     }
@@ -1176,7 +1920,7 @@ export class SystemVisualizer extends UIComponent {
      * @param {boolean} isSelected - Whether the node should appear selected
      */
     updateNodeVisualSelection(systemId, isSelected) {
-        if (!this.nodeElements) return;
+        if (this.requestCanvasDraw() || !this.nodeElements) return;
 
         // Find the node element
         const nodeElement = this.nodeElements.filter(d => d.id === systemId);
@@ -1187,7 +1931,7 @@ export class SystemVisualizer extends UIComponent {
         nodeElement.classed('selected', isSelected);
 
         // Optional: Update stroke for better visual feedback
-        nodeElement.select('circle')
+        nodeElement.select('circle:not(.impact-ring)')
             .attr('stroke-width', isSelected ? 4 :
                 (this.getNodeGroups(nodeElement.datum()).length > 0 ? 3 : 2));
     }
@@ -1196,13 +1940,268 @@ export class SystemVisualizer extends UIComponent {
      * Updates visual selection for all nodes (useful after re-rendering)
      */
     updateAllNodeVisualSelections() {
-        if (!this.nodeElements) return;
+        if (this.requestCanvasDraw() || !this.nodeElements) return;
 
         this.nodeElements.each((d) => {
             this.updateNodeVisualSelection(d.id, this.isNodeSelected(d.id));
         });
     }
 
+    /**
+     * Highlights the systems affected by the outage of a system
+     * @param {Object|null} impact - Result of analyzeImpact, null ends the highlighting
+     */
+    setImpactAnalysis(impact) {
+        this.impactAnalysis = impact;
+        this.updateImpactHighlight();
+    }
+
+    /**
+     * Returns the ring color for a depth of the impact analysis
+     * Direct dependents are the darkest, the color fades with increasing depth.
+     * @param {number} depth - The depth (1 = direct dependents)
+     * @returns {string} The color
+     */
+    getImpactDepthColor(depth) {
+        const maxDepth = this.impactAnalysis ? this.impactAnalysis.levels.length : depth;
+        return d3.interpolateOrRd(1 - (depth - 1) / (maxDepth + 1) * 0.7);
+    }
+
+    /**
+     * Applies the impact analysis to the rendered nodes and links
+     * Affected systems get a ring colored by their depth, everything else is dimmed.
+     */
+    updateImpactHighlight() {
+        if (this.requestCanvasDraw() || !this.svg || !this.nodeElements || !this.linkElements) return;
+
+        const impact = this.impactAnalysis;
+        const nodesById = new Map(this.nodeElements.data().map(d => [d.id, d]));
+        const endpoint = end => typeof end === 'object' ? end : nodesById.get(end);
+        // Collapsed groups take the smallest depth of their members
+        const depthOf = d => impact && d ? d3.min(this.getNodeSystemIds(d), id => impact.depths.get(id)) : undefined;
+        const isRoot = d => !!impact && !!d && this.getNodeSystemIds(d).includes(impact.systemId);
+        const isInvolved = d => isRoot(d) || depthOf(d) !== undefined;
+
+        this.svg.classed('impact-mode', !!impact);
+        this.nodeElements.select('.impact-ring').remove();
+        this.nodeElements
+            .classed('impact-root', d => isRoot(d))
+            .classed('impact-affected', d => depthOf(d) !== undefined);
+        this.linkElements
+            .classed('impact-link', d => depthOf(endpoint(d.source)) !== undefined && isInvolved(endpoint(d.target)));
+
+        if (!impact) return;
+
+        this.nodeElements.filter(d => depthOf(d) !== undefined)
+            .insert('circle', ':first-child')
+            .attr('class', 'impact-ring')
+            .attr('r', d => this.getNodeRadius(d) + 8)
+            .attr('stroke', d => this.getImpactDepthColor(depthOf(d)))
+            .append('title')
+            .text(d => `Depth ${depthOf(d)}`);
+    }
+
+    /**
+     * Highlights a part of the graph, e.g. a dependency cycle or the paths between two systems
+     * The highlighted systems and dependencies get the classes `<name>-member` and `<name>-link`,
+     * the optional endpoints `<name>-endpoint`, and the SVG gets `<name>-mode` to dim the rest.
+     * @param {string} name - Name of the highlighting (see this.highlights)
+     * @param {Object|null} subgraph - { systems, dependencies, endpoints } with ID lists, null ends the highlighting
+     */
+    setHighlight(name, subgraph) {
+        this.highlights[name] = subgraph;
+        this.updateHighlights();
+    }
+
+    /**
+     * Narrows the graph to the neighborhood of a system
+     * In 'hide' mode the systems outside the neighborhood are filtered out on top of the active
+     * filters, in 'fade' mode they are dimmed by the `focus` highlighting.
+     * @param {Object|null} focus - { systemId, hops, direction, mode } with the hops and direction of
+     *   findNeighborhood and the mode 'hide' or 'fade', null ends the focus
+     */
+    setFocus(focus) {
+        this.focus = focus ? { hops: 1, direction: 'both', mode: 'hide', ...focus } : null;
+        this.emit('focusChanged', this.getFocus());
+        this.applyFilters();
+    }
+
+    /**
+     * Returns the current focus
+     * @returns {Object|null} A copy of the focus (see setFocus), null without focus
+     */
+    getFocus() {
+        return this.focus ? { ...this.focus } : null;
+    }
+
+    /**
+     * Returns the neighborhood of the focused system in the current data
+     * @returns {Object|null} Result of findNeighborhood, null without focus
+     */
+    getFocusNeighborhood() {
+        if (!this.focus) return null;
+        return findNeighborhood(this.data, this.focus.systemId, this.focus);
+    }
+
+    /**
+     * Applies the highlighted parts of the graph to the rendered nodes and links
+     */
+    updateHighlights() {
+        if (this.requestCanvasDraw() || !this.svg || !this.nodeElements || !this.linkElements) return;
+
+        Object.entries(this.highlights).forEach(([name, subgraph]) => {
+            const systems = new Set(subgraph ? subgraph.systems : []);
+            const dependencies = new Set(subgraph ? subgraph.dependencies : []);
+            const endpoints = new Set(subgraph && subgraph.endpoints ? subgraph.endpoints : []);
+
+            this.svg.classed(`${name}-mode`, !!subgraph);
+            this.nodeElements
+                .classed(`${name}-member`, d => this.getNodeSystemIds(d).some(id => systems.has(id)))
+                .classed(`${name}-endpoint`, d => this.getNodeSystemIds(d).some(id => endpoints.has(id)));
+            this.linkElements.classed(`${name}-link`, d => this.getLinkDependencyIds(d).some(id => dependencies.has(id)));
+        });
+    }
+
+    /**
+     * Maps a metric onto the node radius or fill color
+     * @param {Object|null} metric - { label, values, mode } with `values` a Map from system ID to a number
+     *   and `mode` 'size' or 'color', null restores the default size and category colors
+     */
+    setNodeMetric(metric) {
+        this.nodeMetric = metric;
+        if (metric) {
+            const values = Array.from(metric.values.values());
+            this.nodeMetricRange = { min: d3.min(values) ?? 0, max: d3.max(values) ?? 0 };
+        }
+        this.updateNodeMetric();
+    }
+
+    /**
+     * Returns the position of a system's metric value between the smallest and largest value
+     * @param {string} systemId - The ID of the system
+     * @returns {number} 0 to 1, 0 if all values are equal
+     */
+    getNodeMetricShare(systemId) {
+        const { min, max } = this.nodeMetricRange;
+        const value = this.nodeMetric.values.get(systemId) ?? min;
+        return max > min ? (value - min) / (max - min) : 0;
+    }
+
+    /**
+     * Returns the radius of a node
+     * @param {Object} node - The node data
+     * @returns {number} The radius, 30 unless a metric is mapped onto the size or the node is a collapsed group
+     */
+    getNodeRadius(node) {
+        // Collapsed groups grow with their number of members
+        if (node.isGroupNode) return 30 + Math.min(Math.sqrt(node.members.length) * 5, 30);
+        if (!this.nodeMetric || this.nodeMetric.mode !== 'size') return 30;
+        // Scaled by area, so the visual weight grows linearly with the value
+        return 18 + Math.sqrt(this.getNodeMetricShare(node.id)) * 30;
+    }
+
+    /**
+     * Returns the fill color of a node
+     * @param {Object} node - The node data
+     * @returns {string} The group color for collapsed groups, the mapped metric or the category color
+     */
+    getNodeFill(node) {
+        if (node.isGroupNode) return this.groupColorScale(node.name);
+        if (this.nodeMetric && this.nodeMetric.mode === 'color') {
+            return d3.interpolateYlOrRd(0.1 + this.getNodeMetricShare(node.id) * 0.9);
+        }
+        return this.colorScale(node.category);
+    }
+
+    /**
+     * Applies the mapped metric to the rendered nodes and links
+     */
+    updateNodeMetric() {
+        if (this.requestCanvasDraw() || !this.nodeElements || !this.linkElements) return;
+
+        this.nodeElements.filter(d => !d.isGroupNode).select('circle:not(.impact-ring)')
+            .attr('r', d => this.getNodeRadius(d))
+            .attr('fill', d => this.getNodeFill(d));
+        this.nodeElements.select('text')
+            .attr('dy', d => -(this.getNodeRadius(d) + 10));
+        this.nodeElements.select('.impact-ring')
+            .attr('r', d => this.getNodeRadius(d) + 8);
+        this.nodeElements.select('.rule-badge')
+            .attr('transform', d => this.getRuleBadgeTransform(d));
+        this.linkElements.attr('d', d => typeof d.source === 'object' ? this.linkArc(d) : null);
+    }
+
+    /**
+     * Marks the systems and dependencies that violate architecture rules
+     * @param {Array<Object>} violations - Violations from the RuleEngine
+     */
+    setRuleViolations(violations) {
+        const systems = new Map();
+        const dependencies = new Map();
+        violations.forEach(violation => {
+            const [map, id] = violation.dependency ?
+                [dependencies, violation.dependency.id] : [systems, violation.systemId];
+            if (!map.has(id)) map.set(id, []);
+            map.get(id).push(violation);
+        });
+        this.ruleViolations = { systems, dependencies };
+        this.updateRuleViolations();
+    }
+
+    /**
+     * Returns the tooltip lines for rule violations
+     * @param {Array<Object>} [violations] - The violations of a system or dependency
+     * @returns {string} HTML, empty without violations
+     */
+    getRuleViolationTooltip(violations) {
+        if (!violations) return '';
+        return violations.map(violation =>
+            `<div class="${violation.severity === 'error' ? 'text-danger' : 'text-warning'}"><i class="bi bi-exclamation-triangle"></i> ${violation.message}</div>`
+        ).join('');
+    }
+
+    /**
+     * Returns the position of the rule badge at the upper right of a node
+     * @param {Object} node - The node data
+     * @returns {string} The transform attribute
+     */
+    getRuleBadgeTransform(node) {
+        const offset = this.getNodeRadius(node) * 0.75;
+        return `translate(${offset},${-offset})`;
+    }
+
+    /**
+     * Applies the rule violations to the rendered nodes and links
+     * Offending nodes get a badge, offending links are marked by their class.
+     */
+    updateRuleViolations() {
+        if (this.requestCanvasDraw() || !this.nodeElements || !this.linkElements) return;
+
+        const { systems, dependencies } = this.ruleViolations;
+        const hasError = violations => violations.some(violation => violation.severity === 'error');
+        // Collapsed groups and aggregated links collect the violations of their members
+        const nodeViolations = d => this.getNodeSystemIds(d).flatMap(id => systems.get(id) || []);
+        const linkViolations = d => this.getLinkDependencyIds(d).flatMap(id => dependencies.get(id) || []);
+
+        this.nodeElements
+            .classed('rule-violation', d => nodeViolations(d).length > 0)
+            .classed('rule-error', d => hasError(nodeViolations(d)));
+        this.linkElements
+            .classed('rule-violation', d => linkViolations(d).length > 0)
+            .classed('rule-error', d => hasError(linkViolations(d)));
+
+        this.nodeElements.select('.rule-badge').remove();
+        const badges = this.nodeElements.filter(d => nodeViolations(d).length > 0)
+            .append('g')
+            .attr('class', d => `rule-badge ${hasError(nodeViolations(d)) ? 'rule-badge-error' : 'rule-badge-warning'}`)
+            .attr('transform', d => this.getRuleBadgeTransform(d));
+        badges.append('circle').attr('r', 9);
+        badges.append('text')
+            .attr('text-anchor', 'middle')
+            .attr('dy', 4)
+            .text('!');
+    }
+
     /**
      * Handles node click events with multi-selection support
      * @param {Event} event - The click event
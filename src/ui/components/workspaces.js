@@ -0,0 +1,232 @@
+import { OverlayComponent } from '../base/overlay-component.js';
+import { showNotification } from '../../utils/utilities.js';
+
+const createWorkspaceOverlay = () => `
+    <div class="workspace-overlay overlay">
+        <div class="overlay-header">
+            <h5>Workspaces</h5>
+            <button class="btn-close close-overlay" data-close-target="workspace-panel"></button>
+        </div>
+        <div class="overlay-body">
+            <div class="list-group mb-3 workspace-list">
+                <!-- Workspaces will be inserted here -->
+            </div>
+            <div class="input-group input-group-sm">
+                <input type="text" class="form-control new-workspace-name" placeholder="New workspace...">
+                <button class="btn btn-primary create-workspace" title="Create workspace"><i class="bi bi-plus-lg"></i></button>
+            </div>
+        </div>
+    </div>
+`;
+
+const createWorkspaceItem = (workspace, active) => `
+    <div class="list-group-item workspace-item d-flex align-items-center ${active ? 'active' : ''}" data-workspace-id="${workspace.id}">
+        <span class="workspace-name flex-grow-1 text-truncate" role="button" title="Switch to this workspace"></span>
+        <div class="btn-group btn-group-sm ms-2">
+            <button class="btn ${active ? 'btn-light' : 'btn-outline-secondary'}" data-action="rename" title="Rename"><i class="bi bi-pencil"></i></button>
+            <button class="btn ${active ? 'btn-light' : 'btn-outline-secondary'}" data-action="duplicate" title="Duplicate"><i class="bi bi-files"></i></button>
+            <button class="btn ${active ? 'btn-light' : 'btn-outline-danger'}" data-action="delete" title="Delete"><i class="bi bi-trash"></i></button>
+        </div>
+    </div>
+`;
+
+const createDeleteWorkspaceModal = () => `
+    <div class="modal fade" tabindex="-1" aria-hidden="true">
+        <div class="modal-dialog">
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h5 class="modal-title">Confirmation required</h5>
+                    <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+                </div>
+                <div class="modal-body delete-workspace-message"></div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
+                    <button type="button" class="btn btn-danger confirm-delete-workspace">Delete</button>
+                </div>
+            </div>
+        </div>
+    </div>
+`;
+
+export class WorkspaceOverlay extends OverlayComponent {
+    constructor(selector, dependencies = {}, options = {}) {
+        super(selector, dependencies, options);
+        this.pendingDeleteId = null;
+    }
+
+    setupDOM() {
+        this.overlayElement = this.render(createWorkspaceOverlay());
+        this.element.appendChild(this.overlayElement);
+
+        this.deleteModalElement = this.render(createDeleteWorkspaceModal());
+        document.body.appendChild(this.deleteModalElement);
+        this.deleteModal = new bootstrap.Modal(this.deleteModalElement);
+
+        this.list = this.overlayElement.querySelector('.workspace-list');
+        this.nameInput = this.overlayElement.querySelector('.new-workspace-name');
+        this.renderWorkspaces();
+    }
+
+    bindEvents() {
+        const workspaceManager = this.dependencies.workspaceManager;
+
+        // Toolbar button showing the active workspace
+        this.toolbarButton = this.dependencies.toolbar.button('bi-collection', 'Workspaces', () => {
+            this.toggle();
+        }, 'workspace');
+        this.toolbarButton.insertAdjacentHTML('beforeend', ' <span class="active-workspace-name"></span>');
+        this.updateToolbarButton();
+
+        // Close button
+        this.overlayElement.querySelector('.close-overlay').addEventListener('click', () => {
+            this.hide();
+        });
+
+        // Create workspace
+        const create = () => {
+            const name = this.nameInput.value.trim();
+            if (!name) return;
+            workspaceManager.createWorkspace(name);
+            this.nameInput.value = '';
+            showNotification(`Workspace "${name}" created`, 'success');
+        };
+        this.overlayElement.querySelector('.create-workspace').addEventListener('click', create);
+        this.nameInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') create();
+        });
+
+        // Actions of the workspace entries (delegated, since the list is re-rendered)
+        this.list.addEventListener('click', (event) => {
+            const item = event.target.closest('.workspace-item');
+            if (!item || event.target.closest('.workspace-rename-input')) return;
+            const workspaceId = item.dataset.workspaceId;
+            const workspace = workspaceManager.getWorkspaces().find(ws => ws.id === workspaceId);
+            const action = event.target.closest('[data-action]');
+
+            if (!action) {
+                workspaceManager.switchWorkspace(workspaceId);
+                return;
+            }
+
+            switch (action.dataset.action) {
+                case 'rename':
+                    this.startRename(item, workspace);
+                    break;
+                case 'duplicate':
+                    workspaceManager.duplicateWorkspace(workspaceId, `${workspace.name} (copy)`);
+                    showNotification(`Workspace "${workspace.name}" duplicated`, 'success');
+                    break;
+                case 'delete':
+                    this.confirmDelete(workspace);
+                    break;
+            }
+        });
+
+        this.deleteModalElement.querySelector('.confirm-delete-workspace').addEventListener('click', () => {
+            if (this.pendingDeleteId) {
+                workspaceManager.deleteWorkspace(this.pendingDeleteId);
+                this.pendingDeleteId = null;
+            }
+            this.deleteModal.hide();
+        });
+
+        workspaceManager.on('workspacesUpdated', () => {
+            this.renderWorkspaces();
+            this.updateToolbarButton();
+        });
+    }
+
+    /**
+     * Renders the list of workspaces
+     */
+    renderWorkspaces() {
+        const workspaceManager = this.dependencies.workspaceManager;
+        const activeId = workspaceManager.getActiveWorkspace().id;
+
+        this.list.innerHTML = workspaceManager.getWorkspaces()
+            .map(workspace => createWorkspaceItem(workspace, workspace.id === activeId))
+            .join('');
+
+        // Names are set as text to avoid interpreting them as HTML
+        workspaceManager.getWorkspaces().forEach(workspace => {
+            this.list.querySelector(`[data-workspace-id="${workspace.id}"] .workspace-name`).textContent = workspace.name;
+        });
+
+        // The last workspace cannot be deleted
+        if (workspaceManager.getWorkspaces().length <= 1) {
+            this.list.querySelectorAll('[data-action="delete"]').forEach(button => button.disabled = true);
+        }
+    }
+
+    /**
+     * Shows the name of the active workspace in the toolbar
+     */
+    updateToolbarButton() {
+        const workspace = this.dependencies.workspaceManager.getActiveWorkspace();
+        this.toolbarButton.querySelector('.active-workspace-name').textContent = workspace.name;
+        this.toolbarButton.title = `Workspaces (active: ${workspace.name})`;
+    }
+
+    /**
+     * Replaces the name of a workspace entry with an input field
+     * @param {HTMLElement} item - The workspace entry
+     * @param {Object} workspace - The workspace
+     */
+    startRename(item, workspace) {
+        const nameElement = item.querySelector('.workspace-name');
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'form-control form-control-sm workspace-rename-input';
+        input.value = workspace.name;
+        nameElement.replaceWith(input);
+        input.focus();
+        input.select();
+
+        let finished = false;
+        const finish = (apply) => {
+            if (finished) return;
+            finished = true;
+            const name = input.value.trim();
+            if (apply && name && name !== workspace.name) {
+                this.dependencies.workspaceManager.renameWorkspace(workspace.id, name);
+            } else {
+                this.renderWorkspaces();
+            }
+        };
+        input.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') finish(true);
+            if (event.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+
+    /**
+     * Asks for confirmation before deleting a workspace
+     * @param {Object} workspace - The workspace to delete
+     */
+    confirmDelete(workspace) {
+        this.pendingDeleteId = workspace.id;
+        this.deleteModalElement.querySelector('.delete-workspace-message').textContent =
+            `Do you really want to delete the workspace "${workspace.name}" including its data, positions and history?`;
+        this.deleteModal.show();
+    }
+
+    toggle() {
+        document.querySelectorAll('.overlay').forEach(overlay => {
+            if (overlay !== this.overlayElement) overlay.classList.remove('active');
+        });
+        if (this.overlayElement.classList.contains('active')) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    onShow() {
+        this.overlayElement.classList.add('active');
+    }
+
+    onHide() {
+        this.overlayElement.classList.remove('active');
+    }
+}
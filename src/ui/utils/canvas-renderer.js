@@ -0,0 +1,642 @@
+/**
+ * Marker paths for the arrowhead styles of dependency types (viewBox "0 -5 10 10"),
+ * used by the SVG markers and the canvas renderer
+ */
+export const ARROW_PATHS = {
+    triangle: { d: "M0,-5L10,0L0,5", filled: true },
+    open: { d: "M0,-5L10,0L0,5", filled: false },
+    circle: { d: "M5,-4A4,4 0 1,1 5,4A4,4 0 1,1 5,-4", filled: true },
+    diamond: { d: "M0,0L5,-4L10,0L5,4Z", filled: true }
+};
+
+// Colors of the highlighted parts of the graph (see SystemVisualizer.setHighlight), as in styles.css
+const HIGHLIGHT_COLORS = { cycle: '#dc3545', path: '#0d6efd', focus: '#6f42c1' };
+
+// Opacity of the nodes and links outside an impact analysis or highlighting
+const DIMMED_OPACITY = 0.15;
+
+// Node labels are left out below this zoom level, where they would be unreadable anyway
+const LABEL_MIN_SCALE = 0.4;
+
+// Number of segments a link curve is split into for hit-testing
+const LINK_HIT_SEGMENTS = 12;
+
+/**
+ * CanvasRenderer - Draws the graph of the SystemVisualizer on a canvas
+ *
+ * Used for large landscapes, where thousands of SVG elements make panning and the simulation
+ * stutter. The visualizer keeps its SVG on top of the canvas, so zoom, the temporary links of the
+ * connection mode and the rectangle selection work as before; instead of DOM elements, the
+ * renderer hit-tests the pointer against the simulation nodes and links.
+ */
+export class CanvasRenderer {
+    /**
+     * @param {SystemVisualizer} visualizer - Provides the styles and states to draw
+     * @param {HTMLElement} container - The visualization container, the canvas is placed below its SVG
+     */
+    constructor(visualizer, container) {
+        this.visualizer = visualizer;
+        this.canvas = d3.select(container).insert('canvas', 'svg')
+            .attr('class', 'visualization-canvas')
+            .node();
+        this.context = this.canvas.getContext('2d');
+
+        this.nodes = [];
+        this.links = [];
+        this.groups = [];
+
+        // Group hulls of the last node positions and the label boxes of the last frame
+        this.hulls = new Map();
+        this.hullsOutdated = true;
+        this.groupLabelBoxes = [];
+
+        this.hoveredNode = null;
+        this.hoveredLink = null;
+        this.frame = null;
+
+        this.arrowPaths = Object.fromEntries(
+            Object.entries(ARROW_PATHS).map(([style, arrow]) => [style, new Path2D(arrow.d)])
+        );
+
+        this.resize(visualizer.width, visualizer.height);
+    }
+
+    /**
+     * Sets the graph to draw
+     * @param {Array<Object>} nodes - The simulation nodes
+     * @param {Array<Object>} links - The simulation links
+     * @param {Array<Array>} groups - Entries of identifyGroups ([name, group]), parent groups first
+     */
+    setData(nodes, links, groups) {
+        this.nodes = nodes;
+        this.links = links;
+        this.groups = groups;
+        this.hoveredNode = null;
+        this.hoveredLink = null;
+        this.requestDraw(true);
+    }
+
+    /**
+     * Adapts the canvas to the container size and the pixel density of the display
+     * @param {number} width - Width in CSS pixels
+     * @param {number} height - Height in CSS pixels
+     */
+    resize(width, height) {
+        const ratio = window.devicePixelRatio || 1;
+        this.width = width;
+        this.height = height;
+        this.canvas.width = Math.round(width * ratio);
+        this.canvas.height = Math.round(height * ratio);
+        this.canvas.style.width = `${width}px`;
+        this.canvas.style.height = `${height}px`;
+        this.requestDraw();
+    }
+
+    /**
+     * Draws the graph with the next animation frame, several requests within a frame are drawn once
+     * @param {boolean} [positionsChanged=false] - True if nodes moved, so the group hulls are recalculated
+     */
+    requestDraw(positionsChanged = false) {
+        if (positionsChanged) this.hullsOutdated = true;
+        if (this.frame !== null) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.draw();
+        });
+    }
+
+    /**
+     * Stops drawing and removes the canvas
+     */
+    destroy() {
+        if (this.frame !== null) cancelAnimationFrame(this.frame);
+        this.frame = null;
+        this.canvas.remove();
+    }
+
+    /**
+     * Returns the zoom transform of the visualizer's SVG
+     * @returns {Object} The d3 zoom transform
+     */
+    getTransform() {
+        const svg = this.visualizer.svg;
+        return svg ? d3.zoomTransform(svg.node()) : d3.zoomIdentity;
+    }
+
+    /**
+     * Converts the position of a pointer event into graph coordinates
+     * @param {Event} event - Mouse or touch event
+     * @returns {Array<number>} [x, y]
+     */
+    getGraphPoint(event) {
+        const pointer = event.touches && event.touches.length > 0 ? event.touches[0] : event;
+        return this.getTransform().invert(d3.pointer(pointer, this.visualizer.svg.node()));
+    }
+
+    /**
+     * Draws the graph with the current zoom transform
+     */
+    draw() {
+        const ctx = this.context;
+        const transform = this.getTransform();
+        const ratio = window.devicePixelRatio || 1;
+
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, this.width, this.height);
+        ctx.translate(transform.x, transform.y);
+        ctx.scale(transform.k, transform.k);
+
+        if (this.hullsOutdated && this.visualizer.simulationManager && this.visualizer.simulationManager.simulation) {
+            this.hulls = this.visualizer.computeGroupHulls(this.groups);
+            this.hullsOutdated = false;
+        }
+
+        // Same order as the SVG layers: hulls, links, nodes, group labels
+        const emphasis = this.getEmphasis();
+        this.drawGroupHulls(ctx);
+        this.links.forEach(link => this.drawLink(ctx, link, emphasis));
+        this.nodes.forEach(node => this.drawNode(ctx, node, emphasis, transform.k));
+        this.drawGroupLabels(ctx);
+    }
+
+    /**
+     * Collects the states the SVG renderer expresses by CSS classes
+     * @returns {Object} { impact, highlights } with the active highlights as ID sets
+     */
+    getEmphasis() {
+        const highlights = Object.entries(this.visualizer.highlights)
+            .filter(([, subgraph]) => subgraph)
+            .map(([name, subgraph]) => ({
+                color: HIGHLIGHT_COLORS[name] || HIGHLIGHT_COLORS.path,
+                systems: new Set(subgraph.systems),
+                dependencies: new Set(subgraph.dependencies),
+                endpoints: new Set(subgraph.endpoints || [])
+            }));
+        return { impact: this.visualizer.impactAnalysis, highlights };
+    }
+
+    /**
+     * Returns the impact depth of a node (collapsed groups take the smallest depth of their members)
+     * @param {Object} impact - Result of analyzeImpact
+     * @param {Object} node - The node data
+     * @returns {number|undefined} The depth, undefined if the node is not affected
+     */
+    getImpactDepth(impact, node) {
+        return d3.min(this.visualizer.getNodeSystemIds(node), id => impact.depths.get(id));
+    }
+
+    /**
+     * Draws the group hulls, parent groups before their subgroups
+     * @param {CanvasRenderingContext2D} ctx - The drawing context
+     */
+    drawGroupHulls(ctx) {
+        const visualizer = this.visualizer;
+        ctx.setLineDash([]);
+        ctx.lineWidth = 1.5;
+        this.groups.forEach(([name]) => {
+            const hull = this.hulls.get(name);
+            if (!hull) return;
+            const color = visualizer.groupColorScale(name);
+
+            ctx.beginPath();
+            ctx.arc(hull.centroid[0], hull.centroid[1], hull.radius, 0, 2 * Math.PI);
+            ctx.globalAlpha = 0.2;
+            ctx.fillStyle = color;
+            ctx.fill();
+            ctx.globalAlpha = 0.4;
+            ctx.strokeStyle = d3.rgb(color).darker().toString();
+            ctx.stroke();
+        });
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Draws the group labels and remembers their boxes for hit-testing
+     * @param {CanvasRenderingContext2D} ctx - The drawing context
+     */
+    drawGroupLabels(ctx) {
+        const visualizer = this.visualizer;
+        this.groupLabelBoxes = [];
+
+        ctx.font = 'bold 16px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'alphabetic';
+        ctx.lineJoin = 'round';
+        ctx.setLineDash([]);
+        this.groups.forEach(entry => {
+            const hull = this.hulls.get(entry[0]);
+            if (!hull) return;
+            const [x, y] = visualizer.getGroupLabelPosition(hull);
+            const text = visualizer.getGroupLabelText(entry);
+
+            // White outline instead of the text shadow of the SVG labels
+            ctx.lineWidth = 3;
+            ctx.strokeStyle = '#fff';
+            ctx.strokeText(text, x, y);
+            ctx.fillStyle = d3.rgb(visualizer.groupColorScale(entry[0])).darker(2).toString();
+            ctx.fillText(text, x, y);
+
+            const width = ctx.measureText(text).width;
+            this.groupLabelBoxes.push({ name: entry[0], x: x - width / 2, y: y - 16, width, height: 20 });
+        });
+    }
+
+    /**
+     * Draws a link as a curve with its arrowhead
+     * @param {CanvasRenderingContext2D} ctx - The drawing context
+     * @param {Object} link - The link data
+     * @param {Object} emphasis - See getEmphasis
+     */
+    drawLink(ctx, link, emphasis) {
+        // Links are resolved to their nodes when the simulation starts
+        if (typeof link.source !== 'object' || typeof link.target !== 'object') return;
+
+        const visualizer = this.visualizer;
+        const style = visualizer.getDependencyTypeStyle(link.type);
+        const arc = visualizer.getLinkArc(link);
+        const dependencyIds = visualizer.getLinkDependencyIds(link);
+
+        let color = style.color;
+        let width = link.isAggregate ? Math.min(1 + link.dependencyIds.length * 0.5, 6) : 1.5;
+        let strokeOpacity = 0.6;
+        let opacity = 1;
+        let shadow = null;
+
+        if (link === this.hoveredLink) {
+            strokeOpacity = 1;
+            if (!link.isAggregate) width = 2.5;
+        }
+
+        // Aggregated links collect the violations of their dependencies
+        const violations = dependencyIds.flatMap(id => visualizer.ruleViolations.dependencies.get(id) || []);
+        if (violations.length > 0) {
+            if (!link.isAggregate) width = 3;
+            shadow = violations.some(violation => violation.severity === 'error') ? '#dc3545' : '#ffc107';
+        }
+
+        const { impact, highlights } = emphasis;
+        if (impact) {
+            const targetInvolved = visualizer.getNodeSystemIds(link.target).includes(impact.systemId) ||
+                this.getImpactDepth(impact, link.target) !== undefined;
+            if (this.getImpactDepth(impact, link.source) === undefined || !targetInvolved) opacity = DIMMED_OPACITY;
+        }
+        highlights.forEach(highlight => {
+            if (dependencyIds.some(id => highlight.dependencies.has(id))) {
+                color = highlight.color;
+                width = 4;
+            } else {
+                opacity = DIMMED_OPACITY;
+            }
+        });
+
+        ctx.save();
+        if (shadow) {
+            ctx.shadowColor = shadow;
+            ctx.shadowBlur = 3;
+        }
+        ctx.beginPath();
+        ctx.moveTo(arc.startX, arc.startY);
+        ctx.quadraticCurveTo(arc.ctrlX, arc.ctrlY, arc.endX, arc.endY);
+        ctx.setLineDash(style.dash ? style.dash.split(',').map(Number) : []);
+        ctx.lineWidth = width;
+        ctx.strokeStyle = color;
+        ctx.globalAlpha = opacity * strokeOpacity;
+        ctx.stroke();
+
+        // Arrowheads are scaled with the stroke width like the SVG markers (markerWidth 6 of viewBox width 10)
+        if (style.arrow !== 'none' && ARROW_PATHS[style.arrow]) {
+            const arrow = ARROW_PATHS[style.arrow];
+            const angle = Math.atan2(arc.endY - arc.ctrlY, arc.endX - arc.ctrlX);
+            ctx.globalAlpha = opacity;
+            ctx.setLineDash([]);
+            ctx.translate(arc.endX, arc.endY);
+            ctx.rotate(angle);
+            ctx.scale(width * 0.6, width * 0.6);
+            ctx.translate(-8, 0);
+            if (arrow.filled) {
+                ctx.fillStyle = style.color;
+                ctx.fill(this.arrowPaths[style.arrow]);
+            } else {
+                ctx.lineWidth = 1.5;
+                ctx.strokeStyle = style.color;
+                ctx.stroke(this.arrowPaths[style.arrow]);
+            }
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Draws a node with its label, impact ring and rule badge
+     * @param {CanvasRenderingContext2D} ctx - The drawing context
+     * @param {Object} node - The node data
+     * @param {Object} emphasis - See getEmphasis
+     * @param {number} scale - The zoom level
+     */
+    drawNode(ctx, node, emphasis, scale) {
+        const visualizer = this.visualizer;
+        const systemIds = visualizer.getNodeSystemIds(node);
+        const nodeGroups = visualizer.getNodeGroups(node);
+        const selected = visualizer.isNodeSelected(node.id);
+        const hovered = node === this.hoveredNode;
+        const baseRadius = visualizer.getNodeRadius(node);
+        // Collapsed groups keep their size on hover
+        const radius = hovered && !node.isGroupNode ? baseRadius + 2 : baseRadius;
+
+        // Stroke as set by the SVG attributes and styles.css
+        let stroke = '#fff';
+        let strokeWidth = 2;
+        let dash = [];
+        if (node.isGroupNode) {
+            stroke = d3.rgb(visualizer.groupColorScale(node.name)).darker().toString();
+            strokeWidth = 4;
+        } else if (nodeGroups.length > 1) {
+            stroke = ctx.createLinearGradient(node.x - radius, node.y - radius, node.x + radius, node.y + radius);
+            nodeGroups.forEach((group, i) => stroke.addColorStop(i / (nodeGroups.length - 1), visualizer.groupColorScale(group)));
+            strokeWidth = 3;
+            dash = [5, 3];
+        } else if (nodeGroups.length === 1) {
+            stroke = visualizer.groupColorScale(nodeGroups[0]);
+            strokeWidth = 3;
+        }
+        if (!node.knownUsage) dash = [5, 5];
+        if (hovered) strokeWidth = Math.max(strokeWidth, 3);
+        if (selected) {
+            stroke = '#fff';
+            strokeWidth = 4;
+        }
+
+        let opacity = 1;
+        let ringColor = null;
+        const { impact, highlights } = emphasis;
+        if (impact) {
+            const depth = this.getImpactDepth(impact, node);
+            const isRoot = systemIds.includes(impact.systemId);
+            if (depth !== undefined) ringColor = visualizer.getImpactDepthColor(depth);
+            if (isRoot) {
+                stroke = '#dc3545';
+                strokeWidth = 5;
+            } else if (depth === undefined) {
+                opacity = DIMMED_OPACITY;
+            }
+        }
+        highlights.forEach(highlight => {
+            if (systemIds.some(id => highlight.systems.has(id))) {
+                stroke = highlight.color;
+                strokeWidth = systemIds.some(id => highlight.endpoints.has(id)) ? 7 : 4;
+            } else {
+                opacity = DIMMED_OPACITY;
+            }
+        });
+
+        ctx.save();
+        ctx.globalAlpha = opacity;
+
+        if (ringColor) {
+            ctx.beginPath();
+            ctx.arc(node.x, node.y, baseRadius + 8, 0, 2 * Math.PI);
+            ctx.setLineDash([]);
+            ctx.lineWidth = 5;
+            ctx.strokeStyle = ringColor;
+            ctx.stroke();
+        }
+
+        if (selected) {
+            ctx.shadowColor = 'rgba(255, 107, 53, 0.6)';
+            ctx.shadowBlur = 8;
+        }
+        ctx.beginPath();
+        ctx.arc(node.x, node.y, radius, 0, 2 * Math.PI);
+        ctx.globalAlpha = opacity * (node.isGroupNode ? 0.85 : 1);
+        ctx.fillStyle = visualizer.getNodeFill(node);
+        ctx.fill();
+        ctx.globalAlpha = opacity;
+        ctx.setLineDash(dash);
+        ctx.lineWidth = strokeWidth;
+        ctx.strokeStyle = stroke;
+        ctx.stroke();
+        ctx.shadowBlur = 0;
+        ctx.setLineDash([]);
+        ctx.textAlign = 'center';
+
+        // Member count inside the nodes of collapsed groups
+        if (node.isGroupNode) {
+            ctx.font = 'bold 14px sans-serif';
+            ctx.textBaseline = 'middle';
+            ctx.fillStyle = '#fff';
+            ctx.fillText(String(node.members.length), node.x, node.y);
+        }
+
+        if (scale >= LABEL_MIN_SCALE) {
+            ctx.font = `${selected ? 'bold' : '500'} 12px sans-serif`;
+            ctx.textBaseline = 'alphabetic';
+            ctx.fillStyle = selected ? '#000' : '#333';
+            ctx.fillText(node.name, node.x, node.y - (baseRadius + 10));
+        }
+
+        // Badge for rule violations at the upper right of the node
+        const violations = systemIds.flatMap(id => visualizer.ruleViolations.systems.get(id) || []);
+        if (violations.length > 0) {
+            const offset = baseRadius * 0.75;
+            ctx.beginPath();
+            ctx.arc(node.x + offset, node.y - offset, 9, 0, 2 * Math.PI);
+            ctx.fillStyle = violations.some(violation => violation.severity === 'error') ? '#dc3545' : '#ffc107';
+            ctx.fill();
+            ctx.lineWidth = 2;
+            ctx.strokeStyle = '#fff';
+            ctx.stroke();
+            ctx.font = 'bold 13px sans-serif';
+            ctx.textBaseline = 'middle';
+            ctx.fillStyle = '#fff';
+            ctx.fillText('!', node.x + offset, node.y - offset);
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Finds the topmost node at a position
+     * @param {number} x - X in graph coordinates
+     * @param {number} y - Y in graph coordinates
+     * @returns {Object|null} The node data
+     */
+    findNodeAt(x, y) {
+        for (let i = this.nodes.length - 1; i >= 0; i--) {
+            const node = this.nodes[i];
+            // Including the stroke
+            const radius = this.visualizer.getNodeRadius(node) + 2;
+            if ((node.x - x) ** 2 + (node.y - y) ** 2 <= radius * radius) return node;
+        }
+        return null;
+    }
+
+    /**
+     * Finds a link near a position
+     * @param {number} x - X in graph coordinates
+     * @param {number} y - Y in graph coordinates
+     * @param {number} tolerance - Maximum distance in graph coordinates
+     * @returns {Object|null} The link data
+     */
+    findLinkAt(x, y, tolerance) {
+        for (let i = this.links.length - 1; i >= 0; i--) {
+            const link = this.links[i];
+            if (typeof link.source !== 'object' || typeof link.target !== 'object') continue;
+
+            const arc = this.visualizer.getLinkArc(link);
+            let previous = [arc.startX, arc.startY];
+            for (let step = 1; step <= LINK_HIT_SEGMENTS; step++) {
+                const t = step / LINK_HIT_SEGMENTS;
+                const point = [
+                    (1 - t) * (1 - t) * arc.startX + 2 * (1 - t) * t * arc.ctrlX + t * t * arc.endX,
+                    (1 - t) * (1 - t) * arc.startY + 2 * (1 - t) * t * arc.ctrlY + t * t * arc.endY
+                ];
+                if (distanceToSegment([x, y], previous, point) <= tolerance) return link;
+                previous = point;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Finds the group label at a position
+     * @param {number} x - X in graph coordinates
+     * @param {number} y - Y in graph coordinates
+     * @returns {string|null} The group name
+     */
+    findGroupLabelAt(x, y) {
+        const box = this.groupLabelBoxes.find(box =>
+            x >= box.x && x <= box.x + box.width && y >= box.y && y <= box.y + box.height);
+        return box ? box.name : null;
+    }
+
+    /**
+     * Registers the pointer handlers on the visualizer's SVG
+     * @param {Object} svg - D3 selection of the SVG
+     */
+    bindEvents(svg) {
+        svg.on('mousemove.canvas', (event) => this.handleMouseMove(event))
+            .on('mouseleave.canvas', () => this.setHovered(null, null))
+            .on('click.canvas', (event) => this.handleClick(event))
+            .on('dblclick.canvas', (event) => this.handleDoubleClick(event));
+    }
+
+    /**
+     * Decides whether zoom and pan may handle an event, replacing the default zoom filter
+     * Pressing on a node starts the node drag instead, double-clicking a collapsed group or
+     * a group label expands or collapses the group instead of zooming in.
+     * @param {Event} event - The input event
+     * @returns {boolean} True if the zoom behavior may handle the event
+     */
+    allowsZoom(event) {
+        if ((event.ctrlKey && event.type !== 'wheel') || event.button) return false;
+        if (event.type === 'mousedown' || event.type === 'touchstart') {
+            return !this.findNodeAt(...this.getGraphPoint(event));
+        }
+        if (event.type === 'dblclick') {
+            const [x, y] = this.getGraphPoint(event);
+            const node = this.findNodeAt(x, y);
+            return !(node && node.isGroupNode) && !this.findGroupLabelAt(x, y);
+        }
+        return true;
+    }
+
+    /**
+     * Updates the hover state and the tooltip
+     * @param {Event} event - The mouse event
+     */
+    handleMouseMove(event) {
+        const [x, y] = this.getGraphPoint(event);
+        const node = this.findNodeAt(x, y);
+        // About 5 screen pixels around the link
+        const link = node ? null : this.findLinkAt(x, y, 5 / this.getTransform().k);
+        const label = node || link ? null : this.findGroupLabelAt(x, y);
+
+        this.visualizer.svg.style('cursor', node || link || label ? 'pointer' : null);
+        if (node === this.hoveredNode && link === this.hoveredLink) return;
+
+        this.setHovered(node, link);
+        if (this.visualizer.dragDisabled) return;
+        if (node) {
+            this.visualizer.showTooltip(event, this.visualizer.getNodeTooltip(node), this.visualizer.getNodeRadius(node) + 8);
+        } else if (link) {
+            this.visualizer.showTooltip(event, this.visualizer.getLinkTooltip(link));
+        }
+    }
+
+    /**
+     * Sets the node or link under the pointer, which is drawn with the hover style
+     * @param {Object|null} node - The hovered node
+     * @param {Object|null} link - The hovered link
+     */
+    setHovered(node, link) {
+        if (node === this.hoveredNode && link === this.hoveredLink) return;
+        if (this.hoveredNode || this.hoveredLink) this.visualizer.hideTooltip();
+        this.hoveredNode = node;
+        this.hoveredLink = link;
+        this.requestDraw();
+    }
+
+    /**
+     * Selects the clicked node, opens the controls of the clicked link or clears the selection
+     * @param {Event} event - The click event
+     */
+    handleClick(event) {
+        const visualizer = this.visualizer;
+        const [x, y] = this.getGraphPoint(event);
+
+        const node = this.findNodeAt(x, y);
+        if (node) {
+            if (node.isGroupNode) {
+                visualizer.selectGroupMembers(node);
+            } else {
+                visualizer.handleNodeClick(event, node);
+            }
+            return;
+        }
+
+        const link = this.findLinkAt(x, y, 5 / this.getTransform().k);
+        if (link) {
+            // Aggregated connections of collapsed groups cannot be edited as a whole
+            if (!link.isAggregate) {
+                visualizer.emit('dependencyClick', { event, data: link });
+            }
+            return;
+        }
+
+        // Click on empty space clears the selection
+        if (!this.findGroupLabelAt(x, y)) {
+            visualizer.clearSelection();
+        }
+    }
+
+    /**
+     * Expands a collapsed group or collapses the group of the double-clicked label
+     * @param {Event} event - The double-click event
+     */
+    handleDoubleClick(event) {
+        const [x, y] = this.getGraphPoint(event);
+        const node = this.findNodeAt(x, y);
+        if (node) {
+            if (node.isGroupNode) this.visualizer.expandGroup(node.name);
+            return;
+        }
+
+        const group = this.findGroupLabelAt(x, y);
+        if (group) this.visualizer.collapseGroup(group);
+    }
+}
+
+/**
+ * Distance of a point to a line segment
+ * @param {Array<number>} point - [x, y]
+ * @param {Array<number>} a - Start of the segment
+ * @param {Array<number>} b - End of the segment
+ * @returns {number} The distance
+ */
+function distanceToSegment(point, a, b) {
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0 ?
+        Math.max(0, Math.min(1, ((point[0] - a[0]) * dx + (point[1] - a[1]) * dy) / lengthSquared)) : 0;
+    return Math.hypot(point[0] - (a[0] + t * dx), point[1] - (a[1] + t * dy));
+}
@@ -0,0 +1,84 @@
+import { DOCUMENT_SECTIONS, findMatchingDependency } from '../../utils/differences.js';
+
+/**
+ * Renders a differences structure (see utils/differences.js) as a list of changes
+ */
+
+const systemLabel = (system) => system.name ? `${system.name} (${system.id})` : system.id;
+const dependencyLabel = (dep) => `${dep.source} → ${dep.target}${dep.type ? ` (${dep.type})` : ''}`;
+
+/**
+ * Lists the fields that differ between two versions of an entry
+ * @param {Object} current - The current entry
+ * @param {Object} incoming - The incoming entry
+ * @returns {Array<string>} One line per changed field
+ */
+export function describeEntryChanges(current = {}, incoming) {
+    const format = (value) => value === undefined ? '–' : (Array.isArray(value) ? value.join(', ') : String(value));
+    const fields = new Set([...Object.keys(current), ...Object.keys(incoming)]);
+    return [...fields]
+        .filter(field => JSON.stringify(current[field]) !== JSON.stringify(incoming[field]))
+        .map(field => `${field}: ${format(current[field])} → ${format(incoming[field])}`);
+}
+
+/**
+ * Creates a list element showing added, modified and removed systems and dependencies
+ * @param {Object} differences - The differences
+ * @param {Object} baseData - The data the differences are applied to (for the field changes of modified entries)
+ * @param {Array<Object>} [rejected] - Changes that would be rejected (see DataManager.checkBatch), marked with their reason
+ * @returns {HTMLElement} The list
+ */
+export function createDifferencesList(differences, baseData, rejected = []) {
+    const list = document.createElement('ul');
+    list.className = 'list-group list-group-flush small';
+    const rejections = new Map(rejected.map(entry => [`${entry.change}:${entry.section}:${entry.index}`, entry.reason]));
+    const addItem = (symbol, className, text, details = [], key = null) => {
+        const item = document.createElement('li');
+        const reason = key ? rejections.get(key) : undefined;
+        if (reason) {
+            symbol = '⛔';
+            className = 'list-group-item-secondary';
+            details = [`Rejected: ${reason}`, ...details];
+        }
+        item.className = `list-group-item ${className}`;
+        item.textContent = `${symbol} ${text}`;
+        details.forEach(detail => {
+            const line = document.createElement('div');
+            line.className = 'text-muted ms-3';
+            line.textContent = detail;
+            item.appendChild(line);
+        });
+        list.appendChild(item);
+    };
+
+    const sectionTitles = { categories: 'Categories', dependencyTypes: 'Dependency types', rules: 'Rules' };
+    DOCUMENT_SECTIONS.forEach(section => {
+        if (differences[section] === undefined) return;
+        const title = sectionTitles[section];
+        addItem('✏️', 'list-group-item-warning', differences[section] === null
+            ? `${title}: reset to defaults`
+            : `${title}: ${differences[section].map(entry => entry.id).join(', ')}`);
+    });
+
+    differences.added.systems.forEach((system, index) =>
+        addItem('➕', 'list-group-item-success', `System ${systemLabel(system)}`, [], `added:systems:${index}`));
+    differences.modified.systems.forEach((system, index) => {
+        const current = baseData.systems.find(s => s.id === system.id);
+        addItem('✏️', 'list-group-item-warning', `System ${systemLabel(system)}`, describeEntryChanges(current, system),
+            `modified:systems:${index}`);
+    });
+    differences.removed.systems.forEach((system, index) =>
+        addItem('❌', 'list-group-item-danger', `System ${systemLabel(system)}`, [], `removed:systems:${index}`));
+
+    differences.added.dependencies.forEach((dep, index) =>
+        addItem('➕', 'list-group-item-success', `Connection ${dependencyLabel(dep)}`, [], `added:dependencies:${index}`));
+    differences.modified.dependencies.forEach((dep, index) => {
+        const current = findMatchingDependency(baseData.dependencies, dep);
+        addItem('✏️', 'list-group-item-warning', `Connection ${dependencyLabel(dep)}`, describeEntryChanges(current, dep),
+            `modified:dependencies:${index}`);
+    });
+    differences.removed.dependencies.forEach((dep, index) =>
+        addItem('❌', 'list-group-item-danger', `Connection ${dependencyLabel(dep)}`, [], `removed:dependencies:${index}`));
+
+    return list;
+}
@@ -0,0 +1,152 @@
+/**
+ * Custom d3 forces and helpers shared by the SimulationManager and its worker
+ *
+ * Kept free of module-level d3 calls, so the simulation worker can import them before it
+ * has loaded d3 (see simulation.worker.js).
+ */
+import { getGroupAncestors } from "../../utils/groups.js";
+
+/**
+ * Pulls nodes towards the centers of their groups
+ * Nodes in several groups are pulled towards all of them, see getGroupWeights.
+ * @returns {Function} The force, configured with centers({ name: { x, y } }) and strength(number)
+ */
+export function forceClusterMultiGroup() {
+    let strength = 0.1;
+    let centers = {};
+    let nodes = [];
+
+    // Weight for each group of a node, normalized to a total of 1
+    // So that nodes with fewer groups are more strongly attracted to their groups.
+    // Parent groups of nested groups pull with half the weight per level, so subgroups
+    // cluster within their parent group.
+    function getGroupWeights(node) {
+        const weights = new Map();
+        getNodeGroups(node).forEach(groupName => {
+            weights.set(groupName, Math.max(weights.get(groupName) || 0, 1));
+            getGroupAncestors(groupName).reverse().forEach((ancestor, index) => {
+                weights.set(ancestor, Math.max(weights.get(ancestor) || 0, Math.pow(0.5, index + 1)));
+            });
+        });
+
+        let totalWeight = 0;
+        weights.forEach(weight => { totalWeight += weight; });
+        weights.forEach((weight, groupName) => weights.set(groupName, weight / totalWeight));
+        return weights;
+    }
+
+    // Helper function to extract all groups of a node
+    function getNodeGroups(node) {
+        if (Array.isArray(node.groups) && node.groups.length > 0) {
+            return node.groups;
+        } else if (node.group && typeof node.group === 'string') {
+            return [node.group];
+        }
+        return [];
+    }
+
+    function force(alpha) {
+        // For each node
+        nodes.forEach(d => {
+            const groupWeights = getGroupWeights(d);
+            if (groupWeights.size === 0) return; // Skip if no group
+
+            // Vector for the total force on the node
+            let totalForceX = 0;
+            let totalForceY = 0;
+            let totalWeight = 0;
+
+            // Calculate force from each group
+            groupWeights.forEach((weight, groupName) => {
+                const groupCenter = centers[groupName];
+                if (!groupCenter) return;
+
+                totalWeight += weight;
+
+                // Adjust force depending on the number of groups the node is in
+                const k = strength * alpha * weight;
+
+                // Force towards the group center
+                totalForceX += (groupCenter.x - d.x) * k;
+                totalForceY += (groupCenter.y - d.y) * k;
+            });
+
+            // Apply total force to the node
+            if (totalWeight > 0) {
+                d.vx += totalForceX;
+                d.vy += totalForceY;
+            }
+        });
+    }
+
+    force.initialize = function (_) {
+        nodes = _;
+    };
+
+    force.centers = function (_) {
+        return arguments.length ? (centers = _, force) : centers;
+    };
+
+    force.strength = function (_) {
+        return arguments.length ? (strength = _, force) : strength;
+    };
+
+    return force;
+}
+
+/**
+ * Keeps nodes within the container bounds
+ * The force grows as a node approaches a boundary, and dampens the velocity for stable movement.
+ * @param {number} width - Width of the container
+ * @param {number} height - Height of the container
+ * @returns {Function} The force, resizable with size([width, height])
+ */
+export function forceContainment(width, height) {
+    // Add padding to prevent nodes from touching the edge
+    const padding = 50;
+    let nodes = [];
+
+    function force() {
+        for (let node of nodes) {
+            // Gradually increase force as node approaches boundaries
+            if (node.x < padding) {
+                node.vx += (padding - node.x) * 0.1;
+            } else if (node.x > width - padding) {
+                node.vx -= (node.x - (width - padding)) * 0.1;
+            }
+
+            if (node.y < padding) {
+                node.vy += (padding - node.y) * 0.1;
+            } else if (node.y > height - padding) {
+                node.vy -= (node.y - (height - padding)) * 0.1;
+            }
+
+            // Dampen velocity for stable movement
+            node.vx *= 0.9;
+            node.vy *= 0.9;
+        }
+    }
+
+    force.initialize = function (_) {
+        nodes = _;
+    };
+
+    force.size = function (_) {
+        return arguments.length ? (width = _[0], height = _[1], force) : [width, height];
+    };
+
+    return force;
+}
+
+/**
+ * Runs a simulation to its end at once, without the d3 timer and without tick events
+ * @param {Object} simulation - The d3 simulation
+ * @param {number} alpha - Alpha to start with
+ * @returns {Object} The stopped simulation
+ */
+export function settleSimulation(simulation, alpha) {
+    simulation.stop().alpha(alpha).alphaTarget(0);
+    // Number of ticks until alpha decays below alphaMin, as the timer would run them
+    const ticks = Math.ceil(Math.log(simulation.alphaMin() / alpha) / Math.log(1 - simulation.alphaDecay()));
+    return simulation.tick(Math.max(ticks, 0));
+}
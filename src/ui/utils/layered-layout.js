@@ -0,0 +1,274 @@
+/**
+ * Layered (Sugiyama-style) layout of a directed graph
+ *
+ * 1. Cycles are broken by reversing the back edges of a depth-first search
+ * 2. Nodes are assigned to layers so that every dependency points to a later layer
+ * 3. Dependencies spanning several layers are routed through dummy nodes
+ * 4. Crossings are reduced by barycenter sweeps, keeping the best order found
+ * 5. Nodes are placed close to their neighbours while keeping a minimum spacing
+ *
+ * The result only depends on the order of the given nodes and links, so the same graph
+ * always gets the same layout.
+ */
+
+/**
+ * Supported layout directions: dependencies point downwards (top-bottom) or to the right (left-right)
+ */
+export const LAYOUT_DIRECTIONS = ['TB', 'LR'];
+
+const endpointId = (endpoint) => (endpoint && typeof endpoint === 'object' ? endpoint.id : endpoint);
+
+/**
+ * Reverses the back edges of a depth-first search, so the remaining edges form a DAG
+ * @param {number} count - Number of nodes
+ * @param {Array<Array<number>>} edges - Edges as [from, to] index pairs without self-loops
+ * @returns {Array<Array<number>>} The acyclic edges
+ */
+function removeCycles(count, edges) {
+    const successors = Array.from({ length: count }, () => []);
+    edges.forEach(([from, to]) => successors[from].push(to));
+
+    // 0 = unvisited, 1 = on the stack, 2 = done
+    const state = new Uint8Array(count);
+    const reversed = new Set();
+
+    for (let root = 0; root < count; root++) {
+        if (state[root]) continue;
+        const stack = [[root, 0]];
+        state[root] = 1;
+        while (stack.length > 0) {
+            const frame = stack[stack.length - 1];
+            const [node, next] = frame;
+            if (next < successors[node].length) {
+                frame[1]++;
+                const successor = successors[node][next];
+                if (state[successor] === 1) {
+                    reversed.add(`${node},${successor}`);
+                } else if (state[successor] === 0) {
+                    state[successor] = 1;
+                    stack.push([successor, 0]);
+                }
+            } else {
+                state[node] = 2;
+                stack.pop();
+            }
+        }
+    }
+
+    return edges.map(([from, to]) => reversed.has(`${from},${to}`) ? [to, from] : [from, to]);
+}
+
+/**
+ * Assigns layers by longest path, then moves nodes without predecessors
+ * down to just above their highest successor to shorten their edges
+ * @param {number} count - Number of nodes
+ * @param {Array<Array<number>>} edges - Acyclic edges
+ * @returns {Int32Array} The layer of each node
+ */
+function assignLayers(count, edges) {
+    const successors = Array.from({ length: count }, () => []);
+    const inDegree = new Int32Array(count);
+    edges.forEach(([from, to]) => {
+        successors[from].push(to);
+        inDegree[to]++;
+    });
+
+    const layer = new Int32Array(count);
+    const remaining = Int32Array.from(inDegree);
+    const order = [];
+    for (let node = 0; node < count; node++) {
+        if (remaining[node] === 0) order.push(node);
+    }
+    for (let i = 0; i < order.length; i++) {
+        const node = order[i];
+        successors[node].forEach(successor => {
+            layer[successor] = Math.max(layer[successor], layer[node] + 1);
+            if (--remaining[successor] === 0) order.push(successor);
+        });
+    }
+
+    order.forEach(node => {
+        if (inDegree[node] === 0 && successors[node].length > 0) {
+            layer[node] = Math.min(...successors[node].map(successor => layer[successor])) - 1;
+        }
+    });
+    return layer;
+}
+
+/**
+ * Counts the crossings between two adjacent layers (accumulator tree, Barth et al.)
+ * @param {Array<Object>} upper - Nodes of the upper layer in order
+ * @param {number} lowerSize - Number of nodes in the lower layer
+ * @param {Int32Array} position - Position of every node within its layer
+ * @returns {number} The number of crossings
+ */
+function countCrossings(upper, lowerSize, position) {
+    const targets = [];
+    upper.forEach(node => {
+        if (node.down.length === 1) {
+            targets.push(position[node.down[0]]);
+        } else {
+            node.down.map(next => position[next]).sort((a, b) => a - b).forEach(target => targets.push(target));
+        }
+    });
+
+    let firstIndex = 1;
+    while (firstIndex < lowerSize) firstIndex *= 2;
+    const tree = new Int32Array(2 * firstIndex);
+    firstIndex -= 1;
+
+    let crossings = 0;
+    targets.forEach(target => {
+        let index = target + firstIndex;
+        tree[index]++;
+        while (index > 0) {
+            if (index % 2) crossings += tree[index + 1];
+            index = (index - 1) >> 1;
+            tree[index]++;
+        }
+    });
+    return crossings;
+}
+
+/**
+ * Computes a layered layout
+ * @param {Array<Object>} nodes - Nodes with an `id`
+ * @param {Array<Object>} links - Links with `source` and `target` (IDs or node objects), pointing
+ *   from the dependent system to the system it depends on
+ * @param {Object} [options] - Layout options
+ * @param {string} [options.direction='TB'] - One of LAYOUT_DIRECTIONS
+ * @param {number} [options.nodeSpacing=140] - Minimum distance between nodes of a layer
+ * @param {number} [options.layerSpacing=160] - Distance between layers
+ * @param {number} [options.sweeps=12] - Number of crossing reduction sweeps
+ * @returns {Map<string, Object>} Positions ({ x, y }) by node ID, centered around the origin
+ */
+export function computeLayeredLayout(nodes, links, options = {}) {
+    const { direction = 'TB', nodeSpacing = 140, layerSpacing = 160, sweeps = 12 } = options;
+    const count = nodes.length;
+    const indexOf = new Map(nodes.map((node, index) => [node.id, index]));
+
+    // Parallel dependencies and self-loops do not influence the layout
+    const seen = new Set();
+    const edges = [];
+    links.forEach(link => {
+        const from = indexOf.get(endpointId(link.source));
+        const to = indexOf.get(endpointId(link.target));
+        if (from === undefined || to === undefined || from === to || seen.has(`${from},${to}`)) return;
+        seen.add(`${from},${to}`);
+        edges.push([from, to]);
+    });
+
+    // Reversing can turn a pair of opposite edges into duplicates
+    const acyclicSeen = new Set();
+    const acyclic = removeCycles(count, edges).filter(([from, to]) => {
+        if (acyclicSeen.has(`${from},${to}`)) return false;
+        acyclicSeen.add(`${from},${to}`);
+        return true;
+    });
+    const layerOf = assignLayers(count, acyclic);
+
+    // Graph with dummy nodes, so every edge connects adjacent layers
+    const graph = nodes.map((node, index) => ({ index, id: node.id, dummy: false, layer: layerOf[index], up: [], down: [] }));
+    acyclic.forEach(([from, to]) => {
+        let previous = from;
+        for (let layer = layerOf[from] + 1; layer < layerOf[to]; layer++) {
+            const dummy = { index: graph.length, id: null, dummy: true, layer, up: [], down: [] };
+            graph.push(dummy);
+            graph[previous].down.push(dummy.index);
+            dummy.up.push(previous);
+            previous = dummy.index;
+        }
+        graph[previous].down.push(to);
+        graph[to].up.push(previous);
+    });
+
+    const layerCount = count > 0 ? Math.max(...layerOf) + 1 : 0;
+    let layers = Array.from({ length: layerCount }, () => []);
+    graph.forEach(node => layers[node.layer].push(node));
+
+    const position = new Int32Array(graph.length);
+    const updatePositions = () => layers.forEach(layer => layer.forEach((node, i) => { position[node.index] = i; }));
+    const totalCrossings = () => layers.slice(0, -1)
+        .reduce((sum, layer, i) => sum + countCrossings(layer, layers[i + 1].length, position), 0);
+
+    // Orders a layer by the mean position of the neighbours in the adjacent layer,
+    // nodes without neighbours keep their position
+    const barycenter = new Float64Array(graph.length);
+    const orderLayer = (layer, neighbours) => {
+        layer.forEach(node => {
+            const adjacent = node[neighbours];
+            let sum = 0;
+            for (let i = 0; i < adjacent.length; i++) sum += position[adjacent[i]];
+            barycenter[node.index] = adjacent.length > 0 ? sum / adjacent.length : position[node.index];
+        });
+        layer.sort((a, b) => barycenter[a.index] - barycenter[b.index] || position[a.index] - position[b.index]);
+        layer.forEach((node, i) => { position[node.index] = i; });
+    };
+
+    updatePositions();
+    let best = layers.map(layer => [...layer]);
+    let bestCrossings = totalCrossings();
+    let bestSweep = 0;
+    // Stops early once a few sweeps in a row did not improve the order
+    for (let sweep = 0; sweep < sweeps && bestCrossings > 0 && sweep - bestSweep < 4; sweep++) {
+        if (sweep % 2 === 0) {
+            for (let i = 1; i < layerCount; i++) orderLayer(layers[i], 'up');
+        } else {
+            for (let i = layerCount - 2; i >= 0; i--) orderLayer(layers[i], 'down');
+        }
+        const crossings = totalCrossings();
+        if (crossings < bestCrossings) {
+            bestCrossings = crossings;
+            bestSweep = sweep;
+            best = layers.map(layer => [...layer]);
+        }
+    }
+    layers = best;
+    updatePositions();
+
+    // Coordinates within the layers: dummy nodes may be closer together than systems
+    const coordinate = new Float64Array(graph.length);
+    const gap = (a, b) => nodeSpacing * (a.dummy && b.dummy ? 0.25 : (a.dummy || b.dummy ? 0.6 : 1));
+    layers.forEach(layer => layer.forEach((node, i) => {
+        coordinate[node.index] = i === 0 ? 0 : coordinate[layer[i - 1].index] + gap(layer[i - 1], node);
+    }));
+
+    // Moves the nodes of a layer towards their neighbours without violating the spacing
+    const alignLayer = (layer, neighbours) => {
+        const desired = layer.map(node => {
+            const adjacent = node[neighbours];
+            return adjacent.length > 0 ?
+                adjacent.reduce((sum, next) => sum + coordinate[next], 0) / adjacent.length :
+                coordinate[node.index];
+        });
+        const placed = [...desired];
+        for (let i = 1; i < layer.length; i++) {
+            placed[i] = Math.max(placed[i], placed[i - 1] + gap(layer[i - 1], layer[i]));
+        }
+        for (let i = layer.length - 2; i >= 0; i--) {
+            placed[i] = Math.min(placed[i], placed[i + 1] - gap(layer[i], layer[i + 1]));
+        }
+        const shift = desired.reduce((sum, value, i) => sum + value - placed[i], 0) / layer.length;
+        layer.forEach((node, i) => { coordinate[node.index] = placed[i] + shift; });
+    };
+
+    for (let pass = 0; pass < 4; pass++) {
+        for (let i = 1; i < layerCount; i++) alignLayer(layers[i], 'up');
+        for (let i = layerCount - 2; i >= 0; i--) alignLayer(layers[i], 'down');
+    }
+
+    // Center the real nodes around the origin
+    const real = graph.slice(0, count);
+    const min = Math.min(...real.map(node => coordinate[node.index]));
+    const max = Math.max(...real.map(node => coordinate[node.index]));
+    const offset = (min + max) / 2;
+    const layerOffset = (layerCount - 1) / 2;
+
+    const positions = new Map();
+    real.forEach(node => {
+        const along = coordinate[node.index] - offset;
+        const across = (node.layer - layerOffset) * layerSpacing;
+        positions.set(node.id, direction === 'LR' ? { x: across, y: along } : { x: along, y: across });
+    });
+    return positions;
+}
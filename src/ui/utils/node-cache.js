@@ -142,6 +142,30 @@ export class NodeCache {
         }
     }
 
+    /**
+     * Switches to another local storage key (e.g. of another workspace)
+     * Pending positions are saved under the previous key first.
+     * @param {string} localStorageKey - The key to load positions from
+     */
+    switchStorageKey(localStorageKey) {
+        this.flush();
+
+        this.options.localStorageKey = localStorageKey;
+        this.positions.clear();
+        this.loadFromLocalStorage();
+    }
+
+    /**
+     * Writes pending positions to LocalStorage immediately
+     */
+    flush() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+            this.doSaveToLocalStorage();
+        }
+    }
+
     /**
      * Clear cache
      * @param {boolean} alsoLocalStorage - If true, also clear LocalStorage
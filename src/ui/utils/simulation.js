@@ -1,4 +1,10 @@
 import { EventEmitter } from "../../utils/event-emitter.js";
+import { computeLayeredLayout } from "./layered-layout.js";
+import { forceClusterMultiGroup, forceContainment, settleSimulation } from "./forces.js";
+import { WorkerSimulation } from "./worker-simulation.js";
+
+// Pause in ms after the last resize before the layout is settled again
+const RESIZE_SETTLE_DELAY = 300;
 
 /**
  * SimulationManager - Handles d3 force simulation logic separate from visualization
@@ -11,6 +17,13 @@ export class SimulationManager extends EventEmitter {
             chargeStrength: options.chargeStrength || -300,
             collisionRadius: options.collisionRadius || 60,
             groupForceStrength: options.groupForceStrength || 0.5,
+            // 'force' or 'layered' (see layered-layout.js), with direction 'TB' or 'LR'
+            layout: options.layout || 'force',
+            layoutDirection: options.layoutDirection || 'TB',
+            // Runs the force layout in a Web Worker where supported (see WorkerSimulation)
+            useWorker: false,
+            // Computes the final layout at once instead of animating it (see settle)
+            settle: false,
             ...options
         };
 
@@ -23,6 +36,9 @@ export class SimulationManager extends EventEmitter {
         this.lastCacheUpdate = 0;
         this.cacheUpdateInterval = options.cacheUpdateInterval || 300;
 
+        // Delayed settle after resizing (see updateSize)
+        this.resizeSettleTimer = null;
+
         // Callbacks
         this.onTick = options.onTick || (() => { });
         this.onEnd = options.onEnd || (() => { });
@@ -69,9 +85,10 @@ export class SimulationManager extends EventEmitter {
      * @param {string|number} systemId - The unique identifier of the node to fix or unfix.
      * @param {boolean} state - If true, fixes the node at its current position; if false, releases the node.
      * @param {Object} [curNode=undefined] - (Optional) The node object to operate on. If not provided, the node is retrieved by systemId.
+     * @param {Object} [restartOptions={}] - (Optional) Options for the restart afterwards (see restart).
      * @returns {boolean|null} Returns the node's fixed state after the operation, or null if the node was not found.
      */
-    setNodeFixed(systemId, state, curNode = undefined) {
+    setNodeFixed(systemId, state, curNode = undefined, restartOptions = {}) {
         const node = curNode || this.getNodeById(systemId);
         if (!node) return null;
 
@@ -87,6 +104,7 @@ export class SimulationManager extends EventEmitter {
             node.fx = node.x;
             node.fy = node.y;
         }
+        this.syncNode(node);
 
         // Update cache
         if (this.nodeCache && node.id) {
@@ -100,7 +118,7 @@ export class SimulationManager extends EventEmitter {
         }
 
         // Slightly restart simulation
-        this.restart(0.1);
+        this.restart(0.1, restartOptions);
 
         this.onToggleFixed && state != stateBefore && this.onToggleFixed(systemId, state);
 
@@ -111,56 +129,231 @@ export class SimulationManager extends EventEmitter {
      * Initialize simulation with nodes and links
      */
     initialize(nodes, links, groups) {
-        // Apply cached positions before simulation starts
+        if (this.isLayered()) {
+            this.applyLayeredLayout(nodes, links);
+
+            // Nodes keep their computed positions, the link force only resolves the link endpoints
+            this.simulation = d3.forceSimulation(nodes)
+                .force("link", d3.forceLink(links)
+                    .id(d => d.id)
+                    .strength(0));
+        } else {
+            // Apply cached positions before simulation starts
+            if (this.nodeCache) {
+                this.applyNodePositionsFromCache(nodes);
+            }
+
+            // Calculate initial positions for nodes without cache positions
+            this.applyInitialPositions(nodes);
+
+            if (this.options.useWorker && WorkerSimulation.isSupported()) {
+                // Same forces as below, the worker streams the positions back
+                this.simulation = new WorkerSimulation({
+                    width: this.width,
+                    height: this.height,
+                    linkDistance: this.options.linkDistance,
+                    chargeStrength: this.options.chargeStrength,
+                    collisionRadius: this.options.collisionRadius,
+                    groupForceStrength: this.options.groupForceStrength
+                });
+                this.simulation.setGraph(nodes, links, this.getGroupCenters(groups));
+            } else {
+                // Create simulation
+                this.simulation = d3.forceSimulation(nodes)
+                    .force("link", d3.forceLink(links)
+                        .id(d => d.id)
+                        .distance(this.options.linkDistance))
+                    .force("charge", d3.forceManyBody()
+                        .strength(this.options.chargeStrength))
+                    .force("center", d3.forceCenter(this.width / 2, this.height / 2))
+                    .force("collision", d3.forceCollide()
+                        .radius(this.options.collisionRadius));
+
+                // Add group force if groups are provided
+                if (groups && Object.keys(groups).length > 0) {
+                    this.simulation.force("group", forceClusterMultiGroup()
+                        .centers(groups)
+                        .strength(this.options.groupForceStrength));
+                }
+
+                // Add containment force to keep nodes within bounds
+                this.simulation.force("containment", forceContainment(this.width, this.height));
+            }
+        }
+
+        this.simulation.on("tick", () => this.handleTick());
+        this.simulation.on("end", () => this.handleEnd());
+
+        if (!this.isLayered()) {
+            this.restart(1);
+        }
+        return this.simulation;
+    }
+
+    /**
+     * Called on every tick of the simulation
+     */
+    handleTick() {
+        // Update node cache periodically during simulation
+        this.throttledUpdateNodeCache();
+
+        // Call external tick handler
+        this.onTick();
+    }
+
+    /**
+     * Called when the simulation has cooled down or settled
+     */
+    handleEnd() {
+        // Save final positions to cache
         if (this.nodeCache) {
-            this.applyNodePositionsFromCache(nodes);
+            this.nodeCache.updateBatch(this.simulation.nodes());
+        }
+
+        // Call external end handler
+        this.onEnd();
+    }
+
+    /**
+     * Checks if the simulation runs in a Web Worker
+     * @returns {boolean} True for the worker, false for the d3 simulation on the main thread
+     */
+    usesWorker() {
+        return this.simulation instanceof WorkerSimulation;
+    }
+
+    /**
+     * Returns the nodes of the simulation
+     * @returns {Array<Object>} The nodes, empty before initialize
+     */
+    getNodes() {
+        return this.simulation ? this.simulation.nodes() : [];
+    }
+
+    /**
+     * Returns the links of the simulation
+     * @returns {Array<Object>} The links with resolved source and target nodes, empty before initialize
+     */
+    getLinks() {
+        if (!this.simulation) return [];
+        return this.usesWorker() ? this.simulation.links() : this.simulation.force("link").links();
+    }
+
+    /**
+     * Returns the centers of the groups, which is all the group force needs
+     * @param {Object} groups - The groups (see SystemVisualizer.identifyGroups)
+     * @returns {Object} { x, y } by group name
+     */
+    getGroupCenters(groups) {
+        return Object.fromEntries(Object.entries(groups || {}).map(([name, group]) => [name, { x: group.x, y: group.y }]));
+    }
+
+    /**
+     * Passes a changed fixed position (fx, fy) of a node on to the worker
+     * The d3 simulation on the main thread reads it from the node itself.
+     * @param {Object} node - The node
+     */
+    syncNode(node) {
+        if (this.usesWorker()) {
+            this.simulation.updateNode(node);
         }
+    }
 
-        // Calculate initial positions for nodes without cache positions
-        this.applyInitialPositions(nodes);
-
-        // Create simulation
-        this.simulation = d3.forceSimulation(nodes)
-            .force("link", d3.forceLink(links)
-                .id(d => d.id)
-                .distance(this.options.linkDistance))
-            .force("charge", d3.forceManyBody()
-                .strength(this.options.chargeStrength))
-            .force("center", d3.forceCenter(this.width / 2, this.height / 2))
-            .force("collision", d3.forceCollide()
-                .radius(this.options.collisionRadius));
-
-        // Add group force if groups are provided
-        if (groups && Object.keys(groups).length > 0) {
-            this.simulation.force("group", d3.forceClusterMultiGroup()
-                .centers(groups)
-                .strength(this.options.groupForceStrength));
+    /**
+     * Replaces the nodes, links and groups of the running simulation
+     *
+     * Nodes that carry a position keep it, new nodes are placed as in initialize. Instead of
+     * starting over, the simulation is only reheated to the given alpha, so the rest of the
+     * graph stays where it is.
+     *
+     * @param {Array<Object>} nodes - The nodes of the simulation
+     * @param {Array<Object>} links - The links with source and target IDs
+     * @param {Object} groups - The groups with their centers (see SystemVisualizer.identifyGroups)
+     * @param {number} [alpha=0.1] - Alpha to reheat with, 0 leaves the simulation as it is
+     * @returns {Object} The d3 simulation
+     */
+    update(nodes, links, groups, alpha = 0.1) {
+        if (!this.simulation) {
+            return this.initialize(nodes, links, groups);
+        }
+
+        if (this.isLayered()) {
+            this.applyLayeredLayout(nodes, links);
+        } else {
+            const newNodes = nodes.filter(node => node.x === undefined || node.y === undefined);
+            this.applyNodePositionsFromCache(newNodes);
+            this.applyInitialPositions(nodes);
+        }
+
+        if (this.usesWorker()) {
+            this.simulation.setGraph(nodes, links, this.getGroupCenters(groups));
+        } else {
+            if (!this.isLayered()) {
+                this.simulation.force("group", groups && Object.keys(groups).length > 0 ?
+                    forceClusterMultiGroup()
+                        .centers(groups)
+                        .strength(this.options.groupForceStrength) :
+                    null);
+            }
+            this.simulation.nodes(nodes);
+            this.simulation.force("link").links(links);
         }
 
-        // Add containment force to keep nodes within bounds
-        this.simulation.force("containment", this.createContainmentForce());
+        if (alpha > 0) {
+            this.restart(Math.max(this.simulation.alpha(), alpha));
+        }
+        return this.simulation;
+    }
 
-        // Register tick handler
-        this.simulation.on("tick", () => {
-            // Update node cache periodically during simulation
-            this.throttledUpdateNodeCache();
+    /**
+     * Checks if the layered layout is active instead of the force layout
+     * @returns {boolean} True for the layered layout
+     */
+    isLayered() {
+        return this.options.layout === 'layered';
+    }
 
-            // Call external tick handler
-            this.onTick();
+    /**
+     * Places the nodes according to the layered layout and stores the result in the node cache
+     *
+     * Pinned nodes keep their cached position and the layout is shifted so it lines up with
+     * them as well as possible. Without pinned nodes the layout is centered in the viewport.
+     * All other nodes are held at their layout position until they are dragged.
+     *
+     * @param {Array<Object>} nodes - The nodes of the simulation
+     * @param {Array<Object>} links - The links with source and target IDs
+     */
+    applyLayeredLayout(nodes, links) {
+        const positions = computeLayeredLayout(nodes, links, {
+            direction: this.options.layoutDirection,
+            nodeSpacing: this.options.collisionRadius * 2 + 20,
+            layerSpacing: this.options.linkDistance
         });
 
-        // Register end handler
-        this.simulation.on("end", () => {
-            // Save final positions to cache
-            if (this.nodeCache) {
-                this.nodeCache.updateBatch(this.simulation.nodes());
-            }
+        const pinned = nodes
+            .map(node => ({ node, cached: this.nodeCache ? this.nodeCache.get(node.id) : null }))
+            .filter(({ cached }) => cached && cached.isFixed);
+        let offsetX = this.width / 2;
+        let offsetY = this.height / 2;
+        if (pinned.length > 0) {
+            offsetX = d3.mean(pinned, ({ node, cached }) => cached.x - positions.get(node.id).x);
+            offsetY = d3.mean(pinned, ({ node, cached }) => cached.y - positions.get(node.id).y);
+        }
 
-            // Call external end handler
-            this.onEnd();
+        const pinnedIds = new Set(pinned.map(({ node }) => node.id));
+        nodes.forEach(node => {
+            const cached = pinnedIds.has(node.id) ? this.nodeCache.get(node.id) : null;
+            const position = positions.get(node.id);
+            node.x = node.fx = cached ? cached.x : position.x + offsetX;
+            node.y = node.fy = cached ? cached.y : position.y + offsetY;
+            node.vx = 0;
+            node.vy = 0;
+            node.isFixed = !!cached;
         });
 
-        return this.simulation;
+        if (this.nodeCache) {
+            this.nodeCache.updateBatch(nodes);
+        }
     }
 
     /**
@@ -184,35 +377,6 @@ export class SimulationManager extends EventEmitter {
         return [];
     }
 
-    /**
-     * Create a force that keeps nodes within the container bounds
-     */
-    createContainmentForce() {
-        // Add padding to prevent nodes from touching the edge
-        const padding = 50;
-
-        return () => {
-            for (let node of this.simulation.nodes()) {
-                // Gradually increase force as node approaches boundaries
-                if (node.x < padding) {
-                    node.vx += (padding - node.x) * 0.1;
-                } else if (node.x > this.width - padding) {
-                    node.vx -= (node.x - (this.width - padding)) * 0.1;
-                }
-
-                if (node.y < padding) {
-                    node.vy += (padding - node.y) * 0.1;
-                } else if (node.y > this.height - padding) {
-                    node.vy -= (node.y - (this.height - padding)) * 0.1;
-                }
-
-                // Dampen velocity for stable movement
-                node.vx *= 0.9;
-                node.vy *= 0.9;
-            }
-        };
-    }
-
     /**
      * Applies cached positions and velocities to a list of nodes.
      * 
@@ -249,6 +413,7 @@ export class SimulationManager extends EventEmitter {
                         setTimeout(() => {
                             node.fx = null;
                             node.fy = null;
+                            this.syncNode(node);
                         }, 500);
                     }
 
@@ -364,11 +529,39 @@ export class SimulationManager extends EventEmitter {
 
     /**
      * Restart simulation with alpha
+     * With the settle option, the force layout is computed at once instead (see settle).
+     * @param {number} [alpha=0.3] - Alpha to restart with
+     * @param {Object} [options={}] - Additional options
+     * @param {boolean} [options.settle] - Whether to settle instead of animating, defaults to the settle option
      */
-    restart(alpha = 0.3) {
-        if (this.simulation) {
-            this.simulation.alpha(alpha).restart();
+    restart(alpha = 0.3, { settle = this.options.settle } = {}) {
+        if (!this.simulation) return;
+        if (this.resizeSettleTimer) {
+            clearTimeout(this.resizeSettleTimer);
+            this.resizeSettleTimer = null;
+        }
+        if (settle && !this.isLayered()) {
+            this.settle(alpha);
+            return;
+        }
+        this.simulation.alpha(alpha).restart();
+    }
+
+    /**
+     * Computes the final layout without animating it
+     * The worker settles in the background, the d3 simulation on the main thread blocks until it is
+     * done. Either way, the tick and end handlers are called once with the final positions.
+     * @param {number} [alpha=1] - Alpha to start with, lower values keep the layout closer to the current one
+     */
+    settle(alpha = 1) {
+        if (!this.simulation) return;
+        if (this.usesWorker()) {
+            this.simulation.settle(alpha);
+            return;
         }
+        settleSimulation(this.simulation, alpha);
+        this.handleTick();
+        this.handleEnd();
     }
 
     /**
@@ -380,6 +573,17 @@ export class SimulationManager extends EventEmitter {
         }
     }
 
+    /**
+     * Stops the simulation for good, including its worker
+     */
+    destroy() {
+        clearTimeout(this.resizeSettleTimer);
+        this.stop();
+        if (this.usesWorker()) {
+            this.simulation.terminate();
+        }
+    }
+
     /**
      * Update simulation size
      */
@@ -387,10 +591,24 @@ export class SimulationManager extends EventEmitter {
         this.width = width;
         this.height = height;
 
-        if (this.simulation) {
-            this.simulation.force("center", d3.forceCenter(width / 2, height / 2));
-            // Restart with low alpha to adjust positions
-            this.restart(0.1);
+        if (this.simulation && !this.isLayered()) {
+            if (this.usesWorker()) {
+                this.simulation.resize(width, height);
+            } else {
+                this.simulation.force("center", d3.forceCenter(width / 2, height / 2));
+                this.simulation.force("containment").size([width, height]);
+            }
+            // Restart with low alpha to adjust positions, settling blocks the main thread
+            // and only runs once resizing has paused
+            if (this.options.settle) {
+                clearTimeout(this.resizeSettleTimer);
+                this.resizeSettleTimer = setTimeout(() => {
+                    this.resizeSettleTimer = null;
+                    this.restart(0.1);
+                }, RESIZE_SETTLE_DELAY);
+            } else {
+                this.restart(0.1);
+            }
         }
     }
 
@@ -399,16 +617,17 @@ export class SimulationManager extends EventEmitter {
      */
     createDragBehavior() {
         const isTouchDevice = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+        // The dragged node is the event subject, so the behavior also works with a custom subject (canvas renderer)
         return d3.drag()
-            .on("start", (event, d) => {
+            .on("start", (event) => {
                 if (isTouchDevice && event.sourceEvent) {
                     event.sourceEvent.preventDefault();
                 }
-                this.dragstarted(event, d);
+                this.dragstarted(event, event.subject);
             })
-            .on("start", (event, d) => this.dragstarted(event, d))
-            .on("drag", (event, d) => this.dragged(event, d))
-            .on("end", (event, d) => this.dragended(event, d))
+            .on("start", (event) => this.dragstarted(event, event.subject))
+            .on("drag", (event) => this.dragged(event, event.subject))
+            .on("end", (event) => this.dragended(event, event.subject))
             .touchable(true)
             .filter(function(event) {
                 if (isTouchDevice) return true;
@@ -420,10 +639,11 @@ export class SimulationManager extends EventEmitter {
      * Handle drag start
      */
     dragstarted(event, d) {
-        if (!event.active) this.simulation.alphaTarget(0.3).restart();
         d.fx = d.x;
         d.fy = d.y;
-        this.setNodeFixed(d.id, true, d);
+        // The drag is animated in any case, so fixing the node does not settle the layout
+        this.setNodeFixed(d.id, true, d, { settle: false });
+        if (!event.active) this.simulation.alphaTarget(0.3).restart();
     }
 
     /**
@@ -432,6 +652,7 @@ export class SimulationManager extends EventEmitter {
     dragged(event, d) {
         d.fx = event.x;
         d.fy = event.y;
+        this.syncNode(d);
     }
 
     /**
@@ -452,76 +673,3 @@ export class SimulationManager extends EventEmitter {
         }
     }
 }
-
-d3.forceClusterMultiGroup = function () {
-    let strength = 0.1;
-    let centers = {};
-    let nodes = [];
-
-    // Weight for each group (1/number of groups of a node)
-    // So that nodes with fewer groups are more strongly attracted to their groups
-    function getGroupWeight(node) {
-        const nodeGroups = getNodeGroups(node);
-        return nodeGroups.length > 0 ? 1 / nodeGroups.length : 0;
-    }
-
-    // Helper function to extract all groups of a node
-    function getNodeGroups(node) {
-        if (Array.isArray(node.groups) && node.groups.length > 0) {
-            return node.groups;
-        } else if (node.group && typeof node.group === 'string') {
-            return [node.group];
-        }
-        return [];
-    }
-
-    function force(alpha) {
-        // For each node
-        nodes.forEach(d => {
-            const nodeGroups = getNodeGroups(d);
-            if (nodeGroups.length === 0) return; // Skip if no group
-
-            // Vector for the total force on the node
-            let totalForceX = 0;
-            let totalForceY = 0;
-            let totalWeight = 0;
-
-            // Calculate force from each group
-            nodeGroups.forEach(groupName => {
-                const groupCenter = centers[groupName];
-                if (!groupCenter) return;
-
-                // Weight for this group
-                const weight = getGroupWeight(d);
-                totalWeight += weight;
-
-                // Adjust force depending on the number of groups the node is in
-                const k = strength * alpha * weight;
-
-                // Force towards the group center
-                totalForceX += (groupCenter.x - d.x) * k;
-                totalForceY += (groupCenter.y - d.y) * k;
-            });
-
-            // Apply total force to the node
-            if (totalWeight > 0) {
-                d.vx += totalForceX;
-                d.vy += totalForceY;
-            }
-        });
-    }
-
-    force.initialize = function (_) {
-        nodes = _;
-    };
-
-    force.centers = function (_) {
-        return arguments.length ? (centers = _, force) : centers;
-    };
-
-    force.strength = function (_) {
-        return arguments.length ? (strength = _, force) : strength;
-    };
-
-    return force;
-};
\ No newline at end of file
@@ -0,0 +1,105 @@
+/**
+ * Web Worker running the force simulation of the SimulationManager (see WorkerSimulation)
+ *
+ * Messages from the main thread, processed in order:
+ * - init { d3Url, options }: loads d3 and creates the stopped simulation
+ * - graph { version, nodes, links, centers }: replaces the nodes ({ x, y, vx, vy, fx, fy, groups }),
+ *   the links ({ source, target } as node indices) and the group centers
+ * - node { version, index, fx, fy }: fixes or releases a node, e.g. while it is dragged
+ * - alpha { alpha }, alphaTarget { alphaTarget }, restart, stop: as on the d3 simulation
+ * - resize { width, height }: moves the center and the bounds of the containment force
+ * - settle { alpha }: runs the simulation to its end without streaming the intermediate positions
+ *
+ * Messages to the main thread, with the graph version they belong to and the current alpha:
+ * - tick { positions }: positions after a tick, as x, y, vx, vy per node
+ * - end { positions }: final positions after the simulation cooled down or settled
+ */
+import { forceClusterMultiGroup, forceContainment, settleSimulation } from './forces.js';
+
+let simulation = null;
+let groupForceStrength = 0.5;
+let version = 0;
+
+/**
+ * Posts the node positions to the main thread
+ * @param {string} type - 'tick' or 'end'
+ */
+function postPositions(type) {
+    const nodes = simulation.nodes();
+    const positions = new Float64Array(nodes.length * 4);
+    nodes.forEach((node, i) => {
+        positions[i * 4] = node.x;
+        positions[i * 4 + 1] = node.y;
+        positions[i * 4 + 2] = node.vx;
+        positions[i * 4 + 3] = node.vy;
+    });
+    self.postMessage({ type, version, alpha: simulation.alpha(), positions }, [positions.buffer]);
+}
+
+const handlers = {
+    init({ d3Url, options }) {
+        importScripts(d3Url);
+
+        simulation = d3.forceSimulation()
+            .force("link", d3.forceLink()
+                .distance(options.linkDistance))
+            .force("charge", d3.forceManyBody()
+                .strength(options.chargeStrength))
+            .force("center", d3.forceCenter(options.width / 2, options.height / 2))
+            .force("collision", d3.forceCollide()
+                .radius(options.collisionRadius))
+            .force("containment", forceContainment(options.width, options.height))
+            .on("tick", () => postPositions('tick'))
+            .on("end", () => postPositions('end'))
+            .stop();
+        groupForceStrength = options.groupForceStrength;
+    },
+
+    graph(message) {
+        version = message.version;
+        simulation.force("group", Object.keys(message.centers).length > 0 ?
+            forceClusterMultiGroup()
+                .centers(message.centers)
+                .strength(groupForceStrength) :
+            null);
+        simulation.nodes(message.nodes);
+        simulation.force("link").links(message.links);
+    },
+
+    node({ version: nodeVersion, index, fx, fy }) {
+        const node = simulation.nodes()[index];
+        if (nodeVersion !== version || !node) return;
+        node.fx = fx;
+        node.fy = fy;
+    },
+
+    alpha({ alpha }) {
+        simulation.alpha(alpha);
+    },
+
+    alphaTarget({ alphaTarget }) {
+        simulation.alphaTarget(alphaTarget);
+    },
+
+    restart() {
+        simulation.restart();
+    },
+
+    stop() {
+        simulation.stop();
+    },
+
+    resize({ width, height }) {
+        simulation.force("center", d3.forceCenter(width / 2, height / 2));
+        simulation.force("containment").size([width, height]);
+    },
+
+    settle({ alpha }) {
+        settleSimulation(simulation, alpha);
+        postPositions('end');
+    }
+};
+
+self.onmessage = (event) => {
+    handlers[event.data.type](event.data);
+};
@@ -0,0 +1,237 @@
+/**
+ * WorkerSimulation - Runs a force simulation in a Web Worker (see simulation.worker.js)
+ *
+ * Offers the part of the d3 simulation API the SimulationManager uses (nodes, alpha, alphaTarget,
+ * restart, stop, on), so it can take the place of d3.forceSimulation for the force layout. The
+ * nodes stay on the main thread: the worker simulates copies of them and streams their positions
+ * back, which are applied once per animation frame before the tick listener is called.
+ * Changes of fixed positions (fx, fy) have to be passed on with updateNode.
+ */
+export class WorkerSimulation {
+    /**
+     * Returns the URL of the d3 script loaded by the page, which the worker loads as well
+     * @returns {string|null} The URL, null if d3 is not loaded by a script element
+     */
+    static getD3Url() {
+        const script = Array.from(document.scripts).find(element => /\/d3(\.min)?\.js(\?|$)/.test(element.src));
+        return script ? script.src : null;
+    }
+
+    /**
+     * Checks if the simulation can run in a worker
+     * @returns {boolean} True if workers are supported and the d3 script was found
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined' && WorkerSimulation.getD3Url() !== null;
+    }
+
+    /**
+     * @param {Object} options - Simulation parameters: width, height, linkDistance, chargeStrength,
+     *   collisionRadius, groupForceStrength
+     */
+    constructor(options) {
+        this.worker = new Worker(new URL('./simulation.worker.js', import.meta.url));
+        this.worker.onmessage = (event) => this.receive(event.data);
+        this.worker.onerror = (event) => console.error('Simulation worker failed:', event.message);
+        this.post({ type: 'init', d3Url: WorkerSimulation.getD3Url(), options });
+
+        this.currentNodes = [];
+        this.currentLinks = [];
+        this.currentAlpha = 1;
+        this.listeners = { tick: null, end: null };
+
+        // Incremented with every graph, positions of previous graphs are dropped
+        this.version = 0;
+
+        // Latest positions from the worker, applied with the next animation frame
+        this.pending = null;
+        this.pendingEnd = false;
+        this.frame = null;
+    }
+
+    /**
+     * Posts a message to the worker
+     * @param {Object} message - The message with its `type`
+     * @param {Array} [transfer] - Transferable objects
+     */
+    post(message, transfer = []) {
+        this.worker.postMessage(message, transfer);
+    }
+
+    /**
+     * Replaces the simulated graph, without restarting the simulation
+     * Like d3.forceLink, the sources and targets of the links are resolved to the nodes.
+     * @param {Array<Object>} nodes - The nodes with their positions
+     * @param {Array<Object>} links - The links with source and target IDs
+     * @param {Object} centers - The group centers by group name ({ x, y })
+     */
+    setGraph(nodes, links, centers) {
+        const nodesById = new Map(nodes.map(node => [node.id, node]));
+        const resolve = endpoint => typeof endpoint === 'object' ? endpoint : nodesById.get(endpoint);
+        nodes.forEach((node, index) => { node.index = index; });
+        links.forEach((link, index) => {
+            link.index = index;
+            link.source = resolve(link.source);
+            link.target = resolve(link.target);
+        });
+        // Links to missing nodes fail in d3.forceLink, they are left out here
+        const validLinks = links.filter(link => link.source && link.target);
+
+        this.version++;
+        this.currentNodes = nodes;
+        this.currentLinks = links;
+        this.pending = null;
+        this.pendingEnd = false;
+
+        const getGroups = node => Array.isArray(node.groups) && node.groups.length > 0 ? node.groups :
+            (typeof node.group === 'string' && node.group ? [node.group] : []);
+        this.post({
+            type: 'graph',
+            version: this.version,
+            nodes: nodes.map(node => ({
+                x: node.x, y: node.y, vx: node.vx, vy: node.vy, fx: node.fx, fy: node.fy, groups: getGroups(node)
+            })),
+            links: validLinks.map(link => ({ source: link.source.index, target: link.target.index })),
+            centers
+        });
+    }
+
+    /**
+     * Passes the fixed position of a node on to the worker
+     * @param {Object} node - A node of the current graph
+     */
+    updateNode(node) {
+        if (this.currentNodes[node.index] !== node) return;
+        this.post({ type: 'node', version: this.version, index: node.index, fx: node.fx ?? null, fy: node.fy ?? null });
+    }
+
+    /**
+     * Returns the nodes of the current graph
+     * @returns {Array<Object>} The nodes
+     */
+    nodes() {
+        return this.currentNodes;
+    }
+
+    /**
+     * Returns the links of the current graph
+     * @returns {Array<Object>} The links with resolved source and target nodes
+     */
+    links() {
+        return this.currentLinks;
+    }
+
+    /**
+     * Gets the last alpha reported by the worker or sets the alpha
+     * @param {number} [alpha] - The new alpha
+     * @returns {number|WorkerSimulation} The alpha, or this simulation when setting
+     */
+    alpha(alpha) {
+        if (alpha === undefined) return this.currentAlpha;
+        this.currentAlpha = alpha;
+        this.post({ type: 'alpha', alpha });
+        return this;
+    }
+
+    /**
+     * Sets the alpha target
+     * @param {number} alphaTarget - The alpha target
+     * @returns {WorkerSimulation} This simulation
+     */
+    alphaTarget(alphaTarget) {
+        this.post({ type: 'alphaTarget', alphaTarget });
+        return this;
+    }
+
+    /**
+     * Restarts the timer of the simulation
+     * @returns {WorkerSimulation} This simulation
+     */
+    restart() {
+        this.post({ type: 'restart' });
+        return this;
+    }
+
+    /**
+     * Stops the timer of the simulation
+     * @returns {WorkerSimulation} This simulation
+     */
+    stop() {
+        this.post({ type: 'stop' });
+        return this;
+    }
+
+    /**
+     * Runs the simulation to its end without animating, the listeners are called once with the result
+     * @param {number} alpha - Alpha to start with
+     */
+    settle(alpha) {
+        this.currentAlpha = alpha;
+        this.post({ type: 'settle', alpha });
+    }
+
+    /**
+     * Adapts the center and the bounds of the simulation
+     * @param {number} width - New width
+     * @param {number} height - New height
+     */
+    resize(width, height) {
+        this.post({ type: 'resize', width, height });
+    }
+
+    /**
+     * Sets the listener for 'tick' or 'end'
+     * @param {string} type - 'tick' or 'end'
+     * @param {Function} listener - Called without arguments
+     * @returns {WorkerSimulation} This simulation
+     */
+    on(type, listener) {
+        this.listeners[type] = listener;
+        return this;
+    }
+
+    /**
+     * Stops the worker
+     */
+    terminate() {
+        if (this.frame !== null) cancelAnimationFrame(this.frame);
+        this.frame = null;
+        this.worker.terminate();
+    }
+
+    /**
+     * Receives positions from the worker, only the latest ones are applied with the next frame
+     * @param {Object} message - A 'tick' or 'end' message
+     */
+    receive(message) {
+        if (message.version !== this.version) return;
+        this.currentAlpha = message.alpha;
+        this.pending = message.positions;
+        this.pendingEnd = this.pendingEnd || message.type === 'end';
+        if (this.frame === null) {
+            this.frame = requestAnimationFrame(() => this.applyPending());
+        }
+    }
+
+    /**
+     * Applies the latest positions to the nodes and calls the listeners
+     */
+    applyPending() {
+        this.frame = null;
+        const positions = this.pending;
+        const ended = this.pendingEnd;
+        this.pending = null;
+        this.pendingEnd = false;
+        if (!positions) return;
+
+        this.currentNodes.forEach((node, i) => {
+            node.x = positions[i * 4];
+            node.y = positions[i * 4 + 1];
+            node.vx = positions[i * 4 + 2];
+            node.vy = positions[i * 4 + 3];
+        });
+
+        if (this.listeners.tick) this.listeners.tick();
+        if (ended && this.listeners.end) this.listeners.end();
+    }
+}
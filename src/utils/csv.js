@@ -0,0 +1,102 @@
+/**
+ * Detects the delimiter of a CSV text by counting candidates in the header line
+ * Spreadsheet exports commonly use comma, semicolon or tab.
+ * @param {string} text - The CSV text
+ * @returns {string} The detected delimiter
+ */
+export function detectDelimiter(text) {
+    const headerLine = text.split(/\r?\n/)[0] || '';
+    const candidates = [',', ';', '\t'];
+    return candidates.reduce((best, candidate) =>
+        headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best
+    , ',');
+}
+
+/**
+ * Parses CSV text into a header and a list of row objects
+ * Supports quoted fields, escaped quotes ("") and line breaks inside quotes.
+ * @param {string} text - The CSV text
+ * @param {string} [delimiter] - The field delimiter, detected if omitted
+ * @returns {{headers: Array<string>, rows: Array<Object>}} Column names and rows keyed by column name
+ */
+export function parseCsv(text, delimiter = detectDelimiter(text)) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    // Strip byte order mark written by some spreadsheet tools
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    // Last record without trailing line break
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    // Skip empty lines
+    const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''));
+    if (nonEmpty.length === 0) {
+        return { headers: [], rows: [] };
+    }
+
+    const headers = nonEmpty[0].map(header => header.trim());
+    const rows = nonEmpty.slice(1).map(values => {
+        const row = {};
+        headers.forEach((header, index) => {
+            row[header] = (values[index] || '').trim();
+        });
+        return row;
+    });
+
+    return { headers, rows };
+}
+
+/**
+ * Splits a list cell (e.g. "frontend; customer-facing") into its values
+ * @param {string} value - The cell value
+ * @returns {Array<string>} The non-empty values
+ */
+export function splitListValue(value) {
+    if (!value) return [];
+    return String(value).split(/[;,|]/).map(item => item.trim()).filter(item => item !== '');
+}
+
+/**
+ * Interprets a cell as boolean (true, yes, 1, x)
+ * @param {string} value - The cell value
+ * @param {boolean} defaultValue - Value for empty cells
+ * @returns {boolean} The interpreted value
+ */
+export function parseBooleanValue(value, defaultValue = true) {
+    if (value === undefined || value === null || String(value).trim() === '') return defaultValue;
+    return ['true', 'yes', 'y', '1', 'x', 'ja'].includes(String(value).trim().toLowerCase());
+}
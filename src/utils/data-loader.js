@@ -1,18 +1,45 @@
 import { showNotification } from './utilities.js';
+import { UNKNOWN_DEPENDENCY_TYPE } from './taxonomy.js';
+import { validateSystemDocument, extractValidSubset } from './validation.js';
+import { splitListValue, parseBooleanValue } from './csv.js';
+
+/**
+ * Target fields for CSV imports with column names that are mapped automatically
+ */
+export const CSV_SYSTEM_FIELDS = {
+    id: ['id', 'system id', 'system_id', 'key'],
+    name: ['name', 'system', 'system name', 'title'],
+    description: ['description', 'desc', 'beschreibung'],
+    category: ['category', 'kategorie'],
+    groups: ['groups', 'group', 'gruppen', 'gruppe', 'domain'],
+    status: ['status', 'lifecycle'],
+    tags: ['tags', 'tag', 'labels'],
+    knownUsage: ['knownusage', 'known usage', 'known_usage', 'in use']
+};
+
+export const CSV_DEPENDENCY_FIELDS = {
+    source: ['source', 'from', 'source id', 'source_id'],
+    target: ['target', 'to', 'target id', 'target_id'],
+    type: ['type', 'dependency type', 'dependency_type', 'connection type', 'connection_type'],
+    protocol: ['protocol', 'protokoll'],
+    description: ['description', 'desc', 'beschreibung']
+};
 
 
 /**
  * Opens a file dialog for the user to upload a YAML file containing system data.
- * Parses and validates the selected YAML file, updates the DataManager with the new data,
- * refreshes the visualization, and displays notifications based on the outcome.
+ * Parses the selected YAML file and passes the document to `onLoaded`, e.g. the import dialog.
+ * Without callback the document replaces the data of the DataManager after validation.
  *
  * Utilizes a hidden file input element to trigger the file selection dialog.
  * Supports files with .yaml or .yml extensions.
  *
  * @function
+ * @param {DataManager} dataManager - The DataManager to update
+ * @param {Function} [onLoaded] - Callback receiving the parsed document and the file name
  * @returns {void}
  */
-export function uploadSystemData(dataManager) {
+export function uploadSystemData(dataManager, onLoaded = null) {
     // Create a hidden file input element
     const fileInput = document.createElement('input');
     fileInput.type = 'file';
@@ -33,17 +60,16 @@ export function uploadSystemData(dataManager) {
             try {
                 const yamlContent = e.target.result;
                 const parsedData = jsyaml.load(yamlContent);
-                
-                // Validate the data structure
-                if (!validateSystemData(parsedData)) {
-                    showNotification('Invalid data format', 'danger');
+
+                if (onLoaded) {
+                    onLoaded(parsedData, file.name);
                     return;
                 }
                 
-                // Update data in DataManager
-                dataManager.setData(parsedData);
-                
-                showNotification('Data loaded successfully', 'success');
+                // Update data in DataManager, validation errors are reported via 'validationFailed'
+                if (dataManager.setData(parsedData, true, { source: 'upload' })) {
+                    showNotification('Data loaded successfully', 'success');
+                }
             } catch (error) {
                 console.error('Error parsing the YAML file:', error);
                 showNotification('Invalid YAML format', 'danger');
@@ -59,29 +85,12 @@ export function uploadSystemData(dataManager) {
 
 /**
  * Validates the uploaded data structure
+ * Use validateSystemDocument for a detailed report of all issues.
  * @param {Object} data - The data structure to validate
  * @returns {boolean} True if the data is valid
  */
 export function validateSystemData(data) {
-    // Check if the basic structure exists
-    if (!data || !Array.isArray(data.systems) || !Array.isArray(data.dependencies)) {
-        return false;
-    }
-    
-    // Check if all systems have an ID
-    const allSystemsHaveId = data.systems.every(system => !!system.id);
-    if (!allSystemsHaveId) {
-        return false;
-    }
-    
-    // Check if all dependencies have valid source and target
-    const allDependenciesValid = data.dependencies.every(dep => 
-        !!dep.source && !!dep.target && 
-        data.systems.some(sys => sys.id === dep.source) && 
-        data.systems.some(sys => sys.id === dep.target)
-    );
-    
-    return allDependenciesValid;
+    return validateSystemDocument(data).valid;
 }
 
 /**
@@ -125,6 +134,12 @@ export function downloadSystemData(dataManager) {
  * Exports the current visualization as an SVG file
  */
 export function downloadVisualizationAsSVG() {
+    // Large landscapes are drawn on a canvas, their SVG holds no graph
+    if (document.querySelector('#visualization-container .visualization-canvas')) {
+        showNotification('Large landscapes are drawn on a canvas and can only be downloaded as PNG', 'warning');
+        return;
+    }
+
     // Find the SVG element
     const svgElement = document.querySelector('#visualization-container svg');
     if (!svgElement) {
@@ -212,8 +227,16 @@ export function downloadVisualizationAsSVG() {
 
 /**
  * Exports the current visualization as a PNG file
+ * @param {DataManager} dataManager - Provides the dependency type definitions for the link colors
  */
-export function downloadVisualizationAsPNG() {
+export function downloadVisualizationAsPNG(dataManager) {
+    // Large landscapes are drawn on a canvas, which is exported directly
+    const canvasElement = document.querySelector('#visualization-container .visualization-canvas');
+    if (canvasElement) {
+        downloadCanvasAsPNG(canvasElement);
+        return;
+    }
+
     // Find the SVG element
     const svgElement = document.querySelector('#visualization-container svg');
     if (!svgElement) {
@@ -233,23 +256,12 @@ export function downloadVisualizationAsPNG() {
             path.setAttribute('stroke-width', '1.5px');
             path.setAttribute('stroke-opacity', '0.6');
             
-            // Set color depending on connection type
+            // Set color and dash pattern depending on connection type
             const linkType = path.getAttribute('data-type');
-            switch(linkType) {
-                case 'data':
-                    path.setAttribute('stroke', '#0d6efd');
-                    break;
-                case 'integration':
-                    path.setAttribute('stroke', '#198754');
-                    break;
-                case 'authentication':
-                    path.setAttribute('stroke', '#dc3545');
-                    break;
-                case 'monitoring':
-                    path.setAttribute('stroke', '#6c757d');
-                    break;
-                default:
-                    path.setAttribute('stroke', '#999');
+            const typeStyle = dataManager.getDependencyType(linkType) || UNKNOWN_DEPENDENCY_TYPE;
+            path.setAttribute('stroke', typeStyle.color);
+            if (typeStyle.dash) {
+                path.setAttribute('stroke-dasharray', typeStyle.dash);
             }
         });
         
@@ -321,3 +333,224 @@ export function downloadVisualizationAsPNG() {
         showNotification('Error during download', 'danger');
     }
 }
+
+/**
+ * Downloads a canvas as a PNG file on a white background
+ * @param {HTMLCanvasElement} sourceCanvas - The canvas to export
+ */
+function downloadCanvasAsPNG(sourceCanvas) {
+    try {
+        const canvas = document.createElement('canvas');
+        canvas.width = sourceCanvas.width;
+        canvas.height = sourceCanvas.height;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(sourceCanvas, 0, 0);
+
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const link = document.createElement('a');
+        link.href = canvas.toDataURL('image/png');
+        link.download = `infrastructure-map-${timestamp}.png`;
+
+        document.body.appendChild(link);
+        link.click();
+        setTimeout(() => {
+            document.body.removeChild(link);
+        }, 100);
+
+        showNotification('Visualization successfully downloaded as PNG', 'success');
+    } catch (error) {
+        console.error('Error downloading as PNG:', error);
+        showNotification('Error during download', 'danger');
+    }
+}
+
+/**
+ * Suggests a column mapping by comparing column names with the known aliases of each field
+ * @param {Array<string>} headers - The column names of the CSV file
+ * @param {Object} fields - CSV_SYSTEM_FIELDS or CSV_DEPENDENCY_FIELDS
+ * @param {Array<string>} [excludedColumns=[]] - Columns that must not be mapped (e.g. the row type column)
+ * @returns {Object} Mapping of field name to column name (or null)
+ */
+export function suggestCsvMapping(headers, fields, excludedColumns = []) {
+    const mapping = {};
+    Object.entries(fields).forEach(([field, aliases]) => {
+        const column = headers.find(header =>
+            !excludedColumns.includes(header) && aliases.includes(header.trim().toLowerCase()));
+        mapping[field] = column || null;
+    });
+    return mapping;
+}
+
+/**
+ * Creates an ID from a system name (e.g. "Billing Service" -> "billing-service")
+ * @param {string} name - The system name
+ * @returns {string} The derived ID
+ */
+function slugify(name) {
+    return String(name).toLowerCase().trim()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Converts mapped CSV rows into a batch of changes for DataManager.applyBatch
+ * Rows matching existing systems (by ID) or dependencies (by source, target and type)
+ * are merged into them, all other rows are added. Several rows for the same system or
+ * dependency are merged into one entry.
+ * @param {DataManager} dataManager - The DataManager holding the current data
+ * @param {Array<Object>} systemRows - Rows describing systems
+ * @param {Object} systemMapping - Mapping of system field to column name
+ * @param {Array<Object>} dependencyRows - Rows describing dependencies
+ * @param {Object} dependencyMapping - Mapping of dependency field to column name
+ * @returns {Object} Differences with added and modified systems and dependencies
+ */
+export function createCsvImportBatch(dataManager, systemRows, systemMapping, dependencyRows, dependencyMapping) {
+    const currentData = dataManager.getData();
+    const defaultCategory = dataManager.getCategories()[0].id;
+    const cell = (row, mapping, field) => mapping[field] ? (row[mapping[field]] || '').trim() : '';
+
+    const differences = {
+        added: { systems: [], dependencies: [] },
+        modified: { systems: [], dependencies: [] },
+        removed: { systems: [], dependencies: [] }
+    };
+
+    // Systems
+    const importedSystems = [];
+    systemRows.forEach(row => {
+        const name = cell(row, systemMapping, 'name');
+        const id = cell(row, systemMapping, 'id') || (name ? slugify(name) : '');
+        if (!id) return;
+
+        const values = {
+            id,
+            name,
+            description: cell(row, systemMapping, 'description'),
+            category: cell(row, systemMapping, 'category'),
+            status: cell(row, systemMapping, 'status').toLowerCase()
+        };
+        // Only overwrite what the sheet actually provides
+        const system = Object.fromEntries(Object.entries(values).filter(([, value]) => value !== ''));
+        if (systemMapping.groups && cell(row, systemMapping, 'groups')) {
+            system.groups = splitListValue(cell(row, systemMapping, 'groups'));
+        }
+        if (systemMapping.tags && cell(row, systemMapping, 'tags')) {
+            system.tags = splitListValue(cell(row, systemMapping, 'tags'));
+        }
+        if (systemMapping.knownUsage && cell(row, systemMapping, 'knownUsage')) {
+            system.knownUsage = parseBooleanValue(cell(row, systemMapping, 'knownUsage'));
+        }
+
+        // Repeated rows for a system are merged into the entry of the earlier row
+        const pending = differences.added.systems.find(sys => sys.id === id) ||
+            differences.modified.systems.find(sys => sys.id === id);
+        const existing = currentData.systems.find(sys => sys.id === id);
+        if (pending) {
+            Object.assign(pending, system);
+        } else if (existing) {
+            const merged = { ...existing, ...system };
+            differences.modified.systems.push(merged);
+            importedSystems.push(merged);
+        } else {
+            const added = {
+                name: id,
+                description: '',
+                category: defaultCategory,
+                status: 'active',
+                knownUsage: true,
+                groups: [],
+                tags: [],
+                ...system
+            };
+            differences.added.systems.push(added);
+            importedSystems.push(added);
+        }
+    });
+
+    // Dependency endpoints may be given as ID or as system name
+    const allSystems = [...currentData.systems, ...importedSystems];
+    const resolveSystemId = (value) => {
+        if (!value) return value;
+        const byId = allSystems.find(sys => sys.id === value);
+        if (byId) return byId.id;
+        const byName = allSystems.find(sys => sys.name && sys.name.toLowerCase() === value.toLowerCase());
+        return byName ? byName.id : value;
+    };
+
+    // Dependencies
+    dependencyRows.forEach(row => {
+        const source = resolveSystemId(cell(row, dependencyMapping, 'source'));
+        const target = resolveSystemId(cell(row, dependencyMapping, 'target'));
+        if (!source && !target) return;
+
+        const dependency = {
+            source,
+            target,
+            type: cell(row, dependencyMapping, 'type') || dataManager.getDependencyTypes()[0].id
+        };
+        const protocol = cell(row, dependencyMapping, 'protocol');
+        const description = cell(row, dependencyMapping, 'description');
+        if (protocol) dependency.protocol = protocol;
+        if (description) dependency.description = description;
+
+        // Repeated rows for a dependency are merged into the entry of the earlier row
+        const matches = dep => dep.source === source && dep.target === target && dep.type === dependency.type;
+        const pending = differences.added.dependencies.find(matches) ||
+            differences.modified.dependencies.find(matches);
+        const existing = currentData.dependencies.find(matches);
+        if (pending) {
+            Object.assign(pending, dependency);
+        } else if (existing) {
+            differences.modified.dependencies.push({ ...existing, ...dependency });
+        } else {
+            differences.added.dependencies.push(dependency);
+        }
+    });
+
+    return differences;
+}
+
+/**
+ * Validates a CSV import batch and applies it as a single change via DataManager.applyBatch
+ * If the batch contains errors, a 'validationFailed' event is emitted instead, offering
+ * to import only the valid entries.
+ * @param {DataManager} dataManager - The DataManager to apply the changes to
+ * @param {Object} differences - The batch created by createCsvImportBatch
+ * @returns {Object|null} The result of DataManager.applyBatch, null if the batch is invalid
+ */
+export function applyCsvImportBatch(dataManager, differences) {
+    const currentData = dataManager.getData();
+    const imported = {
+        systems: [...differences.modified.systems, ...differences.added.systems],
+        dependencies: [...differences.modified.dependencies, ...differences.added.dependencies]
+    };
+    const existingSystemIds = currentData.systems.map(system => system.id);
+    const report = validateSystemDocument(imported, { existingSystemIds, taxonomy: currentData });
+
+    if (!report.valid) {
+        dataManager.emit('validationFailed', {
+            report,
+            source: 'csv',
+            onImportSubset: () => {
+                const subset = extractValidSubset(imported, report, existingSystemIds);
+                const keep = (list, subsetList) => list.filter(entry => subsetList.includes(entry));
+                return dataManager.applyBatch({
+                    added: {
+                        systems: keep(differences.added.systems, subset.systems),
+                        dependencies: keep(differences.added.dependencies, subset.dependencies)
+                    },
+                    modified: {
+                        systems: keep(differences.modified.systems, subset.systems),
+                        dependencies: keep(differences.modified.dependencies, subset.dependencies)
+                    },
+                    removed: { systems: [], dependencies: [] }
+                }, 'Imported CSV');
+            }
+        });
+        return null;
+    }
+
+    return dataManager.applyBatch(differences, 'Imported CSV');
+}
@@ -0,0 +1,431 @@
+import { normalizeDefinitions, getCategoryDefinitions, getDependencyTypeDefinitions } from './taxonomy.js';
+
+/**
+ * Supported modes for importing a data document
+ */
+export const IMPORT_MODES = {
+    REPLACE: 'replace',
+    MERGE_INCOMING: 'merge-incoming',
+    MERGE_EXISTING: 'merge-existing'
+};
+
+/**
+ * Top-level sections of the data document besides systems and dependencies
+ * Differences can replace them as a whole (see calculateImportDifferences).
+ */
+export const DOCUMENT_SECTIONS = ['categories', 'dependencyTypes', 'rules'];
+
+const SECTION_LABELS = { categories: 'categories', dependencyTypes: 'dependency types', rules: 'architecture rules' };
+
+/**
+ * Creates an empty differences structure as used by DataManager.applyBatch
+ * @returns {Object} Differences with empty added, modified and removed lists
+ */
+export function createEmptyDifferences() {
+    return {
+        added: { systems: [], dependencies: [] },
+        modified: { systems: [], dependencies: [] },
+        removed: { systems: [], dependencies: [] }
+    };
+}
+
+/**
+ * Calculates the differences between two data models
+ * Systems and dependencies missing in `newData` are not considered removed,
+ * only entries marked with `delete: true` are.
+ * @param {Object} currentData - Current data
+ * @param {Object} newData - New data
+ * @returns {Object} Differences (added, modified, removed)
+ */
+export function calculateDifferences(currentData, newData) {
+    const differences = createEmptyDifferences();
+
+    // Compare systems
+    const currentSystemIds = new Set(currentData.systems.map(s => s.id));
+
+    // Added and removed systems
+    (newData.systems || []).forEach(newSystem => {
+        // Removed systems
+        if (newSystem.delete) {
+            differences.removed.systems.push(newSystem);
+            return;
+        }
+        if (!currentSystemIds.has(newSystem.id)) {
+            differences.added.systems.push(newSystem);
+        } else {
+            // Modified systems
+            const currentSystem = currentData.systems.find(s => s.id === newSystem.id);
+            if (!areSystemsEqual(currentSystem, newSystem)) {
+                differences.modified.systems.push(newSystem);
+            }
+        }
+    });
+
+    // Compare dependencies, matched by ID or by their endpoints and type
+    (newData.dependencies || []).forEach(newDep => {
+        const currentDep = findMatchingDependency(currentData.dependencies, newDep);
+
+        // Removed dependencies
+        if (newDep.delete) {
+            differences.removed.dependencies.push(withDependencyId(newDep, currentDep));
+            return;
+        }
+        if (!currentDep) {
+            differences.added.dependencies.push(newDep);
+        } else if (!areDependenciesEqual(currentDep, newDep)) {
+            // Modified dependencies
+            differences.modified.dependencies.push(withDependencyId(newDep, currentDep));
+        }
+    });
+
+    return differences;
+}
+
+/**
+ * Finds the dependency matching another one
+ * Dependencies with an ID are matched by it. Without an ID, the first dependency with the same
+ * source, target and type is taken (only source and target if no type is given).
+ * @param {Array<Object>} dependencies - The dependencies to search
+ * @param {Object} dependency - The dependency to find
+ * @returns {Object|null} The matching dependency or null
+ */
+export function findMatchingDependency(dependencies, dependency) {
+    if (dependency.id) {
+        return dependencies.find(dep => dep.id === dependency.id) || null;
+    }
+    return dependencies.find(dep => dep.source === dependency.source && dep.target === dependency.target &&
+        (dependency.type === undefined || dep.type === dependency.type)) || null;
+}
+
+/**
+ * Adds the ID of the matching current dependency to a dependency without ID
+ * @param {Object} dependency - The (incoming) dependency
+ * @param {Object|null} currentDependency - The matching current dependency
+ * @returns {Object} The dependency with the ID of the current one
+ */
+function withDependencyId(dependency, currentDependency) {
+    if (dependency.id || !currentDependency || !currentDependency.id) return dependency;
+    return { ...dependency, id: currentDependency.id };
+}
+
+/**
+ * Compares two systems for equality, adapted for multi-group support
+ * @param {Object} system1 - First system
+ * @param {Object} system2 - Second system
+ * @returns {boolean} True if the systems are equal
+ */
+export function areSystemsEqual(system1, system2) {
+    if (!system1 || !system2) return false;
+
+    // Compare main properties
+    if (system1.name !== system2.name ||
+        system1.description !== system2.description ||
+        system1.category !== system2.category ||
+        system1.status !== system2.status ||
+        system1.knownUsage !== system2.knownUsage) {
+        return false;
+    }
+
+    // Compare groups
+    const groups1 = getSystemGroups(system1);
+    const groups2 = getSystemGroups(system2);
+
+    if (groups1.length !== groups2.length) {
+        return false;
+    }
+
+    // Check if all groups match (order does not matter)
+    for (const group of groups1) {
+        if (!groups2.includes(group)) {
+            return false;
+        }
+    }
+
+    // Compare tags (if present)
+    if (Array.isArray(system1.tags) && Array.isArray(system2.tags)) {
+        if (system1.tags.length !== system2.tags.length) {
+            return false;
+        }
+
+        for (let i = 0; i < system1.tags.length; i++) {
+            if (!system2.tags.includes(system1.tags[i])) {
+                return false;
+            }
+        }
+    } else if ((system1.tags && !system2.tags) || (!system1.tags && system2.tags)) {
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Helper function to extract all groups of a system
+ * @param {Object} system - The system object
+ * @returns {Array} Array with all group names
+ */
+export function getSystemGroups(system) {
+    let groups = [];
+
+    if (Array.isArray(system.groups) && system.groups.length > 0) {
+        groups = [...system.groups];
+    } else if (system.group && typeof system.group === 'string') {
+        groups = [system.group];
+    }
+
+    return groups;
+}
+
+/**
+ * Compares two dependencies for equality
+ * @param {Object} dep1 - First dependency
+ * @param {Object} dep2 - Second dependency
+ * @returns {boolean} True if the dependencies are equal
+ */
+export function areDependenciesEqual(dep1, dep2) {
+    if (!dep1 || !dep2) return false;
+
+    return dep1.source === dep2.source &&
+        dep1.target === dep2.target &&
+        dep1.type === dep2.type &&
+        dep1.description === dep2.description &&
+        dep1.protocol === dep2.protocol;
+}
+
+/**
+ * Merges two taxonomy sections by ID
+ * @param {Array<Object>} current - Current definitions (normalized)
+ * @param {Array|Object} incoming - Raw incoming section
+ * @param {boolean} incomingWins - Whether incoming definitions overwrite existing ones with the same ID
+ * @returns {Array<Object>|null} The merged definitions or null if nothing changed
+ */
+function mergeDefinitions(current, incoming, incomingWins) {
+    const incomingDefinitions = normalizeDefinitions(incoming, []);
+    let changed = false;
+    const merged = current.map(definition => {
+        const replacement = incomingDefinitions.find(entry => entry.id === definition.id);
+        if (replacement && incomingWins && JSON.stringify(replacement) !== JSON.stringify(definition)) {
+            changed = true;
+            return replacement;
+        }
+        return definition;
+    });
+    incomingDefinitions.forEach(definition => {
+        if (!merged.some(entry => entry.id === definition.id)) {
+            merged.push(definition);
+            changed = true;
+        }
+    });
+    return changed ? merged : null;
+}
+
+/**
+ * Merges two rule sections by rule ID
+ * @param {Array<Object>} current - Current rules
+ * @param {Array<Object>} incoming - Incoming rules
+ * @param {boolean} incomingWins - Whether incoming rules overwrite existing ones with the same ID
+ * @returns {Array<Object>|null} The merged rules or null if nothing changed
+ */
+function mergeRules(current, incoming, incomingWins) {
+    const merged = [...current];
+    let changed = false;
+    incoming.forEach(rule => {
+        const index = merged.findIndex(entry => entry && rule && entry.id === rule.id);
+        if (index === -1) {
+            merged.push(rule);
+            changed = true;
+        } else if (incomingWins && JSON.stringify(merged[index]) !== JSON.stringify(rule)) {
+            merged[index] = rule;
+            changed = true;
+        }
+    });
+    return changed ? merged : null;
+}
+
+/**
+ * Calculates the changes needed to import a document into the current data
+ *
+ * - `replace`: the incoming document replaces everything, systems and dependencies missing
+ *   in it are removed and its taxonomy and rule sections replace the current ones
+ * - `merge-incoming`: incoming systems and dependencies are added or overwrite existing ones
+ * - `merge-existing`: only new systems and dependencies are added, existing ones are kept and
+ *   removals (`delete: true`) are ignored
+ *
+ * The result has the structure of calculateDifferences and can be passed to DataManager.applyBatch.
+ * Section changes are returned in the optional `categories`, `dependencyTypes` and `rules` fields.
+ *
+ * @param {Object} currentData - Current data
+ * @param {Object} incomingData - Imported document
+ * @param {string} mode - One of IMPORT_MODES
+ * @returns {Object} Differences (added, modified, removed and optional taxonomy changes)
+ */
+export function calculateImportDifferences(currentData, incomingData, mode) {
+    const differences = calculateDifferences(currentData, incomingData);
+
+    if (mode === IMPORT_MODES.REPLACE) {
+        const incomingSystemIds = new Set((incomingData.systems || []).map(s => s.id));
+        const matchedDependencies = new Set((incomingData.dependencies || [])
+            .map(dep => findMatchingDependency(currentData.dependencies, dep)));
+        differences.removed.systems.push(...currentData.systems.filter(s => !incomingSystemIds.has(s.id)));
+        differences.removed.dependencies.push(...currentData.dependencies.filter(d => !matchedDependencies.has(d)));
+
+        // Sections are taken over as they are, null removes a section
+        DOCUMENT_SECTIONS.forEach(section => {
+            if (JSON.stringify(currentData[section]) !== JSON.stringify(incomingData[section])) {
+                differences[section] = incomingData[section] || null;
+            }
+        });
+        return differences;
+    }
+
+    const incomingWins = mode === IMPORT_MODES.MERGE_INCOMING;
+    if (incomingWins) {
+        // Keep fields of existing entries the incoming document does not mention
+        differences.modified.systems = differences.modified.systems.map(system => ({
+            ...currentData.systems.find(s => s.id === system.id),
+            ...system
+        }));
+        differences.modified.dependencies = differences.modified.dependencies.map(dep => ({
+            ...findMatchingDependency(currentData.dependencies, dep),
+            ...dep
+        }));
+    } else {
+        // Existing entries stay as they are, neither changed nor removed (even if marked with `delete: true`)
+        differences.modified.systems = [];
+        differences.modified.dependencies = [];
+        differences.removed.systems = [];
+        differences.removed.dependencies = [];
+    }
+
+    if (incomingData.categories) {
+        const categories = mergeDefinitions(getCategoryDefinitions(currentData), incomingData.categories, incomingWins);
+        if (categories) differences.categories = categories;
+    }
+    if (incomingData.dependencyTypes) {
+        const dependencyTypes = mergeDefinitions(getDependencyTypeDefinitions(currentData), incomingData.dependencyTypes, incomingWins);
+        if (dependencyTypes) differences.dependencyTypes = dependencyTypes;
+    }
+    if (Array.isArray(incomingData.rules)) {
+        const rules = mergeRules(Array.isArray(currentData.rules) ? currentData.rules : [], incomingData.rules, incomingWins);
+        if (rules) differences.rules = rules;
+    }
+
+    return differences;
+}
+
+/**
+ * Counts all changes of a differences structure
+ * @param {Object} differences - The differences
+ * @returns {number} Number of added, modified and removed entries including section changes
+ */
+export function countDifferences(differences) {
+    let count = 0;
+    ['added', 'modified', 'removed'].forEach(kind => {
+        count += differences[kind].systems.length + differences[kind].dependencies.length;
+    });
+    count += DOCUMENT_SECTIONS.filter(section => differences[section] !== undefined).length;
+    return count;
+}
+
+/**
+ * Describes a differences structure in a short sentence, e.g. "Added system Billing"
+ * or "Deleted 3 systems"
+ * @param {Object} differences - The differences
+ * @returns {string} The description
+ */
+export function describeDifferences(differences) {
+    const verbs = { added: 'Added', modified: 'Edited', removed: 'Deleted' };
+    const parts = [];
+
+    ['added', 'modified', 'removed'].forEach(kind => {
+        const systems = (differences[kind] && differences[kind].systems) || [];
+        const dependencies = (differences[kind] && differences[kind].dependencies) || [];
+        if (systems.length === 1) {
+            parts.push({ kind, text: `system ${systems[0].name || systems[0].id}` });
+        } else if (systems.length > 1) {
+            parts.push({ kind, text: `${systems.length} systems` });
+        }
+        if (dependencies.length === 1) {
+            parts.push({ kind, text: `connection ${dependencies[0].source} → ${dependencies[0].target}` });
+        } else if (dependencies.length > 1) {
+            parts.push({ kind, text: `${dependencies.length} connections` });
+        }
+    });
+
+    const changedSections = DOCUMENT_SECTIONS.filter(section => differences[section] !== undefined)
+        .map(section => SECTION_LABELS[section]);
+    if (parts.length === 0) {
+        if (changedSections.length === 0) return 'No changes';
+        const last = changedSections.pop();
+        return `Changed ${changedSections.length > 0 ? `${changedSections.join(', ')} and ${last}` : last}`;
+    }
+    if (parts.length === 1 && changedSections.length === 0) {
+        return `${verbs[parts[0].kind]} ${parts[0].text}`;
+    }
+    return `Applied ${countDifferences(differences)} changes`;
+}
+
+/**
+ * Describes the changes of a batch rejected by DataManager.applyBatch
+ * @param {Array<Object>} rejected - The rejected changes (see DataManager.runBatch)
+ * @returns {Array<string>} One line per change, e.g. "New connection a → b: Unknown system b"
+ */
+export function describeRejectedChanges(rejected) {
+    const verbs = { added: 'New', modified: 'Edited', removed: 'Deleted' };
+    return rejected.map(({ change, section, entry, reason }) => {
+        const subject = section === 'systems' ?
+            `system ${entry.name || entry.id}` :
+            `connection ${entry.source} → ${entry.target}`;
+        return `${verbs[change]} ${subject}: ${reason}`;
+    });
+}
+
+/**
+ * Returns the data as it would be after applying the differences, without changing it
+ * Follows DataManager.applyBatch: removed systems take their dependencies with them, dependencies
+ * are matched by ID or by their endpoints and type, and dependencies need both systems to exist and
+ * must not duplicate another dependency of the same type between them.
+ * @param {Object} currentData - Current data
+ * @param {Object} differences - The differences
+ * @returns {Object} A copy of the data with the differences applied
+ */
+export function previewDifferences(currentData, differences) {
+    const data = JSON.parse(JSON.stringify(currentData));
+
+    DOCUMENT_SECTIONS.forEach(section => {
+        if (differences[section] === null) {
+            delete data[section];
+        } else if (differences[section] !== undefined) {
+            data[section] = differences[section];
+        }
+    });
+
+    const removedSystemIds = new Set(differences.removed.systems.map(system => system.id));
+    data.systems = data.systems.filter(system => !removedSystemIds.has(system.id));
+    data.dependencies = data.dependencies.filter(dep => !removedSystemIds.has(dep.source) && !removedSystemIds.has(dep.target));
+    differences.modified.systems.forEach(system => {
+        const index = data.systems.findIndex(s => s.id === system.id);
+        if (index !== -1) data.systems[index] = system;
+    });
+    data.systems.push(...differences.added.systems.filter(system => !data.systems.some(s => s.id === system.id)));
+
+    const systemIds = new Set(data.systems.map(system => system.id));
+    const isAccepted = (dep, except = null) => systemIds.has(dep.source) && systemIds.has(dep.target) &&
+        !data.dependencies.some(other => other !== except &&
+            other.source === dep.source && other.target === dep.target && other.type === dep.type);
+    differences.removed.dependencies.forEach(dep => {
+        const match = findMatchingDependency(data.dependencies, dep);
+        if (match) data.dependencies.splice(data.dependencies.indexOf(match), 1);
+    });
+    differences.modified.dependencies.forEach(dep => {
+        const match = findMatchingDependency(data.dependencies, dep);
+        if (match && isAccepted(dep, match)) {
+            data.dependencies[data.dependencies.indexOf(match)] = { ...dep, id: dep.id || match.id };
+        }
+    });
+    differences.added.dependencies.forEach(dep => {
+        if (isAccepted(dep)) data.dependencies.push(dep);
+    });
+
+    return data;
+}
@@ -0,0 +1,203 @@
+import { buildAdjacency } from './graph.js';
+
+/**
+ * Structural metrics of the dependency graph
+ * Degrees and betweenness follow the dependency directions. Articulation points and bridges
+ * treat the graph as undirected: they are the systems and connections whose failure splits
+ * the landscape into parts that no longer reach each other.
+ */
+
+/**
+ * The metrics per system, in the order they are shown
+ */
+export const GRAPH_METRICS = [
+    { id: 'inDegree', label: 'In-degree', description: 'Number of dependencies on this system' },
+    { id: 'outDegree', label: 'Out-degree', description: 'Number of dependencies of this system' },
+    { id: 'betweenness', label: 'Betweenness', description: 'Share of the shortest paths between other systems that pass through this system' },
+    { id: 'articulationPoint', label: 'Single point of failure', description: 'Removing this system disconnects other systems from each other' },
+    { id: 'bridges', label: 'Bridges', description: 'Number of connections of this system whose removal disconnects the landscape' }
+];
+
+/**
+ * Returns the value of a metric as a number (articulation points count as 1)
+ * @param {Object} metrics - The metrics of a system
+ * @param {string} metricId - The ID of the metric
+ * @returns {number} The value
+ */
+export function getMetricValue(metrics, metricId) {
+    const value = metrics[metricId];
+    return typeof value === 'boolean' ? Number(value) : value;
+}
+
+/**
+ * Formats the value of a metric for display
+ * @param {Object} metrics - The metrics of a system
+ * @param {string} metricId - The ID of the metric
+ * @returns {string} The formatted value
+ */
+export function formatMetricValue(metrics, metricId) {
+    const value = metrics[metricId];
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    if (metricId === 'betweenness') return value.toFixed(3);
+    return String(value);
+}
+
+/**
+ * Calculates the betweenness centrality of all systems (Brandes' algorithm)
+ * Parallel dependencies count once. The values are normalized by the number of ordered
+ * pairs of other systems, so they lie between 0 and 1.
+ * @param {Map<string, Array<string>>} outgoing - Targets per system
+ * @returns {Map<string, number>} Betweenness per system ID
+ */
+function calculateBetweenness(outgoing) {
+    // Systems as indices into typed arrays, the search runs once per system
+    const ids = Array.from(outgoing.keys());
+    const indexOf = new Map(ids.map((id, index) => [id, index]));
+    const successors = ids.map(id => [...new Set(outgoing.get(id))].map(targetId => indexOf.get(targetId)));
+    const count = ids.length;
+
+    const betweenness = new Float64Array(count);
+    const distances = new Int32Array(count);
+    const pathCounts = new Float64Array(count);
+    const dependency = new Float64Array(count);
+    const order = new Int32Array(count);
+    const predecessors = ids.map(() => []);
+
+    for (let source = 0; source < count; source++) {
+        distances.fill(-1);
+        pathCounts.fill(0);
+        dependency.fill(0);
+        distances[source] = 0;
+        pathCounts[source] = 1;
+
+        // Breadth-first search counting the shortest paths, `order` doubles as the queue
+        let length = 0;
+        order[length++] = source;
+        for (let head = 0; head < length; head++) {
+            const current = order[head];
+            successors[current].forEach(next => {
+                if (distances[next] < 0) {
+                    distances[next] = distances[current] + 1;
+                    predecessors[next].length = 0;
+                    order[length++] = next;
+                }
+                if (distances[next] === distances[current] + 1) {
+                    pathCounts[next] += pathCounts[current];
+                    predecessors[next].push(current);
+                }
+            });
+        }
+
+        // Accumulate the dependencies in reverse order of distance
+        for (let i = length - 1; i > 0; i--) {
+            const current = order[i];
+            predecessors[current].forEach(previous => {
+                dependency[previous] += pathCounts[previous] / pathCounts[current] * (1 + dependency[current]);
+            });
+            betweenness[current] += dependency[current];
+        }
+    }
+
+    const pairs = (count - 1) * (count - 2);
+    return new Map(ids.map((id, index) => [id, pairs > 0 ? betweenness[index] / pairs : 0]));
+}
+
+/**
+ * Finds the articulation points and bridges of the undirected graph (Tarjan's low-link method)
+ * Two systems connected by several dependencies (in any direction) are never separated by a bridge.
+ * @param {Object} data - The data document
+ * @returns {Object} { articulationPoints: Set of system IDs, bridges: Array of { systems, dependencies } }
+ */
+function findArticulationPointsAndBridges(data) {
+    const neighbors = new Map(data.systems.map(system => [system.id, new Map()]));
+    data.dependencies.forEach(dep => {
+        if (dep.source === dep.target || !neighbors.has(dep.source) || !neighbors.has(dep.target)) return;
+        [[dep.source, dep.target], [dep.target, dep.source]].forEach(([from, to]) => {
+            const edges = neighbors.get(from);
+            if (!edges.has(to)) edges.set(to, []);
+            edges.get(to).push(dep.id);
+        });
+    });
+
+    const indices = new Map();
+    const lowLinks = new Map();
+    const articulationPoints = new Set();
+    const bridges = [];
+    let nextIndex = 0;
+
+    neighbors.forEach((_, rootId) => {
+        if (indices.has(rootId)) return;
+        indices.set(rootId, nextIndex);
+        lowLinks.set(rootId, nextIndex++);
+        let rootChildren = 0;
+
+        // Iterative depth-first search, large graphs would exceed the call stack
+        const path = [{ id: rootId, parentId: null, next: Array.from(neighbors.get(rootId).keys()), position: 0 }];
+        while (path.length > 0) {
+            const frame = path[path.length - 1];
+
+            if (frame.position < frame.next.length) {
+                const nextId = frame.next[frame.position++];
+                if (nextId === frame.parentId) continue;
+                if (indices.has(nextId)) {
+                    lowLinks.set(frame.id, Math.min(lowLinks.get(frame.id), indices.get(nextId)));
+                    continue;
+                }
+                indices.set(nextId, nextIndex);
+                lowLinks.set(nextId, nextIndex++);
+                if (frame.id === rootId) rootChildren++;
+                path.push({ id: nextId, parentId: frame.id, next: Array.from(neighbors.get(nextId).keys()), position: 0 });
+                continue;
+            }
+
+            path.pop();
+            if (frame.parentId === null) continue;
+
+            const parentId = frame.parentId;
+            lowLinks.set(parentId, Math.min(lowLinks.get(parentId), lowLinks.get(frame.id)));
+
+            if (parentId !== rootId && lowLinks.get(frame.id) >= indices.get(parentId)) {
+                articulationPoints.add(parentId);
+            }
+            const dependencies = neighbors.get(parentId).get(frame.id);
+            if (lowLinks.get(frame.id) > indices.get(parentId) && dependencies.length === 1) {
+                bridges.push({ systems: [parentId, frame.id], dependencies });
+            }
+        }
+
+        if (rootChildren > 1) articulationPoints.add(rootId);
+    });
+
+    return { articulationPoints, bridges };
+}
+
+/**
+ * Calculates the metrics of all systems
+ * @param {Object} data - The data document
+ * @returns {Object} { systems, articulationPoints, bridges }: `systems` maps each system ID to its
+ *   metrics (see GRAPH_METRICS), `articulationPoints` lists the system IDs that are single points of
+ *   failure and `bridges` the connections ({ systems, dependencies }) whose removal splits the graph
+ */
+export function computeGraphMetrics(data) {
+    const { outgoing, incoming } = buildAdjacency(data);
+    const betweenness = calculateBetweenness(outgoing);
+    const { articulationPoints, bridges } = findArticulationPointsAndBridges(data);
+
+    const bridgeCounts = new Map();
+    bridges.forEach(bridge => bridge.systems.forEach(id => {
+        bridgeCounts.set(id, (bridgeCounts.get(id) || 0) + 1);
+    }));
+
+    const systems = new Map();
+    outgoing.forEach((targets, id) => {
+        systems.set(id, {
+            inDegree: incoming.get(id).length,
+            outDegree: targets.length,
+            betweenness: betweenness.get(id),
+            articulationPoint: articulationPoints.has(id),
+            bridges: bridgeCounts.get(id) || 0
+        });
+    });
+
+    return { systems, articulationPoints: Array.from(articulationPoints), bridges };
+}
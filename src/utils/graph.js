@@ -0,0 +1,361 @@
+import { getSystemGroups } from './differences.js';
+
+/**
+ * Graph algorithms on the data document
+ * Systems are the nodes, dependencies the directed edges from source to target.
+ */
+
+/**
+ * Builds the adjacency lists of the dependency graph
+ * Dependencies referencing unknown systems are ignored.
+ * @param {Object} data - The data document
+ * @returns {Object} { outgoing, incoming }, both Maps from system ID to an array of system IDs
+ */
+export function buildAdjacency(data) {
+    const outgoing = new Map();
+    const incoming = new Map();
+    data.systems.forEach(system => {
+        outgoing.set(system.id, []);
+        incoming.set(system.id, []);
+    });
+
+    data.dependencies.forEach(dep => {
+        if (!outgoing.has(dep.source) || !incoming.has(dep.target)) return;
+        outgoing.get(dep.source).push(dep.target);
+        incoming.get(dep.target).push(dep.source);
+    });
+
+    return { outgoing, incoming };
+}
+
+/**
+ * Determines all systems affected by the outage of a system
+ * A system is affected if it depends on the failed system directly or transitively, so the
+ * dependencies are walked from target to source (breadth-first, each system counts at the
+ * depth of its shortest dependency chain).
+ * @param {Object} data - The data document
+ * @param {string} systemId - The ID of the failed system
+ * @returns {Object|null} { systemId, depths, levels, groups } or null if the system does not exist:
+ *   `depths` maps each affected system ID to its depth (1 = direct dependents),
+ *   `levels` lists the affected system IDs per depth (levels[0] = depth 1),
+ *   `groups` lists the affected groups ({ group, count }) with the most affected first
+ */
+export function analyzeImpact(data, systemId) {
+    const { incoming } = buildAdjacency(data);
+    if (!incoming.has(systemId)) return null;
+
+    const depths = new Map();
+    const levels = [];
+    let frontier = [systemId];
+
+    while (frontier.length > 0) {
+        const next = [];
+        frontier.forEach(id => {
+            incoming.get(id).forEach(sourceId => {
+                if (sourceId === systemId || depths.has(sourceId)) return;
+                depths.set(sourceId, levels.length + 1);
+                next.push(sourceId);
+            });
+        });
+        if (next.length > 0) levels.push(next);
+        frontier = next;
+    }
+
+    const groupCounts = new Map();
+    data.systems.forEach(system => {
+        if (!depths.has(system.id)) return;
+        getSystemGroups(system).forEach(group => {
+            groupCounts.set(group, (groupCounts.get(group) || 0) + 1);
+        });
+    });
+    const groups = Array.from(groupCounts, ([group, count]) => ({ group, count }))
+        .sort((a, b) => b.count - a.count || a.group.localeCompare(b.group));
+
+    return { systemId, depths, levels, groups };
+}
+
+/**
+ * Directions in which a neighborhood is collected (see findNeighborhood)
+ * Upstream are the systems a system depends on, downstream the systems depending on it.
+ */
+export const NEIGHBORHOOD_DIRECTIONS = ['upstream', 'downstream', 'both'];
+
+/**
+ * Collects the systems within a number of hops of a system
+ * The dependencies are walked breadth-first, in dependency direction for upstream, against it
+ * for downstream and both ways for both, so each system counts at its shortest distance.
+ * @param {Object} data - The data document
+ * @param {string} systemId - The ID of the system in the center
+ * @param {Object} options - Options
+ * @param {number} options.hops - Maximum number of hops from the center
+ * @param {string} options.direction - One of NEIGHBORHOOD_DIRECTIONS
+ * @returns {Object|null} { systemId, distances, dependencies } or null if the system does not exist:
+ *   `distances` maps each system of the neighborhood to its number of hops (0 = the center),
+ *   `dependencies` lists the IDs of the dependencies between systems of the neighborhood
+ */
+export function findNeighborhood(data, systemId, { hops, direction = 'both' }) {
+    const { outgoing, incoming } = buildAdjacency(data);
+    if (!outgoing.has(systemId)) return null;
+
+    const neighbors = id => [
+        ...(direction !== 'downstream' ? outgoing.get(id) : []),
+        ...(direction !== 'upstream' ? incoming.get(id) : [])
+    ];
+
+    const distances = new Map([[systemId, 0]]);
+    let frontier = [systemId];
+    for (let distance = 1; distance <= hops && frontier.length > 0; distance++) {
+        const next = [];
+        frontier.forEach(id => neighbors(id).forEach(neighborId => {
+            if (distances.has(neighborId)) return;
+            distances.set(neighborId, distance);
+            next.push(neighborId);
+        }));
+        frontier = next;
+    }
+
+    const dependencies = data.dependencies
+        .filter(dep => distances.has(dep.source) && distances.has(dep.target))
+        .map(dep => dep.id);
+
+    return { systemId, distances, dependencies };
+}
+
+/**
+ * Finds the strongly connected components of the graph (Tarjan's algorithm)
+ * Every system of a component can reach every other one. Components are returned in reverse
+ * topological order: a component only depends on components listed before it.
+ * @param {Object} data - The data document
+ * @returns {Array<Array<string>>} The components as lists of system IDs, every system is in exactly one
+ */
+export function findStronglyConnectedComponents(data) {
+    const { outgoing } = buildAdjacency(data);
+    const indices = new Map();
+    const lowLinks = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const components = [];
+    let nextIndex = 0;
+
+    // Iterative depth-first search, large graphs would exceed the call stack
+    const visit = (startId) => {
+        const path = [{ id: startId, next: 0 }];
+        indices.set(startId, nextIndex);
+        lowLinks.set(startId, nextIndex++);
+        stack.push(startId);
+        onStack.add(startId);
+
+        while (path.length > 0) {
+            const frame = path[path.length - 1];
+            const targets = outgoing.get(frame.id);
+
+            if (frame.next < targets.length) {
+                const targetId = targets[frame.next++];
+                if (!indices.has(targetId)) {
+                    indices.set(targetId, nextIndex);
+                    lowLinks.set(targetId, nextIndex++);
+                    stack.push(targetId);
+                    onStack.add(targetId);
+                    path.push({ id: targetId, next: 0 });
+                } else if (onStack.has(targetId)) {
+                    lowLinks.set(frame.id, Math.min(lowLinks.get(frame.id), indices.get(targetId)));
+                }
+                continue;
+            }
+
+            path.pop();
+            if (path.length > 0) {
+                const parentId = path[path.length - 1].id;
+                lowLinks.set(parentId, Math.min(lowLinks.get(parentId), lowLinks.get(frame.id)));
+            }
+
+            if (lowLinks.get(frame.id) === indices.get(frame.id)) {
+                const component = [];
+                let memberId;
+                do {
+                    memberId = stack.pop();
+                    onStack.delete(memberId);
+                    component.push(memberId);
+                } while (memberId !== frame.id);
+                components.push(component.reverse());
+            }
+        }
+    };
+
+    data.systems.forEach(system => {
+        if (!indices.has(system.id)) visit(system.id);
+    });
+
+    return components;
+}
+
+/**
+ * Finds all dependency cycles of the graph
+ * Cycles are reported as strongly connected components: each dependency between two members
+ * of a component lies on a loop. Components of a single system only count if the system
+ * depends on itself.
+ * @param {Object} data - The data document
+ * @returns {Array<Object>} The cycles ({ systems, dependencies }) with the largest first:
+ *   `systems` lists the member system IDs in the order they were found,
+ *   `dependencies` lists the IDs of the dependencies between the members
+ */
+export function findCycles(data) {
+    const components = findStronglyConnectedComponents(data);
+    const componentOf = new Map();
+    components.forEach((systems, index) => systems.forEach(id => componentOf.set(id, index)));
+
+    const dependencies = components.map(() => []);
+    data.dependencies.forEach(dep => {
+        const index = componentOf.get(dep.source);
+        if (index !== undefined && index === componentOf.get(dep.target)) {
+            dependencies[index].push(dep.id);
+        }
+    });
+
+    return components
+        .map((systems, index) => ({ systems, dependencies: dependencies[index] }))
+        .filter(cycle => cycle.systems.length > 1 || cycle.dependencies.length > 0)
+        .sort((a, b) => b.systems.length - a.systems.length);
+}
+
+/**
+ * Orders the systems in layers, so that systems come after the systems they depend on
+ * Systems without dependencies form layer 0, every other system is one layer above the highest
+ * layer it depends on. The members of a cycle share a layer and stay next to each other.
+ * @param {Object} data - The data document
+ * @returns {Object} { order, layers, components }: `order` lists all system IDs layer by layer,
+ *   `layers` maps each system ID to its layer and `components` lists the cycles (strongly
+ *   connected components with more than one system) in `order`
+ */
+export function partitionLayers(data) {
+    const { outgoing } = buildAdjacency(data);
+    const components = findStronglyConnectedComponents(data);
+    const componentOf = new Map();
+    components.forEach((systems, index) => systems.forEach(id => componentOf.set(id, index)));
+
+    // Components depend only on earlier ones, so a single pass assigns the layers
+    const componentLayers = components.map(() => 0);
+    components.forEach((systems, index) => {
+        systems.forEach(id => outgoing.get(id).forEach(targetId => {
+            const targetIndex = componentOf.get(targetId);
+            if (targetIndex !== index) {
+                componentLayers[index] = Math.max(componentLayers[index], componentLayers[targetIndex] + 1);
+            }
+        }));
+    });
+
+    const names = new Map(data.systems.map(system => [system.id, system.name || system.id]));
+    const byName = (a, b) => names.get(a).localeCompare(names.get(b));
+    const orderedComponents = components
+        .map((systems, index) => ({ systems: [...systems].sort(byName), layer: componentLayers[index] }))
+        .sort((a, b) => a.layer - b.layer || byName(a.systems[0], b.systems[0]));
+
+    const layers = new Map();
+    orderedComponents.forEach(component => component.systems.forEach(id => layers.set(id, component.layer)));
+
+    return {
+        order: orderedComponents.flatMap(component => component.systems),
+        layers,
+        components: orderedComponents.filter(component => component.systems.length > 1).map(component => component.systems)
+    };
+}
+
+/**
+ * Finds the ways from one system to another along the dependency directions
+ * Parallel dependencies between two systems are one hop, all of them belong to the path.
+ * @param {Object} data - The data document
+ * @param {string} sourceId - The ID of the start system
+ * @param {string} targetId - The ID of the end system
+ * @param {Object} options - Options
+ * @param {number} options.maxLength - Maximum number of hops of the listed paths
+ * @param {Array<string>|null} options.types - Dependency types that may be followed, null for all
+ * @param {number} options.maxPaths - Maximum number of listed paths
+ * @returns {Object} { shortest, paths, truncated }: `shortest` is a shortest path regardless of the
+ *   maximum length (null if the target cannot be reached), `paths` lists all simple paths up to the
+ *   maximum length with the shortest first, `truncated` tells if more than maxPaths paths exist
+ *   (the listed ones are then the shortest).
+ *   Paths are { systems, dependencies } with the system IDs in order and the IDs of the dependencies along them.
+ */
+export function findPaths(data, sourceId, targetId, { maxLength = 6, types = null, maxPaths = 200 } = {}) {
+    const systemIds = new Set(data.systems.map(system => system.id));
+    const result = { shortest: null, paths: [], truncated: false };
+    if (!systemIds.has(sourceId) || !systemIds.has(targetId) || sourceId === targetId) return result;
+
+    // Hops between systems with the dependencies allowed for them
+    const hops = new Map();
+    const incoming = new Map();
+    data.dependencies.forEach(dep => {
+        if (!systemIds.has(dep.source) || !systemIds.has(dep.target) || dep.source === dep.target) return;
+        if (types && !types.includes(dep.type)) return;
+        if (!hops.has(dep.source)) hops.set(dep.source, new Map());
+        const targets = hops.get(dep.source);
+        if (!targets.has(dep.target)) {
+            targets.set(dep.target, []);
+            if (!incoming.has(dep.target)) incoming.set(dep.target, []);
+            incoming.get(dep.target).push(dep.source);
+        }
+        targets.get(dep.target).push(dep.id);
+    });
+
+    const toPath = (systems) => ({
+        systems,
+        dependencies: systems.slice(1).flatMap((id, index) => hops.get(systems[index]).get(id))
+    });
+
+    // Distances to the target (backwards breadth-first), they prune the search and give the shortest path
+    const distances = new Map([[targetId, 0]]);
+    let frontier = [targetId];
+    while (frontier.length > 0) {
+        const next = [];
+        frontier.forEach(id => {
+            (incoming.get(id) || []).forEach(previousId => {
+                if (distances.has(previousId)) return;
+                distances.set(previousId, distances.get(id) + 1);
+                next.push(previousId);
+            });
+        });
+        frontier = next;
+    }
+    if (!distances.has(sourceId)) return result;
+
+    const shortest = [sourceId];
+    while (shortest[shortest.length - 1] !== targetId) {
+        const current = shortest[shortest.length - 1];
+        const nextId = Array.from(hops.get(current).keys())
+            .find(id => distances.get(id) === distances.get(current) - 1);
+        shortest.push(nextId);
+    }
+    result.shortest = toPath(shortest);
+
+    // All simple paths by increasing length (iterative deepening), so a truncated list still holds
+    // the shortest ones. Only systems from which the target is still reachable in time are followed.
+    const path = [sourceId];
+    const visited = new Set(path);
+    const search = (current, length) => {
+        if (current === targetId) {
+            // Shorter paths were listed by an earlier pass
+            if (path.length - 1 < length) return;
+            if (result.paths.length >= maxPaths) {
+                result.truncated = true;
+                return;
+            }
+            result.paths.push(toPath([...path]));
+            return;
+        }
+        for (const nextId of (hops.get(current) || new Map()).keys()) {
+            if (visited.has(nextId) || !distances.has(nextId)) continue;
+            if (path.length + distances.get(nextId) > length) continue;
+            path.push(nextId);
+            visited.add(nextId);
+            search(nextId, length);
+            path.pop();
+            visited.delete(nextId);
+            if (result.truncated) return;
+        }
+    };
+    for (let length = distances.get(sourceId); length <= maxLength && !result.truncated; length++) {
+        search(sourceId, length);
+    }
+
+    return result;
+}
@@ -0,0 +1,108 @@
+/**
+ * Nested groups
+ *
+ * Group names are paths of segments separated by slashes, e.g. `payments/billing/invoicing`.
+ * A system in a group is also a member of all its parent groups (`payments/billing` and
+ * `payments`), so parent groups enclose their subgroups.
+ */
+
+export const GROUP_PATH_SEPARATOR = '/';
+
+/**
+ * Filter ID for systems without any group (never a valid group path)
+ */
+export const UNGROUPED_FILTER_ID = '';
+
+/**
+ * Normalizes a group path by trimming its segments and dropping empty ones
+ * @param {string} path - The group path, e.g. " payments / billing/ "
+ * @returns {string} The normalized path, e.g. "payments/billing", empty if nothing is left
+ */
+export function normalizeGroupPath(path) {
+    if (typeof path !== 'string') return '';
+    return path.split(GROUP_PATH_SEPARATOR)
+        .map(segment => segment.trim())
+        .filter(segment => segment !== '')
+        .join(GROUP_PATH_SEPARATOR);
+}
+
+/**
+ * Returns the parent groups of a group, outermost first
+ * @param {string} path - The group path
+ * @returns {Array<string>} E.g. ["payments", "payments/billing"] for "payments/billing/invoicing"
+ */
+export function getGroupAncestors(path) {
+    const segments = path.split(GROUP_PATH_SEPARATOR);
+    return segments.slice(0, -1).map((segment, index) => segments.slice(0, index + 1).join(GROUP_PATH_SEPARATOR));
+}
+
+/**
+ * Returns the parent group of a group
+ * @param {string} path - The group path
+ * @returns {string|null} The parent path or null for top-level groups
+ */
+export function getParentGroup(path) {
+    const index = path.lastIndexOf(GROUP_PATH_SEPARATOR);
+    return index === -1 ? null : path.slice(0, index);
+}
+
+/**
+ * Returns the nesting depth of a group
+ * @param {string} path - The group path
+ * @returns {number} 0 for top-level groups
+ */
+export function getGroupDepth(path) {
+    return path.split(GROUP_PATH_SEPARATOR).length - 1;
+}
+
+/**
+ * Returns the display name of a group
+ * @param {string} path - The group path
+ * @returns {string} The last segment, e.g. "invoicing"
+ */
+export function getGroupLabel(path) {
+    return path.slice(path.lastIndexOf(GROUP_PATH_SEPARATOR) + 1);
+}
+
+/**
+ * Checks if a group is the given group or one of its subgroups
+ * @param {string} path - The group path to check
+ * @param {string} ancestor - The enclosing group path
+ * @returns {boolean} True if `path` lies within `ancestor`
+ */
+export function isGroupWithin(path, ancestor) {
+    return path === ancestor || path.startsWith(ancestor + GROUP_PATH_SEPARATOR);
+}
+
+/**
+ * Adds the parent groups to a list of groups
+ * @param {Array<string>} groups - Group paths
+ * @returns {Array<string>} The groups and all their parent groups, parents before their subgroups
+ */
+export function expandGroupPaths(groups) {
+    const expanded = new Set();
+    groups.forEach(group => {
+        getGroupAncestors(group).forEach(ancestor => expanded.add(ancestor));
+        expanded.add(group);
+    });
+    return Array.from(expanded);
+}
+
+/**
+ * Builds the group hierarchy
+ * @param {Array<string>} groups - Group paths, missing parent groups are added
+ * @returns {Array<Object>} Top-level groups as nodes ({ path, label, children }), sorted by label
+ */
+export function buildGroupTree(groups) {
+    const nodes = new Map();
+    const roots = [];
+
+    expandGroupPaths(groups).sort().forEach(path => {
+        const node = { path, label: getGroupLabel(path), children: [] };
+        nodes.set(path, node);
+        const parent = getParentGroup(path);
+        (parent === null ? roots : nodes.get(parent).children).push(node);
+    });
+
+    return roots;
+}
@@ -0,0 +1,205 @@
+/**
+ * Operation patches for the data document
+ *
+ * Changes are described as a list of operations in the style of JSON Patch (RFC 6902),
+ * restricted to what the DataManager needs:
+ *
+ * - `{ op: 'add', path: '/systems/3', value }` inserts an entry into a list
+ * - `{ op: 'add', path: '/categories', value }` sets a top-level field
+ * - `{ op: 'remove', path: '/systems/3' }` removes a list entry or a top-level field
+ * - `{ op: 'replace', path: '/systems/3', value }` replaces a list entry or a top-level field
+ * - `{ op: 'replace', path: '', value }` replaces the whole document
+ *
+ * List indices refer to the state the operation is applied to, so operations must be
+ * applied in the order they were recorded (inverse operations in reverse order).
+ */
+
+/**
+ * Copies a value so that operations never share objects with the live document
+ * @param {*} value - The value
+ * @returns {*} A deep copy
+ */
+export function cloneValue(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Splits a path into its field and (optional) list index
+ * @param {string} path - The path, e.g. '/systems/3'
+ * @returns {Object} { field, index } with index null for top-level fields
+ */
+function parsePath(path) {
+    const [field, index] = path.split('/').slice(1)
+        .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+    return { field, index: index === undefined ? null : parseInt(index, 10) };
+}
+
+/**
+ * Applies a single operation to a document
+ * @param {Object} doc - The document, modified in place
+ * @param {Object} operation - The operation
+ * @returns {Object} The document (a new one if the root was replaced)
+ */
+function applyOperation(doc, operation) {
+    if (operation.path === '') {
+        if (operation.op !== 'replace') {
+            throw new Error(`Unsupported operation on the document root: ${operation.op}`);
+        }
+        return cloneValue(operation.value);
+    }
+
+    const { field, index } = parsePath(operation.path);
+
+    if (index === null) {
+        if (operation.op === 'remove') {
+            delete doc[field];
+        } else {
+            doc[field] = cloneValue(operation.value);
+        }
+        return doc;
+    }
+
+    const list = doc[field];
+    if (!Array.isArray(list) || index < 0 || index > list.length) {
+        throw new Error(`Invalid path: ${operation.path}`);
+    }
+    switch (operation.op) {
+        case 'add':
+            list.splice(index, 0, cloneValue(operation.value));
+            break;
+        case 'remove':
+            list.splice(index, 1);
+            break;
+        case 'replace':
+            list[index] = cloneValue(operation.value);
+            break;
+        default:
+            throw new Error(`Unsupported operation: ${operation.op}`);
+    }
+    return doc;
+}
+
+/**
+ * Applies a list of operations to a document
+ * @param {Object} doc - The document, modified in place
+ * @param {Array<Object>} operations - The operations in the order they are applied
+ * @returns {Object} The resulting document (a new one if the root was replaced)
+ */
+export function applyOperations(doc, operations) {
+    return operations.reduce((current, operation) => applyOperation(current, operation), doc);
+}
+
+/**
+ * Calculates a short hash of a state, used to check if a stored history still fits the data
+ * @param {Object} state - The state
+ * @returns {string} The hash
+ */
+export function hashState(state) {
+    const text = JSON.stringify(state);
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return `${text.length}:${(hash >>> 0).toString(16)}`;
+}
+
+/**
+ * Calculates the operations that turn one list of entries into another
+ * Entries are matched by their ID, so an inserted or removed entry does not shift all
+ * following ones into replace operations.
+ * @param {string} field - The field of the list, e.g. 'systems'
+ * @param {Array<Object>} previous - The current list
+ * @param {Array<Object>} next - The new list
+ * @returns {Array<Object>|null} Pairs of { forward, inverse }, null if the entries have no unique IDs
+ */
+function diffList(field, previous, next) {
+    const hasUniqueIds = (list) => list.every(entry => entry && entry.id !== undefined) &&
+        new Set(list.map(entry => entry.id)).size === list.length;
+    if (!hasUniqueIds(previous) || !hasUniqueIds(next)) return null;
+
+    const path = (index) => `/${field}/${index}`;
+    const nextIds = new Set(next.map(entry => entry.id));
+    const current = [...previous];
+    const changes = [];
+
+    // Removed entries from the back, so the indices before them stay valid
+    for (let i = current.length - 1; i >= 0; i--) {
+        if (!nextIds.has(current[i].id)) {
+            changes.push({ forward: { op: 'remove', path: path(i) }, inverse: { op: 'add', path: path(i), value: current[i] } });
+            current.splice(i, 1);
+        }
+    }
+
+    next.forEach((entry, i) => {
+        if (current[i] && current[i].id === entry.id) {
+            if (JSON.stringify(current[i]) !== JSON.stringify(entry)) {
+                changes.push({
+                    forward: { op: 'replace', path: path(i), value: cloneValue(entry) },
+                    inverse: { op: 'replace', path: path(i), value: current[i] }
+                });
+                current[i] = entry;
+            }
+            return;
+        }
+
+        // Moved entries are removed at their old position and inserted here
+        const from = current.findIndex(candidate => candidate.id === entry.id);
+        if (from !== -1) {
+            changes.push({ forward: { op: 'remove', path: path(from) }, inverse: { op: 'add', path: path(from), value: current[from] } });
+            current.splice(from, 1);
+        }
+        changes.push({ forward: { op: 'add', path: path(i), value: cloneValue(entry) }, inverse: { op: 'remove', path: path(i) } });
+        current.splice(i, 0, entry);
+    });
+
+    return changes;
+}
+
+/**
+ * Calculates the operations that turn one document into another
+ * Only changed list entries and top-level fields are recorded, so replacing the data with a
+ * slightly different document does not store two full copies.
+ * @param {Object} previous - The current document
+ * @param {Object} next - The new document
+ * @returns {Array<Object>} Pairs of { forward, inverse } in the order they are applied
+ */
+export function diffDocuments(previous, next) {
+    if (!previous || typeof previous !== 'object') {
+        return [{ forward: { op: 'replace', path: '', value: cloneValue(next) }, inverse: { op: 'replace', path: '', value: previous } }];
+    }
+
+    const changes = [];
+    const escape = (field) => field.replace(/~/g, '~0').replace(/\//g, '~1');
+
+    Object.keys(previous).filter(field => !(field in next)).forEach(field => {
+        changes.push({
+            forward: { op: 'remove', path: `/${escape(field)}` },
+            inverse: { op: 'add', path: `/${escape(field)}`, value: previous[field] }
+        });
+    });
+
+    Object.keys(next).forEach(field => {
+        const path = `/${escape(field)}`;
+        if (!(field in previous)) {
+            changes.push({ forward: { op: 'add', path, value: cloneValue(next[field]) }, inverse: { op: 'remove', path } });
+            return;
+        }
+
+        if (Array.isArray(previous[field]) && Array.isArray(next[field])) {
+            const listChanges = diffList(escape(field), previous[field], next[field]);
+            if (listChanges) {
+                changes.push(...listChanges);
+                return;
+            }
+        }
+
+        if (JSON.stringify(previous[field]) !== JSON.stringify(next[field])) {
+            changes.push({
+                forward: { op: 'replace', path, value: cloneValue(next[field]) },
+                inverse: { op: 'replace', path, value: previous[field] }
+            });
+        }
+    });
+
+    return changes;
+}
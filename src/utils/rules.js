@@ -0,0 +1,193 @@
+import { getSystemGroups } from './differences.js';
+import { expandGroupPaths } from './groups.js';
+
+/**
+ * Architecture rules declared in the `rules` section of the data document
+ *
+ * A rule checks either all systems or all dependencies matching a selector:
+ *
+ *   rules:
+ *     - id: no-external-to-legacy
+ *       description: External systems must not depend on legacy systems
+ *       severity: error
+ *       dependencies:
+ *         source: { category: external }
+ *         target: { category: legacy }
+ *       forbidden: true
+ *     - id: system-needs-group
+ *       description: Every system needs at least one group
+ *       systems: {}
+ *       require:
+ *         groups: { min: 1 }
+ *
+ * With `forbidden: true` every matching entry is a violation, with `require` every matching
+ * entry that does not also match the `require` selector.
+ *
+ * Selectors map field names to conditions. A value matches equal values (or list fields
+ * containing it), a list matches any of its values, and an object can use the operators
+ * `not`, `exists`, `min` and `max` (on numbers or the length of lists). `groups` covers both
+ * `group` and `groups` of a system, including the parent groups of nested group paths, so
+ * `groups: payments` also matches systems in `payments/billing`. In dependency selectors,
+ * `source` and `target` can be system selectors applied to the connected systems.
+ */
+
+/**
+ * Allowed values for the severity of a rule, rules without one are warnings
+ */
+export const RULE_SEVERITIES = ['error', 'warning'];
+
+const OPERATORS = ['not', 'exists', 'min', 'max'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isOperatorCondition = (condition) => isPlainObject(condition) &&
+    Object.keys(condition).length > 0 && Object.keys(condition).every(key => OPERATORS.includes(key));
+
+/**
+ * Checks a single field value against a condition
+ * @param {*} value - The field value (a list for tags and groups)
+ * @param {*} condition - The condition
+ * @returns {boolean} True if the value matches
+ */
+function matchesCondition(value, condition) {
+    if (isOperatorCondition(condition)) {
+        const size = Array.isArray(value) ? value.length : value;
+        const exists = value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0);
+        return (condition.not === undefined || !matchesCondition(value, condition.not)) &&
+            (condition.exists === undefined || exists === Boolean(condition.exists)) &&
+            (condition.min === undefined || (typeof size === 'number' && size >= condition.min)) &&
+            (condition.max === undefined || (typeof size !== 'number' || size <= condition.max));
+    }
+
+    const accepted = Array.isArray(condition) ? condition : [condition];
+    if (Array.isArray(value)) {
+        return value.some(entry => accepted.includes(entry));
+    }
+    return accepted.includes(value);
+}
+
+/**
+ * Checks a system against a selector
+ * @param {Object} system - The system
+ * @param {Object} selector - Field conditions
+ * @returns {boolean} True if all conditions match
+ */
+function matchesSystem(system, selector) {
+    return Object.entries(selector || {}).every(([field, condition]) =>
+        matchesCondition(field === 'groups' ? expandGroupPaths(getSystemGroups(system)) : system[field], condition));
+}
+
+/**
+ * Checks a dependency against a selector
+ * @param {Object} dependency - The dependency
+ * @param {Object} selector - Field conditions, `source` and `target` may be system selectors
+ * @param {Map<string, Object>} systems - Systems by ID
+ * @returns {boolean} True if all conditions match
+ */
+function matchesDependency(dependency, selector, systems) {
+    return Object.entries(selector || {}).every(([field, condition]) => {
+        if ((field === 'source' || field === 'target') && isPlainObject(condition) && !isOperatorCondition(condition)) {
+            const system = systems.get(dependency[field]);
+            return !!system && matchesSystem(system, condition);
+        }
+        return matchesCondition(dependency[field], condition);
+    });
+}
+
+/**
+ * Checks the structure of a rule
+ * @param {Object} rule - The rule
+ * @returns {Array<string>} Problems that make the rule unusable, empty if it is valid
+ */
+export function validateRule(rule) {
+    if (!isPlainObject(rule)) return ['Must be an object'];
+
+    const problems = [];
+    if (typeof rule.id !== 'string' || rule.id.trim() === '') {
+        problems.push('Required field "id" is missing');
+    }
+
+    const scopes = ['systems', 'dependencies'].filter(scope => rule[scope] !== undefined);
+    if (scopes.length !== 1) {
+        problems.push('Must select either "systems" or "dependencies"');
+    } else if (rule[scopes[0]] !== null && !isPlainObject(rule[scopes[0]])) {
+        problems.push(`"${scopes[0]}" must be a map of field conditions`);
+    }
+
+    if ((rule.forbidden === true) === (rule.require !== undefined)) {
+        problems.push('Must have either "forbidden: true" or a "require" selector');
+    } else if (rule.require !== undefined && !isPlainObject(rule.require)) {
+        problems.push('"require" must be a map of field conditions');
+    }
+
+    if (rule.severity !== undefined && !RULE_SEVERITIES.includes(rule.severity)) {
+        problems.push(`Invalid severity "${rule.severity}", expected one of: ${RULE_SEVERITIES.join(', ')}`);
+    }
+    return problems;
+}
+
+/**
+ * Returns the valid rules of a data document
+ * @param {Object} data - The data document
+ * @returns {Array<Object>} The rules that can be evaluated
+ */
+export function getRules(data) {
+    return Array.isArray(data.rules) ? data.rules.filter(rule => validateRule(rule).length === 0) : [];
+}
+
+/**
+ * Evaluates the rules of a data document
+ * @param {Object} data - The data document
+ * @returns {Array<Object>} Violations ({ ruleId, severity, message, systemId, dependency }):
+ *   `systemId` is set for system rules, `dependency` (the offending dependency) for dependency rules
+ */
+export function evaluateRules(data) {
+    const systems = new Map(data.systems.map(system => [system.id, system]));
+    const violations = [];
+
+    getRules(data).forEach(rule => {
+        const base = {
+            ruleId: rule.id,
+            severity: rule.severity || 'warning',
+            message: rule.description || rule.id
+        };
+
+        if (rule.systems !== undefined) {
+            data.systems
+                .filter(system => matchesSystem(system, rule.systems))
+                .filter(system => rule.forbidden || !matchesSystem(system, rule.require))
+                .forEach(system => violations.push({ ...base, systemId: system.id, dependency: null }));
+        } else {
+            data.dependencies
+                .filter(dep => matchesDependency(dep, rule.dependencies, systems))
+                .filter(dep => rule.forbidden || !matchesDependency(dep, rule.require, systems))
+                .forEach(dep => violations.push({ ...base, systemId: null, dependency: dep }));
+        }
+    });
+
+    return violations;
+}
+
+/**
+ * Returns a key identifying a violation across data states
+ * Dependencies are identified by their endpoints and type, since proposed ones have no ID yet.
+ * @param {Object} violation - The violation
+ * @returns {string} The key
+ */
+export function getViolationKey(violation) {
+    const subject = violation.dependency ?
+        `${violation.dependency.source}->${violation.dependency.target}:${violation.dependency.type}` :
+        violation.systemId;
+    return `${violation.ruleId}|${subject}`;
+}
+
+/**
+ * Describes the system or dependency a violation refers to
+ * @param {Object} violation - The violation
+ * @param {Function} getSystemLabel - Returns the display name of a system ID
+ * @returns {string} E.g. "Billing" or "Shop → Billing (data)"
+ */
+export function describeViolationSubject(violation, getSystemLabel) {
+    if (!violation.dependency) return getSystemLabel(violation.systemId);
+    const { source, target, type } = violation.dependency;
+    return `${getSystemLabel(source)} → ${getSystemLabel(target)}${type ? ` (${type})` : ''}`;
+}
@@ -0,0 +1,155 @@
+/**
+ * Default system categories, used when the data document does not define its own
+ * `categories` section
+ */
+export const DEFAULT_CATEGORIES = [
+    { id: 'core', label: 'Core', color: '#0d6efd' },
+    { id: 'legacy', label: 'Legacy', color: '#6c757d' },
+    { id: 'data', label: 'Data', color: '#198754' },
+    { id: 'service', label: 'Service', color: '#ffc107' },
+    { id: 'external', label: 'External', color: '#dc3545' }
+];
+
+/**
+ * Bucket for systems whose category is not part of the taxonomy
+ */
+export const UNCATEGORIZED = { id: 'uncategorized', label: 'Other', color: '#0dcaf0' };
+
+/**
+ * Allowed values for the status of a system
+ */
+export const SYSTEM_STATUSES = ['active', 'planned', 'deprecated', 'retired'];
+
+/**
+ * Default dependency types, used when the data document does not define its own
+ * `dependencyTypes` section
+ */
+export const DEFAULT_DEPENDENCY_TYPES = [
+    { id: 'data', label: 'Data exchange', color: '#0d6efd', dash: null, arrow: 'triangle' },
+    { id: 'integration', label: 'Integration', color: '#198754', dash: null, arrow: 'triangle' },
+    { id: 'authentication', label: 'Authentication', color: '#dc3545', dash: null, arrow: 'triangle' },
+    { id: 'monitoring', label: 'Monitoring', color: '#6c757d', dash: null, arrow: 'triangle' }
+];
+
+/**
+ * Fallback for dependencies whose type is not part of the taxonomy
+ */
+export const UNKNOWN_DEPENDENCY_TYPE = { id: 'other', label: 'Other', color: '#999', dash: null, arrow: 'triangle' };
+
+/**
+ * Supported arrowhead styles for dependency types
+ */
+export const ARROW_STYLES = ['triangle', 'open', 'circle', 'diamond', 'none'];
+
+// Colors assigned to definitions that do not specify one
+const FALLBACK_PALETTE = ['#0d6efd', '#6c757d', '#198754', '#ffc107', '#dc3545', '#6f42c1', '#fd7e14', '#20c997', '#d63384', '#0dcaf0'];
+
+/**
+ * Converts a taxonomy section of the data document into a list of definitions.
+ * Supports a list of objects (`- id: batch`) as well as a map (`batch: { label, color }`
+ * or `batch: "#color"`).
+ * @param {Array|Object} definitions - The raw taxonomy section
+ * @param {Array} defaults - Definitions to use if the section is missing or empty
+ * @returns {Array<Object>} Normalized definitions with at least id, label and color
+ */
+export function normalizeDefinitions(definitions, defaults) {
+    let entries = [];
+
+    if (Array.isArray(definitions)) {
+        entries = definitions
+            .map(entry => typeof entry === 'string' ? { id: entry } : entry)
+            .filter(entry => entry && entry.id);
+    } else if (definitions && typeof definitions === 'object') {
+        entries = Object.entries(definitions).map(([id, value]) => {
+            if (typeof value === 'string') return { id, color: value };
+            return { ...(value || {}), id };
+        });
+    }
+
+    if (entries.length === 0) {
+        return defaults.map(entry => ({ ...entry }));
+    }
+
+    const seen = new Set();
+    return entries
+        .filter(entry => {
+            const id = String(entry.id);
+            if (seen.has(id)) return false;
+            seen.add(id);
+            return true;
+        })
+        .map((entry, index) => ({
+            ...entry,
+            id: String(entry.id),
+            label: entry.label || String(entry.id),
+            color: entry.color || FALLBACK_PALETTE[index % FALLBACK_PALETTE.length]
+        }));
+}
+
+/**
+ * Returns the system categories defined by a data document
+ * A category with the reserved ID of the UNCATEGORIZED bucket is ignored, otherwise its systems
+ * would be merged with those of undefined categories.
+ * @param {Object} data - The system data
+ * @returns {Array<Object>} Category definitions ({ id, label, color })
+ */
+export function getCategoryDefinitions(data) {
+    return normalizeDefinitions(data && data.categories, DEFAULT_CATEGORIES)
+        .filter(category => category.id !== UNCATEGORIZED.id);
+}
+
+/**
+ * Checks if a taxonomy section defines a category with the reserved ID of the UNCATEGORIZED bucket
+ * @param {Array|Object} definitions - The raw `categories` section
+ * @returns {boolean} True if the reserved ID is used
+ */
+export function definesReservedCategory(definitions) {
+    if (Array.isArray(definitions)) {
+        return definitions.some(entry => String(entry && typeof entry === 'object' ? entry.id : entry) === UNCATEGORIZED.id);
+    }
+    return Boolean(definitions && typeof definitions === 'object' && UNCATEGORIZED.id in definitions);
+}
+
+/**
+ * Returns the dependency types defined by a data document
+ * @param {Object} data - The system data
+ * @returns {Array<Object>} Dependency type definitions ({ id, label, color, dash, arrow })
+ */
+export function getDependencyTypeDefinitions(data) {
+    return normalizeDefinitions(data && data.dependencyTypes, DEFAULT_DEPENDENCY_TYPES)
+        .map(type => ({
+            ...type,
+            dash: Array.isArray(type.dash) ? type.dash.join(',') : (type.dash ? String(type.dash) : null),
+            arrow: ARROW_STYLES.includes(type.arrow) ? type.arrow : 'triangle'
+        }));
+}
+
+/**
+ * Converts an arbitrary taxonomy ID into a string usable in DOM IDs
+ * Other characters (including '_') are escaped by their code point, e.g. 'a b' becomes 'a_20_b',
+ * so different IDs never get the same DOM ID.
+ * @param {string} id - The taxonomy ID
+ * @returns {string} The sanitized ID
+ */
+export function toDomId(id) {
+    return Array.from(String(id), char => /[A-Za-z0-9-]/.test(char) ? char : `_${char.codePointAt(0).toString(16)}_`).join('');
+}
+
+/**
+ * Picks black or white text, whichever is more readable on the given background
+ * @param {string} color - Background color as hex string
+ * @returns {string} '#000' or '#fff'
+ */
+export function getContrastColor(color) {
+    const hex = String(color || '').replace('#', '');
+    const full = hex.length === 3 ? hex.split('').map(c => c + c).join('') : hex;
+    if (!/^[0-9a-fA-F]{6}$/.test(full)) return '#fff';
+
+    const r = parseInt(full.substring(0, 2), 16);
+    const g = parseInt(full.substring(2, 4), 16);
+    const b = parseInt(full.substring(4, 6), 16);
+
+    // Perceived brightness (ITU-R BT.601)
+    const brightness = (r * 299 + g * 587 + b * 114) / 1000;
+    return brightness > 150 ? '#000' : '#fff';
+}
@@ -1,3 +1,5 @@
+import { describeRejectedChanges } from './differences.js';
+
 /**
  * Displays a notification at the top of the screen
  * @param {string} message - The message to display
@@ -42,6 +44,24 @@ export function showNotification(message, type = 'info') {
     }, 5000);
 }
 
+/**
+ * Displays the result of DataManager.applyBatch
+ * If changes were rejected, a warning lists them instead of the success message.
+ * @param {Object} result - The result of applyBatch ({ success, rejected })
+ * @param {string} message - The message if everything was applied
+ */
+export function notifyBatchResult(result, message) {
+    if (!result.success) {
+        showNotification('Error applying changes', 'danger');
+    } else if (result.rejected.length === 0) {
+        showNotification(message, 'success');
+    } else {
+        const count = result.rejected.length;
+        showNotification(`${count} ${count === 1 ? 'change was' : 'changes were'} rejected: ` +
+            describeRejectedChanges(result.rejected).join('; '), 'warning');
+    }
+}
+
 /**
  * Initialisiert einen client-spezifischen Verschlüsselungsschlüssel
  * Falls noch nicht vorhanden, wird ein neuer generiert und gespeichert
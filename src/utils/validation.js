@@ -0,0 +1,239 @@
+import { SYSTEM_STATUSES, UNCATEGORIZED, getCategoryDefinitions, getDependencyTypeDefinitions, definesReservedCategory } from './taxonomy.js';
+import { validateRule } from './rules.js';
+
+const REQUIRED_SYSTEM_FIELDS = ['id', 'name', 'category', 'status'];
+const REQUIRED_DEPENDENCY_FIELDS = ['source', 'target', 'type'];
+
+/**
+ * Checks if a value is a list of non-empty strings
+ * @param {*} value - The value to check
+ * @returns {boolean} True if the value is an array of strings
+ */
+function isStringList(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() !== '');
+}
+
+/**
+ * Checks if a required field is missing or empty
+ * @param {Object} entry - The system or dependency
+ * @param {string} field - The field name
+ * @returns {boolean} True if the field is missing
+ */
+function isMissing(entry, field) {
+    const value = entry[field];
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Validates a system data document
+ *
+ * Every issue has a YAML path (e.g. `systems[2].status`), a message and a severity.
+ * Issues with severity 'error' make the affected system or dependency invalid,
+ * issues with severity 'warning' are only informative.
+ *
+ * @param {Object} data - The data document to validate
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.partial=false] - Validates a partial document (e.g. LLM changes), entries marked with
+ *                                            `delete: true` only need their identifying fields
+ * @param {Array<string>} [options.existingSystemIds=[]] - IDs of systems that dependencies may reference in addition to the document's own
+ * @param {Object} [options.taxonomy] - Document providing the category and dependency type definitions (defaults to `data`)
+ * @returns {Object} Report with `valid`, `issues`, `errors` and `warnings`
+ */
+export function validateSystemDocument(data, options = {}) {
+    const { partial = false, existingSystemIds = [], taxonomy = data } = options;
+    const issues = [];
+    const addIssue = (path, message, severity = 'error', collection = null, index = null) => {
+        issues.push({ path, message, severity, collection, index });
+    };
+
+    if (!data || typeof data !== 'object') {
+        addIssue('', 'The document is empty or not an object');
+        return createReport(issues);
+    }
+
+    const systems = data.systems === undefined && partial ? [] : data.systems;
+    const dependencies = data.dependencies === undefined && (partial || Array.isArray(data.systems)) ? [] : data.dependencies;
+
+    if (!Array.isArray(systems)) {
+        addIssue('systems', 'Must be a list of systems');
+    }
+    if (!Array.isArray(dependencies)) {
+        addIssue('dependencies', 'Must be a list of dependencies');
+    }
+    if (!Array.isArray(systems) || !Array.isArray(dependencies)) {
+        return createReport(issues);
+    }
+
+    const categoryIds = new Set(getCategoryDefinitions(taxonomy).map(category => category.id));
+    const typeIds = new Set(getDependencyTypeDefinitions(taxonomy).map(type => type.id));
+
+    // Systems
+    const seenSystemIds = new Set();
+    systems.forEach((system, index) => {
+        const path = `systems[${index}]`;
+        const addSystemIssue = (field, message, severity = 'error') =>
+            addIssue(field ? `${path}.${field}` : path, message, severity, 'systems', index);
+
+        if (!system || typeof system !== 'object' || Array.isArray(system)) {
+            addSystemIssue(null, 'Must be an object');
+            return;
+        }
+
+        const requiredFields = partial && system.delete ? ['id'] : REQUIRED_SYSTEM_FIELDS;
+        requiredFields.forEach(field => {
+            if (isMissing(system, field)) {
+                addSystemIssue(field, `Required field "${field}" is missing`);
+            }
+        });
+
+        if (!isMissing(system, 'id')) {
+            if (seenSystemIds.has(system.id)) {
+                addSystemIssue('id', `Duplicate system ID "${system.id}"`);
+            }
+            seenSystemIds.add(system.id);
+        }
+
+        if (!isMissing(system, 'status') && !SYSTEM_STATUSES.includes(system.status)) {
+            addSystemIssue('status', `Invalid status "${system.status}", expected one of: ${SYSTEM_STATUSES.join(', ')}`);
+        }
+
+        if (!isMissing(system, 'category') && !categoryIds.has(system.category)) {
+            addSystemIssue('category', `Category "${system.category}" is not defined and will be shown as "Other"`, 'warning');
+        }
+
+        if (system.knownUsage !== undefined && typeof system.knownUsage !== 'boolean') {
+            addSystemIssue('knownUsage', 'Must be true or false');
+        }
+
+        if (system.tags !== undefined && system.tags !== null && !isStringList(system.tags)) {
+            addSystemIssue('tags', 'Must be a list of strings');
+        }
+
+        if (system.groups !== undefined && system.groups !== null && !isStringList(system.groups)) {
+            addSystemIssue('groups', 'Must be a list of strings');
+        }
+
+        if (system.group !== undefined && system.group !== null && typeof system.group !== 'string') {
+            addSystemIssue('group', 'Must be a string');
+        }
+    });
+
+    // Dependencies
+    const knownSystemIds = new Set([...seenSystemIds, ...existingSystemIds]);
+    const seenDependencies = new Set();
+    const seenDependencyIds = new Set();
+    dependencies.forEach((dependency, index) => {
+        const path = `dependencies[${index}]`;
+        const addDependencyIssue = (field, message, severity = 'error') =>
+            addIssue(field ? `${path}.${field}` : path, message, severity, 'dependencies', index);
+
+        if (!dependency || typeof dependency !== 'object' || Array.isArray(dependency)) {
+            addDependencyIssue(null, 'Must be an object');
+            return;
+        }
+
+        const requiredFields = partial && dependency.delete ? ['source', 'target'] : REQUIRED_DEPENDENCY_FIELDS;
+        requiredFields.forEach(field => {
+            if (isMissing(dependency, field)) {
+                addDependencyIssue(field, `Required field "${field}" is missing`);
+            }
+        });
+
+        ['source', 'target'].forEach(field => {
+            if (!isMissing(dependency, field) && !knownSystemIds.has(dependency[field])) {
+                addDependencyIssue(field, `Unknown system "${dependency[field]}"`);
+            }
+        });
+
+        if (!isMissing(dependency, 'type') && !typeIds.has(dependency.type)) {
+            addDependencyIssue('type', `Dependency type "${dependency.type}" is not defined`, 'warning');
+        }
+
+        // IDs are optional, missing or duplicate ones are assigned when the data is applied
+        if (!isMissing(dependency, 'id')) {
+            if (seenDependencyIds.has(dependency.id)) {
+                addDependencyIssue('id', `Duplicate dependency ID "${dependency.id}", a new ID will be assigned`, 'warning');
+            }
+            seenDependencyIds.add(dependency.id);
+        }
+
+        if (!isMissing(dependency, 'source') && !isMissing(dependency, 'target')) {
+            const key = `${dependency.source}->${dependency.target}:${dependency.type || ''}`;
+            if (seenDependencies.has(key)) {
+                addDependencyIssue(null, `Duplicate dependency from "${dependency.source}" to "${dependency.target}"`);
+            }
+            seenDependencies.add(key);
+        }
+    });
+
+    // Rules, invalid ones are skipped by the rule engine
+    if (definesReservedCategory(data.categories)) {
+        addIssue('categories', `Category ID "${UNCATEGORIZED.id}" is reserved for undefined categories, the category is ignored`, 'warning');
+    }
+
+    if (data.rules !== undefined && data.rules !== null) {
+        if (!Array.isArray(data.rules)) {
+            addIssue('rules', 'Must be a list of rules, the rules are ignored', 'warning');
+        } else {
+            const seenRuleIds = new Set();
+            data.rules.forEach((rule, index) => {
+                validateRule(rule).forEach(problem => {
+                    addIssue(`rules[${index}]`, `${problem}, the rule is ignored`, 'warning');
+                });
+                if (rule && typeof rule.id === 'string') {
+                    if (seenRuleIds.has(rule.id)) {
+                        addIssue(`rules[${index}].id`, `Duplicate rule ID "${rule.id}"`, 'warning');
+                    }
+                    seenRuleIds.add(rule.id);
+                }
+            });
+        }
+    }
+
+    return createReport(issues, systems, dependencies);
+}
+
+/**
+ * Creates the report object from a list of issues
+ * @param {Array<Object>} issues - All issues found
+ * @param {Array} [systems] - The validated systems (for counting the valid subset)
+ * @param {Array} [dependencies] - The validated dependencies
+ * @returns {Object} The validation report
+ */
+function createReport(issues, systems = null, dependencies = null) {
+    const errors = issues.filter(issue => issue.severity === 'error');
+    const warnings = issues.filter(issue => issue.severity === 'warning');
+    return {
+        valid: errors.length === 0,
+        // A subset can only be extracted if the overall structure is intact
+        canExtractSubset: Array.isArray(systems) && Array.isArray(dependencies),
+        issues,
+        errors,
+        warnings
+    };
+}
+
+/**
+ * Extracts the valid subset of a document, dropping every system and dependency with errors
+ * Dependencies that reference a dropped system are dropped as well.
+ * @param {Object} data - The validated data document
+ * @param {Object} report - The report returned by validateSystemDocument
+ * @param {Array<string>} [existingSystemIds=[]] - IDs of systems that remain valid dependency endpoints
+ * @returns {Object} A copy of the document containing only valid entries
+ */
+export function extractValidSubset(data, report, existingSystemIds = []) {
+    const invalidIndexes = { systems: new Set(), dependencies: new Set() };
+    report.errors.forEach(error => {
+        if (error.collection && error.index !== null) {
+            invalidIndexes[error.collection].add(error.index);
+        }
+    });
+
+    const systems = (data.systems || []).filter((_, index) => !invalidIndexes.systems.has(index));
+    const systemIds = new Set([...systems.map(system => system.id), ...existingSystemIds]);
+    const dependencies = (data.dependencies || [])
+        .filter((_, index) => !invalidIndexes.dependencies.has(index))
+        .filter(dependency => systemIds.has(dependency.source) && systemIds.has(dependency.target));
+
+    return { ...data, systems, dependencies };
+}